@@ -0,0 +1,16 @@
+/**
+ * VSCode Remote MCP Collaboration Server
+ *
+ * This script starts the collaboration server (sessions, shared terminals,
+ * editors and extension state) as a standalone WebSocket process. Host, port
+ * and client limits are read from the configuration file or the MCP_HOST,
+ * MCP_PORT and MCP_MAX_CLIENTS environment variables.
+ */
+
+const { MCPServer } = require('./src/mcp-server');
+
+// Create and start the server
+const server = new MCPServer().start();
+
+// Listen errors are logged and trigger a shutdown inside the server
+server.ready.catch(() => {});
@@ -3,7 +3,8 @@
  *
  * This script provides an MCP server implementation for VSCode Remote integration
  * using the official MCP SDK. It handles file operations, code analysis, VSCode instance
- * management, and command execution through a stdio interface.
+ * management, and command execution through a stdio interface, or over HTTP
+ * when started with --transport http (or MCP_TRANSPORT=http).
  *
  * Version: 2.0.0 - Using official MCP SDK
  */
@@ -7,15 +7,26 @@
  * - token_validate: Handle token validation requests
  */
 
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('auth-handlers');
+
 /**
  * Handle an authentication request
+ *
+ * `authMethod` selects the provider that checks the credentials in the
+ * payload: `token` (an access token issued by the server), `api_key`
+ * (`apiKey`), `password` (`username` and `password`) or `client_certificate`
+ * (the certificate presented when connecting). Only configured providers
+ * are available. A token issued to another client, or credentials of
+ * another identity than the client authenticated as, are refused.
  * @param {Object} server - The MCP server instance
  * @param {Object} message - The authentication request message
  * @param {Object} client - The client that sent the message
- * @returns {Object} Response message
+ * @returns {Promise<Object>} Response message
  */
-function handleAuthenticateRequest(server, message, client) {
-  const { token, authMethod = 'token' } = message.payload;
+async function handleAuthenticateRequest(server, message, client) {
+  const { authMethod = 'token' } = message.payload;
   
   try {
     // Validate client is connected
@@ -43,31 +54,8 @@ function handleAuthenticateRequest(server, message, client) {
       });
     }
     
-    // Validate required fields
-    if (!token) {
-      return server.messageRouter.createErrorResponse(
-        message, 
-        'Missing authentication token', 
-        'MISSING_TOKEN'
-      );
-    }
-    
-    // Authenticate based on method
-    let authResult;
-    switch (authMethod) {
-      case 'token':
-        authResult = server.authManager.authenticateWithToken(token);
-        break;
-      case 'oauth':
-        authResult = server.authManager.authenticateWithOAuth(token);
-        break;
-      default:
-        return server.messageRouter.createErrorResponse(
-          message, 
-          `Unsupported authentication method: ${authMethod}`, 
-          'UNSUPPORTED_AUTH_METHOD'
-        );
-    }
+    // Check the credentials with the provider for the method
+    const authResult = await server.authManager.authenticate(authMethod, message.payload, client);
     
     // Check authentication result
     if (!authResult.success) {
@@ -78,26 +66,43 @@ function handleAuthenticateRequest(server, message, client) {
       );
     }
     
-    // Update client info with authentication data
+    // A token only authenticates the client it was issued to, and a client keeps its identity
     const clientInfo = server.connectionManager.getClientInfo(client.id);
+    const mismatch = server.authManager.checkAuthenticatedClient(authResult, client.id, clientInfo && clientInfo.identity);
+    if (mismatch) {
+      log.warn(`Authentication rejected for client ${client.id}: ${mismatch.message}`);
+      return server.messageRouter.createErrorResponse(message, mismatch.message, mismatch.code);
+    }
+    
+    // Issue tokens carrying the identity and its permissions
+    const tokenInfo = server.authManager.generateToken(client.id, {
+      identity: authResult.identity,
+      permissions: authResult.permissions
+    });
+    const tokenValidUntil = new Date(tokenInfo.expiresAt);
+    
+    // Update client info with authentication data
     if (clientInfo) {
       clientInfo.authenticated = true;
       clientInfo.authMethod = authMethod;
       clientInfo.authTime = new Date();
-      clientInfo.tokenValidUntil = authResult.tokenValidUntil;
-      clientInfo.permissions = authResult.permissions || [];
+      clientInfo.identity = authResult.identity;
+      clientInfo.tokenValidUntil = tokenValidUntil;
+      clientInfo.permissions = authResult.permissions;
       
       server.connectionManager.updateClient(client.id, clientInfo);
     }
     
-    console.log(`Client authenticated: ${client.id} (Method: ${authMethod})`);
+    log.info(`Client authenticated: ${client.id} (Method: ${authMethod}, Identity: ${authResult.identity})`);
     
     // Send authentication acknowledgment
     return server.messageRouter.createSuccessResponse(message, {
       status: 'authenticated',
-      tokenValidUntil: authResult.tokenValidUntil ? authResult.tokenValidUntil.toISOString() : null,
-      permissions: authResult.permissions || [],
-      refreshToken: authResult.refreshToken || null
+      identity: authResult.identity,
+      tokenValidUntil: tokenValidUntil.toISOString(),
+      permissions: authResult.permissions,
+      token: tokenInfo.token,
+      refreshToken: tokenInfo.refreshToken
     });
   } catch (error) {
     return server.messageRouter.createErrorResponse(message, error.message, 'AUTHENTICATION_ERROR');
@@ -168,7 +173,7 @@ function handleTokenRefreshRequest(server, message, client) {
     clientInfo.tokenValidUntil = refreshResult.tokenValidUntil;
     server.connectionManager.updateClient(client.id, clientInfo);
     
-    console.log(`Token refreshed for client: ${client.id}`);
+    log.info(`Token refreshed for client: ${client.id}`);
     
     // Send token refresh acknowledgment
     return server.messageRouter.createSuccessResponse(message, {
@@ -8,6 +8,10 @@
  * - client_info: Handle client info requests
  */
 
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('connection-handlers');
+
 /**
  * Handle a connection request
  * @param {Object} server - The MCP server instance
@@ -65,7 +69,7 @@ function handleConnectionRequest(server, message, client) {
     // Register client with connection manager
     server.connectionManager.registerClient(clientId, client, clientInfo);
     
-    console.log(`Client connected: ${clientId} (Workspace: ${workspaceId || 'unknown'})`);
+    log.info(`Client connected: ${clientId} (Workspace: ${workspaceId || 'unknown'})`);
     
     // Determine if authentication is required
     const authRequired = server.authManager && server.authManager.isAuthEnabled();
@@ -130,7 +134,7 @@ function handleDisconnectRequest(server, message, client) {
           const remainingParticipants = server.sessionManager.getSessionParticipants(sessionId);
           if (remainingParticipants.length === 0) {
             server.sessionManager.removeSession(sessionId);
-            console.log(`Session ${sessionId} removed (no participants left)`);
+            log.info(`Session ${sessionId} removed (no participants left)`);
           }
         }
       });
@@ -147,7 +151,7 @@ function handleDisconnectRequest(server, message, client) {
     setTimeout(() => {
       // Unregister client from connection manager
       server.connectionManager.unregisterClient(client.id);
-      console.log(`Client disconnected: ${client.id}`);
+      log.info(`Client disconnected: ${client.id}`);
     }, 100);
     
     return response;
@@ -332,7 +336,7 @@ function handleClientUpdateRequest(server, message, client) {
     // Update client info
     server.connectionManager.updateClient(client.id, clientInfo);
     
-    console.log(`Client updated: ${client.id}`);
+    log.info(`Client updated: ${client.id}`);
     
     // Send client update acknowledgment
     return server.messageRouter.createSuccessResponse(message, {
@@ -5,6 +5,9 @@
  */
 
 const { validateMessage } = require('../utils/message-type-validator');
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('session-handlers');
 
 /**
  * Active sessions
@@ -56,7 +59,7 @@ async function handleSessionRequest(message, client, respond) {
     });
     
     // Log session creation
-    console.log(`Session created: ${sessionId}`);
+    log.info(`Session created: ${sessionId}`);
   } catch (error) {
     // Send error response
     respond({
@@ -70,7 +73,7 @@ async function handleSessionRequest(message, client, respond) {
     });
     
     // Log error
-    console.error(`Session request error: ${error.message}`);
+    log.error('Session request error', { error });
   }
 }
 
@@ -121,7 +124,7 @@ async function handleSessionEndRequest(message, client, respond) {
     });
     
     // Log session end
-    console.log(`Session ended: ${sessionId}`);
+    log.info(`Session ended: ${sessionId}`);
   } catch (error) {
     // Send error response
     respond({
@@ -135,7 +138,7 @@ async function handleSessionEndRequest(message, client, respond) {
     });
     
     // Log error
-    console.error(`Session end request error: ${error.message}`);
+    log.error('Session end request error', { error });
   }
 }
 
@@ -183,7 +186,7 @@ async function handleSessionPauseRequest(message, client, respond) {
     });
     
     // Log session pause
-    console.log(`Session paused: ${sessionId}`);
+    log.info(`Session paused: ${sessionId}`);
   } catch (error) {
     // Send error response
     respond({
@@ -197,7 +200,7 @@ async function handleSessionPauseRequest(message, client, respond) {
     });
     
     // Log error
-    console.error(`Session pause request error: ${error.message}`);
+    log.error('Session pause request error', { error });
   }
 }
 
@@ -251,7 +254,7 @@ async function handleSessionResumeRequest(message, client, respond) {
     });
     
     // Log session resume
-    console.log(`Session resumed: ${sessionId}`);
+    log.info(`Session resumed: ${sessionId}`);
   } catch (error) {
     // Send error response
     respond({
@@ -265,7 +268,7 @@ async function handleSessionResumeRequest(message, client, respond) {
     });
     
     // Log error
-    console.error(`Session resume request error: ${error.message}`);
+    log.error('Session resume request error', { error });
   }
 }
 
@@ -3,7 +3,8 @@
  * 
  * This file implements an MCP server using the official MCP SDK.
  * It handles initialization, tool registration, and request handling
- * for VSCode Remote integration.
+ * for VSCode Remote integration, over stdio or over HTTP for several
+ * remote clients at once.
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
@@ -11,30 +12,149 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SetLevelRequestSchema,
   ErrorCode,
   McpError
 } = require('@modelcontextprotocol/sdk/types.js');
 
 // Import tools
-const { tools, toolSchemas } = require('./tools');
+const {
+  tools,
+  toolSchemas,
+  toolDescriptions,
+  toolPlugins,
+  workspaceSandbox,
+  containerRuntime,
+  instanceRegistry,
+  instancesConfig,
+  instancesDirectory
+} = require('./tools');
+const { prompts, promptsDirectory } = require('./prompts');
+const { McpHttpTransport } = require('./utils/mcp-http-transport');
+const { createToolContext } = require('./utils/tool-context');
+const { createToolHost, ToolError } = require('./utils/tool-host');
+const { ToolPluginLoader } = require('./utils/tool-plugins');
+const { WorkspaceResources } = require('./utils/workspace-resources');
+const { PromptRegistry } = require('./utils/prompt-registry');
+const { getLogger, setLogLevel, correlateTransport } = require('./utils/logger');
+
+const log = getLogger('mcp-sdk-server');
+
+/**
+ * The logger level each MCP logging level is written at
+ * @type {Object<string, string>}
+ */
+const MCP_LOG_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  notice: 'info',
+  warning: 'warn',
+  error: 'error',
+  critical: 'error',
+  alert: 'error',
+  emergency: 'error'
+};
 
-// Debug mode
-const DEBUG_MODE = process.env.MCP_DEBUG === '1';
+/**
+ * Instance lifecycle events that add or drop an `instance://` resource
+ * @type {Set<string>}
+ */
+const INSTANCE_LIST_EVENTS = new Set(['created', 'removed', 'adopted', 'pruned']);
 
 /**
- * Debug logging
- * @param {...any} args - Arguments to log
+ * Create an AbortSignal that aborts when any of the given signals aborts
+ * @param {Array<AbortSignal|undefined>} signals - The signals to follow
+ * @returns {AbortSignal} The combined signal
  */
-function debugLog(...args) {
-  if (DEBUG_MODE) {
-    console.error('[MCP-DEBUG]', ...args);
+function anySignal(signals) {
+  const controller = new AbortController();
+
+  for (const signal of signals) {
+    if (!signal) {
+      continue;
+    }
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
   }
+
+  return controller.signal;
 }
 
 class VSCodeRemoteMcpServer {
-  constructor() {
+  /**
+   * Create a new VSCodeRemoteMcpServer instance
+   * @param {Object} [options={}] - Server options
+   * @param {string} [options.instancesDir] - Directory of instance configurations exposed as resources
+   * @param {string} [options.promptsDir] - Directory of markdown prompt templates (defaults to `prompts.directory`)
+   * @param {ToolHost} [options.toolHost] - Tool host to serve (defaults to one with every tool of `src/tools` and the tool plugins)
+   * @param {InstanceRegistry} [options.instanceRegistry] - Registry whose lifecycle events are sent to clients (defaults to the one of the instance tools)
+   */
+  constructor(options = {}) {
+    // Servers of the open connections, told when the tool list changes
+    this.servers = new Set();
+
+    // Tool dispatch shared with the other front-ends
+    this.toolHost = options.toolHost || createToolHost({ tools, toolSchemas, toolDescriptions });
+
+    // Plugin tools only join the default tool host; a given host is served as is
+    this.toolPlugins = null;
+    if (!options.toolHost) {
+      this.toolPlugins = new ToolPluginLoader({
+        toolHost: this.toolHost,
+        ...toolPlugins,
+        onToolsChanged: () => this.notifyToolsChanged()
+      });
+      this.toolPlugins.load();
+    }
+
+    // Workspace files, instance configurations and job allocations, shared by every connection
+    this.resources = new WorkspaceResources({
+      sandbox: workspaceSandbox,
+      instancesDir: options.instancesDir || instancesDirectory
+    });
+
+    // Clients are told when instances appear or go away
+    this.instanceRegistry = options.instanceRegistry || instanceRegistry;
+    this.unsubscribeInstances = this.instanceRegistry.subscribe(event => {
+      if (INSTANCE_LIST_EVENTS.has(event.type)) {
+        this.notifyResourcesChanged();
+      }
+    });
+
+    // Built-in prompts and the user's markdown templates
+    this.prompts = new PromptRegistry({
+      prompts,
+      directory: options.promptsDir || promptsDirectory,
+      toolHost: this.toolHost,
+      resources: this.resources
+    });
+
+    // Server used by the stdio transport; HTTP sessions each get their own from createServer
+    this.server = this.createServer();
+
+    // HTTP transport (created by serve when selected)
+    this.httpTransport = null;
+  }
+
+  /**
+   * Create an MCP server that shares the tool registry with every other connection
+   * @param {Object} [options={}] - Connection options
+   * @param {AbortSignal} [options.signal] - Cancels the in-flight tool calls of the connection when aborted
+   * @returns {Server} The MCP server
+   */
+  createServer(options = {}) {
     // Create the MCP server with server info and capabilities
-    this.server = new Server(
+    const server = new Server(
       {
         name: 'sparc2-mcp',
         version: '1.0.0',
@@ -42,126 +162,339 @@ class VSCodeRemoteMcpServer {
       {
         capabilities: {
           tools: {
-            analyze_code: true,
-            modify_code: true,
-            search_code: true,
-            deploy_vscode_instance: true,
-            list_vscode_instances: true,
-            stop_vscode_instance: true,
-            manage_job_resources: true
+            ...this.toolHost.getCapabilities(),
+            listChanged: true
+          },
+          resources: {
+            subscribe: true,
+            listChanged: true
           },
+          prompts: {},
+          logging: {},
         },
       }
     );
 
     // Set up request handlers
-    this.setupRequestHandlers();
+    this.setupRequestHandlers(server, options.signal);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server, options.signal);
+    this.setupLoggingHandlers(server);
+
+    // Track the server while it is connected
+    const closeResources = server.onclose;
+    this.servers.add(server);
+    server.onclose = () => {
+      this.servers.delete(server);
+      closeResources();
+    };
+
+    return server;
+  }
+
+  /**
+   * Tell the clients of every open connection that the tool list changed
+   */
+  notifyToolsChanged() {
+    for (const server of this.servers) {
+      if (!server.transport) {
+        continue;
+      }
+      server.sendToolListChanged().catch((error) => {
+        log.error('Failed to send tool list change', { error });
+      });
+    }
+  }
+
+  /**
+   * Tell the clients of every open connection that the resource list changed
+   */
+  notifyResourcesChanged() {
+    for (const server of this.servers) {
+      if (!server.transport) {
+        continue;
+      }
+      server.sendResourceListChanged().catch((error) => {
+        log.error('Failed to send resource list change', { error });
+      });
+    }
+  }
+
+  /**
+   * Reconcile the instance records with the container runtime
+   * @param {Object} [options={}] - Reconcile options
+   * @param {boolean} [options.prune=instances.pruneMissing] - Delete the records of instances whose container is gone
+   * @returns {Promise<Object|null>} The outcome from InstanceRegistry#reconcile, or null if it failed
+   */
+  async reconcileInstances(options = {}) {
+    const prune = options.prune !== undefined ? options.prune : instancesConfig.pruneMissing;
+    try {
+      return await this.instanceRegistry.reconcile(containerRuntime, { prune });
+    } catch (error) {
+      log.error('Failed to reconcile instance records', { error });
+      return null;
+    }
   }
 
   /**
-   * Set up request handlers for the MCP server
+   * Set up request handlers for an MCP server
+   * @param {Server} server - The MCP server
+   * @param {AbortSignal} [connectionSignal] - Aborted when the connection of the server closes
    */
-  setupRequestHandlers() {
+  setupRequestHandlers(server, connectionSignal) {
     // Handle listTools request
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      debugLog('Handling listTools request');
-      
-      const toolsList = Object.keys(tools).map(name => ({
-        name,
-        description: this.getToolDescription(name),
-        inputSchema: toolSchemas[name]
-      }));
-
-      return {
-        tools: toolsList
-      };
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      log.debug('Handling listTools request');
+      return { tools: this.toolHost.listTools() };
     });
 
     // Handle callTool request
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
-      debugLog('Handling callTool request:', name, args);
+      log.debug('Handling callTool request', { name, args });
+
+      // Cancelled by notifications/cancelled from the client or by the connection closing
+      const context = createToolContext({
+        signal: anySignal([extra && extra.signal, connectionSignal]),
+        progressToken: request.params._meta && request.params._meta.progressToken,
+        sendNotification: extra && extra.sendNotification
+      });
 
-      if (!name) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          'Tool name is required'
-        );
+      try {
+        return await this.toolHost.callTool(name, args || {}, context);
+      } catch (error) {
+        // The tool host reports every failure as a ToolError with its JSON-RPC code
+        if (error instanceof ToolError) {
+          throw new McpError(error.code, error.message, error.data);
+        }
+        throw error;
       }
+    });
+  }
+
+  /**
+   * Set up resource request handlers for an MCP server
+   * @param {Server} server - The MCP server
+   */
+  setupResourceHandlers(server) {
+    // Map of subscribed URI to the function that stops watching it
+    const subscriptions = new Map();
+
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      log.debug('Handling listResources request');
+      return this.handleResourceRequest(() => this.resources.listResources(request.params && request.params.cursor));
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      log.debug('Handling listResourceTemplates request');
+      return { resourceTemplates: this.resources.listResourceTemplates() };
+    });
 
-      if (!tools[name]) {
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Tool not found: ${name}`
-        );
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      log.debug('Handling readResource request', { uri: request.params.uri });
+      return this.handleResourceRequest(() => this.resources.readResource(request.params.uri));
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      log.debug('Handling subscribe request', { uri });
+
+      if (!subscriptions.has(uri)) {
+        const unwatch = await this.handleResourceRequest(() => this.resources.watch(uri, (changedUri) => {
+          server.sendResourceUpdated({ uri: changedUri }).catch((error) => {
+            log.error(`Failed to send resource update for ${changedUri}`, { error });
+          });
+        }));
+        subscriptions.set(uri, unwatch);
       }
 
-      try {
-        const result = await tools[name](args || {});
+      return {};
+    });
 
-        if (result && result.error) {
-          throw new McpError(
-            result.error.code || ErrorCode.InternalError,
-            result.error.message || 'Unknown error'
-          );
-        }
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      log.debug('Handling unsubscribe request', { uri });
 
-        return result || {};
-      } catch (error) {
-        console.error(`Error calling tool ${name}:`, error);
+      if (subscriptions.has(uri)) {
+        subscriptions.get(uri)();
+        subscriptions.delete(uri);
+      }
+
+      return {};
+    });
+
+    // Subscriptions end with the connection
+    server.onclose = () => {
+      subscriptions.forEach(unwatch => unwatch());
+      subscriptions.clear();
+    };
+  }
+
+  /**
+   * Run a resource operation, reporting its errors as MCP errors
+   * @param {Function} operation - The operation
+   * @returns {Promise<*>} The result of the operation
+   * @throws {McpError} If the operation fails
+   */
+  async handleResourceRequest(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.code === 'RESOURCE_NOT_FOUND') {
+        // Resource not found, as defined by the MCP specification
+        throw new McpError(-32002, error.message);
+      }
+      if (error.code === 'INVALID_URI') {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+
+      log.error('Error handling resource request', { error });
+      throw new McpError(ErrorCode.InternalError, `Error handling resource request: ${error.message}`);
+    }
+  }
 
-        if (error instanceof McpError) {
-          throw error;
+  /**
+   * Set up prompt request handlers for an MCP server
+   * @param {Server} server - The MCP server
+   * @param {AbortSignal} [connectionSignal] - Aborted when the connection of the server closes
+   */
+  setupPromptHandlers(server, connectionSignal) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      log.debug('Handling listPrompts request');
+      return { prompts: await this.prompts.listPrompts() };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      log.debug('Handling getPrompt request', { name, args });
+
+      // The tools a prompt runs stop like tool calls do
+      const context = createToolContext({
+        signal: anySignal([extra && extra.signal, connectionSignal]),
+        progressToken: request.params._meta && request.params._meta.progressToken,
+        sendNotification: extra && extra.sendNotification
+      });
+
+      try {
+        return await this.prompts.getPrompt(name, args || {}, context);
+      } catch (error) {
+        if (error.code === 'PROMPT_NOT_FOUND' || error.code === 'INVALID_ARGUMENTS') {
+          throw new McpError(ErrorCode.InvalidParams, error.message);
         }
 
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Error calling tool ${name}: ${error.message || 'Unknown error'}`
-        );
+        log.error(`Error getting prompt ${name}`, { error });
+        throw new McpError(ErrorCode.InternalError, `Error getting prompt ${name}: ${error.message}`);
       }
     });
   }
 
   /**
-   * Get tool description
-   * @param {string} name - Tool name
-   * @returns {string} Tool description
+   * Set up the logging/setLevel handler on an MCP server
+   *
+   * The level applies to the whole server process, not just the connection
+   * that set it.
+   *
+   * @param {Server} server - The MCP server
+   */
+  setupLoggingHandlers(server) {
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      const { level } = request.params;
+      log.debug('Handling setLevel request', { level });
+
+      setLogLevel(MCP_LOG_LEVELS[level]);
+      log.info(`Log level set to ${MCP_LOG_LEVELS[level]}`);
+      return {};
+    });
+  }
+
+  /**
+   * Read the transport options from command line arguments and the environment
+   *
+   * Flags take precedence over MCP_TRANSPORT, MCP_HTTP_HOST, MCP_HTTP_PORT and MCP_HTTP_TOKEN.
+   * The token is only read from the environment so it does not show up in process listings.
+   * MCP_HTTP_ALLOWED_HOSTS and MCP_HTTP_ALLOWED_ORIGINS are comma-separated lists.
+   *
+   * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {Object} Options { transport, host, port, token, allowedHosts, allowedOrigins } for serve
+   * @throws {Error} If the transport or port is invalid
    */
-  getToolDescription(name) {
-    switch (name) {
-      case 'analyze_code':
-        return 'Analyze code files and provide insights about their structure, complexity, and potential issues';
-      case 'modify_code':
-        return 'Modify code files with various operations like adding, updating, or removing code segments';
-      case 'search_code':
-        return 'Search for patterns in code files and return matching results with context';
-      case 'deploy_vscode_instance':
-        return 'Deploy a new VSCode instance using Docker';
-      case 'list_vscode_instances':
-        return 'List all deployed VSCode instances and their status';
-      case 'stop_vscode_instance':
-        return 'Stop a running VSCode instance';
-      case 'manage_job_resources':
-        return 'Manage resources for VSCode instances and associated jobs';
-      default:
-        return 'Unknown tool';
+  static parseServeOptions(argv = process.argv.slice(2), env = process.env) {
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      const match = /^--(transport|host|port)(?:=(.*))?$/.exec(argv[i]);
+      if (match) {
+        flags[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+      } else if (argv[i] === '--http') {
+        flags.transport = 'http';
+      }
+    }
+
+    const transport = flags.transport || env.MCP_TRANSPORT || 'stdio';
+    if (transport !== 'stdio' && transport !== 'http') {
+      throw new Error(`Unsupported transport: ${transport} (expected stdio or http)`);
+    }
+
+    const port = Number(flags.port || env.MCP_HTTP_PORT || 3000);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid HTTP port: ${flags.port || env.MCP_HTTP_PORT}`);
     }
+
+    const parseList = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+    return {
+      transport,
+      host: flags.host || env.MCP_HTTP_HOST || '127.0.0.1',
+      port,
+      token: env.MCP_HTTP_TOKEN || undefined,
+      allowedHosts: parseList(env.MCP_HTTP_ALLOWED_HOSTS),
+      allowedOrigins: parseList(env.MCP_HTTP_ALLOWED_ORIGINS)
+    };
   }
 
   /**
    * Start the server
+   * @param {Object} [options=VSCodeRemoteMcpServer.parseServeOptions()] - Transport options
+   * @param {string} [options.transport='stdio'] - 'stdio' or 'http'
+   * @param {string} [options.host] - Host the HTTP transport binds to
+   * @param {number} [options.port] - Port the HTTP transport listens on
+   * @param {string} [options.token] - Bearer token required by the HTTP transport
+   * @param {string[]} [options.allowedHosts] - Host names the HTTP transport accepts requests for
+   * @param {string[]} [options.allowedOrigins] - Browser origins the HTTP transport accepts requests from
    */
-  async serve() {
-    console.error('VSCode Remote MCP Server starting...');
+  async serve(options = VSCodeRemoteMcpServer.parseServeOptions()) {
+    log.info('VSCode Remote MCP Server starting...');
     
     try {
-      // Create a stdio transport
-      const transport = new StdioServerTransport();
-      
-      // Connect the server to the transport
-      await this.server.connect(transport);
+      if (options.transport === 'http') {
+        // Every HTTP session gets its own server connected to the shared tools
+        this.httpTransport = new McpHttpTransport({
+          host: options.host,
+          port: options.port,
+          token: options.token,
+          allowedHosts: options.allowedHosts,
+          allowedOrigins: options.allowedOrigins,
+          createServer: connectionOptions => this.createServer(connectionOptions)
+        });
+
+        const address = await this.httpTransport.listen();
+        log.info(`VSCode Remote MCP Server running on http://${address.address}:${address.port}/mcp (SSE fallback on /sse)`);
+      } else {
+        // Create a stdio transport
+        const transport = new StdioServerTransport();
+        
+        // Connect the server to the transport
+        await this.server.connect(transport);
+        correlateTransport(transport);
+        
+        log.info('VSCode Remote MCP Server running on stdio');
+      }
       
-      console.error('VSCode Remote MCP Server running on stdio');
+      // Catch up with containers that changed while the server was down, without delaying startup
+      if (instancesConfig.reconcileOnStartup) {
+        this.reconcileInstances();
+      }
       
       // Handle graceful shutdown
       process.on('SIGINT', async () => {
@@ -172,7 +505,7 @@ class VSCodeRemoteMcpServer {
         await this.shutdown();
       });
     } catch (error) {
-      console.error('Failed to start MCP server:', error);
+      log.error('Failed to start MCP server', { error });
       process.exit(1);
     }
   }
@@ -181,13 +514,21 @@ class VSCodeRemoteMcpServer {
    * Shutdown the server
    */
   async shutdown() {
-    console.error('Shutting down MCP server...');
+    log.info('Shutting down MCP server...');
     
     try {
+      if (this.httpTransport) {
+        await this.httpTransport.close();
+      }
       await this.server.close();
-      console.error('MCP server shut down successfully');
+      this.resources.dispose();
+      this.unsubscribeInstances();
+      if (this.toolPlugins) {
+        this.toolPlugins.close();
+      }
+      log.info('MCP server shut down successfully');
     } catch (error) {
-      console.error('Error shutting down MCP server:', error);
+      log.error('Error shutting down MCP server', { error });
     }
     
     process.exit(0);
@@ -5,17 +5,26 @@
  * the core functionality for the VSCode Remote MCP system.
  */
 
+const fs = require('fs');
 const { ConfigManager } = require('./utils/config-manager');
 const { AuthManager } = require('./utils/auth-manager');
 const { SessionManager } = require('./utils/session-manager');
 const { TerminalManager } = require('./utils/terminal-manager');
 const { EditorManager } = require('./utils/editor-manager');
 const { ExtensionManager } = require('./utils/extension-manager');
+const { PresenceManager } = require('./utils/presence-manager');
+const { createSessionStore } = require('./utils/session-store');
+const { SessionPersistence } = require('./utils/session-persistence');
+const { ROLES, PERMISSIONS, isValidRole, compareRoles } = require('./utils/session-roles');
 const { MessageRouter } = require('./utils/message-router');
 const { validateMessage } = require('./utils/message-validator');
 const { MCPConnectionManager } = require('./utils/connection-manager');
 const { shutdownGracefully } = require('./utils/server-manager');
+const { WebSocketTransport } = require('./utils/websocket-transport');
 const { v4: uuidv4 } = require('uuid');
+const { getLogger, setLogLevel, runWithLogContext } = require('./utils/logger');
+
+const log = getLogger('mcp-server');
 
 /**
  * MCP Server class
@@ -24,6 +33,8 @@ class MCPServer {
   /**
    * Create a new MCPServer instance
    * @param {Object} options - Server options
+   * @param {string} [options.configPath] - Path to the configuration file
+   * @param {Object|null} [options.sessionStore] - Session store overriding session.store (null disables persistence)
    */
   constructor(options = {}) {
     // Initialize configuration
@@ -31,10 +42,33 @@ class MCPServer {
     
     // Initialize managers
     this.authManager = new AuthManager(this.configManager);
-    this.sessionManager = new SessionManager();
-    this.terminalManager = new TerminalManager(this.sessionManager);
+    const sessionConfig = this.configManager.getSection('session');
+    this.sessionManager = new SessionManager({
+      onChange: (sessionId) => this.sessionPersistence.scheduleSave(sessionId),
+      onRemove: (sessionId) => this.sessionPersistence.remove(sessionId),
+      onRoleChange: (sessionId, clientId, role) => this.broadcastRoleChange(sessionId, clientId, role),
+      defaultRole: sessionConfig.defaultRole
+    });
+    this.terminalManager = new TerminalManager(this.sessionManager, {
+      defaultShell: this.configManager.getValue('terminal', 'shell'),
+      onOutput: (terminal, data) => this.broadcastTerminalOutput(terminal, data),
+      onExit: (terminal, exitCode, signal) => this.broadcastTerminalExit(terminal, exitCode, signal)
+    });
     this.editorManager = new EditorManager(this.sessionManager);
     this.extensionManager = new ExtensionManager(this.sessionManager);
+    this.sessionPersistence = new SessionPersistence({
+      store: options.sessionStore !== undefined ? options.sessionStore : createSessionStore(sessionConfig.store),
+      sessionManager: this.sessionManager,
+      terminalManager: this.terminalManager,
+      editorManager: this.editorManager,
+      extensionManager: this.extensionManager,
+      saveDelayMs: sessionConfig.saveDelayMs
+    });
+    this.presenceManager = new PresenceManager({
+      ...this.configManager.getSection('presence'),
+      onUpdate: (sessionId, changes) => this.broadcastPresenceUpdate(sessionId, changes),
+      onFollow: (sessionId, followerId, presence) => this.sendFollowUpdate(sessionId, followerId, presence)
+    });
     
     // Initialize message router
     this.messageRouter = new MessageRouter(this.configManager, this.authManager);
@@ -44,6 +78,11 @@ class MCPServer {
     
     // Server configuration
     this.serverConfig = this.configManager.getSection('server');
+    setLogLevel(this.serverConfig.logLevel);
+    
+    // WebSocket transport (created on start)
+    this.transport = null;
+    this.isShuttingDown = false;
     
     // Register message handlers
     this.registerMessageHandlers();
@@ -61,6 +100,7 @@ class MCPServer {
     this.messageRouter.registerHandler('disconnect', this.handleDisconnectRequest.bind(this), false);
     
     // Authentication handlers
+    this.messageRouter.registerHandler('authentication_request', this.handleAuthenticationRequest.bind(this), false);
     this.messageRouter.registerHandler('token_refresh', this.handleTokenRefreshRequest.bind(this), false);
     
     // Session handlers
@@ -68,6 +108,13 @@ class MCPServer {
     this.messageRouter.registerHandler('session_join', this.handleSessionJoinRequest.bind(this), true);
     this.messageRouter.registerHandler('session_leave', this.handleSessionLeaveRequest.bind(this), true);
     this.messageRouter.registerHandler('session_list', this.handleSessionListRequest.bind(this), true);
+    this.messageRouter.registerHandler('session_promote', this.handleSessionRoleRequest.bind(this), true);
+    this.messageRouter.registerHandler('session_demote', this.handleSessionRoleRequest.bind(this), true);
+    this.messageRouter.registerHandler('session_kick', this.handleSessionKickRequest.bind(this), true);
+    
+    // Presence handlers
+    this.messageRouter.registerHandler('presence_update', this.handlePresenceUpdateRequest.bind(this), true);
+    this.messageRouter.registerHandler('presence_follow', this.handlePresenceFollowRequest.bind(this), true);
     
     // Terminal handlers
     this.messageRouter.registerHandler('terminal_create', this.handleTerminalCreateRequest.bind(this), true);
@@ -98,6 +145,11 @@ class MCPServer {
       this.sessionManager.cleanupInactiveSessions(sessionConfig.inactivityTimeoutMs);
     }, sessionConfig.cleanupIntervalMs);
     
+    // Expired token and revocation cleanup
+    this.authCleanupInterval = setInterval(() => {
+      this.authManager.cleanupExpiredTokens();
+    }, sessionConfig.cleanupIntervalMs);
+    
     // Terminal cleanup
     const terminalConfig = this.configManager.getSection('terminal');
     this.terminalCleanupInterval = setInterval(() => {
@@ -117,58 +169,116 @@ class MCPServer {
     this.extensionCleanupInterval = setInterval(() => {
       this.extensionManager.cleanupInactiveExtensions(extensionConfig.inactivityTimeoutMs);
     }, extensionConfig.cleanupIntervalMs);
+    
+    // Presence idle detection
+    const presenceConfig = this.configManager.getSection('presence');
+    this.presenceCheckInterval = setInterval(() => {
+      this.presenceManager.updateIdleStatus();
+    }, presenceConfig.checkIntervalMs);
   }
 
   /**
    * Start the server
+   * @returns {MCPServer} The server instance
    */
   start() {
-    console.log('Starting VSCode Remote MCP Server...');
+    log.info('Starting VSCode Remote MCP Server...');
     
     // Set up process signal handlers for graceful shutdown
     process.on('SIGINT', () => {
-      console.log('Received SIGINT signal');
+      log.info('Received SIGINT signal');
       this.shutdown('Server shutdown requested', 0);
     });
     
     process.on('SIGTERM', () => {
-      console.log('Received SIGTERM signal');
+      log.info('Received SIGTERM signal');
       this.shutdown('Server termination requested', 0);
     });
     
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
-      console.error('Uncaught exception:', error);
+      log.error('Uncaught exception', { error });
       this.shutdown('Server error occurred', 1);
     });
     
-    console.log(`MCP Server started successfully (${this.serverConfig.host}:${this.serverConfig.port})`);
+    // Restore persisted sessions, dropping any that expired while the server was down
+    const restoredCount = this.sessionPersistence.restore();
+    if (restoredCount > 0) {
+      const sessionConfig = this.configManager.getSection('session');
+      const expiredCount = this.sessionManager.cleanupInactiveSessions(sessionConfig.inactivityTimeoutMs);
+      log.info(`Restored ${restoredCount - expiredCount} persisted session(s)`);
+    }
+    
+    // Listen for WebSocket connections
+    this.transport = new WebSocketTransport({
+      host: this.serverConfig.host,
+      port: this.serverConfig.port,
+      maxClients: this.serverConfig.maxClients,
+      tls: this.loadTlsOptions(),
+      onMessage: (message, client) => this.processMessage(message, client),
+      onInvalidMessage: (error, client) => {
+        client.send(this.messageRouter.createErrorResponse(null, `Invalid message: ${error.message}`, 'INVALID_MESSAGE'));
+      },
+      onDisconnect: (client) => this.handleClientDisconnect(client)
+    });
+    
+    // Resolves with the bound address once the server is listening
+    this.ready = this.transport.listen()
+      .then((address) => {
+        log.info(`MCP Server started successfully (${address.address}:${address.port})`);
+        return address;
+      })
+      .catch((error) => {
+        log.error(`Failed to listen on ${this.serverConfig.host}:${this.serverConfig.port}`, { error });
+        this.shutdown('Server failed to start', 1);
+        throw error;
+      });
     
     return this;
   }
 
+  /**
+   * Read the TLS certificate files configured in server.tls
+   * @returns {Object|null} TLS options { cert, key, ca } or null to serve plain WebSockets
+   */
+  loadTlsOptions() {
+    const { certFile, keyFile, caFile } = this.serverConfig.tls;
+    
+    if (!certFile) {
+      return null;
+    }
+    
+    return {
+      cert: fs.readFileSync(certFile),
+      key: fs.readFileSync(keyFile),
+      ca: caFile ? fs.readFileSync(caFile) : undefined
+    };
+  }
+
   /**
    * Shutdown the server
    * @param {string} reason - Shutdown reason
    * @param {number} exitCode - Process exit code
+   * @returns {Promise<void>}
    */
-  shutdown(reason, exitCode = 0) {
-    console.log(`Shutting down MCP Server: ${reason}`);
+  async shutdown(reason, exitCode = 0) {
+    // Ignore repeated shutdown requests (e.g. a second SIGINT)
+    if (this.isShuttingDown) {
+      return;
+    }
+    this.isShuttingDown = true;
+    
+    log.info(`Shutting down MCP Server: ${reason}`);
     
     // Clear intervals
     clearInterval(this.sessionCleanupInterval);
+    clearInterval(this.authCleanupInterval);
     clearInterval(this.terminalCleanupInterval);
     clearInterval(this.editorCleanupInterval);
     clearInterval(this.extensionCleanupInterval);
+    clearInterval(this.presenceCheckInterval);
     
-    // Dispose managers
-    this.sessionManager.dispose();
-    this.terminalManager.dispose();
-    this.editorManager.dispose();
-    this.extensionManager.dispose();
-    this.authManager.dispose();
-    
-    // Disconnect all clients
+    // Notify all clients
     for (const [clientId, client] of this.connectedClients.entries()) {
       try {
         client.send({
@@ -180,28 +290,76 @@ class MCPServer {
             gracePeriodMs: this.serverConfig.shutdownTimeoutMs
           }
         });
-        
-        client.disconnect();
       } catch (error) {
-        console.error(`Error disconnecting client ${clientId}:`, error);
+        log.error(`Error notifying client ${clientId}`, { error });
       }
     }
     
+    // Save sessions before disconnecting clients so they can be restored on the next start
+    this.sessionPersistence.dispose();
+    
+    // Stop accepting connections and give clients the grace period to disconnect
+    if (this.transport) {
+      await this.transport.close(this.serverConfig.shutdownTimeoutMs);
+    } else {
+      for (const [clientId, client] of this.connectedClients.entries()) {
+        try {
+          client.disconnect();
+        } catch (error) {
+          log.error(`Error disconnecting client ${clientId}`, { error });
+        }
+      }
+    }
+    
+    // Dispose managers
+    this.sessionManager.dispose();
+    this.terminalManager.dispose();
+    this.editorManager.dispose();
+    this.extensionManager.dispose();
+    this.presenceManager.dispose();
+    this.authManager.dispose();
+    
     // Clear connected clients
     this.connectedClients.clear();
     
-    // Exit process after timeout
-    setTimeout(() => {
-      process.exit(exitCode);
-    }, this.serverConfig.shutdownTimeoutMs);
+    process.exit(exitCode);
+  }
+
+  /**
+   * Handle a client socket closing
+   * @param {Object} client - The client whose connection closed
+   */
+  handleClientDisconnect(client) {
+    // Ignore sockets that never identified or were already disconnected
+    if (!client.id || this.connectedClients.get(client.id) !== client) {
+      return;
+    }
+    
+    this.cleanupClientResources(client.id);
+    this.connectedClients.delete(client.id);
+    
+    log.info(`Client connection closed: ${client.id}`);
   }
 
   /**
    * Process an incoming message
+   *
+   * Everything logged while the message is handled carries its id as
+   * `requestId` and the sending client as `clientId`.
+   *
    * @param {Object} message - The message to process
    * @param {Object} client - The client that sent the message
    */
   async processMessage(message, client) {
+    return runWithLogContext({ requestId: message && message.id, clientId: client.id }, () => this.handleMessage(message, client));
+  }
+
+  /**
+   * Route a message and send its response
+   * @param {Object} message - The message to process
+   * @param {Object} client - The client that sent the message
+   */
+  async handleMessage(message, client) {
     try {
       // Route message to appropriate handler
       const response = await this.messageRouter.processMessage(message, client);
@@ -211,7 +369,7 @@ class MCPServer {
         client.send(response);
       }
     } catch (error) {
-      console.error('Error processing message:', error);
+      log.error('Error processing message', { error });
       
       // Send error response
       client.send(this.messageRouter.createErrorResponse(message, error.message));
@@ -227,11 +385,36 @@ class MCPServer {
   handleConnectionRequest(message, client) {
     const { clientId, workspaceId, capabilities = [] } = message.payload;
     
+    // A socket keeps the ID it connected with
+    if (client.id && client.id !== clientId) {
+      return this.messageRouter.createErrorResponse(message, `Already connected as ${client.id}`, 'ALREADY_CONNECTED');
+    }
+    
+    // An ID belongs to the socket that holds it; another socket must not take over its sessions and roles
+    const current = this.connectedClients.get(clientId);
+    if (current && current !== client) {
+      return this.messageRouter.createErrorResponse(message, `Client ID ${clientId} is already connected`, 'CLIENT_ID_IN_USE');
+    }
+    
     // Check if max clients limit is reached
-    if (this.connectedClients.size >= this.serverConfig.maxClients) {
+    if (!current && this.connectedClients.size >= this.serverConfig.maxClients) {
       return this.messageRouter.createErrorResponse(message, 'Maximum number of clients reached', 'MAX_CLIENTS');
     }
     
+    // An ID that was issued tokens is bound to whoever holds them, so it is only reclaimed with one of them
+    let reclaimed = null;
+    if (this.authManager.isAuthEnabled() && !current && this.authManager.hasActiveTokens(clientId)) {
+      const token = message.token || message.payload.authToken;
+      reclaimed = token ? this.authManager.validateToken(token) : null;
+      
+      if (!reclaimed || reclaimed.clientId !== clientId) {
+        return this.messageRouter.createErrorResponse(message, `Client ID ${clientId} belongs to an authenticated client; connect with one of its tokens`, 'CLIENT_ID_IN_USE');
+      }
+      
+      client.identity = reclaimed.metadata.identity;
+      client.permissions = reclaimed.metadata.permissions || [];
+    }
+    
     // Store client information
     client.id = clientId;
     client.workspaceId = workspaceId;
@@ -241,13 +424,13 @@ class MCPServer {
     // Add client to connected clients map
     this.connectedClients.set(clientId, client);
     
-    // Generate authentication token if auth is enabled
+    // Generate authentication token if auth is enabled and no credentials are required
     let tokenInfo = null;
-    if (this.authManager.isAuthEnabled()) {
-      tokenInfo = this.authManager.generateToken(clientId, { workspaceId });
+    if (this.authManager.isAuthEnabled() && !this.authManager.hasCredentialProviders()) {
+      tokenInfo = this.authManager.generateToken(clientId, reclaimed ? reclaimed.metadata : { workspaceId });
     }
     
-    console.log(`Client connected: ${clientId} (Workspace: ${workspaceId})`);
+    log.info(`Client connected: ${clientId} (Workspace: ${workspaceId})`);
     
     // Send connection acknowledgment
     return this.messageRouter.createSuccessResponse(message, {
@@ -256,7 +439,8 @@ class MCPServer {
       connectedClients: this.connectedClients.size,
       token: tokenInfo ? tokenInfo.token : null,
       refreshToken: tokenInfo ? tokenInfo.refreshToken : null,
-      tokenValidUntil: tokenInfo ? tokenInfo.expiresAt : null
+      tokenValidUntil: tokenInfo ? tokenInfo.expiresAt : null,
+      authMethods: this.authManager.isAuthEnabled() ? this.authManager.getAuthMethods() : []
     });
   }
 
@@ -273,6 +457,15 @@ class MCPServer {
       serverTime: new Date().toISOString()
     });
     
+    // Invalidate the client's tokens when it signs out for good
+    if (message.payload.clearAuth && client.id && this.authManager.isAuthEnabled()) {
+      const revoked = this.authManager.revokeClientTokens(client.id);
+      if (message.token) {
+        this.authManager.revokeToken(message.token);
+      }
+      log.info(`Revoked ${revoked} token(s) of client: ${client.id}`);
+    }
+    
     // Then remove client from connected clients
     if (client.id && this.connectedClients.has(client.id)) {
       // Clean up client resources
@@ -280,12 +473,72 @@ class MCPServer {
       
       // Remove from connected clients
       this.connectedClients.delete(client.id);
-      console.log(`Client disconnected: ${client.id}`);
+      log.info(`Client disconnected: ${client.id}`);
     }
     
     return response;
   }
 
+  /**
+   * Handle an authentication request
+   *
+   * A connected client presents credentials for one of the configured
+   * providers (`authMethod`), or an access token it was issued earlier, e.g.
+   * after reconnecting, and receives a fresh token pair in return.
+   * @param {Object} message - The authentication request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Promise<Object>} Response message
+   */
+  async handleAuthenticationRequest(message, client) {
+    const { authMethod = 'token' } = message.payload;
+    
+    // Check if auth is enabled
+    if (!this.authManager.isAuthEnabled()) {
+      return this.messageRouter.createErrorResponse(message, 'Authentication is not enabled', 'AUTH_DISABLED');
+    }
+    
+    if (!client.id || !this.connectedClients.has(client.id)) {
+      return this.messageRouter.createErrorResponse(message, 'Client not connected', 'CLIENT_NOT_CONNECTED');
+    }
+    
+    const result = await this.authManager.authenticate(authMethod, message.payload, client);
+    
+    if (!result.success) {
+      log.info(`Authentication failed for client ${client.id} (Method: ${authMethod}): ${result.message}`);
+      return this.messageRouter.createErrorResponse(message, result.message, result.code);
+    }
+    
+    const mismatch = this.authManager.checkAuthenticatedClient(result, client.id, client.identity);
+    if (mismatch) {
+      return this.messageRouter.createErrorResponse(message, mismatch.message, mismatch.code);
+    }
+    
+    // Keep the identity and permissions in the tokens so later refreshes carry them
+    const metadata = { ...(result.metadata || { workspaceId: client.workspaceId }) };
+    if (result.identity) {
+      metadata.identity = result.identity;
+    }
+    if (result.permissions.length > 0) {
+      metadata.permissions = result.permissions;
+    }
+    const tokenInfo = this.authManager.generateToken(client.id, metadata);
+    
+    client.identity = result.identity;
+    client.permissions = result.permissions;
+    
+    log.info(`Client authenticated: ${client.id} (Method: ${authMethod}${result.identity ? `, Identity: ${result.identity}` : ''})`);
+    
+    // Send authentication acknowledgment
+    return this.messageRouter.createSuccessResponse(message, {
+      status: 'authenticated',
+      identity: result.identity,
+      permissions: result.permissions,
+      token: tokenInfo.token,
+      refreshToken: tokenInfo.refreshToken,
+      tokenValidUntil: tokenInfo.expiresAt
+    });
+  }
+
   /**
    * Handle a token refresh request
    * @param {Object} message - The token refresh request message
@@ -293,21 +546,22 @@ class MCPServer {
    * @returns {Object} Response message
    */
   handleTokenRefreshRequest(message, client) {
-    const { refreshToken } = message.payload;
+    // Older clients send the refresh token as newToken
+    const refreshToken = message.payload.refreshToken || message.payload.newToken;
     
     // Check if auth is enabled
     if (!this.authManager.isAuthEnabled()) {
       return this.messageRouter.createErrorResponse(message, 'Authentication is not enabled', 'AUTH_DISABLED');
     }
     
-    // Refresh token
-    const tokenInfo = this.authManager.refreshToken(refreshToken);
+    // Refresh token, rotating the presented refresh token
+    const tokenInfo = this.authManager.refreshToken(refreshToken, client.id);
     
     if (!tokenInfo) {
       return this.messageRouter.createErrorResponse(message, 'Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
     }
     
-    console.log(`Token refreshed for client: ${client.id}`);
+    log.info(`Token refreshed for client: ${client.id}`);
     
     // Send token refresh acknowledgment
     return this.messageRouter.createSuccessResponse(message, {
@@ -318,6 +572,15 @@ class MCPServer {
     });
   }
 
+  /**
+   * Get the identity a client authenticated as
+   * @param {Object} client - The client
+   * @returns {string|null} The identity, from credentials or the token the message carried, or null
+   */
+  getClientIdentity(client) {
+    return client.identity || (client.tokenInfo && client.tokenInfo.metadata.identity) || null;
+  }
+
   /**
    * Handle a session creation request
    * @param {Object} message - The session creation request message
@@ -325,7 +588,7 @@ class MCPServer {
    * @returns {Object} Response message
    */
   handleSessionCreateRequest(message, client) {
-    const { sessionId, sessionName } = message.payload;
+    const { sessionId, sessionName, defaultRole } = message.payload;
     
     try {
       // Create new session
@@ -333,16 +596,24 @@ class MCPServer {
         sessionId,
         client.id,
         client.workspaceId,
-        sessionName
+        sessionName,
+        { defaultRole, identity: this.getClientIdentity(client) }
       );
       
-      console.log(`Session created: ${session.id} by ${client.id}`);
+      log.info(`Session created: ${session.id} by ${client.id}`);
+      
+      // Track the creator's presence
+      const { displayName, color } = message.payload;
+      this.presenceManager.join(session.id, client.id, { displayName, color });
+      this.sendSessionJoined(session, client.id);
       
       // Send session creation acknowledgment
       return this.messageRouter.createSuccessResponse(message, {
         sessionId: session.id,
         status: 'created',
         name: session.name,
+        role: this.sessionManager.getRole(session.id, client.id),
+        defaultRole: session.defaultRole,
         createdAt: session.createdAt.toISOString()
       });
     } catch (error) {
@@ -357,7 +628,7 @@ class MCPServer {
    * @returns {Object} Response message
    */
   handleSessionJoinRequest(message, client) {
-    const { sessionId, createIfNotExists } = message.payload;
+    const { sessionId, createIfNotExists, displayName, color } = message.payload;
     
     try {
       let session = this.sessionManager.getSession(sessionId);
@@ -368,25 +639,32 @@ class MCPServer {
           sessionId,
           client.id,
           client.workspaceId,
-          `Session ${sessionId.substring(0, 8)}`
+          `Session ${sessionId.substring(0, 8)}`,
+          { identity: this.getClientIdentity(client) }
         );
         
-        console.log(`Session auto-created: ${session.id} by ${client.id}`);
+        log.info(`Session auto-created: ${session.id} by ${client.id}`);
       } else if (!session) {
         return this.messageRouter.createErrorResponse(message, `Session with ID ${sessionId} not found`, 'SESSION_NOT_FOUND');
       }
       
       // Add client to session
-      this.sessionManager.addParticipant(sessionId, client.id, client.workspaceId);
+      this.sessionManager.addParticipant(sessionId, client.id, client.workspaceId, null, this.getClientIdentity(client));
+      
+      log.info(`Client ${client.id} joined session: ${sessionId}`);
       
-      console.log(`Client ${client.id} joined session: ${sessionId}`);
+      // Track the client's presence and share everyone's presence with the session
+      this.presenceManager.join(sessionId, client.id, { displayName, color });
+      this.sendSessionJoined(session, client.id);
       
       // Send session join acknowledgment
       return this.messageRouter.createSuccessResponse(message, {
         sessionId,
         status: 'joined',
         name: session.name,
-        participants: session.participants
+        participants: session.participants,
+        role: this.sessionManager.getRole(sessionId, client.id),
+        roles: Object.fromEntries(session.roles)
       });
     } catch (error) {
       return this.messageRouter.createErrorResponse(message, error.message, 'SESSION_JOIN_ERROR');
@@ -405,8 +683,9 @@ class MCPServer {
     try {
       // Remove client from session
       const session = this.sessionManager.removeParticipant(sessionId, client.id);
+      this.presenceManager.leave(sessionId, client.id);
       
-      console.log(`Client ${client.id} left session: ${sessionId}`);
+      log.info(`Client ${client.id} left session: ${sessionId}`);
       
       // Send session leave acknowledgment
       return this.messageRouter.createSuccessResponse(message, {
@@ -453,6 +732,308 @@ class MCPServer {
     });
   }
 
+  /**
+   * Handle a session promote or demote request
+   * @param {Object} message - The session promote or demote request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handleSessionRoleRequest(message, client) {
+    const promote = message.type === 'session_promote';
+    const { sessionId, clientId } = message.payload;
+    const role = message.payload.role || (promote ? ROLES.EDITOR : ROLES.VIEWER);
+    
+    const denied = this.checkPermission(message, client, sessionId, PERMISSIONS.SESSION_MANAGE);
+    if (denied) {
+      return denied;
+    }
+    
+    const currentRole = this.sessionManager.getRole(sessionId, clientId);
+    if (!currentRole) {
+      return this.messageRouter.createErrorResponse(message, `Client ${clientId} is not a participant in session ${sessionId}`, 'PARTICIPANT_NOT_FOUND');
+    }
+    
+    if (!isValidRole(role)) {
+      return this.messageRouter.createErrorResponse(message, `Invalid role: ${role}`, 'INVALID_ROLE');
+    }
+    
+    // A promotion must raise the participant's role and a demotion must lower it
+    const rankChange = compareRoles(role, currentRole);
+    if (promote ? rankChange <= 0 : rankChange >= 0) {
+      return this.messageRouter.createErrorResponse(
+        message,
+        `Cannot ${promote ? 'promote' : 'demote'} ${clientId} from ${currentRole} to ${role}`,
+        'INVALID_ROLE_CHANGE'
+      );
+    }
+    
+    try {
+      this.sessionManager.setRole(sessionId, clientId, role);
+      
+      log.info(`Client ${clientId} ${promote ? 'promoted' : 'demoted'} to ${role} in session ${sessionId} by ${client.id}`);
+      
+      // Send acknowledgment
+      return this.messageRouter.createSuccessResponse(message, {
+        sessionId,
+        clientId,
+        role,
+        previousRole: currentRole
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'SESSION_ROLE_ERROR');
+    }
+  }
+
+  /**
+   * Handle a session kick request
+   * @param {Object} message - The session kick request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handleSessionKickRequest(message, client) {
+    const { sessionId, clientId, reason } = message.payload;
+    
+    const denied = this.checkPermission(message, client, sessionId, PERMISSIONS.SESSION_MANAGE);
+    if (denied) {
+      return denied;
+    }
+    
+    if (clientId === client.id) {
+      return this.messageRouter.createErrorResponse(message, 'Cannot kick yourself from a session', 'INVALID_KICK');
+    }
+    
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session.participants.includes(clientId)) {
+      return this.messageRouter.createErrorResponse(message, `Client ${clientId} is not a participant in session ${sessionId}`, 'PARTICIPANT_NOT_FOUND');
+    }
+    
+    // Tell everyone, including the kicked client, before it is removed
+    for (const participantId of session.participants) {
+      const participant = this.connectedClients.get(participantId);
+      
+      if (participant) {
+        participant.send({
+          type: 'session_kicked',
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          payload: {
+            sessionId,
+            clientId,
+            kickedBy: client.id,
+            reason: reason || null
+          }
+        });
+      }
+    }
+    
+    try {
+      this.releaseClientResources(clientId);
+      this.sessionManager.kickParticipant(sessionId, clientId);
+      
+      log.info(`Client ${clientId} kicked from session ${sessionId} by ${client.id}`);
+      
+      // Send acknowledgment
+      return this.messageRouter.createSuccessResponse(message, {
+        sessionId,
+        clientId,
+        status: 'kicked'
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'SESSION_KICK_ERROR');
+    }
+  }
+
+  /**
+   * Check that a client's session role grants a permission
+   * @param {Object} message - The request message
+   * @param {Object} client - The client that sent the message
+   * @param {string} sessionId - The session ID
+   * @param {string} permission - The required permission (see session-roles.js)
+   * @returns {Object|null} Error response if the permission is missing, null otherwise
+   */
+  checkPermission(message, client, sessionId, permission) {
+    if (this.sessionManager.hasPermission(sessionId, client.id, permission)) {
+      return null;
+    }
+    
+    const role = this.sessionManager.getRole(sessionId, client.id);
+    const reason = role
+      ? `Role ${role} does not allow ${permission} in session ${sessionId}`
+      : `Client ${client.id} is not a participant in session ${sessionId}`;
+    
+    return this.messageRouter.createErrorResponse(message, reason, 'PERMISSION_DENIED');
+  }
+
+  /**
+   * Check that a client may write to a terminal
+   * @param {Object} message - The request message
+   * @param {Object} client - The client that sent the message
+   * @param {string} terminalId - The terminal ID
+   * @returns {Object|null} Error response if the permission is missing, null otherwise
+   */
+  checkTerminalPermission(message, client, terminalId) {
+    const terminal = this.terminalManager.getTerminal(terminalId);
+    
+    // Unknown terminals are reported by the handler itself
+    if (!terminal) {
+      return null;
+    }
+    
+    return this.checkPermission(message, client, terminal.sessionId, PERMISSIONS.TERMINAL_WRITE);
+  }
+
+  /**
+   * Notify all participants of a session that a participant's role changed
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The participant whose role changed
+   * @param {string} role - The new role
+   */
+  broadcastRoleChange(sessionId, clientId, role) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+    
+    for (const participantId of session.participants) {
+      const participant = this.connectedClients.get(participantId);
+      
+      if (participant) {
+        participant.send({
+          type: 'session_role_changed',
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          payload: {
+            sessionId,
+            clientId,
+            role
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Handle a presence update request
+   * @param {Object} message - The presence update request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handlePresenceUpdateRequest(message, client) {
+    const success = this.presenceManager.update(client.id, message.payload || {});
+    
+    if (!success) {
+      return this.messageRouter.createErrorResponse(message, `Client ${client.id} is not in a session`, 'PRESENCE_UPDATE_FAILED');
+    }
+    
+    // Send acknowledgment
+    return this.messageRouter.createSuccessResponse(message, {
+      status: 'updated'
+    });
+  }
+
+  /**
+   * Handle a presence follow request
+   * @param {Object} message - The presence follow request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handlePresenceFollowRequest(message, client) {
+    const { targetClientId } = message.payload || {};
+    
+    try {
+      // Start following, or stop when no target is given
+      const target = this.presenceManager.follow(client.id, targetClientId || null);
+      
+      // Send acknowledgment with the followed participant's current position
+      return this.messageRouter.createSuccessResponse(message, {
+        status: target ? 'following' : 'not_following',
+        following: target ? target.clientId : null,
+        presence: target
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'PRESENCE_FOLLOW_ERROR');
+    }
+  }
+
+  /**
+   * Send the full presence of a session to all of its participants after a client joins
+   * @param {Object} session - The session object
+   * @param {string} clientId - The client that joined
+   */
+  sendSessionJoined(session, clientId) {
+    const presence = this.presenceManager.getSnapshot(session.id);
+    
+    for (const participantId of session.participants) {
+      const participant = this.connectedClients.get(participantId);
+      
+      if (participant) {
+        participant.send({
+          type: 'session_joined',
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          payload: {
+            sessionId: session.id,
+            clientId,
+            participants: session.participants,
+            roles: Object.fromEntries(session.roles),
+            presence
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Broadcast a batch of presence changes to a session
+   * @param {string} sessionId - The session ID
+   * @param {Array} changes - Changed presence fields per client
+   */
+  broadcastPresenceUpdate(sessionId, changes) {
+    const session = this.sessionManager.getSession(sessionId);
+    if (!session) {
+      return;
+    }
+    
+    for (const participantId of session.participants) {
+      const participant = this.connectedClients.get(participantId);
+      
+      if (participant) {
+        participant.send({
+          type: 'presence_update',
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          payload: {
+            sessionId,
+            changes
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Tell a follower where the participant it follows has moved
+   * @param {string} sessionId - The session ID
+   * @param {string} followerId - The follower's client ID
+   * @param {Object} presence - The followed participant's presence
+   */
+  sendFollowUpdate(sessionId, followerId, presence) {
+    const follower = this.connectedClients.get(followerId);
+    
+    if (follower) {
+      follower.send({
+        type: 'presence_follow',
+        id: uuidv4(),
+        timestamp: new Date().toISOString(),
+        payload: {
+          sessionId,
+          following: presence.clientId,
+          presence
+        }
+      });
+    }
+  }
+
   /**
    * Handle a terminal create request
    * @param {Object} message - The terminal create request message
@@ -462,11 +1043,18 @@ class MCPServer {
   handleTerminalCreateRequest(message, client) {
     const { sessionId, options } = message.payload;
     
+    const denied = this.checkPermission(message, client, sessionId, PERMISSIONS.TERMINAL_WRITE);
+    if (denied) {
+      return denied;
+    }
+    
     try {
       // Create terminal
       const terminal = this.terminalManager.createTerminal(sessionId, client.id, options);
       
-      console.log(`Terminal created: ${terminal.id} in session ${sessionId} by ${client.id}`);
+      log.info(`Terminal created: ${terminal.id} in session ${sessionId} by ${client.id}`);
+      
+      this.presenceManager.update(client.id, { focusedTerminalId: terminal.id });
       
       // Send terminal create acknowledgment
       return this.messageRouter.createSuccessResponse(message, {
@@ -489,10 +1077,16 @@ class MCPServer {
   handleTerminalDataRequest(message, client) {
     const { terminalId, data, type } = message.payload;
     
+    const denied = this.checkTerminalPermission(message, client, terminalId);
+    if (denied) {
+      return denied;
+    }
+    
     try {
       // Process terminal data
       if (type === 'input') {
         this.terminalManager.processInput(terminalId, client.id, data);
+        this.presenceManager.update(client.id, { focusedTerminalId: terminalId });
       } else if (type === 'output') {
         this.terminalManager.processOutput(terminalId, data);
       } else {
@@ -534,6 +1128,57 @@ class MCPServer {
     }
   }
 
+  /**
+   * Broadcast shell output to all participants of a terminal
+   * @param {Object} terminal - The terminal that produced the output
+   * @param {string} data - The output data
+   */
+  broadcastTerminalOutput(terminal, data) {
+    for (const participantId of terminal.participants) {
+      const participant = this.connectedClients.get(participantId);
+      
+      if (participant) {
+        participant.send({
+          type: 'terminal_data',
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          payload: {
+            terminalId: terminal.id,
+            sessionId: terminal.sessionId,
+            data,
+            type: 'output'
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Notify all participants of a terminal that its shell exited
+   * @param {Object} terminal - The terminal whose shell exited
+   * @param {number|null} exitCode - The exit code
+   * @param {string|null} signal - The signal that ended the shell
+   */
+  broadcastTerminalExit(terminal, exitCode, signal) {
+    for (const participantId of terminal.participants) {
+      const participant = this.connectedClients.get(participantId);
+      
+      if (participant) {
+        participant.send({
+          type: 'terminal_close',
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          payload: {
+            terminalId: terminal.id,
+            sessionId: terminal.sessionId,
+            exitCode,
+            signal
+          }
+        });
+      }
+    }
+  }
+
   /**
    * Handle a terminal resize request
    * @param {Object} message - The terminal resize request message
@@ -543,6 +1188,11 @@ class MCPServer {
   handleTerminalResizeRequest(message, client) {
     const { terminalId, dimensions } = message.payload;
     
+    const denied = this.checkTerminalPermission(message, client, terminalId);
+    if (denied) {
+      return denied;
+    }
+    
     try {
       // Resize terminal
       this.terminalManager.resizeTerminal(terminalId, dimensions);
@@ -599,6 +1249,11 @@ class MCPServer {
         return this.messageRouter.createErrorResponse(message, `Terminal with ID ${terminalId} not found`, 'TERMINAL_NOT_FOUND');
       }
       
+      const denied = this.checkPermission(message, client, terminal.sessionId, PERMISSIONS.TERMINAL_WRITE);
+      if (denied) {
+        return denied;
+      }
+      
       // Close terminal
       this.terminalManager.closeTerminal(terminalId);
       
@@ -641,6 +1296,15 @@ class MCPServer {
   handleEditorOpenRequest(message, client) {
     const { sessionId, filePath, content, options } = message.payload;
     
+    // Anyone can open an editor that is already shared; creating one is a write
+    const existingEditor = this.editorManager.getEditorByPath(filePath);
+    if (!existingEditor || existingEditor.sessionId !== sessionId || existingEditor.state === 'closed') {
+      const denied = this.checkPermission(message, client, sessionId, PERMISSIONS.EDITOR_WRITE);
+      if (denied) {
+        return denied;
+      }
+    }
+    
     try {
       // Register editor
       const editor = this.editorManager.registerEditor(sessionId, client.id, filePath, {
@@ -648,7 +1312,9 @@ class MCPServer {
         content
       });
       
-      console.log(`Editor registered: ${editor.id} for ${filePath} in session ${sessionId} by ${client.id}`);
+      log.info(`Editor registered: ${editor.id} for ${filePath} in session ${sessionId} by ${client.id}`);
+      
+      this.presenceManager.update(client.id, { activeEditorId: editor.id, activeFilePath: filePath });
       
       // Broadcast to all participants except sender
       for (const participantId of editor.participants) {
@@ -679,6 +1345,7 @@ class MCPServer {
         sessionId,
         filePath,
         language: editor.language,
+        content: editor.content,
         version: editor.version
       });
     } catch (error) {
@@ -693,18 +1360,41 @@ class MCPServer {
    * @returns {Object} Response message
    */
   handleEditorChangeRequest(message, client) {
-    const { editorId, content, version } = message.payload;
+    const { editorId, content, operations, version } = message.payload;
+    
+    const targetEditor = this.editorManager.getEditor(editorId);
+    if (targetEditor) {
+      const denied = this.checkPermission(message, client, targetEditor.sessionId, PERMISSIONS.EDITOR_WRITE);
+      if (denied) {
+        return denied;
+      }
+    }
     
     try {
-      // Update editor content
-      const success = this.editorManager.updateContent(editorId, client.id, content, version);
+      let change = null;
       
-      if (!success) {
-        return this.messageRouter.createErrorResponse(message, 'Failed to update editor content', 'EDITOR_UPDATE_FAILED');
+      if (operations) {
+        // Apply delta edit, rebasing it onto the current version if needed
+        change = this.editorManager.applyEdit(editorId, client.id, operations, version);
+        
+        if (!change) {
+          return this.messageRouter.createErrorResponse(message, 'Failed to apply editor operations', 'EDITOR_UPDATE_FAILED');
+        }
+      } else {
+        // Replace the whole document
+        const success = this.editorManager.updateContent(editorId, client.id, content, version);
+        
+        if (!success) {
+          return this.messageRouter.createErrorResponse(message, 'Failed to update editor content', 'EDITOR_UPDATE_FAILED');
+        }
       }
       
       // Get editor
       const editor = this.editorManager.getEditor(editorId);
+      this.presenceManager.touch(client.id);
+      if (!change) {
+        change = editor.changeHistory[editor.changeHistory.length - 1];
+      }
       
       // Broadcast to all participants except sender
       for (const participantId of editor.participants) {
@@ -719,8 +1409,9 @@ class MCPServer {
               payload: {
                 editorId,
                 sessionId: editor.sessionId,
-                content,
-                version: editor.version,
+                operations: change.operations,
+                baseVersion: change.baseVersion,
+                version: change.version,
                 fromClientId: client.id
               }
             });
@@ -732,7 +1423,9 @@ class MCPServer {
       return this.messageRouter.createSuccessResponse(message, {
         editorId,
         status: 'updated',
-        version: editor.version
+        operations: change.operations,
+        baseVersion: change.baseVersion,
+        version: change.version
       });
     } catch (error) {
       return this.messageRouter.createErrorResponse(message, error.message, 'EDITOR_CHANGE_ERROR');
@@ -759,6 +1452,12 @@ class MCPServer {
       // Get editor
       const editor = this.editorManager.getEditor(editorId);
       
+      this.presenceManager.update(client.id, {
+        activeEditorId: editorId,
+        activeFilePath: editor.filePath,
+        cursor: position
+      });
+      
       // Broadcast to all participants except sender
       for (const participantId of editor.participants) {
         if (participantId !== client.id) {
@@ -810,6 +1509,12 @@ class MCPServer {
       // Get editor
       const editor = this.editorManager.getEditor(editorId);
       
+      this.presenceManager.update(client.id, {
+        activeEditorId: editorId,
+        activeFilePath: editor.filePath,
+        selections
+      });
+      
       // Broadcast to all participants except sender
       for (const participantId of editor.participants) {
         if (participantId !== client.id) {
@@ -861,6 +1566,200 @@ class MCPServer {
       // Remove client from editor
       this.editorManager.removeClientFromEditor(editorId, client.id);
       
+      // Clear the closed editor from the client's presence
+      const presence = this.presenceManager.getPresence(editor.sessionId, client.id);
+      if (presence && presence.activeEditorId === editorId) {
+        this.presenceManager.update(client.id, {
+          activeEditorId: null,
+          activeFilePath: null,
+          cursor: null,
+          selections: []
+        });
+      }
+      
       // Broadcast to all participants except sender
       for (const participantId of editor.participants) {
         if (participantId !== client.id) {
+          const participant = this.connectedClients.get(participantId);
+          
+          if (participant) {
+            participant.send({
+              type: 'editor_close',
+              id: uuidv4(),
+              timestamp: new Date().toISOString(),
+              payload: {
+                editorId,
+                sessionId: editor.sessionId,
+                fromClientId: client.id
+              }
+            });
+          }
+        }
+      }
+      
+      // Send acknowledgment
+      return this.messageRouter.createSuccessResponse(message, {
+        editorId,
+        status: 'closed'
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'EDITOR_CLOSE_ERROR');
+    }
+  }
+
+  /**
+   * Handle an extension register request
+   * @param {Object} message - The extension register request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handleExtensionRegisterRequest(message, client) {
+    const { sessionId, extensionId, initialState } = message.payload;
+    
+    const denied = this.checkPermission(message, client, sessionId, PERMISSIONS.EXTENSION_WRITE);
+    if (denied) {
+      return denied;
+    }
+    
+    try {
+      // Register extension
+      const extensionState = this.extensionManager.registerExtension(sessionId, client.id, extensionId, initialState);
+      
+      log.info(`Extension registered: ${extensionId} in session ${sessionId} by ${client.id}`);
+      
+      // Send acknowledgment
+      return this.messageRouter.createSuccessResponse(message, {
+        extensionId,
+        sessionId,
+        state: extensionState.state,
+        version: extensionState.version
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'EXTENSION_REGISTER_ERROR');
+    }
+  }
+
+  /**
+   * Handle an extension state request
+   * @param {Object} message - The extension state request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handleExtensionStateRequest(message, client) {
+    const { sessionId, extensionId, state, version, reset } = message.payload;
+    
+    const denied = this.checkPermission(message, client, sessionId, PERMISSIONS.EXTENSION_WRITE);
+    if (denied) {
+      return denied;
+    }
+    
+    try {
+      // Update or reset extension state
+      const extensionState = reset
+        ? this.extensionManager.resetExtensionState(sessionId, client.id, extensionId, state)
+        : this.extensionManager.updateExtensionState(sessionId, client.id, extensionId, state, version);
+      
+      if (!extensionState) {
+        return this.messageRouter.createErrorResponse(message, 'Failed to update extension state', 'EXTENSION_UPDATE_FAILED');
+      }
+      
+      // Broadcast to all registered clients except sender
+      for (const participantId of extensionState.clients) {
+        if (participantId !== client.id) {
+          const participant = this.connectedClients.get(participantId);
+          
+          if (participant) {
+            participant.send({
+              type: 'extension_state',
+              id: uuidv4(),
+              timestamp: new Date().toISOString(),
+              payload: {
+                sessionId,
+                extensionId,
+                state: extensionState.state,
+                version: extensionState.version,
+                fromClientId: client.id
+              }
+            });
+          }
+        }
+      }
+      
+      // Send acknowledgment
+      return this.messageRouter.createSuccessResponse(message, {
+        extensionId,
+        status: 'updated',
+        version: extensionState.version
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'EXTENSION_STATE_ERROR');
+    }
+  }
+
+  /**
+   * Handle an extension unregister request
+   * @param {Object} message - The extension unregister request message
+   * @param {Object} client - The client that sent the message
+   * @returns {Object} Response message
+   */
+  handleExtensionUnregisterRequest(message, client) {
+    const { sessionId, extensionId } = message.payload;
+    
+    try {
+      // Unregister client from extension
+      const success = this.extensionManager.unregisterClient(sessionId, client.id, extensionId);
+      
+      if (!success) {
+        return this.messageRouter.createErrorResponse(message, `Extension ${extensionId} not registered by client`, 'EXTENSION_NOT_FOUND');
+      }
+      
+      // Send acknowledgment
+      return this.messageRouter.createSuccessResponse(message, {
+        extensionId,
+        status: 'unregistered'
+      });
+    } catch (error) {
+      return this.messageRouter.createErrorResponse(message, error.message, 'EXTENSION_UNREGISTER_ERROR');
+    }
+  }
+
+  /**
+   * Clean up all resources held by a client
+   * @param {string} clientId - The client ID
+   */
+  cleanupClientResources(clientId) {
+    this.releaseClientResources(clientId);
+    
+    // Leave session
+    const session = this.sessionManager.getClientSession(clientId);
+    if (session) {
+      this.sessionManager.removeParticipant(session.id, clientId);
+    }
+  }
+
+  /**
+   * Release the terminals, editors, extensions and presence held by a client
+   * @param {string} clientId - The client ID
+   */
+  releaseClientResources(clientId) {
+    // Leave terminals
+    for (const terminal of this.terminalManager.getClientTerminals(clientId)) {
+      this.terminalManager.removeClientFromTerminal(terminal.id, clientId);
+    }
+    
+    // Leave editors
+    for (const editor of this.editorManager.getClientEditors(clientId)) {
+      this.editorManager.removeClientFromEditor(editor.id, clientId);
+    }
+    
+    // Unregister extensions
+    this.extensionManager.unregisterClientAll(clientId);
+    
+    // Leave presence
+    this.presenceManager.removeClient(clientId);
+  }
+}
+
+module.exports = {
+  MCPServer
+};
@@ -0,0 +1,70 @@
+/**
+ * Find And Fix Prompt
+ *
+ * This prompt asks for a pattern to be fixed everywhere search_code finds it.
+ */
+
+module.exports = {
+  description: 'Find every occurrence of a pattern with search_code and fix them with modify_code',
+  arguments: [
+    {
+      name: 'pattern',
+      description: 'Regular expression to search for',
+      required: true
+    },
+    {
+      name: 'fix',
+      description: 'How each occurrence should be changed',
+      required: true
+    },
+    {
+      name: 'directory',
+      description: 'Directory to search in (defaults to the workspace)',
+      required: false
+    },
+    {
+      name: 'file_pattern',
+      description: 'Glob of the files to search, e.g. **/*.js',
+      required: false
+    }
+  ],
+
+  /**
+   * Build the messages of the prompt
+   * @param {Object} args - Prompt arguments
+   * @param {string} args.pattern - Regular expression to search for
+   * @param {string} args.fix - How each occurrence should be changed
+   * @param {string} [args.directory] - Directory to search in
+   * @param {string} [args.file_pattern] - Glob of the files to search
+   * @param {Object} helpers - Helpers from the prompt registry
+   * @param {Function} helpers.runTool - Runs a tool and returns its result
+   * @returns {Promise<Array<Object>>} The prompt messages
+   */
+  async getMessages(args, { runTool }) {
+    const params = { pattern: args.pattern };
+    if (args.directory) {
+      params.directory = args.directory;
+    }
+    if (args.file_pattern) {
+      params.file_pattern = args.file_pattern;
+    }
+
+    const result = await runTool('search_code', params);
+
+    let request;
+    if (result.results.length === 0) {
+      request = `search_code found no matches for /${args.pattern}/ in ${result.directory}, so there is nothing to fix. `
+        + 'Check whether the pattern or the directory should be different.';
+    } else {
+      const files = new Set(result.results.map(match => match.file));
+      request = `Fix the ${result.results.length} matches of /${args.pattern}/ in ${files.size} files: ${args.fix}. `
+        + 'Apply the changes with modify_code, one edits batch per file, and leave matches that must not change untouched, saying why.';
+      if (result.truncated) {
+        request += ' The search stopped at its result limit, so search again after fixing these.';
+      }
+      request += `\n\n${result.content[0].text}`;
+    }
+
+    return [{ role: 'user', content: { type: 'text', text: request } }];
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * MCP Prompts Registry
+ *
+ * This file exports the built-in prompts and the directory of user prompt templates.
+ */
+
+// Import prompts
+const reviewFile = require('./review_file');
+const findAndFix = require('./find_and_fix');
+const spinUpWorkspace = require('./spin_up_workspace');
+const { ConfigManager } = require('../utils/config-manager');
+
+// Export prompts and the template directory
+module.exports = {
+  prompts: {
+    review_file: reviewFile,
+    find_and_fix: findAndFix,
+    spin_up_workspace: spinUpWorkspace
+  },
+  promptsDirectory: new ConfigManager().getSection('prompts').directory
+};
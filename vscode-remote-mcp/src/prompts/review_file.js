@@ -0,0 +1,55 @@
+/**
+ * Review File Prompt
+ *
+ * This prompt asks for a review of a file, pre-filled with its analyze_code output.
+ */
+
+const { pathToFileURL } = require('url');
+
+module.exports = {
+  description: 'Review a file, starting from its analyze_code metrics, structure and potential issues',
+  arguments: [
+    {
+      name: 'file_path',
+      description: 'Path of the file to review',
+      required: true
+    },
+    {
+      name: 'focus',
+      description: 'What the review should concentrate on, e.g. security or readability',
+      required: false
+    }
+  ],
+
+  /**
+   * Build the messages of the prompt
+   * @param {Object} args - Prompt arguments
+   * @param {string} args.file_path - Path of the file to review
+   * @param {string} [args.focus] - What the review should concentrate on
+   * @param {Object} helpers - Helpers from the prompt registry
+   * @param {Function} helpers.runTool - Runs a tool and returns its result
+   * @param {WorkspaceResources} [helpers.resources] - Resources to embed the file from
+   * @returns {Promise<Array<Object>>} The prompt messages
+   */
+  async getMessages(args, { runTool, resources }) {
+    const result = await runTool('analyze_code', { file_path: args.file_path });
+    const filePath = result.analysis.file_path;
+
+    let request = `Please review ${filePath}.`;
+    if (args.focus) {
+      request += ` Concentrate on ${args.focus}.`;
+    }
+    request += ' Point out bugs, risky constructs and hard-to-follow code, and suggest concrete changes with line numbers.';
+    request += ` Here is what analyze_code found:\n\n${result.content[0].text}`;
+
+    const messages = [{ role: 'user', content: { type: 'text', text: request } }];
+
+    // Embed the file so the review can quote it
+    if (resources) {
+      const { contents } = await resources.readResource(pathToFileURL(filePath).href);
+      messages.push({ role: 'user', content: { type: 'resource', resource: contents[0] } });
+    }
+
+    return messages;
+  }
+};
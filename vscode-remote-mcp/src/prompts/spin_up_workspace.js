@@ -0,0 +1,88 @@
+/**
+ * Spin Up Workspace Prompt
+ *
+ * This prompt asks for a VSCode instance to be deployed with deploy_vscode_instance.
+ */
+
+const path = require('path');
+const { createPromptError } = require('../utils/prompt-registry');
+
+module.exports = {
+  description: 'Deploy a VSCode instance for a workspace with deploy_vscode_instance',
+  arguments: [
+    {
+      name: 'workspace_path',
+      description: 'Path to the workspace directory',
+      required: true
+    },
+    {
+      name: 'name',
+      description: 'Instance name (defaults to the name of the workspace directory)',
+      required: false
+    },
+    {
+      name: 'port',
+      description: 'Port to expose',
+      required: false
+    },
+    {
+      name: 'extensions',
+      description: 'Comma-separated extensions to install',
+      required: false
+    },
+    {
+      name: 'cpu_limit',
+      description: 'CPU limit, e.g. 2',
+      required: false
+    },
+    {
+      name: 'memory_limit',
+      description: 'Memory limit, e.g. 4g',
+      required: false
+    }
+  ],
+
+  /**
+   * Build the messages of the prompt
+   * @param {Object} args - Prompt arguments (strings)
+   * @param {string} args.workspace_path - Path to the workspace directory
+   * @param {string} [args.name] - Instance name
+   * @param {string} [args.port] - Port to expose
+   * @param {string} [args.extensions] - Comma-separated extensions to install
+   * @param {string} [args.cpu_limit] - CPU limit
+   * @param {string} [args.memory_limit] - Memory limit
+   * @returns {Promise<Array<Object>>} The prompt messages
+   * @throws {Error} INVALID_ARGUMENTS if the port or CPU limit is not a number
+   */
+  async getMessages(args) {
+    const params = {
+      name: args.name || path.basename(path.resolve(args.workspace_path)).replace(/[^\w.-]+/g, '-'),
+      workspace_path: args.workspace_path
+    };
+
+    if (args.port) {
+      params.port = Number(args.port);
+      if (!Number.isInteger(params.port) || params.port < 1 || params.port > 65535) {
+        throw createPromptError(`Invalid port: ${args.port}`, 'INVALID_ARGUMENTS');
+      }
+    }
+    if (args.extensions) {
+      params.extensions = args.extensions.split(',').map(extension => extension.trim()).filter(Boolean);
+    }
+    if (args.cpu_limit) {
+      params.cpu_limit = Number(args.cpu_limit);
+      if (!(params.cpu_limit > 0)) {
+        throw createPromptError(`Invalid CPU limit: ${args.cpu_limit}`, 'INVALID_ARGUMENTS');
+      }
+    }
+    if (args.memory_limit) {
+      params.memory_limit = args.memory_limit;
+    }
+
+    const request = `Deploy a VSCode instance for the workspace at ${args.workspace_path} by calling deploy_vscode_instance with these arguments:\n\n`
+      + `\`\`\`json\n${JSON.stringify(params, null, 2)}\n\`\`\`\n\n`
+      + 'If the port is taken, use the port the error suggests. When the instance is running, tell me its URL and password.';
+
+    return [{ role: 'user', content: { type: 'text', text: request } }];
+  }
+};
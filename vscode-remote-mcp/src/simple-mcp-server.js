@@ -3,54 +3,36 @@
  * 
  * This is a minimal implementation of an MCP server that handles the basic
  * protocol without relying on the SDK. It implements the core functionality
- * needed to respond to initialization, heartbeats, and tool requests.
+ * needed to respond to initialization and heartbeats, and hands tool requests
+ * to the tool host shared with the other front-ends.
  */
 
-const { tools, toolSchemas } = require('./tools');
+const { tools, toolSchemas, toolDescriptions, toolPlugins } = require('./tools');
+const { createToolHost } = require('./utils/tool-host');
+const { ToolPluginLoader } = require('./utils/tool-plugins');
 const { v4: uuidv4 } = require('uuid');
 const readline = require('readline');
+const { getLogger, runWithLogContext } = require('./utils/logger');
 
-// Debug mode
-const DEBUG_MODE = process.env.MCP_DEBUG === '1';
-
-/**
- * Debug logging
- * @param {...any} args - Arguments to log
- */
-function debugLog(...args) {
-  if (DEBUG_MODE) {
-    console.error('[MCP-DEBUG]', ...args);
-  }
-}
-
-/**
- * Get tool description
- * @param {string} name - Tool name
- * @returns {string} Tool description
- */
-function getToolDescription(name) {
-  switch (name) {
-    case 'analyze_code':
-      return 'Analyze code files and provide insights about their structure, complexity, and potential issues';
-    case 'modify_code':
-      return 'Modify code files with various operations like adding, updating, or removing code segments';
-    case 'search_code':
-      return 'Search for patterns in code files and return matching results with context';
-    case 'deploy_vscode_instance':
-      return 'Deploy a new VSCode instance using Docker';
-    case 'list_vscode_instances':
-      return 'List all deployed VSCode instances and their status';
-    case 'stop_vscode_instance':
-      return 'Stop a running VSCode instance';
-    case 'manage_job_resources':
-      return 'Manage resources for VSCode instances and associated jobs';
-    default:
-      return 'Unknown tool';
-  }
-}
+const log = getLogger('simple-mcp-server');
 
 class SimpleMcpServer {
-  constructor() {
+  /**
+   * Create a new SimpleMcpServer instance
+   * @param {Object} [options={}] - Server options
+   * @param {ToolHost} [options.toolHost] - Tool host to serve (defaults to one with every tool of `src/tools` and the tool plugins)
+   */
+  constructor(options = {}) {
+    this.toolHost = options.toolHost || createToolHost({ tools, toolSchemas, toolDescriptions });
+    this.toolPlugins = null;
+    if (!options.toolHost) {
+      this.toolPlugins = new ToolPluginLoader({
+        toolHost: this.toolHost,
+        ...toolPlugins,
+        onToolsChanged: () => this.sendToolsChanged()
+      });
+      this.toolPlugins.load();
+    }
     this.initialized = false;
     this.requestMap = new Map();
     this.heartbeatInterval = null;
@@ -66,7 +48,7 @@ class SimpleMcpServer {
    * Start the server
    */
   async serve() {
-    console.error('Simple MCP Server starting...');
+    log.info('Simple MCP Server starting...');
     
     // Set up input handling
     this.rl.on('line', (line) => {
@@ -74,7 +56,7 @@ class SimpleMcpServer {
         const message = JSON.parse(line);
         this.handleMessage(message);
       } catch (error) {
-        console.error('Error parsing message:', error);
+        log.error('Error parsing message', { error });
       }
     });
 
@@ -87,7 +69,7 @@ class SimpleMcpServer {
     process.on('SIGINT', () => this.shutdown());
     process.on('SIGTERM', () => this.shutdown());
 
-    console.error('Simple MCP Server started');
+    log.info('Simple MCP Server started');
   }
 
   /**
@@ -111,16 +93,29 @@ class SimpleMcpServer {
     });
   }
 
+  /**
+   * Tell an initialized client that the tool list changed
+   */
+  sendToolsChanged() {
+    if (!this.initialized) {
+      return;
+    }
+    this.sendMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/tools/list_changed'
+    });
+  }
+
   /**
    * Handle an incoming message
    * @param {object} message - Message to handle
    */
   handleMessage(message) {
-    debugLog('Received message:', message);
+    log.debug('Received message', { message });
 
-    // Handle request
+    // Handle request, logging everything it does with its id
     if (message.method && message.id) {
-      this.handleRequest(message);
+      runWithLogContext({ requestId: message.id }, () => this.handleRequest(message));
     }
     // Handle notification
     else if (message.method && !message.id) {
@@ -128,11 +123,11 @@ class SimpleMcpServer {
     }
     // Handle response (not expected in server)
     else if (message.id && (message.result !== undefined || message.error !== undefined)) {
-      console.error('Unexpected response received:', message);
+      log.warn('Unexpected response received', { message });
     }
     // Invalid message
     else {
-      console.error('Invalid message received:', message);
+      log.warn('Invalid message received', { message });
     }
   }
 
@@ -162,7 +157,7 @@ class SimpleMcpServer {
 
       this.sendResponse(id, result);
     } catch (error) {
-      console.error(`Error handling request ${method}:`, error);
+      log.error(`Error handling request ${method}`, { error });
       
       if (error.code && error.message) {
         this.sendError(id, error.code, error.message);
@@ -187,7 +182,7 @@ class SimpleMcpServer {
         this.shutdown();
         break;
       default:
-        console.error(`Unknown notification method: ${method}`);
+        log.warn(`Unknown notification method: ${method}`);
     }
   }
 
@@ -229,7 +224,7 @@ class SimpleMcpServer {
    * @returns {object} Initialize result
    */
   async handleInitialize(params) {
-    debugLog('Handling initialize request:', params);
+    log.debug('Handling initialize request', { params });
 
     if (this.initialized) {
       throw { code: -32002, message: 'Server already initialized' };
@@ -243,15 +238,7 @@ class SimpleMcpServer {
         version: '1.0.0',
       },
       capabilities: {
-        tools: {
-          analyze_code: true,
-          modify_code: true,
-          search_code: true,
-          deploy_vscode_instance: true,
-          list_vscode_instances: true,
-          stop_vscode_instance: true,
-          manage_job_resources: true
-        },
+        tools: this.toolHost.getCapabilities(),
       },
       protocolVersion: '2024-11-05'
     };
@@ -263,20 +250,14 @@ class SimpleMcpServer {
    * @returns {object} List tools result
    */
   async handleListTools(params) {
-    debugLog('Handling listTools request:', params);
+    log.debug('Handling listTools request', { params });
 
     if (!this.initialized) {
       throw { code: -32002, message: 'Server not initialized' };
     }
 
-    const toolsList = Object.keys(tools).map(name => ({
-      name,
-      description: getToolDescription(name),
-      inputSchema: toolSchemas[name]
-    }));
-
     return {
-      tools: toolsList
+      tools: this.toolHost.listTools()
     };
   }
 
@@ -286,57 +267,32 @@ class SimpleMcpServer {
    * @returns {object} Call tool result
    */
   async handleCallTool(params) {
-    debugLog('Handling callTool request:', params);
+    log.debug('Handling callTool request', { params });
 
     if (!this.initialized) {
       throw { code: -32002, message: 'Server not initialized' };
     }
 
-    const { name, arguments: args } = params;
-
-    if (!name) {
-      throw { code: -32602, message: 'Tool name is required' };
-    }
-
-    if (!tools[name]) {
-      throw { code: -32601, message: `Tool not found: ${name}` };
-    }
+    const { name, arguments: args } = params || {};
 
-    try {
-      const result = await tools[name](args || {});
-
-      if (result && result.error) {
-        throw {
-          code: result.error.code || -32000,
-          message: result.error.message || 'Unknown error'
-        };
-      }
-
-      return result || {};
-    } catch (error) {
-      console.error(`Error calling tool ${name}:`, error);
-
-      if (error.code && error.message) {
-        throw error;
-      }
-
-      throw {
-        code: -32000,
-        message: `Error calling tool ${name}: ${error.message || 'Unknown error'}`
-      };
-    }
+    // Tool errors carry their JSON-RPC code, which handleRequest sends back
+    return this.toolHost.callTool(name, args || {});
   }
 
   /**
    * Shutdown the server
    */
   shutdown() {
-    console.error('Shutting down MCP server...');
+    log.info('Shutting down MCP server...');
     
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
     }
     
+    if (this.toolPlugins) {
+      this.toolPlugins.close();
+    }
+    
     this.rl.close();
     
     process.exit(0);
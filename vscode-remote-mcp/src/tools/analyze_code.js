@@ -10,6 +10,16 @@ const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { analyzeJavaScript, isSupportedExtension } = require('../utils/js-analyzer');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('analyze_code');
+
+// Thresholds for complexity issues
+const MAX_FUNCTION_LINES = 50;
+const MAX_FUNCTION_COMPLEXITY = 10;
+const MAX_NESTING_DEPTH = 4;
 
 /**
  * Analyze a code file
@@ -18,9 +28,10 @@ const execAsync = promisify(exec);
  * @param {boolean} params.include_metrics - Whether to include complexity metrics (optional, default true)
  * @param {boolean} params.include_structure - Whether to include structure analysis (optional, default true)
  * @param {boolean} params.include_issues - Whether to include potential issues (optional, default true)
+ * @param {Object} [context] - Tool context from createToolContext; progress is reported once per analysis step
  * @returns {Promise<Object>} Analysis results
  */
-async function analyzeCode(params) {
+async function analyzeCode(params, context = createToolContext()) {
   if (!params.file_path) {
     return {
       content: [
@@ -58,16 +69,31 @@ async function analyzeCode(params) {
     }
     
     // Read file content
-    const content = await fs.readFile(filePath, 'utf8');
+    context.reportProgress(1, 4, `Reading ${filePath}`);
+    const content = await fs.readFile(filePath, { encoding: 'utf8', signal: context.signal });
     
     // Determine file type
     const fileExtension = path.extname(filePath).toLowerCase();
     const fileType = getFileType(fileExtension);
     
+    // Parse JavaScript and TypeScript, falling back to regexes if parsing fails
+    context.reportProgress(2, 4, 'Parsing');
+    let syntax = null;
+    if (isSupportedExtension(fileExtension)) {
+      try {
+        syntax = analyzeJavaScript(content, fileExtension);
+      } catch (error) {
+        log.warn(`Could not parse ${filePath}, using regex analysis`, { error });
+      }
+    }
+    
     // Analyze based on file type
+    context.throwIfAborted();
+    context.reportProgress(3, 4, 'Analyzing');
     const analysis = {
       file_path: filePath,
       file_type: fileType,
+      parser: syntax ? 'ast' : 'regex',
       size: {
         bytes: content.length,
         lines: content.split('\n').length
@@ -76,17 +102,17 @@ async function analyzeCode(params) {
     
     // Include metrics if requested (default true)
     if (params.include_metrics !== false) {
-      analysis.metrics = await analyzeMetrics(content, fileType);
+      analysis.metrics = syntax ? analyzeSyntaxMetrics(content, syntax) : await analyzeMetrics(content, fileType);
     }
     
     // Include structure if requested (default true)
     if (params.include_structure !== false) {
-      analysis.structure = analyzeStructure(content, fileType);
+      analysis.structure = syntax ? analyzeSyntaxStructure(syntax) : analyzeStructure(content, fileType);
     }
     
     // Include issues if requested (default true)
     if (params.include_issues !== false) {
-      analysis.issues = analyzeIssues(content, fileType);
+      analysis.issues = analyzeIssues(content, fileType, syntax);
     }
     
     // Format output
@@ -100,7 +126,12 @@ async function analyzeCode(params) {
       output += `- Cyclomatic Complexity: ${analysis.metrics.cyclomaticComplexity}\n`;
       output += `- Maintainability Index: ${analysis.metrics.maintainabilityIndex}\n`;
       output += `- Function Count: ${analysis.metrics.functionCount}\n`;
-      output += `- Average Function Length: ${analysis.metrics.avgFunctionLength} lines\n\n`;
+      output += `- Average Function Length: ${analysis.metrics.avgFunctionLength} lines\n`;
+      if (analysis.metrics.maxFunctionComplexity !== undefined) {
+        output += `- Highest Function Complexity: ${analysis.metrics.maxFunctionComplexity}\n`;
+        output += `- Deepest Nesting: ${analysis.metrics.maxNestingDepth}\n`;
+      }
+      output += '\n';
     }
     
     if (analysis.structure) {
@@ -109,7 +140,15 @@ async function analyzeCode(params) {
       if (analysis.structure.imports && analysis.structure.imports.length > 0) {
         output += '- Imports/Dependencies:\n';
         analysis.structure.imports.forEach(imp => {
-          output += `  - ${imp}\n`;
+          output += `  - ${imp.source} (Line ${imp.line})\n`;
+        });
+        output += '\n';
+      }
+      
+      if (analysis.structure.exports && analysis.structure.exports.length > 0) {
+        output += '- Exports:\n';
+        analysis.structure.exports.forEach(exp => {
+          output += `  - ${exp.name} (Line ${exp.line})\n`;
         });
         output += '\n';
       }
@@ -117,7 +156,9 @@ async function analyzeCode(params) {
       if (analysis.structure.functions && analysis.structure.functions.length > 0) {
         output += '- Functions/Methods:\n';
         analysis.structure.functions.forEach(func => {
-          output += `  - ${func.name} (Line ${func.line})\n`;
+          output += func.end_line
+            ? `  - ${func.name} (Lines ${func.line}-${func.end_line}, complexity ${func.complexity}, nesting ${func.nesting_depth})\n`
+            : `  - ${func.name} (Line ${func.line})\n`;
         });
         output += '\n';
       }
@@ -125,7 +166,9 @@ async function analyzeCode(params) {
       if (analysis.structure.classes && analysis.structure.classes.length > 0) {
         output += '- Classes:\n';
         analysis.structure.classes.forEach(cls => {
-          output += `  - ${cls.name} (Line ${cls.line})\n`;
+          output += cls.end_line
+            ? `  - ${cls.name} (Lines ${cls.line}-${cls.end_line})\n`
+            : `  - ${cls.name} (Line ${cls.line})\n`;
         });
         output += '\n';
       }
@@ -139,6 +182,8 @@ async function analyzeCode(params) {
       output += '\n';
     }
     
+    context.reportProgress(4, 4, 'Analysis complete');
+
     return {
       content: [
         {
@@ -149,7 +194,11 @@ async function analyzeCode(params) {
       analysis
     };
   } catch (error) {
-    console.error(`Error in analyzeCode: ${error.message}`);
+    if (isAbortError(error)) {
+      return createCancelledResult(`Analysis of ${params.file_path} was cancelled`);
+    }
+
+    log.error('Error in analyzeCode', { error });
     return {
       content: [
         {
@@ -173,8 +222,12 @@ async function analyzeCode(params) {
 function getFileType(extension) {
   const typeMap = {
     '.js': 'JavaScript',
+    '.mjs': 'JavaScript',
+    '.cjs': 'JavaScript',
     '.jsx': 'JavaScript (React)',
     '.ts': 'TypeScript',
+    '.mts': 'TypeScript',
+    '.cts': 'TypeScript',
     '.tsx': 'TypeScript (React)',
     '.py': 'Python',
     '.java': 'Java',
@@ -263,7 +316,10 @@ function analyzeStructure(content, fileType) {
     let match;
     const regex = importRegexes[fileType];
     while ((match = regex.exec(content)) !== null) {
-      structure.imports.push(match[1] || match[2]);
+      structure.imports.push({
+        source: match[1] || match[2],
+        line: content.substring(0, match.index).split('\n').length
+      });
     }
   }
   
@@ -271,7 +327,10 @@ function analyzeStructure(content, fileType) {
   if (fileType.includes('JavaScript') || fileType.includes('TypeScript')) {
     let match;
     while ((match = requireRegex.exec(content)) !== null) {
-      structure.imports.push(match[1]);
+      structure.imports.push({
+        source: match[1],
+        line: content.substring(0, match.index).split('\n').length
+      });
     }
   }
   
@@ -321,13 +380,59 @@ function analyzeStructure(content, fileType) {
   return structure;
 }
 
+/**
+ * Analyze code metrics from a syntax analysis
+ * @param {string} content - File content
+ * @param {Object} syntax - Result of analyzeJavaScript
+ * @returns {Object} Metrics
+ */
+function analyzeSyntaxMetrics(content, syntax) {
+  const { functions } = syntax;
+  
+  // File complexity is every decision point in the file plus one
+  const cyclomaticComplexity = functions.reduce((total, func) => total + func.complexity - 1, syntax.topLevelComplexity);
+  
+  // Calculate maintainability index (simplified)
+  const lines = content.split('\n');
+  const commentLines = lines.filter(line => line.trim().startsWith('//') || line.trim().startsWith('/*') || line.trim().startsWith('*')).length;
+  const codeLines = lines.length - commentLines;
+  const commentRatio = commentLines / (codeLines || 1);
+  const maintainabilityIndex = Math.min(100, Math.max(0, 100 - (cyclomaticComplexity * 0.5) + (commentRatio * 15)));
+  
+  const totalFunctionLines = functions.reduce((total, func) => total + func.lines, 0);
+  
+  return {
+    cyclomaticComplexity,
+    maintainabilityIndex: Math.round(maintainabilityIndex),
+    functionCount: functions.length,
+    avgFunctionLength: functions.length > 0 ? Math.round(totalFunctionLines / functions.length) : 0,
+    maxFunctionComplexity: functions.reduce((max, func) => Math.max(max, func.complexity), 0),
+    maxNestingDepth: functions.reduce((max, func) => Math.max(max, func.nesting_depth), 0)
+  };
+}
+
+/**
+ * Analyze code structure from a syntax analysis
+ * @param {Object} syntax - Result of analyzeJavaScript
+ * @returns {Object} Structure analysis
+ */
+function analyzeSyntaxStructure(syntax) {
+  return {
+    imports: syntax.imports,
+    exports: syntax.exports,
+    functions: syntax.functions,
+    classes: syntax.classes
+  };
+}
+
 /**
  * Analyze code for potential issues
  * @param {string} content - File content
  * @param {string} fileType - File type
+ * @param {Object|null} [syntax] - Result of analyzeJavaScript, if the file was parsed
  * @returns {Array} Issues
  */
-function analyzeIssues(content, fileType) {
+function analyzeIssues(content, fileType, syntax = null) {
   const issues = [];
   const lines = content.split('\n');
   
@@ -366,6 +471,37 @@ function analyzeIssues(content, fileType) {
     }
   });
   
+  // Check functions from the syntax tree when available
+  if (syntax) {
+    syntax.functions.forEach(func => {
+      if (func.lines > MAX_FUNCTION_LINES) {
+        issues.push({
+          type: 'Complexity',
+          message: `Function "${func.name}" is too long (${func.lines} lines)`,
+          line: func.line
+        });
+      }
+      
+      if (func.complexity > MAX_FUNCTION_COMPLEXITY) {
+        issues.push({
+          type: 'Complexity',
+          message: `Function "${func.name}" has a cyclomatic complexity of ${func.complexity}`,
+          line: func.line
+        });
+      }
+      
+      if (func.nesting_depth > MAX_NESTING_DEPTH) {
+        issues.push({
+          type: 'Complexity',
+          message: `Function "${func.name}" nests control flow ${func.nesting_depth} levels deep`,
+          line: func.line
+        });
+      }
+    });
+    
+    return issues;
+  }
+  
   // Check for long functions (simplified)
   let inFunction = false;
   let functionStartLine = 0;
@@ -402,7 +538,7 @@ function analyzeIssues(content, fileType) {
         inFunction = false;
         
         // Check if function is too long
-        if (functionLines > 50) {
+        if (functionLines > MAX_FUNCTION_LINES) {
           issues.push({
             type: 'Complexity',
             message: `Function "${functionName}" is too long (${functionLines} lines)`,
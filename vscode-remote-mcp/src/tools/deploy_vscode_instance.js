@@ -1,16 +1,27 @@
 /**
  * Deploy VSCode Instance Tool
  *
- * This tool deploys a new VSCode instance using Docker.
+ * This tool deploys a new VSCode instance in a container.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { promisify } = require('util');
-const { exec } = require('child_process');
-const execAsync = promisify(exec);
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { setTimeout: delay } = require('timers/promises');
 const { v4: uuidv4 } = require('uuid');
 const net = require('net');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger, redactText } = require('../utils/logger');
+const { InstanceRegistry, getInstanceVolumes, assertValidInstanceName } = require('../utils/instance-registry');
+const { checkInstanceHealth } = require('../utils/instance-health');
+
+const log = getLogger('deploy_vscode_instance');
+
+// Steps reported as progress: checks, pulling and starting the container, waiting for it, done
+const DEPLOY_STEPS = 4;
+
+// How long the one check of whether a new instance serves may take
+const DEPLOY_PROBE_TIMEOUT_MS = 1000;
 
 // Load environment variables
 const DEFAULT_PASSWORD = process.env.DEFAULT_PASSWORD || 'changeme';
@@ -18,6 +29,9 @@ const DEFAULT_EXTENSIONS = process.env.DEFAULT_EXTENSIONS || 'ms-python.python,d
 const DEFAULT_CPU_LIMIT = process.env.DEFAULT_CPU_LIMIT || '1.0';
 const DEFAULT_MEMORY_LIMIT = process.env.DEFAULT_MEMORY_LIMIT || '2g';
 
+// Image the instances run
+const CODE_SERVER_IMAGE = 'codercom/code-server:latest';
+
 /**
  * Deploy a new VSCode instance
  * @param {Object} params - Tool parameters
@@ -29,9 +43,21 @@ const DEFAULT_MEMORY_LIMIT = process.env.DEFAULT_MEMORY_LIMIT || '2g';
  * @param {number} params.cpu_limit - CPU limit
  * @param {string} params.memory_limit - Memory limit
  * @param {Object} params.environment - Environment variables
+ * @param {Object} [context] - Tool context from createToolContext; when its signal aborts, starting the container
+ *   is cancelled and the partly deployed instance is removed
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
  * @returns {Promise<Object>} Deployment results
  */
-async function deployVSCodeInstance(params) {
+async function deployVSCodeInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+
   if (!params.name) {
     return {
       content: [
@@ -47,6 +73,23 @@ async function deployVSCodeInstance(params) {
     };
   }
 
+  try {
+    assertValidInstanceName(params.name);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32602,
+        message: error.message
+      }
+    };
+  }
+
   if (!params.workspace_path) {
     return {
       content: [
@@ -67,6 +110,8 @@ async function deployVSCodeInstance(params) {
     const instanceId = uuidv4().substring(0, 8);
     const instanceName = `vscode-${params.name}-${instanceId}`;
     
+    context.reportProgress(1, DEPLOY_STEPS, 'Checking workspace and port');
+
     // Resolve workspace path
     const workspacePath = path.resolve(params.workspace_path);
     
@@ -129,10 +174,6 @@ async function deployVSCodeInstance(params) {
     // Create environment variables
     const environment = params.environment || {};
     
-    // Create instance directory
-    const instancesDir = path.join(__dirname, '../../vscode-instances');
-    await fs.mkdir(instancesDir, { recursive: true });
-    
     // Create instance configuration
     const instanceConfig = {
       id: instanceId,
@@ -148,25 +189,25 @@ async function deployVSCodeInstance(params) {
     };
     
     // Save instance configuration
-    const configPath = path.join(instancesDir, `${instanceName}.json`);
-    await fs.writeFile(configPath, JSON.stringify(instanceConfig, null, 2));
+    await registry.create(instanceConfig);
     
-    // Build Docker command
-    const dockerCommand = buildDockerCommand(instanceName, workspacePath, port, password, extensions, cpuLimit, memoryLimit, environment);
+    // Build container specification
+    const containerSpec = buildContainerSpec(instanceName, workspacePath, port, password, extensions, cpuLimit, memoryLimit, environment);
     
     try {
-      // Execute Docker command
-      await execAsync(dockerCommand);
+      // Start the container; this pulls the image first if it is missing
+      context.reportProgress(2, DEPLOY_STEPS, `Starting container ${instanceName}`);
+      await runtime.run(containerSpec, { signal: context.signal });
     } catch (error) {
-      // Handle Docker-specific errors
+      // Clean up the config file we created, and the container if the runtime created one
+      await removeFailedInstance(runtime, registry, instanceName);
+
+      if (isAbortError(error)) {
+        return createCancelledResult(`Deployment of ${params.name} was cancelled`);
+      }
+
+      // Handle runtime-specific errors
       if (error.message.includes('port is already allocated')) {
-        // Clean up the config file we created
-        try {
-          await fs.unlink(configPath);
-        } catch (unlinkError) {
-          console.error(`Failed to clean up config file: ${unlinkError.message}`);
-        }
-        
         // Find an alternative port
         const alternativePort = await getRandomPort();
         
@@ -187,28 +228,49 @@ async function deployVSCodeInstance(params) {
         };
       }
       
-      // Other Docker errors
+      // Other runtime errors; the failed command includes the environment, which may hold secrets
+      const message = redactText(error.message);
       return {
         content: [
           {
             type: 'text',
-            text: `Error deploying Docker container: ${error.message}`
+            text: `Error deploying container: ${message}`
           }
         ],
         error: {
           code: -32603,
-          message: `Failed to deploy Docker container: ${error.message}`
+          message: `Failed to deploy container: ${message}`
         }
       };
     }
     
     // Wait for container to start
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Check if container is running
-    const { stdout: containerStatus } = await execAsync(`docker ps --filter "name=${instanceName}" --format "{{.Status}}"`);
+    let containerState;
+    let health;
+    try {
+      context.reportProgress(3, DEPLOY_STEPS, 'Waiting for the container to start');
+      await delay(runtime.startupDelayMs, undefined, { signal: context.signal });
+      
+      // Check if container is still running
+      containerState = await runtime.inspect(instanceName, { signal: context.signal });
+
+      // code-server usually needs a while longer before it serves; callers wait with wait_for_instance
+      if (containerState && containerState.running) {
+        health = await checkInstanceHealth(runtime, { instance_name: instanceName, port }, {
+          probeTimeoutMs: DEPLOY_PROBE_TIMEOUT_MS,
+          signal: context.signal
+        });
+      }
+    } catch (error) {
+      await removeFailedInstance(runtime, registry, instanceName);
+      if (isAbortError(error)) {
+        return createCancelledResult(`Deployment of ${params.name} was cancelled`);
+      }
+      throw error;
+    }
     
-    if (!containerStatus.trim()) {
+    if (!containerState || !containerState.running) {
+      await removeFailedInstance(runtime, registry, instanceName);
       return {
         content: [
           {
@@ -223,12 +285,15 @@ async function deployVSCodeInstance(params) {
       };
     }
     
+    context.reportProgress(DEPLOY_STEPS, DEPLOY_STEPS, 'Deployed');
+
     // Success response with content array
     return {
       content: [
         {
           type: 'text',
-          text: `VSCode instance deployed successfully!\n\nName: ${params.name}\nInstance ID: ${instanceId}\nURL: http://localhost:${port}\nStatus: running\nWorkspace: ${workspacePath}`
+          text: `VSCode instance deployed successfully!\n\nName: ${params.name}\nInstance ID: ${instanceId}\nURL: http://localhost:${port}\nStatus: running\nHealth: ${health.state}\nWorkspace: ${workspacePath}` +
+            (health.state === 'healthy' ? '' : '\n\nThe instance is not serving yet; call wait_for_instance before opening the URL.')
         }
       ],
       id: instanceId,
@@ -237,10 +302,11 @@ async function deployVSCodeInstance(params) {
       port,
       url: `http://localhost:${port}`,
       status: 'running',
+      health: health.state,
       workspace_path: workspacePath
     };
   } catch (error) {
-    console.error(`Error in deployVSCodeInstance: ${error.message}`);
+    log.error('Error in deployVSCodeInstance', { error });
     return {
       content: [
         {
@@ -257,7 +323,29 @@ async function deployVSCodeInstance(params) {
 }
 
 /**
- * Build Docker command
+ * Remove what a cancelled or failed deployment left behind
+ * @param {Object} runtime - Container runtime
+ * @param {InstanceRegistry} registry - Registry of instance records
+ * @param {string} instanceName - Container name
+ * @returns {Promise<void>}
+ */
+async function removeFailedInstance(runtime, registry, instanceName) {
+  // The container exists if the runtime got far enough to create it
+  try {
+    await runtime.remove(instanceName, { force: true });
+  } catch (error) {
+    // No container was created
+  }
+
+  try {
+    await registry.remove(instanceName);
+  } catch (error) {
+    log.error('Failed to clean up config file', { error });
+  }
+}
+
+/**
+ * Build the container specification of an instance
  * @param {string} instanceName - Instance name
  * @param {string} workspacePath - Path to workspace directory
  * @param {number} port - Port to expose
@@ -266,31 +354,31 @@ async function deployVSCodeInstance(params) {
  * @param {number} cpuLimit - CPU limit
  * @param {string} memoryLimit - Memory limit
  * @param {Object} environment - Environment variables
- * @returns {string} Docker command
+ * @returns {Object} Container specification for runtime.run
  */
-function buildDockerCommand(instanceName, workspacePath, port, password, extensions, cpuLimit, memoryLimit, environment) {
-  // Build environment variables
-  const envVars = Object.entries(environment)
-    .map(([key, value]) => `-e ${key}=${value}`)
-    .join(' ');
-  
-  // Build extensions list
-  const extensionsList = extensions.join(',');
-  
-  // Build Docker command
-  return `docker run -d \
-    --name ${instanceName} \
-    --restart unless-stopped \
-    -p ${port}:8080 \
-    -v ${workspacePath}:/workspace \
-    -v vscode-data-${instanceName}:/home/coder/.local/share/code-server \
-    -v vscode-extensions-${instanceName}:/home/coder/.vscode/extensions \
-    --cpus=${cpuLimit} \
-    --memory=${memoryLimit} \
-    ${envVars} \
-    -e PASSWORD=${password} \
-    -e EXTENSIONS=${extensionsList} \
-    codercom/code-server:latest`;
+function buildContainerSpec(instanceName, workspacePath, port, password, extensions, cpuLimit, memoryLimit, environment) {
+  const volumes = getInstanceVolumes(instanceName);
+  return {
+    name: instanceName,
+    image: CODE_SERVER_IMAGE,
+    restart: 'unless-stopped',
+    ports: [{ host: port, container: 8080 }],
+    volumes: [
+      { source: workspacePath, target: '/workspace' },
+      { source: volumes.data, target: '/home/coder/.local/share/code-server' },
+      { source: volumes.extensions, target: '/home/coder/.vscode/extensions' }
+    ],
+    cpus: cpuLimit,
+    memory: memoryLimit,
+    env: {
+      ...environment,
+      EXTENSIONS: extensions.join(',')
+    },
+    // Kept off the command line
+    secretEnv: {
+      PASSWORD: password
+    }
+  };
 }
 
 /**
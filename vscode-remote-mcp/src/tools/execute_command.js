@@ -0,0 +1,72 @@
+/**
+ * Execute Command Tool
+ *
+ * This tool runs a shell command and returns its output.
+ */
+
+const { execAsync } = require('../utils/exec-async');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+
+/**
+ * Execute a terminal command
+ *
+ * A command that fails is not a tool error: its output is returned with `success: false`.
+ *
+ * @param {Object} params - Tool parameters
+ * @param {string} params.command - Command to execute
+ * @param {string} params.cwd - Working directory
+ * @param {Object} [context] - Tool context from createToolContext; the command and the processes it started
+ *   are killed when its signal aborts
+ * @returns {Promise<Object>} Command results
+ */
+async function executeCommand(params, context = createToolContext()) {
+  if (!params.command) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: command parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'command parameter is required'
+      }
+    };
+  }
+
+  try {
+    const { stdout, stderr } = await execAsync(params.command, { cwd: params.cwd, signal: context.signal });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: stdout || 'Command executed successfully with no output'
+        }
+      ],
+      stdout,
+      stderr,
+      success: true
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Command was cancelled: ${params.command}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: error.message
+        }
+      ],
+      stdout: error.stdout || '',
+      stderr: error.stderr || error.message,
+      exit_code: typeof error.code === 'number' ? error.code : null,
+      success: false
+    };
+  }
+}
+
+module.exports = executeCommand;
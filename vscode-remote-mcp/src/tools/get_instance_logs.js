@@ -0,0 +1,308 @@
+/**
+ * Get Instance Logs Tool
+ *
+ * This tool shows the output of a VSCode instance container, and can follow
+ * it by forwarding new lines as progress notifications.
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+const { createContainerRuntime, NO_SUCH_CONTAINER } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('get_instance_logs');
+
+// Lines returned when no tail is given
+const DEFAULT_TAIL = 100;
+
+// How often new output is read while following
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+// Relative times such as 10m, as the container CLIs take them for since and until
+const DURATION_PATTERN = /^(\d+)([smhd])$/;
+const DURATION_UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Turn a since or until parameter into an ISO timestamp
+ *
+ * The runtimes disagree on which formats they accept, so durations are
+ * resolved here and every runtime is given a timestamp.
+ *
+ * @param {string} value - ISO timestamp or duration before now, e.g. 10m
+ * @returns {string|null} The ISO timestamp, or null if the value is neither
+ */
+function resolveTime(value) {
+  const duration = DURATION_PATTERN.exec(value);
+  if (duration) {
+    return new Date(Date.now() - parseInt(duration[1], 10) * DURATION_UNIT_MS[duration[2]]).toISOString();
+  }
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Split the timestamped output of one stream into lines
+ * @param {string} output - Output of runtime.logs with timestamps
+ * @param {string} stream - stdout or stderr
+ * @returns {Array<Object>} Lines as { time, stream, text }
+ */
+function parseLogOutput(output, stream) {
+  return output.split('\n').filter(Boolean).map((line) => {
+    const separator = line.indexOf(' ');
+    return separator === -1
+      ? { time: line, stream, text: '' }
+      : { time: line.slice(0, separator), stream, text: line.slice(separator + 1) };
+  });
+}
+
+/**
+ * Read the output of a container as lines of both streams in time order
+ * @param {Object} runtime - Container runtime
+ * @param {string} name - Container name
+ * @param {Object} options - Options of runtime.logs, with `signal`
+ * @returns {Promise<Array<Object>>} Lines as { time, stream, text }
+ */
+async function readLogLines(runtime, name, options) {
+  const { stdout, stderr } = await runtime.logs(name, { ...options, timestamps: true });
+  // Both streams carry timestamps of the same fixed-width format, so they sort as strings
+  const lines = [...parseLogOutput(stdout, 'stdout'), ...parseLogOutput(stderr, 'stderr')]
+    .sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+
+  // A tail applies to both streams together
+  return options.tail !== undefined ? lines.slice(lines.length - Math.min(options.tail, lines.length)) : lines;
+}
+
+/**
+ * Format a log line for display
+ * @param {Object} line - Line as { time, stream, text }
+ * @param {boolean} timestamps - Prefix the line with its timestamp
+ * @returns {string} The formatted line
+ */
+function formatLogLine(line, timestamps) {
+  const prefix = line.stream === 'stderr' ? '[stderr] ' : '';
+  return timestamps ? `${line.time} ${prefix}${line.text}` : `${prefix}${line.text}`;
+}
+
+/**
+ * Forward new output of a container as progress until the call is cancelled or the container stops
+ *
+ * Each poll reads the output since the newest line forwarded so far. Lines
+ * with exactly that timestamp come back again and are skipped if they were
+ * forwarded already.
+ *
+ * @param {Object} runtime - Container runtime
+ * @param {string} name - Container name
+ * @param {Array<Object>} lines - Lines read so far, forwarded first
+ * @param {Object} options - Follow options
+ * @param {Function} options.forward - Called with each line that matches
+ * @param {Function} options.matches - Tells whether a line is forwarded
+ * @param {number} options.pollIntervalMs - How long to wait between reads
+ * @param {AbortSignal} options.signal - Ends following when aborted
+ * @returns {Promise<string>} Why following ended: cancelled, stopped or removed
+ */
+async function followLogs(runtime, name, lines, options) {
+  const { forward, matches, pollIntervalMs, signal } = options;
+  let cursor = lines.length > 0 ? lines[lines.length - 1].time : new Date().toISOString();
+  let seenAtCursor = new Set();
+
+  const forwardNew = (newLines) => {
+    for (const line of newLines) {
+      const key = `${line.stream} ${line.text}`;
+      if (line.time < cursor || (line.time === cursor && seenAtCursor.has(key))) {
+        continue;
+      }
+      if (line.time > cursor) {
+        cursor = line.time;
+        seenAtCursor = new Set();
+      }
+      seenAtCursor.add(key);
+      if (matches(line)) {
+        forward(line);
+      }
+    }
+  };
+  forwardNew(lines);
+
+  try {
+    for (;;) {
+      await delay(pollIntervalMs, undefined, { signal });
+      forwardNew(await readLogLines(runtime, name, { since: cursor, signal }));
+
+      const containerState = await runtime.inspect(name, { signal });
+      if (!containerState) {
+        return 'removed';
+      }
+      if (!containerState.running) {
+        return 'stopped';
+      }
+    }
+  } catch (error) {
+    if (isAbortError(error)) {
+      return 'cancelled';
+    }
+    if (error.code === NO_SUCH_CONTAINER) {
+      return 'removed';
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the output of a VSCode instance
+ * @param {Object} params - Tool parameters
+ * @param {string} params.name - Instance name
+ * @param {number} [params.tail=100] - Only the last lines
+ * @param {string} [params.since] - Only output at or after this ISO timestamp or duration before now, e.g. 10m
+ * @param {string} [params.until] - Only output before this ISO timestamp or duration before now
+ * @param {string} [params.grep] - Only lines matching this regular expression
+ * @param {boolean} [params.timestamps=false] - Prefix each line with its timestamp
+ * @param {boolean} [params.follow=false] - Forward new lines as progress notifications until the call is cancelled or the container stops
+ * @param {Object} [context] - Tool context from createToolContext; following needs one that can report progress
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @param {number} [options.pollIntervalMs=1000] - How often new output is read while following
+ * @returns {Promise<Object>} The log lines, or how following ended
+ */
+async function getInstanceLogs(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir }),
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS
+  } = options;
+
+  /**
+   * Build the result of invalid parameters
+   * @param {string} message - What is wrong
+   * @returns {Object} The tool result
+   */
+  const invalidParams = message => ({
+    content: [
+      {
+        type: 'text',
+        text: `Error: ${message}`
+      }
+    ],
+    error: {
+      code: -32602,
+      message
+    }
+  });
+
+  if (!params.name) {
+    return invalidParams('name parameter is required');
+  }
+
+  const since = params.since !== undefined ? resolveTime(params.since) : undefined;
+  if (since === null) {
+    return invalidParams(`Invalid since: ${params.since}`);
+  }
+  const until = params.until !== undefined ? resolveTime(params.until) : undefined;
+  if (until === null) {
+    return invalidParams(`Invalid until: ${params.until}`);
+  }
+
+  let pattern = null;
+  if (params.grep) {
+    try {
+      pattern = new RegExp(params.grep);
+    } catch (error) {
+      return invalidParams(`Invalid grep pattern: ${error.message}`);
+    }
+  }
+
+  if (params.follow && until !== undefined) {
+    return invalidParams('until cannot be combined with follow');
+  }
+  if (params.follow && !context.canReportProgress) {
+    return invalidParams('Following logs forwards lines as progress notifications; send a progressToken with the call, or leave follow unset');
+  }
+
+  try {
+    const tail = params.tail !== undefined ? params.tail : DEFAULT_TAIL;
+    const timestamps = params.timestamps || false;
+    const matches = line => !pattern || pattern.test(line.text);
+
+    // Find instance configuration
+    const record = await registry.find(params.name);
+
+    if (!record) {
+      return invalidParams(`Instance not found: ${params.name}`);
+    }
+
+    const instanceName = record.instance_name;
+
+    // Check if container exists
+    if (!await runtime.inspect(instanceName, { signal: context.signal })) {
+      return invalidParams(`Container not found: ${instanceName}`);
+    }
+
+    const lines = await readLogLines(runtime, instanceName, { tail, since, until, signal: context.signal });
+
+    if (params.follow) {
+      let forwarded = 0;
+      const ended = await followLogs(runtime, instanceName, lines, {
+        forward: (line) => {
+          forwarded++;
+          context.reportProgress(forwarded, undefined, formatLogLine(line, timestamps));
+        },
+        matches,
+        pollIntervalMs,
+        signal: context.signal
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Stopped following logs of instance ${params.name} (${ended}) after ${forwarded} lines`
+          }
+        ],
+        name: params.name,
+        instance_name: instanceName,
+        forwarded,
+        ended
+      };
+    }
+
+    const matching = lines.filter(matches);
+    let output = `Logs of instance ${params.name} (${matching.length} lines)\n\n`;
+    output += matching.map(line => formatLogLine(line, timestamps)).join('\n');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: output
+        }
+      ],
+      name: params.name,
+      instance_name: instanceName,
+      lines: matching,
+      count: matching.length
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Getting the logs of instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in getInstanceLogs', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to get VSCode instance logs: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to get VSCode instance logs: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = getInstanceLogs;
@@ -1,7 +1,7 @@
 /**
  * MCP Tools Registry
  * 
- * This file exports all available tools and their schemas.
+ * This file exports all available tools, their schemas and descriptions.
  */
 
 // Import tools
@@ -11,7 +11,94 @@ const searchCode = require('./search_code');
 const deployVSCodeInstance = require('./deploy_vscode_instance');
 const listVSCodeInstances = require('./list_vscode_instances');
 const stopVSCodeInstance = require('./stop_vscode_instance');
+const startVSCodeInstance = require('./start_vscode_instance');
+const restartVSCodeInstance = require('./restart_vscode_instance');
+const removeVSCodeInstance = require('./remove_vscode_instance');
+const updateVSCodeInstance = require('./update_vscode_instance');
+const reconcileVSCodeInstances = require('./reconcile_vscode_instances');
+const waitForInstance = require('./wait_for_instance');
+const getInstanceLogs = require('./get_instance_logs');
 const manageJobResources = require('./manage_job_resources');
+const listFiles = require('./list_files');
+const readFile = require('./read_file');
+const writeFile = require('./write_file');
+const executeCommand = require('./execute_command');
+const { ConfigManager } = require('../utils/config-manager');
+const { WorkspaceSandbox } = require('../utils/workspace-sandbox');
+const { isToolEnabled } = require('../utils/tool-plugins');
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { InstanceRegistry, INSTANCE_NAME_PATTERN } = require('../utils/instance-registry');
+
+const config = new ConfigManager();
+
+// File-touching tools only see paths inside the configured workspace roots
+const workspaceSandbox = new WorkspaceSandbox(config.getSection('workspace'));
+
+// Instance tools run containers with the configured runtime and share one registry of instance records
+const instancesConfig = config.getSection('instances');
+const containerRuntime = createContainerRuntime(instancesConfig);
+const instanceRegistry = new InstanceRegistry({ directory: instancesConfig.directory });
+const instanceToolOptions = { runtime: containerRuntime, registry: instanceRegistry };
+
+/**
+ * Give an instance tool the configured runtime and instance registry
+ * @param {Function} tool - The tool, called as tool(params, context, options)
+ * @returns {Function} The tool, called as tool(params, context)
+ */
+function withInstanceOptions(tool) {
+  return (params, context) => tool(params, context, instanceToolOptions);
+}
+
+// Fields of a single modify_code edit, shared by the single form and the edits batch
+const modifyEditProperties = {
+  file_path: {
+    type: 'string',
+    description: 'Path to the file to modify'
+  },
+  operation: {
+    type: 'string',
+    enum: ['add', 'update', 'remove', 'replace'],
+    description: 'Operation to perform'
+  },
+  position: {
+    type: 'object',
+    properties: {
+      line: {
+        type: 'integer',
+        description: 'Line number (1-based)'
+      },
+      column: {
+        type: 'integer',
+        description: 'Column number (1-based)'
+      }
+    },
+    required: ['line'],
+    additionalProperties: false
+  },
+  content: {
+    type: 'string',
+    description: 'Content to add or update'
+  },
+  pattern: {
+    type: 'string',
+    description: 'Pattern to match for update or remove operations'
+  },
+  range: {
+    type: 'object',
+    properties: {
+      start_line: {
+        type: 'integer',
+        description: 'Start line number (1-based)'
+      },
+      end_line: {
+        type: 'integer',
+        description: 'End line number (1-based)'
+      }
+    },
+    required: ['start_line', 'end_line'],
+    additionalProperties: false
+  }
+};
 
 // Tool schemas
 const toolSchemas = {
@@ -45,55 +132,24 @@ const toolSchemas = {
   modify_code: {
     type: 'object',
     properties: {
-      file_path: {
-        type: 'string',
-        description: 'Path to the file to modify'
-      },
-      operation: {
-        type: 'string',
-        enum: ['add', 'update', 'remove', 'replace'],
-        description: 'Operation to perform'
-      },
-      position: {
-        type: 'object',
-        properties: {
-          line: {
-            type: 'integer',
-            description: 'Line number (1-based)'
-          },
-          column: {
-            type: 'integer',
-            description: 'Column number (1-based)'
-          }
+      ...modifyEditProperties,
+      edits: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: modifyEditProperties,
+          required: ['file_path', 'operation'],
+          additionalProperties: false
         },
-        required: ['line'],
-        additionalProperties: false
+        minItems: 1,
+        description: 'Ordered edits applied as one transaction instead of file_path/operation; line numbers refer to the original file content'
       },
-      content: {
-        type: 'string',
-        description: 'Content to add or update'
-      },
-      pattern: {
-        type: 'string',
-        description: 'Pattern to match for update or remove operations'
-      },
-      range: {
-        type: 'object',
-        properties: {
-          start_line: {
-            type: 'integer',
-            description: 'Start line number (1-based)'
-          },
-          end_line: {
-            type: 'integer',
-            description: 'End line number (1-based)'
-          }
-        },
-        required: ['start_line', 'end_line'],
-        additionalProperties: false
+      dry_run: {
+        type: 'boolean',
+        description: 'Whether to only return the diff of the edits without writing',
+        default: false
       }
     },
-    required: ['file_path', 'operation'],
     additionalProperties: false
   },
   
@@ -114,6 +170,20 @@ const toolSchemas = {
         description: 'File pattern to match',
         default: '*'
       },
+      include: {
+        type: 'array',
+        items: {
+          type: 'string'
+        },
+        description: 'Globs a file must match (any of them) as well as file_pattern; globs without a slash match the file name'
+      },
+      exclude: {
+        type: 'array',
+        items: {
+          type: 'string'
+        },
+        description: 'Globs excluding files and directories'
+      },
       context_lines: {
         type: 'integer',
         description: 'Number of context lines to include',
@@ -131,7 +201,17 @@ const toolSchemas = {
       },
       use_regex: {
         type: 'boolean',
-        description: 'Whether to use regex',
+        description: 'Whether to treat the pattern as a JavaScript regular expression instead of a literal string',
+        default: true
+      },
+      multiline: {
+        type: 'boolean',
+        description: 'Whether matches may span multiple lines',
+        default: false
+      },
+      respect_ignore_files: {
+        type: 'boolean',
+        description: 'Whether to skip files listed in .gitignore/.ignore files, .git and node_modules',
         default: true
       }
     },
@@ -144,7 +224,8 @@ const toolSchemas = {
     properties: {
       name: {
         type: 'string',
-        description: 'Instance name'
+        pattern: INSTANCE_NAME_PATTERN.source,
+        description: 'Instance name: letters, digits, \'_\', \'-\' and \'.\', not starting with \'.\''
       },
       workspace_path: {
         type: 'string',
@@ -219,6 +300,153 @@ const toolSchemas = {
     additionalProperties: false
   },
   
+  start_vscode_instance: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Instance name'
+      }
+    },
+    required: ['name'],
+    additionalProperties: false
+  },
+  
+  restart_vscode_instance: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Instance name'
+      },
+      timeout: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Seconds the instance may take to exit before it is killed'
+      }
+    },
+    required: ['name'],
+    additionalProperties: false
+  },
+  
+  remove_vscode_instance: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Instance name'
+      },
+      force: {
+        type: 'boolean',
+        description: 'Remove the instance even if it is running',
+        default: false
+      },
+      keep_volumes: {
+        type: 'boolean',
+        description: 'Keep the data and extension volumes',
+        default: false
+      }
+    },
+    required: ['name'],
+    additionalProperties: false
+  },
+  
+  update_vscode_instance: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Instance name'
+      },
+      cpu_limit: {
+        type: 'number',
+        description: 'New CPU limit'
+      },
+      memory_limit: {
+        type: 'string',
+        pattern: '^[0-9]+(\\.[0-9]+)?[bkmgBKMG]?$',
+        description: 'New memory limit, e.g. 4g'
+      }
+    },
+    required: ['name'],
+    additionalProperties: false
+  },
+  
+  reconcile_vscode_instances: {
+    type: 'object',
+    properties: {
+      prune: {
+        type: 'boolean',
+        description: 'Delete the records of instances whose container is gone, instead of marking them missing',
+        default: false
+      },
+      adopt: {
+        type: 'boolean',
+        description: 'Create records for instance containers that have none',
+        default: true
+      }
+    },
+    additionalProperties: false
+  },
+  
+  wait_for_instance: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Instance name'
+      },
+      timeout: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Seconds to wait for the instance to serve',
+        default: 120
+      }
+    },
+    required: ['name'],
+    additionalProperties: false
+  },
+  
+  get_instance_logs: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Instance name'
+      },
+      tail: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Only the last lines',
+        default: 100
+      },
+      since: {
+        type: 'string',
+        description: 'Only output at or after this ISO timestamp, or this long ago, e.g. 10m'
+      },
+      until: {
+        type: 'string',
+        description: 'Only output before this ISO timestamp, or this long ago, e.g. 5m'
+      },
+      grep: {
+        type: 'string',
+        description: 'Only lines matching this regular expression'
+      },
+      timestamps: {
+        type: 'boolean',
+        description: 'Prefix each line with its timestamp',
+        default: false
+      },
+      follow: {
+        type: 'boolean',
+        description: 'Forward new lines as progress notifications until the call is cancelled or the instance stops; needs a progress token',
+        default: false
+      }
+    },
+    required: ['name'],
+    additionalProperties: false
+  },
+  
   manage_job_resources: {
     type: 'object',
     properties: {
@@ -252,19 +480,141 @@ const toolSchemas = {
     },
     required: ['job_id', 'operation'],
     additionalProperties: false
+  },
+  
+  list_files: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'Directory path'
+      },
+      recursive: {
+        type: 'boolean',
+        description: 'Whether to list files recursively'
+      }
+    },
+    required: ['path'],
+    additionalProperties: false
+  },
+  
+  read_file: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'File path'
+      }
+    },
+    required: ['path'],
+    additionalProperties: false
+  },
+  
+  write_file: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'File path'
+      },
+      content: {
+        type: 'string',
+        description: 'Content to write'
+      }
+    },
+    required: ['path', 'content'],
+    additionalProperties: false
+  },
+  
+  execute_command: {
+    type: 'object',
+    properties: {
+      command: {
+        type: 'string',
+        description: 'Command to execute'
+      },
+      cwd: {
+        type: 'string',
+        description: 'Working directory (defaults to the first workspace root)'
+      }
+    },
+    required: ['command'],
+    additionalProperties: false
+  }
+};
+
+// Tool descriptions
+const toolDescriptions = {
+  analyze_code: 'Analyze code files and provide insights about their structure, complexity, and potential issues',
+  modify_code: 'Modify code files with various operations like adding, updating, or removing code segments, optionally as an atomic batch across files',
+  search_code: 'Search for patterns in code files and return matching results with context',
+  deploy_vscode_instance: 'Deploy a new VSCode instance in a container',
+  list_vscode_instances: 'List all deployed VSCode instances and their status',
+  stop_vscode_instance: 'Stop a running VSCode instance',
+  start_vscode_instance: 'Start a stopped VSCode instance again',
+  restart_vscode_instance: 'Restart a VSCode instance',
+  remove_vscode_instance: 'Remove a VSCode instance with its volumes and configuration',
+  update_vscode_instance: 'Change the CPU and memory limits of a VSCode instance in place',
+  reconcile_vscode_instances: 'Bring the instance records in line with the containers of the runtime',
+  wait_for_instance: 'Wait until a VSCode instance serves, before handing its URL to a user',
+  get_instance_logs: 'Show or follow the output of a VSCode instance',
+  manage_job_resources: 'Manage resources for VSCode instances and associated jobs',
+  list_files: 'List files in a directory',
+  read_file: 'Read file contents',
+  write_file: 'Write content to a file',
+  execute_command: 'Execute a terminal command'
+};
+
+const tools = {
+  analyze_code: workspaceSandbox.wrapTool(analyzeCode, { file_path: undefined }),
+  modify_code: workspaceSandbox.wrapTool(modifyCode, { file_path: undefined, 'edits[].file_path': undefined }),
+  search_code: workspaceSandbox.wrapTool(searchCode, { directory: '.' }),
+  // The workspace is bind-mounted into the container, so it must be inside a root like any other path
+  deploy_vscode_instance: workspaceSandbox.wrapTool(withInstanceOptions(deployVSCodeInstance), { workspace_path: undefined }),
+  list_vscode_instances: withInstanceOptions(listVSCodeInstances),
+  stop_vscode_instance: withInstanceOptions(stopVSCodeInstance),
+  start_vscode_instance: withInstanceOptions(startVSCodeInstance),
+  restart_vscode_instance: withInstanceOptions(restartVSCodeInstance),
+  remove_vscode_instance: withInstanceOptions(removeVSCodeInstance),
+  update_vscode_instance: withInstanceOptions(updateVSCodeInstance),
+  reconcile_vscode_instances: withInstanceOptions(reconcileVSCodeInstances),
+  wait_for_instance: withInstanceOptions(waitForInstance),
+  get_instance_logs: withInstanceOptions(getInstanceLogs),
+  manage_job_resources: withInstanceOptions(manageJobResources),
+  list_files: workspaceSandbox.wrapTool(listFiles, { path: undefined }),
+  read_file: workspaceSandbox.wrapTool(readFile, { path: undefined }),
+  write_file: workspaceSandbox.wrapTool(writeFile, { path: undefined })
+};
+
+// Running arbitrary shell commands has to be switched on
+if (config.getSection('tools').executeCommand) {
+  tools.execute_command = workspaceSandbox.wrapTool(executeCommand, { cwd: '.' });
+}
+
+// Tools switched off by the enabled and disabled lists are not served
+const toolsConfig = config.getSection('tools');
+for (const name of Object.keys(tools)) {
+  if (!isToolEnabled(name, toolsConfig)) {
+    delete tools[name];
   }
+}
+
+// Plugin tools are loaded into each front-end's tool host, with the same lists
+const toolPlugins = {
+  ...toolsConfig.plugins,
+  enabled: toolsConfig.enabled,
+  disabled: toolsConfig.disabled
 };
 
-// Export tools and schemas
+// Export tools, schemas, descriptions, the plugin options and what the instance tools work with
 module.exports = {
-  tools: {
-    analyze_code: analyzeCode,
-    modify_code: modifyCode,
-    search_code: searchCode,
-    deploy_vscode_instance: deployVSCodeInstance,
-    list_vscode_instances: listVSCodeInstances,
-    stop_vscode_instance: stopVSCodeInstance,
-    manage_job_resources: manageJobResources
-  },
-  toolSchemas
+  tools,
+  toolSchemas,
+  toolDescriptions,
+  toolPlugins,
+  workspaceSandbox,
+  containerRuntime,
+  instanceRegistry,
+  instancesConfig,
+  instancesDirectory: instancesConfig.directory
 };
\ No newline at end of file
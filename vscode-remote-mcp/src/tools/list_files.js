@@ -0,0 +1,119 @@
+/**
+ * List Files Tool
+ *
+ * This tool lists the files and directories in a directory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('list_files');
+
+/**
+ * List the entries of a directory, directories first marked with a trailing slash
+ * @param {string} dirPath - Directory to list
+ * @param {boolean} recursive - Whether to list subdirectories too
+ * @param {Object} context - Tool context from createToolContext
+ * @param {string} [prefix=''] - Path of the directory relative to the listed one
+ * @returns {Promise<Array<string>>} Relative paths
+ */
+async function readDirectory(dirPath, recursive, context, prefix = '') {
+  context.throwIfAborted();
+
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  let results = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relativePath = path.join(prefix, entry.name);
+
+    if (entry.isDirectory()) {
+      results.push(`${relativePath}/`);
+      if (recursive) {
+        results = results.concat(await readDirectory(path.join(dirPath, entry.name), recursive, context, relativePath));
+      }
+    } else {
+      results.push(relativePath);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * List files in a directory
+ * @param {Object} params - Tool parameters
+ * @param {string} params.path - Directory path
+ * @param {boolean} params.recursive - Whether to list files recursively
+ * @param {Object} [context] - Tool context from createToolContext; listing stops when its signal aborts
+ * @returns {Promise<Object>} Listing results
+ */
+async function listFiles(params, context = createToolContext()) {
+  if (!params.path) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: path parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'path parameter is required'
+      }
+    };
+  }
+
+  try {
+    const dirPath = path.resolve(params.path);
+    const files = await readDirectory(dirPath, params.recursive === true, context);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Files in ${dirPath}:\n${files.join('\n')}`
+        }
+      ],
+      path: dirPath,
+      files
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Listing ${params.path} was cancelled`);
+    }
+
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Directory not found: ${params.path}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Directory not found: ${params.path}`
+        }
+      };
+    }
+
+    log.error('Error in listFiles', { error });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to list files: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to list files: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = listFiles;
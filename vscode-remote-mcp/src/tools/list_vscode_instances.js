@@ -4,71 +4,52 @@
  * This tool lists all deployed VSCode instances and their status.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { promisify } = require('util');
-const { exec } = require('child_process');
-const execAsync = promisify(exec);
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+const { checkInstanceHealth } = require('../utils/instance-health');
+
+const log = getLogger('list_vscode_instances');
+
+// How long the check of whether a running instance serves may take; kept short since every instance is checked
+const LIST_PROBE_TIMEOUT_MS = 500;
 
 /**
  * List all deployed VSCode instances
  * @param {Object} params - Tool parameters
  * @param {string} params.filter - Filter instances by name
  * @param {string} params.status - Filter instances by status (running, stopped, all)
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
  * @returns {Promise<Object>} List of instances
  */
-async function listVSCodeInstances(params) {
+async function listVSCodeInstances(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
   try {
     const filter = params.filter || '';
     const status = params.status || 'all';
     
-    // Get instances directory
-    const instancesDir = path.join(__dirname, '../../vscode-instances');
-    
-    // Create instances directory if it doesn't exist
-    await fs.mkdir(instancesDir, { recursive: true });
-    
-    // Get instance configuration files
-    let files;
-    try {
-      files = await fs.readdir(instancesDir);
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: 'No instances found.'
-          }
-        ],
-        instances: []
-      };
-    }
-    
-    // Filter JSON files
-    const configFiles = files.filter(file => file.endsWith('.json'));
-    
-    // Get running containers
-    const { stdout: runningContainers } = await execAsync('docker ps --format "{{.Names}}"');
-    const runningContainerNames = runningContainers.split('\n').filter(Boolean);
-    
-    // Get all containers (running and stopped)
-    const { stdout: allContainers } = await execAsync('docker ps -a --format "{{.Names}}"');
-    const allContainerNames = allContainers.split('\n').filter(Boolean);
+    // Get instance records
+    const records = await registry.list();
     
     // Process each instance
     const instances = [];
     
-    for (const configFile of configFiles) {
+    for (const config of records) {
       try {
-        // Read instance configuration
-        const configPath = path.join(instancesDir, configFile);
-        const configContent = await fs.readFile(configPath, 'utf8');
-        const config = JSON.parse(configContent);
-        
         // Check if container exists
         const containerName = config.instance_name;
-        const isRunning = runningContainerNames.includes(containerName);
-        const exists = allContainerNames.includes(containerName);
+        const containerState = await runtime.inspect(containerName, { signal: context.signal });
+        const isRunning = Boolean(containerState && containerState.running);
+        const exists = Boolean(containerState);
         
         // Determine instance status
         let instanceStatus;
@@ -95,26 +76,31 @@ async function listVSCodeInstances(params) {
         
         if (isRunning) {
           try {
-            const { stdout: details } = await execAsync(`docker inspect ${containerName}`);
-            const inspectData = JSON.parse(details)[0];
-            
             // Get port mapping
-            const ports = inspectData.NetworkSettings.Ports;
-            const portMapping = ports['8080/tcp'] ? ports['8080/tcp'][0].HostPort : null;
+            const port = containerState.ports['8080/tcp'] || config.port;
             
             // Get container stats
-            const { stdout: stats } = await execAsync(`docker stats ${containerName} --no-stream --format "{{.CPUPerc}},{{.MemUsage}}"`);
-            const [cpuPerc, memUsage] = stats.split(',');
+            const stats = await runtime.stats(containerName, { signal: context.signal });
+
+            // Check whether code-server serves yet
+            const health = await checkInstanceHealth(runtime, config, {
+              probeTimeoutMs: LIST_PROBE_TIMEOUT_MS,
+              signal: context.signal
+            });
             
             containerDetails = {
-              port: portMapping ? parseInt(portMapping, 10) : config.port,
-              url: portMapping ? `http://localhost:${portMapping}` : `http://localhost:${config.port}`,
-              cpu_usage: cpuPerc.trim(),
-              memory_usage: memUsage.trim(),
-              uptime: inspectData.State.StartedAt
+              port,
+              url: `http://localhost:${port}`,
+              health: health.state,
+              cpu_usage: stats.cpu,
+              memory_usage: stats.memory,
+              uptime: containerState.startedAt
             };
           } catch (error) {
-            console.error(`Error getting container details: ${error.message}`);
+            if (isAbortError(error)) {
+              throw error;
+            }
+            log.error('Error getting container details', { error });
           }
         }
         
@@ -129,7 +115,10 @@ async function listVSCodeInstances(params) {
           ...containerDetails
         });
       } catch (error) {
-        console.error(`Error processing instance ${configFile}: ${error.message}`);
+        if (isAbortError(error)) {
+          throw error;
+        }
+        log.error(`Error processing instance ${config.instance_name}`, { error });
       }
     }
     
@@ -148,6 +137,7 @@ async function listVSCodeInstances(params) {
         
         if (instance.status === 'running') {
           output += `  URL: ${instance.url}\n`;
+          output += `  Health: ${instance.health}\n`;
           output += `  Port: ${instance.port}\n`;
           output += `  CPU Usage: ${instance.cpu_usage}\n`;
           output += `  Memory Usage: ${instance.memory_usage}\n`;
@@ -172,7 +162,11 @@ async function listVSCodeInstances(params) {
       status
     };
   } catch (error) {
-    console.error(`Error in listVSCodeInstances: ${error.message}`);
+    if (isAbortError(error)) {
+      return createCancelledResult(`Listing instances was cancelled`);
+    }
+
+    log.error('Error in listVSCodeInstances', { error });
     return {
       content: [
         {
@@ -6,9 +6,11 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { promisify } = require('util');
-const { exec } = require('child_process');
-const execAsync = promisify(exec);
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('manage_job_resources');
 
 /**
  * Manage resources for a job
@@ -16,9 +18,20 @@ const execAsync = promisify(exec);
  * @param {string} params.job_id - Job ID
  * @param {string} params.operation - Operation to perform (allocate, deallocate, update, status)
  * @param {Object} params.resources - Resources to allocate or update
+ * @param {Object} [context] - Tool context from createToolContext
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records; allocations are in the `resources` directory of its directory
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
  * @returns {Promise<Object>} Operation results
  */
-async function manageJobResources(params) {
+async function manageJobResources(params, context, options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+
   if (!params.job_id) {
     return {
       content: [
@@ -51,7 +64,7 @@ async function manageJobResources(params) {
 
   try {
     // Get resources directory
-    const resourcesDir = path.join(__dirname, '../../vscode-instances/resources');
+    const resourcesDir = path.join(registry.directory, 'resources');
     
     // Create resources directory if it doesn't exist
     await fs.mkdir(resourcesDir, { recursive: true });
@@ -71,7 +84,7 @@ async function manageJobResources(params) {
         return await updateResources(resourceFilePath, params);
         
       case 'status':
-        return await getResourceStatus(resourceFilePath, params);
+        return await getResourceStatus(resourceFilePath, params, runtime, registry);
         
       default:
         return {
@@ -88,7 +101,7 @@ async function manageJobResources(params) {
         };
     }
   } catch (error) {
-    console.error(`Error in manageJobResources: ${error.message}`);
+    log.error('Error in manageJobResources', { error });
     return {
       content: [
         {
@@ -311,9 +324,11 @@ async function updateResources(resourceFilePath, params) {
  * Get resource status for a job
  * @param {string} resourceFilePath - Path to resource file
  * @param {Object} params - Tool parameters
+ * @param {Object} runtime - Container runtime
+ * @param {InstanceRegistry} registry - Registry of instance records
  * @returns {Promise<Object>} Resource status
  */
-async function getResourceStatus(resourceFilePath, params) {
+async function getResourceStatus(resourceFilePath, params, runtime, registry) {
   // Check if resources are allocated
   try {
     await fs.access(resourceFilePath);
@@ -339,49 +354,26 @@ async function getResourceStatus(resourceFilePath, params) {
   let usage = null;
   
   try {
-    // Check if job is associated with a VSCode instance
-    const instancesDir = path.join(__dirname, '../../vscode-instances');
-    const files = await fs.readdir(instancesDir);
-    
     // Find instance associated with job
-    let instanceName = null;
-    
-    for (const file of files) {
-      if (!file.endsWith('.json')) {
-        continue;
-      }
-      
-      try {
-        const configPath = path.join(instancesDir, file);
-        const configContent = await fs.readFile(configPath, 'utf8');
-        const config = JSON.parse(configContent);
-        
-        if (config.id === params.job_id) {
-          instanceName = config.instance_name;
-          break;
-        }
-      } catch (error) {
-        console.error(`Error reading config file ${file}: ${error.message}`);
-      }
-    }
+    const instance = await registry.findById(params.job_id);
+    const instanceName = instance && instance.instance_name;
     
     if (instanceName) {
       // Check if instance is running
-      const { stdout: containerRunning } = await execAsync(`docker ps --filter "name=${instanceName}" --format "{{.Names}}"`);
+      const containerState = await runtime.inspect(instanceName);
       
-      if (containerRunning.trim()) {
+      if (containerState && containerState.running) {
         // Get container stats
-        const { stdout: stats } = await execAsync(`docker stats ${instanceName} --no-stream --format "{{.CPUPerc}},{{.MemUsage}}"`);
-        const [cpuPerc, memUsage] = stats.split(',');
+        const stats = await runtime.stats(instanceName);
         
         usage = {
-          cpu_usage: cpuPerc.trim(),
-          memory_usage: memUsage.trim()
+          cpu_usage: stats.cpu,
+          memory_usage: stats.memory
         };
       }
     }
   } catch (error) {
-    console.error(`Error getting resource usage: ${error.message}`);
+    log.error('Error getting resource usage', { error });
   }
   
   // Format usage information for display
@@ -7,6 +7,16 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { planEdits, applyChanges, formatUnifiedDiff } = require('../utils/line-edits');
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('modify_code');
+
+// Supported operations
+const OPERATIONS = ['add', 'update', 'remove', 'replace'];
+
+// Counter keeping temporary file names unique within the process
+let tempCounter = 0;
 
 /**
  * Modify a code file
@@ -17,9 +27,15 @@ const path = require('path');
  * @param {string} params.content - Content to add or update
  * @param {string} params.pattern - Pattern to match for update or remove operations
  * @param {Object} params.range - Range of lines to modify
+ * @param {Array<Object>} params.edits - Ordered batch of edits applied as one transaction instead
+ * @param {boolean} params.dry_run - Whether to only return the diff of a batch without writing
  * @returns {Promise<Object>} Modification results
  */
 async function modifyCode(params) {
+  if (params.edits !== undefined) {
+    return modifyBatch(params);
+  }
+  
   if (!params.file_path) {
     return {
       content: [
@@ -50,6 +66,21 @@ async function modifyCode(params) {
     };
   }
 
+  if (!OPERATIONS.includes(params.operation)) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Invalid operation: ${params.operation}`
+        }
+      ],
+      error: {
+        code: -32602,
+        message: `Invalid operation: ${params.operation}`
+      }
+    };
+  }
+
   try {
     const filePath = path.resolve(params.file_path);
     
@@ -75,72 +106,22 @@ async function modifyCode(params) {
     const content = await fs.readFile(filePath, 'utf8');
     const lines = content.split('\n');
     
-    let modifiedContent;
-    let modificationDetails;
-    
-    // Perform operation
-    switch (params.operation) {
-      case 'add':
-        modifiedContent = await addContent(lines, params);
-        modificationDetails = {
-          operation: 'add',
-          position: params.position,
-          content_length: params.content.split('\n').length
-        };
-        break;
-        
-      case 'update':
-        modifiedContent = await updateContent(lines, params);
-        modificationDetails = {
-          operation: 'update',
-          position: params.position,
-          pattern: params.pattern,
-          content_length: params.content.split('\n').length
-        };
-        break;
-        
-      case 'remove':
-        modifiedContent = await removeContent(lines, params);
-        modificationDetails = {
-          operation: 'remove',
-          position: params.position,
-          pattern: params.pattern,
-          range: params.range
-        };
-        break;
-        
-      case 'replace':
-        modifiedContent = await replaceContent(lines, params);
-        modificationDetails = {
-          operation: 'replace',
-          range: params.range,
-          content_length: params.content.split('\n').length
-        };
-        break;
-        
-      default:
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: Invalid operation: ${params.operation}`
-            }
-          ],
-          error: {
-            code: -32602,
-            message: `Invalid operation: ${params.operation}`
-          }
-        };
-    }
+    // Plan the operation against the original lines
+    const changes = planEdits(lines, [params]);
+    const modificationDetails = getModificationDetails(params);
     
     // Write modified content back to file
-    await fs.writeFile(filePath, modifiedContent.join('\n'));
+    await writeFilesAtomically([{ filePath, original: content, content: applyChanges(lines, changes).join('\n') }]);
+    const diff = formatUnifiedDiff(params.file_path, lines, changes);
     
     // Format output for display
     let output = `Code Modification Results\n\n`;
     output += `File: ${filePath}\n`;
     output += `Operation: ${params.operation}\n`;
     output += `Modification Details: ${JSON.stringify(modificationDetails, null, 2)}\n`;
+    if (diff) {
+      output += `\n${diff}`;
+    }
     
     return {
       content: [
@@ -151,10 +132,11 @@ async function modifyCode(params) {
       ],
       success: true,
       file_path: filePath,
-      modification: modificationDetails
+      modification: modificationDetails,
+      diff
     };
   } catch (error) {
-    console.error(`Error in modifyCode: ${error.message}`);
+    log.error('Error in modifyCode', { error });
     return {
       content: [
         {
@@ -171,165 +153,213 @@ async function modifyCode(params) {
 }
 
 /**
- * Add content to a file
- * @param {Array<string>} lines - File lines
+ * Apply an ordered batch of edits across one or more files as one transaction
+ *
+ * Every edit is validated against the original content of its file before
+ * anything is written; if any edit is invalid no file changes.
  * @param {Object} params - Tool parameters
- * @returns {Promise<Array<string>>} Modified lines
+ * @param {Array<Object>} params.edits - Edits, each with file_path, operation and the operation's fields
+ * @param {boolean} params.dry_run - Whether to only return the diff without writing
+ * @returns {Promise<Object>} Modification results
  */
-async function addContent(lines, params) {
-  const position = params.position || { line: lines.length + 1 };
-  const lineIndex = position.line - 1;
+async function modifyBatch(params) {
+  const invalid = message => ({
+    content: [
+      {
+        type: 'text',
+        text: `Error: ${message}`
+      }
+    ],
+    error: {
+      code: -32602,
+      message
+    }
+  });
   
-  if (lineIndex < 0 || lineIndex > lines.length) {
-    throw new Error(`Invalid line number: ${position.line}`);
+  if (!Array.isArray(params.edits) || params.edits.length === 0) {
+    return invalid('edits must be a non-empty array');
   }
   
-  const contentLines = params.content.split('\n');
-  
-  // Insert content at specified line
-  const modifiedLines = [
-    ...lines.slice(0, lineIndex),
-    ...contentLines,
-    ...lines.slice(lineIndex)
-  ];
-  
-  return modifiedLines;
-}
-
-/**
- * Update content in a file
- * @param {Array<string>} lines - File lines
- * @param {Object} params - Tool parameters
- * @returns {Promise<Array<string>>} Modified lines
- */
-async function updateContent(lines, params) {
-  let modifiedLines = [...lines];
-  
-  if (params.pattern) {
-    // Update content based on pattern
-    const pattern = new RegExp(params.pattern);
-    let found = false;
+  // Group edits by file, keeping the order of first appearance
+  const files = new Map();
+  for (let i = 0; i < params.edits.length; i++) {
+    const edit = params.edits[i];
     
-    for (let i = 0; i < modifiedLines.length; i++) {
-      if (pattern.test(modifiedLines[i])) {
-        const contentLines = params.content.split('\n');
-        modifiedLines.splice(i, 1, ...contentLines);
-        found = true;
-        break;
-      }
+    if (!edit || !edit.file_path || !edit.operation) {
+      return invalid(`Edit ${i + 1}: file_path and operation are required`);
     }
     
-    if (!found) {
-      throw new Error(`Pattern not found: ${params.pattern}`);
+    const filePath = path.resolve(edit.file_path);
+    if (!files.has(filePath)) {
+      files.set(filePath, { filePath, displayPath: edit.file_path, edits: [], editNumbers: [] });
     }
-  } else if (params.position) {
-    // Update content at specified position
-    const lineIndex = params.position.line - 1;
-    
-    if (lineIndex < 0 || lineIndex >= modifiedLines.length) {
-      throw new Error(`Invalid line number: ${params.position.line}`);
-    }
-    
-    const contentLines = params.content.split('\n');
-    modifiedLines.splice(lineIndex, 1, ...contentLines);
-  } else {
-    throw new Error('Either pattern or position is required for update operation');
+    files.get(filePath).edits.push(edit);
+    files.get(filePath).editNumbers.push(i + 1);
   }
   
-  return modifiedLines;
-}
-
-/**
- * Remove content from a file
- * @param {Array<string>} lines - File lines
- * @param {Object} params - Tool parameters
- * @returns {Promise<Array<string>>} Modified lines
- */
-async function removeContent(lines, params) {
-  let modifiedLines = [...lines];
-  
-  if (params.pattern) {
-    // Remove content based on pattern
-    const pattern = new RegExp(params.pattern);
-    let found = false;
-    
-    for (let i = 0; i < modifiedLines.length; i++) {
-      if (pattern.test(modifiedLines[i])) {
-        modifiedLines.splice(i, 1);
-        found = true;
-        break;
+  try {
+    // Read and validate every file before writing any of them
+    for (const file of files.values()) {
+      try {
+        file.original = await fs.readFile(file.filePath, 'utf8');
+      } catch (error) {
+        return invalid(`File not found: ${file.filePath}`);
       }
+      
+      const lines = file.original.split('\n');
+      try {
+        file.changes = planEdits(lines, file.edits);
+      } catch (error) {
+        const editNumber = file.editNumbers[error.editIndex];
+        // Overlap errors number edits within the file; report batch positions instead
+        const message = error.message.replace(/^Edits (\d+) and (\d+)/, (match, a, b) => (
+          `Edits ${file.editNumbers[a - 1]} and ${file.editNumbers[b - 1]}`
+        ));
+        return invalid(`Edit ${editNumber} (${file.displayPath}): ${message}`);
+      }
+      
+      file.content = applyChanges(lines, file.changes).join('\n');
+      file.diff = formatUnifiedDiff(file.displayPath, lines, file.changes);
     }
     
-    if (!found) {
-      throw new Error(`Pattern not found: ${params.pattern}`);
-    }
-  } else if (params.range) {
-    // Remove content in specified range
-    const startIndex = params.range.start_line - 1;
-    const endIndex = params.range.end_line - 1;
-    
-    if (startIndex < 0 || startIndex >= modifiedLines.length) {
-      throw new Error(`Invalid start line: ${params.range.start_line}`);
-    }
+    const fileList = Array.from(files.values());
     
-    if (endIndex < startIndex || endIndex >= modifiedLines.length) {
-      throw new Error(`Invalid end line: ${params.range.end_line}`);
+    if (!params.dry_run) {
+      await writeFilesAtomically(fileList);
     }
     
-    modifiedLines.splice(startIndex, endIndex - startIndex + 1);
-  } else if (params.position) {
-    // Remove content at specified position
-    const lineIndex = params.position.line - 1;
+    const diff = fileList.map(file => file.diff).join('');
     
-    if (lineIndex < 0 || lineIndex >= modifiedLines.length) {
-      throw new Error(`Invalid line number: ${params.position.line}`);
-    }
+    // Format output for display
+    let output = `Code Modification Results${params.dry_run ? ' (dry run)' : ''}\n\n`;
+    output += `Files: ${fileList.length}\n`;
+    output += `Edits: ${params.edits.length}\n\n`;
+    output += diff || 'No changes.\n';
     
-    modifiedLines.splice(lineIndex, 1);
-  } else {
-    throw new Error('Either pattern, range, or position is required for remove operation');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: output
+        }
+      ],
+      success: true,
+      dry_run: params.dry_run === true,
+      files: fileList.map(file => ({
+        file_path: file.filePath,
+        edits: file.edits.length,
+        diff: file.diff
+      })),
+      diff
+    };
+  } catch (error) {
+    log.error('Error in modifyCode', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to modify code: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to modify code: ${error.message}`
+      }
+    };
   }
-  
-  return modifiedLines;
 }
 
 /**
- * Replace content in a file
- * @param {Array<string>} lines - File lines
+ * Describe a single operation for the tool result
  * @param {Object} params - Tool parameters
- * @returns {Promise<Array<string>>} Modified lines
+ * @returns {Object} Modification details
  */
-async function replaceContent(lines, params) {
-  if (!params.range) {
-    throw new Error('Range is required for replace operation');
-  }
-  
-  if (!params.content) {
-    throw new Error('Content is required for replace operation');
+function getModificationDetails(params) {
+  switch (params.operation) {
+    case 'add':
+      return {
+        operation: 'add',
+        position: params.position,
+        content_length: params.content.split('\n').length
+      };
+    case 'update':
+      return {
+        operation: 'update',
+        position: params.position,
+        pattern: params.pattern,
+        content_length: params.content.split('\n').length
+      };
+    case 'remove':
+      return {
+        operation: 'remove',
+        position: params.position,
+        pattern: params.pattern,
+        range: params.range
+      };
+    default:
+      return {
+        operation: 'replace',
+        range: params.range,
+        content_length: params.content.split('\n').length
+      };
   }
+}
+
+/**
+ * Write several files so that either all of them change or none do
+ *
+ * New contents go to temporary files next to their targets first. The
+ * targets are only replaced, by rename, once every temporary file is written
+ * and no target changed since it was read. If a rename fails, the files
+ * already replaced are restored.
+ * @param {Array<Object>} files - Files as { filePath, original, content }
+ * @returns {Promise<void>}
+ */
+async function writeFilesAtomically(files) {
+  const tempPaths = [];
+  const replaced = [];
   
-  const startIndex = params.range.start_line - 1;
-  const endIndex = params.range.end_line - 1;
-  
-  if (startIndex < 0 || startIndex >= lines.length) {
-    throw new Error(`Invalid start line: ${params.range.start_line}`);
-  }
+  /**
+   * Write content to a temporary file next to a target
+   * @param {Object} file - The file being written
+   * @param {string} content - The content
+   * @returns {Promise<string>} The temporary file path
+   */
+  const writeTemp = async (file, content) => {
+    const { mode } = await fs.stat(file.filePath);
+    const tempPath = path.join(path.dirname(file.filePath), `.${path.basename(file.filePath)}.${process.pid}.${tempCounter++}.tmp`);
+    await fs.writeFile(tempPath, content, { mode });
+    return tempPath;
+  };
   
-  if (endIndex < startIndex || endIndex >= lines.length) {
-    throw new Error(`Invalid end line: ${params.range.end_line}`);
+  try {
+    for (const file of files) {
+      tempPaths.push(await writeTemp(file, file.content));
+    }
+    
+    for (const file of files) {
+      if (await fs.readFile(file.filePath, 'utf8') !== file.original) {
+        throw new Error(`File changed on disk while editing: ${file.filePath}`);
+      }
+    }
+    
+    for (let i = 0; i < files.length; i++) {
+      await fs.rename(tempPaths[i], files[i].filePath);
+      replaced.push(files[i]);
+    }
+  } catch (error) {
+    // Put back the files that were already replaced
+    for (const file of replaced) {
+      try {
+        await fs.rename(await writeTemp(file, file.original), file.filePath);
+      } catch (restoreError) {
+        log.error(`Failed to restore ${file.filePath}`, { error: restoreError });
+      }
+    }
+    
+    await Promise.all(tempPaths.map(tempPath => fs.rm(tempPath, { force: true })));
+    throw error;
   }
-  
-  const contentLines = params.content.split('\n');
-  
-  // Replace content in specified range
-  const modifiedLines = [
-    ...lines.slice(0, startIndex),
-    ...contentLines,
-    ...lines.slice(endIndex + 1)
-  ];
-  
-  return modifiedLines;
 }
 
 module.exports = modifyCode;
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Read File Tool
+ *
+ * This tool reads the contents of a file, numbering its lines for display.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('read_file');
+
+/**
+ * Read file contents
+ * @param {Object} params - Tool parameters
+ * @param {string} params.path - File path
+ * @param {Object} [context] - Tool context from createToolContext; reading stops when its signal aborts
+ * @returns {Promise<Object>} The file contents
+ */
+async function readFile(params, context = createToolContext()) {
+  if (!params.path) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: path parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'path parameter is required'
+      }
+    };
+  }
+
+  try {
+    const filePath = path.resolve(params.path);
+    const content = await fs.readFile(filePath, { encoding: 'utf8', signal: context.signal });
+
+    // Add line numbers to content
+    const lines = content.split('\n');
+    const numberedLines = lines.map((line, index) => `${index + 1} | ${line}`).join('\n');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: numberedLines
+        }
+      ],
+      path: filePath,
+      text: content,
+      lines: lines.length
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Reading ${params.path} was cancelled`);
+    }
+
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: File not found: ${params.path}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `File not found: ${params.path}`
+        }
+      };
+    }
+
+    log.error('Error in readFile', { error });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to read file: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to read file: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = readFile;
@@ -0,0 +1,76 @@
+/**
+ * Reconcile VSCode Instances Tool
+ *
+ * This tool brings the instance records in line with the containers the
+ * runtime actually has.
+ */
+
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('reconcile_vscode_instances');
+
+/**
+ * Reconcile the instance records with the container runtime
+ * @param {Object} params - Tool parameters
+ * @param {boolean} [params.prune=false] - Delete the records of instances whose container is gone, instead of marking them missing
+ * @param {boolean} [params.adopt=true] - Create records for instance containers that have none
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @returns {Promise<Object>} Reconciliation results
+ */
+async function reconcileVSCodeInstances(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+  try {
+    const result = await registry.reconcile(runtime, {
+      prune: params.prune || false,
+      adopt: params.adopt !== false,
+      signal: context.signal
+    });
+
+    let output = 'Instance Reconciliation\n\n';
+    output += `Adopted: ${result.adopted.join(', ') || 'none'}\n`;
+    output += `Missing: ${result.missing.join(', ') || 'none'}\n`;
+    output += `Pruned: ${result.pruned.join(', ') || 'none'}\n`;
+    output += `Recovered: ${result.recovered.join(', ') || 'none'}\n`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: output
+        }
+      ],
+      ...result
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult('Reconciling instances was cancelled');
+    }
+
+    log.error('Error in reconcileVSCodeInstances', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to reconcile VSCode instances: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to reconcile VSCode instances: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = reconcileVSCodeInstances;
@@ -0,0 +1,163 @@
+/**
+ * Remove VSCode Instance Tool
+ *
+ * This tool deletes a VSCode instance: its container, its data and
+ * extension volumes, and its instance configuration.
+ */
+
+const { createContainerRuntime, NO_SUCH_CONTAINER, NO_SUCH_VOLUME } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry, getInstanceVolumes } = require('../utils/instance-registry');
+
+const log = getLogger('remove_vscode_instance');
+
+/**
+ * Remove a VSCode instance
+ *
+ * A container that is already gone is not an error, so removing an instance
+ * whose container was deleted by hand still cleans up its volumes and
+ * configuration. The configuration is deleted last; if removing the container
+ * or a volume fails, it is kept and the removal can be retried.
+ *
+ * @param {Object} params - Tool parameters
+ * @param {string} params.name - Instance name
+ * @param {boolean} [params.force=false] - Remove the instance even if it is running
+ * @param {boolean} [params.keep_volumes=false] - Keep the data and extension volumes
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @returns {Promise<Object>} Removal results
+ */
+async function removeVSCodeInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+  if (!params.name) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: name parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'name parameter is required'
+      }
+    };
+  }
+
+  try {
+    const force = params.force || false;
+    const keepVolumes = params.keep_volumes || false;
+
+    // Find instance configuration
+    const record = await registry.find(params.name);
+
+    if (!record) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Instance not found: ${params.name}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Instance not found: ${params.name}`
+        }
+      };
+    }
+
+    const instanceName = record.instance_name;
+    const containerState = await runtime.inspect(instanceName, { signal: context.signal });
+
+    if (containerState && containerState.running && !force) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Instance ${params.name} is running. Stop it first, or set force to remove it anyway.`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Instance ${params.name} is running`
+        }
+      };
+    }
+
+    // Remove container
+    if (containerState) {
+      try {
+        await runtime.remove(instanceName, { signal: context.signal, force });
+      } catch (error) {
+        if (error.code !== NO_SUCH_CONTAINER) {
+          throw error;
+        }
+      }
+    }
+
+    // Remove volumes
+    const removedVolumes = [];
+    if (!keepVolumes) {
+      for (const volume of Object.values(getInstanceVolumes(instanceName))) {
+        try {
+          await runtime.removeVolume(volume, { signal: context.signal });
+          removedVolumes.push(volume);
+        } catch (error) {
+          if (error.code !== NO_SUCH_VOLUME) {
+            throw error;
+          }
+        }
+      }
+    }
+
+    // Remove instance configuration
+    await registry.remove(instanceName);
+
+    let output = `Instance ${params.name} removed successfully\n\n`;
+    output += `Container: ${containerState ? `${instanceName} removed` : 'already gone'}\n`;
+    output += `Volumes: ${keepVolumes ? 'kept' : (removedVolumes.join(', ') || 'none found')}\n`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: output
+        }
+      ],
+      name: params.name,
+      instance_name: instanceName,
+      status: 'removed',
+      container_removed: Boolean(containerState),
+      removed_volumes: removedVolumes,
+      message: `Instance ${params.name} removed successfully`
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Removing instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in removeVSCodeInstance', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to remove VSCode instance: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to remove VSCode instance: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = removeVSCodeInstance;
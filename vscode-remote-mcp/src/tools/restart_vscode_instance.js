@@ -0,0 +1,145 @@
+/**
+ * Restart VSCode Instance Tool
+ *
+ * This tool restarts a VSCode instance, starting it if it is stopped.
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('restart_vscode_instance');
+
+/**
+ * Restart a VSCode instance
+ * @param {Object} params - Tool parameters
+ * @param {string} params.name - Instance name
+ * @param {number} [params.timeout] - Seconds the instance may take to exit before it is killed
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @returns {Promise<Object>} Restart results
+ */
+async function restartVSCodeInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+  if (!params.name) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: name parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'name parameter is required'
+      }
+    };
+  }
+
+  try {
+    // Find instance configuration
+    const record = await registry.find(params.name);
+
+    if (!record) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Instance not found: ${params.name}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Instance not found: ${params.name}`
+        }
+      };
+    }
+
+    const instanceName = record.instance_name;
+
+    // Check if container exists
+    if (!await runtime.inspect(instanceName, { signal: context.signal })) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Container not found: ${instanceName}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Container not found: ${instanceName}`
+        }
+      };
+    }
+
+    await runtime.restart(instanceName, { signal: context.signal, timeoutSeconds: params.timeout });
+
+    // Check that the container keeps running
+    await delay(runtime.startupDelayMs, undefined, { signal: context.signal });
+    const containerState = await runtime.inspect(instanceName, { signal: context.signal });
+
+    if (!containerState || !containerState.running) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Failed to restart instance ${params.name}`
+          }
+        ],
+        error: {
+          code: -32603,
+          message: `Failed to restart instance ${params.name}`
+        }
+      };
+    }
+
+    registry.emit('restarted', record);
+
+    const port = containerState.ports['8080/tcp'] || record.port;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Instance ${params.name} restarted successfully\n\nURL: http://localhost:${port}`
+        }
+      ],
+      name: params.name,
+      instance_name: instanceName,
+      status: 'running',
+      port,
+      url: `http://localhost:${port}`,
+      message: `Instance ${params.name} restarted successfully`
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Restarting instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in restartVSCodeInstance', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to restart VSCode instance: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to restart VSCode instance: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = restartVSCodeInstance;
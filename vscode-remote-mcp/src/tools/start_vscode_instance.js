@@ -0,0 +1,153 @@
+/**
+ * Start VSCode Instance Tool
+ *
+ * This tool starts a stopped VSCode instance again.
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('start_vscode_instance');
+
+/**
+ * Start a stopped VSCode instance
+ * @param {Object} params - Tool parameters
+ * @param {string} params.name - Instance name
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @returns {Promise<Object>} Start results
+ */
+async function startVSCodeInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+  if (!params.name) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: name parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'name parameter is required'
+      }
+    };
+  }
+
+  try {
+    // Find instance configuration
+    const record = await registry.find(params.name);
+
+    if (!record) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Instance not found: ${params.name}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Instance not found: ${params.name}`
+        }
+      };
+    }
+
+    const instanceName = record.instance_name;
+
+    // Check if container exists
+    let containerState = await runtime.inspect(instanceName, { signal: context.signal });
+
+    if (!containerState) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Container not found: ${instanceName}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Container not found: ${instanceName}`
+        }
+      };
+    }
+
+    const wasRunning = containerState.running;
+
+    if (!wasRunning) {
+      await runtime.start(instanceName, { signal: context.signal });
+
+      // Check that the container keeps running
+      await delay(runtime.startupDelayMs, undefined, { signal: context.signal });
+      containerState = await runtime.inspect(instanceName, { signal: context.signal });
+
+      if (!containerState || !containerState.running) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: Failed to start instance ${params.name}`
+            }
+          ],
+          error: {
+            code: -32603,
+            message: `Failed to start instance ${params.name}`
+          }
+        };
+      }
+
+      registry.emit('started', record);
+    }
+
+    const port = containerState.ports['8080/tcp'] || record.port;
+    const message = wasRunning
+      ? `Instance ${params.name} is already running`
+      : `Instance ${params.name} started successfully`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${message}\n\nURL: http://localhost:${port}`
+        }
+      ],
+      name: params.name,
+      instance_name: instanceName,
+      status: wasRunning ? 'already_running' : 'running',
+      port,
+      url: `http://localhost:${port}`,
+      message
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Starting instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in startVSCodeInstance', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to start VSCode instance: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to start VSCode instance: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = startVSCodeInstance;
@@ -4,20 +4,37 @@
  * This tool stops a running VSCode instance.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { promisify } = require('util');
-const { exec } = require('child_process');
-const execAsync = promisify(exec);
+const { setTimeout: delay } = require('timers/promises');
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('stop_vscode_instance');
+
+// How long to wait for a stopped container to exit, and how often to check
+const STOP_WAIT_MS = 1000;
+const STOP_POLL_MS = 100;
 
 /**
  * Stop a running VSCode instance
  * @param {Object} params - Tool parameters
  * @param {string} params.name - Instance name
  * @param {boolean} params.force - Force stop
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
  * @returns {Promise<Object>} Stop results
  */
-async function stopVSCodeInstance(params) {
+async function stopVSCodeInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+
   if (!params.name) {
     return {
       content: [
@@ -36,41 +53,10 @@ async function stopVSCodeInstance(params) {
   try {
     const force = params.force || false;
     
-    // Get instances directory
-    const instancesDir = path.join(__dirname, '../../vscode-instances');
-    
     // Find instance configuration
-    let instanceConfig = null;
-    let instanceName = null;
-    
-    try {
-      const files = await fs.readdir(instancesDir);
-      
-      // Find configuration file for the instance
-      for (const file of files) {
-        if (!file.endsWith('.json')) {
-          continue;
-        }
-        
-        try {
-          const configPath = path.join(instancesDir, file);
-          const configContent = await fs.readFile(configPath, 'utf8');
-          const config = JSON.parse(configContent);
-          
-          if (config.name === params.name) {
-            instanceConfig = config;
-            instanceName = config.instance_name;
-            break;
-          }
-        } catch (error) {
-          console.error(`Error reading config file ${file}: ${error.message}`);
-        }
-      }
-    } catch (error) {
-      console.error(`Error reading instances directory: ${error.message}`);
-    }
+    const record = await registry.find(params.name);
     
-    if (!instanceConfig || !instanceName) {
+    if (!record) {
       return {
         content: [
           {
@@ -85,10 +71,12 @@ async function stopVSCodeInstance(params) {
       };
     }
     
+    const instanceName = record.instance_name;
+    
     // Check if container exists
-    const { stdout: containerExists } = await execAsync(`docker ps -a --filter "name=${instanceName}" --format "{{.Names}}"`);
+    const containerState = await runtime.inspect(instanceName, { signal: context.signal });
     
-    if (!containerExists.trim()) {
+    if (!containerState) {
       return {
         content: [
           {
@@ -104,9 +92,7 @@ async function stopVSCodeInstance(params) {
     }
     
     // Check if container is running
-    const { stdout: containerRunning } = await execAsync(`docker ps --filter "name=${instanceName}" --format "{{.Names}}"`);
-    
-    if (!containerRunning.trim()) {
+    if (!containerState.running) {
       return {
         content: [
           {
@@ -122,16 +108,23 @@ async function stopVSCodeInstance(params) {
     }
     
     // Stop container
-    const stopCommand = force ? `docker kill ${instanceName}` : `docker stop ${instanceName}`;
-    await execAsync(stopCommand);
+    if (force) {
+      await runtime.kill(instanceName, { signal: context.signal });
+    } else {
+      await runtime.stop(instanceName, { signal: context.signal });
+    }
     
     // Wait for container to stop
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Check if container is stopped
-    const { stdout: containerStillRunning } = await execAsync(`docker ps --filter "name=${instanceName}" --format "{{.Names}}"`);
+    let stillRunning = true;
+    for (let waited = 0; stillRunning && waited <= STOP_WAIT_MS; waited += STOP_POLL_MS) {
+      const state = await runtime.inspect(instanceName, { signal: context.signal });
+      stillRunning = Boolean(state && state.running);
+      if (stillRunning) {
+        await delay(STOP_POLL_MS, undefined, { signal: context.signal });
+      }
+    }
     
-    if (containerStillRunning.trim()) {
+    if (stillRunning) {
       return {
         content: [
           {
@@ -146,6 +139,8 @@ async function stopVSCodeInstance(params) {
       };
     }
     
+    registry.emit('stopped', record);
+    
     return {
       content: [
         {
@@ -159,7 +154,11 @@ async function stopVSCodeInstance(params) {
       message: `Instance ${params.name} stopped successfully`
     };
   } catch (error) {
-    console.error(`Error in stopVSCodeInstance: ${error.message}`);
+    if (isAbortError(error)) {
+      return createCancelledResult(`Stopping instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in stopVSCodeInstance', { error });
     return {
       content: [
         {
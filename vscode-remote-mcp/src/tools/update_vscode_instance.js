@@ -0,0 +1,204 @@
+/**
+ * Update VSCode Instance Tool
+ *
+ * This tool changes the CPU and memory limits of a VSCode instance in place,
+ * without recreating its container.
+ */
+
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+
+const log = getLogger('update_vscode_instance');
+
+// Memory limits as the container CLIs take them: a number with an optional b, k, m or g unit
+const MEMORY_LIMIT_PATTERN = /^(\d+(?:\.\d+)?)([bkmg]?)$/i;
+
+/**
+ * Get the memory plus swap limit that goes with a memory limit
+ *
+ * Containers are created with twice their memory limit as memory plus swap,
+ * the CLI default; keeping that ratio lets the memory limit be raised.
+ *
+ * @param {string} memoryLimit - Memory limit, e.g. 2g
+ * @returns {string} The memory plus swap limit, e.g. 4g
+ */
+function getMemorySwapLimit(memoryLimit) {
+  const [, amount, unit] = MEMORY_LIMIT_PATTERN.exec(memoryLimit);
+  return `${parseFloat(amount) * 2}${unit}`;
+}
+
+/**
+ * Change the resource limits of a VSCode instance
+ * @param {Object} params - Tool parameters
+ * @param {string} params.name - Instance name
+ * @param {number} [params.cpu_limit] - New CPU limit
+ * @param {string} [params.memory_limit] - New memory limit, e.g. 4g
+ * @param {Object} [context] - Tool context from createToolContext; runtime calls are cancelled when its signal aborts
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @returns {Promise<Object>} Update results
+ */
+async function updateVSCodeInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+  if (!params.name) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: name parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'name parameter is required'
+      }
+    };
+  }
+
+  if (params.cpu_limit === undefined && params.memory_limit === undefined) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: cpu_limit or memory_limit parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'cpu_limit or memory_limit parameter is required'
+      }
+    };
+  }
+
+  if (params.cpu_limit !== undefined && !(Number(params.cpu_limit) > 0)) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Invalid CPU limit: ${params.cpu_limit}`
+        }
+      ],
+      error: {
+        code: -32602,
+        message: `Invalid CPU limit: ${params.cpu_limit}`
+      }
+    };
+  }
+
+  if (params.memory_limit !== undefined && !MEMORY_LIMIT_PATTERN.test(String(params.memory_limit))) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Invalid memory limit: ${params.memory_limit}. Use a number with an optional b, k, m or g unit, e.g. 4g`
+        }
+      ],
+      error: {
+        code: -32602,
+        message: `Invalid memory limit: ${params.memory_limit}`
+      }
+    };
+  }
+
+  try {
+    // Find instance configuration
+    const record = await registry.find(params.name);
+
+    if (!record) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Instance not found: ${params.name}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Instance not found: ${params.name}`
+        }
+      };
+    }
+
+    const instanceName = record.instance_name;
+
+    // Check if container exists
+    if (!await runtime.inspect(instanceName, { signal: context.signal })) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Container not found: ${instanceName}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Container not found: ${instanceName}`
+        }
+      };
+    }
+
+    // Change the limits of the container
+    const limits = {};
+    if (params.cpu_limit !== undefined) {
+      limits.cpus = params.cpu_limit;
+    }
+    if (params.memory_limit !== undefined) {
+      limits.memory = String(params.memory_limit);
+      limits.memorySwap = getMemorySwapLimit(limits.memory);
+    }
+    await runtime.update(instanceName, limits, { signal: context.signal });
+
+    // Keep the instance configuration in step
+    const changes = {};
+    if (limits.cpus !== undefined) {
+      changes.cpu_limit = limits.cpus;
+    }
+    if (limits.memory !== undefined) {
+      changes.memory_limit = limits.memory;
+    }
+    const config = await registry.update(instanceName, changes);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Instance ${params.name} updated successfully\n\nCPU Limit: ${config.cpu_limit}\nMemory Limit: ${config.memory_limit}`
+        }
+      ],
+      name: params.name,
+      instance_name: instanceName,
+      status: 'updated',
+      cpu_limit: config.cpu_limit,
+      memory_limit: config.memory_limit,
+      message: `Instance ${params.name} updated successfully`
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Updating instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in updateVSCodeInstance', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to update VSCode instance: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to update VSCode instance: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = updateVSCodeInstance;
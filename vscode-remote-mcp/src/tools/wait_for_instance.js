@@ -0,0 +1,153 @@
+/**
+ * Wait For Instance Tool
+ *
+ * This tool waits until a VSCode instance actually serves, so its URL can
+ * be handed to a user.
+ */
+
+const { createContainerRuntime } = require('../utils/container-runtime');
+const { createToolContext, isAbortError, createCancelledResult } = require('../utils/tool-context');
+const { getLogger } = require('../utils/logger');
+const { InstanceRegistry } = require('../utils/instance-registry');
+const { waitForInstance: waitUntilHealthy } = require('../utils/instance-health');
+
+const log = getLogger('wait_for_instance');
+
+// Seconds to wait when no timeout is given
+const DEFAULT_TIMEOUT_SECONDS = 120;
+
+/**
+ * Describe why an instance is not ready
+ * @param {Object} health - Health from checkInstanceHealth
+ * @returns {string} The description
+ */
+function describeHealth(health) {
+  if (!health.http) {
+    return `instance is ${health.state}`;
+  }
+  const detail = health.http.error || `HTTP ${health.http.statusCode}`;
+  return health.container_health
+    ? `instance is ${health.state}, container health ${health.container_health}, ${detail}`
+    : `instance is ${health.state}, ${detail}`;
+}
+
+/**
+ * Wait until a VSCode instance is healthy
+ * @param {Object} params - Tool parameters
+ * @param {string} params.name - Instance name
+ * @param {number} [params.timeout=120] - Seconds to wait
+ * @param {Object} [context] - Tool context from createToolContext; the wait is cancelled when its signal aborts, and every check is reported as progress
+ * @param {Object} [options={}] - Instance tool options
+ * @param {Object} [options.runtime] - Container runtime from createContainerRuntime (defaults to Docker)
+ * @param {InstanceRegistry} [options.registry] - Registry of instance records
+ * @param {string} [options.instancesDir] - Directory of instance records, if no registry is given
+ * @param {number} [options.intervalMs] - How long to wait between checks
+ * @returns {Promise<Object>} Readiness results
+ */
+async function waitForInstance(params, context = createToolContext(), options = {}) {
+  const {
+    runtime = createContainerRuntime(),
+    registry = new InstanceRegistry({ directory: options.instancesDir })
+  } = options;
+
+  if (!params.name) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: name parameter is required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'name parameter is required'
+      }
+    };
+  }
+
+  try {
+    const timeout = params.timeout !== undefined ? params.timeout : DEFAULT_TIMEOUT_SECONDS;
+
+    // Find instance configuration
+    const record = await registry.find(params.name);
+
+    if (!record) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Instance not found: ${params.name}`
+          }
+        ],
+        error: {
+          code: -32602,
+          message: `Instance not found: ${params.name}`
+        }
+      };
+    }
+
+    const health = await waitUntilHealthy(runtime, record, {
+      timeoutMs: timeout * 1000,
+      intervalMs: options.intervalMs,
+      signal: context.signal,
+      onCheck: (check, elapsed) => {
+        context.reportProgress(Math.min(elapsed, timeout * 1000), timeout * 1000, `Instance ${params.name} is ${check.state}`);
+      }
+    });
+
+    if (!health.ready) {
+      const reason = ['stopped', 'missing'].includes(health.state)
+        ? `Instance ${params.name} is ${health.state}`
+        : `Instance ${params.name} was not ready after ${timeout}s`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${reason} (${describeHealth(health)})`
+          }
+        ],
+        error: {
+          code: -32603,
+          message: reason
+        },
+        health: health.state
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Instance ${params.name} is ready\n\nURL: http://localhost:${health.port}\nWaited: ${(health.waited_ms / 1000).toFixed(1)}s`
+        }
+      ],
+      name: params.name,
+      instance_name: record.instance_name,
+      status: 'healthy',
+      port: health.port,
+      url: `http://localhost:${health.port}`,
+      waited_ms: health.waited_ms
+    };
+  } catch (error) {
+    if (isAbortError(error)) {
+      return createCancelledResult(`Waiting for instance ${params.name} was cancelled`);
+    }
+
+    log.error('Error in waitForInstance', { error });
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to wait for VSCode instance: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to wait for VSCode instance: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = waitForInstance;
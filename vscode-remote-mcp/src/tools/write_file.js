@@ -0,0 +1,68 @@
+/**
+ * Write File Tool
+ *
+ * This tool writes content to a file, replacing what it held.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getLogger } = require('../utils/logger');
+
+const log = getLogger('write_file');
+
+/**
+ * Write content to a file
+ * @param {Object} params - Tool parameters
+ * @param {string} params.path - File path
+ * @param {string} params.content - Content to write
+ * @returns {Promise<Object>} Write results
+ */
+async function writeFile(params) {
+  if (!params.path || typeof params.content !== 'string') {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Error: path and content parameters are required'
+        }
+      ],
+      error: {
+        code: -32602,
+        message: 'path and content parameters are required'
+      }
+    };
+  }
+
+  try {
+    const filePath = path.resolve(params.path);
+    await fs.writeFile(filePath, params.content);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `File written successfully: ${filePath}`
+        }
+      ],
+      success: true,
+      path: filePath
+    };
+  } catch (error) {
+    log.error('Error in writeFile', { error });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error: Failed to write file: ${error.message}`
+        }
+      ],
+      error: {
+        code: -32603,
+        message: `Failed to write file: ${error.message}`
+      }
+    };
+  }
+}
+
+module.exports = writeFile;
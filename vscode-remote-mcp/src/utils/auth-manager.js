@@ -8,6 +8,13 @@
 // This allows for easier mocking in tests
 // const crypto = require('crypto');
 
+const { v4: uuidv4 } = require('uuid');
+const { signJwt, verifyJwt } = require('./jwt');
+const { AUTH_METHODS, TokenProvider, createAuthProviders } = require('./auth-providers');
+const { getLogger } = require('./logger');
+
+const log = getLogger('auth-manager');
+
 /**
  * MCP Authentication Manager class
  */
@@ -214,7 +221,7 @@ class MCPAuthManager {
         return Buffer.from(hashBuffer).toString('hex');
       } catch (error) {
         // Fall back to regular hash if subtle digest fails
-        console.warn('Falling back to regular hash due to error:', error.message);
+        log.warn('Falling back to regular hash due to error', { error });
       }
     }
     
@@ -261,6 +268,346 @@ class MCPAuthManager {
   }
 }
 
+/**
+ * Server-side Authentication Manager class
+ *
+ * Issues and validates the HS256 access/refresh token pairs handed out to
+ * clients of the collaboration server. Tokens are signed with
+ * `auth.jwtSecret`, so they stay valid across restarts until they expire;
+ * the manager only keeps the revocation list and the tokens it issued, so
+ * that a client's tokens can be revoked.
+ */
+class AuthManager {
+  /**
+   * Create a new AuthManager instance
+   * @param {ConfigManager} configManager - The configuration manager instance
+   */
+  constructor(configManager) {
+    // Authentication configuration
+    this.authConfig = configManager.getSection('auth');
+    
+    // Map of tokens issued by this server: token ID -> { clientId, family, expiresAt }
+    this.issuedTokens = new Map();
+    
+    // Revocation list: token ID -> { reason, expiresAt }
+    this.revokedTokens = new Map();
+    
+    // Revoked token families: family ID -> expiresAt
+    this.revokedFamilies = new Map();
+    
+    // Credential providers; issued access tokens are always accepted
+    this.providers = createAuthProviders(this.authConfig);
+    this.providers.register(AUTH_METHODS.TOKEN, new TokenProvider(token => this.verifyToken(token, 'access')));
+  }
+
+  /**
+   * Check if authentication is enabled
+   * @returns {boolean} True if authentication is enabled
+   */
+  isAuthEnabled() {
+    return this.authConfig.enabled === true;
+  }
+
+  /**
+   * Get the authentication methods clients can use
+   * @returns {Array<string>} The methods
+   */
+  getAuthMethods() {
+    return this.providers.getMethods();
+  }
+
+  /**
+   * Check if clients must present credentials before they are issued tokens
+   * @returns {boolean} True if a credential provider is configured
+   */
+  hasCredentialProviders() {
+    return this.providers.getMethods().some(method => method !== AUTH_METHODS.TOKEN);
+  }
+
+  /**
+   * Authenticate a client with one of the configured providers
+   * @param {string} method - The authentication method
+   * @param {Object} credentials - The credentials from the request payload
+   * @param {Object} [client] - The client that sent the request
+   * @returns {Promise<Object>} { success: true, method, identity, permissions } or { success: false, message, code }
+   */
+  authenticate(method, credentials, client) {
+    return this.providers.authenticate(method, credentials, client);
+  }
+
+  /**
+   * Check that a successful authentication may apply to the client that sent it
+   *
+   * An access token only authenticates the client it was issued to, and a
+   * client that already authenticated cannot switch to another identity,
+   * since sessions know participants by client ID.
+   * @param {Object} result - Successful result of authenticate
+   * @param {string} clientId - ID of the client that sent the request
+   * @param {string|null} [currentIdentity] - Identity the client authenticated as before
+   * @returns {Object|null} Error { message, code }, or null if the result applies
+   */
+  checkAuthenticatedClient(result, clientId, currentIdentity = null) {
+    if (result.clientId && result.clientId !== clientId) {
+      return { message: 'Token was issued to another client', code: 'INVALID_TOKEN' };
+    }
+    if (currentIdentity && result.identity && result.identity !== currentIdentity) {
+      return { message: `Client ${clientId} is authenticated as another identity`, code: 'IDENTITY_MISMATCH' };
+    }
+    return null;
+  }
+
+  /**
+   * Generate an access/refresh token pair for a client
+   *
+   * Both tokens carry the ID of the token family they belong to. Refreshing
+   * keeps the family, so reusing a rotated refresh token can revoke every
+   * token that descends from the same sign-in.
+   * @param {string} clientId - The client ID
+   * @param {Object} [metadata={}] - Additional data stored in the tokens
+   * @param {string} [family] - Token family to continue; a new family is started if omitted
+   * @returns {Object} Token info { token, refreshToken, expiresAt, refreshExpiresAt }
+   */
+  generateToken(clientId, metadata = {}, family = uuidv4()) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + this.authConfig.tokenExpirationSeconds;
+    const refreshExpiresAt = issuedAt + this.authConfig.refreshTokenExpirationSeconds;
+    
+    const token = this.signToken('access', clientId, metadata, family, issuedAt, expiresAt);
+    const refreshToken = this.signToken('refresh', clientId, metadata, family, issuedAt, refreshExpiresAt);
+    
+    return {
+      token,
+      refreshToken,
+      expiresAt: new Date(expiresAt * 1000).toISOString(),
+      refreshExpiresAt: new Date(refreshExpiresAt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Sign a token and record it as issued
+   * @param {string} type - Token type (access or refresh)
+   * @param {string} clientId - The client ID
+   * @param {Object} metadata - Additional data stored in the token
+   * @param {string} family - The token family ID
+   * @param {number} issuedAt - Issue time in seconds
+   * @param {number} expiresAt - Expiry time in seconds
+   * @returns {string} The signed token
+   */
+  signToken(type, clientId, metadata, family, issuedAt, expiresAt) {
+    const tokenId = uuidv4();
+    
+    this.issuedTokens.set(tokenId, { clientId, family, expiresAt: expiresAt * 1000 });
+    
+    return signJwt({
+      sub: clientId,
+      aud: this.authConfig.audience,
+      iat: issuedAt,
+      exp: expiresAt,
+      jti: tokenId,
+      typ: type,
+      fam: family,
+      meta: metadata
+    }, this.authConfig.jwtSecret);
+  }
+
+  /**
+   * Verify a token and return its claims
+   * @param {string} token - The token
+   * @param {string} [type='access'] - Expected token type (access or refresh)
+   * @returns {Object} The verified claims
+   * @throws {Error} If the token is invalid, expired, revoked or of another type; `error.code` is set
+   */
+  verifyToken(token, type = 'access') {
+    const claims = verifyJwt(token, this.authConfig.jwtSecret, { audience: this.authConfig.audience });
+    
+    if (claims.typ !== type) {
+      const error = new Error(`Expected an ${type} token`);
+      error.code = 'INVALID_TOKEN';
+      throw error;
+    }
+    
+    if (this.revokedTokens.has(claims.jti) || this.revokedFamilies.has(claims.fam)) {
+      const error = new Error('Token has been revoked');
+      error.code = 'TOKEN_REVOKED';
+      throw error;
+    }
+    
+    return claims;
+  }
+
+  /**
+   * Validate an access token
+   * @param {string} token - The access token
+   * @returns {Object|null} Token info { clientId, metadata, expiresAt, tokenId, family } or null if invalid
+   */
+  validateToken(token) {
+    try {
+      const claims = this.verifyToken(token, 'access');
+      
+      return {
+        clientId: claims.sub,
+        metadata: claims.meta || {},
+        expiresAt: new Date(claims.exp * 1000),
+        tokenId: claims.jti,
+        family: claims.fam
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   *
+   * Refresh tokens are single use. Presenting a refresh token that was
+   * already rotated means it was copied, so its whole family is revoked.
+   * @param {string} refreshToken - The refresh token
+   * @param {string} [clientId] - Client presenting the token; must be the client it was issued to
+   * @returns {Object|null} New token info or null if the refresh token is invalid
+   */
+  refreshToken(refreshToken, clientId) {
+    let claims;
+    try {
+      claims = verifyJwt(refreshToken, this.authConfig.jwtSecret, { audience: this.authConfig.audience });
+    } catch (error) {
+      return null;
+    }
+    
+    if (claims.typ !== 'refresh' || this.revokedFamilies.has(claims.fam)) {
+      return null;
+    }
+    
+    if (clientId !== undefined && claims.sub !== clientId) {
+      return null;
+    }
+    
+    const revocation = this.revokedTokens.get(claims.jti);
+    if (revocation) {
+      if (revocation.reason === 'rotated') {
+        log.warn(`Refresh token reused for client ${claims.sub}, revoking its token family`);
+        this.revokeFamily(claims.fam);
+      }
+      return null;
+    }
+    
+    // Rotate: the presented refresh token can no longer be used
+    this.revokedTokens.set(claims.jti, { reason: 'rotated', expiresAt: claims.exp * 1000 });
+    this.issuedTokens.delete(claims.jti);
+    
+    return this.generateToken(claims.sub, claims.meta || {}, claims.fam);
+  }
+
+  /**
+   * Check if a client holds tokens that are still valid
+   * @param {string} clientId - The client ID
+   * @returns {boolean} True if an unexpired, unrevoked token was issued to the client
+   */
+  hasActiveTokens(clientId) {
+    const now = Date.now();
+    
+    for (const tokenInfo of this.issuedTokens.values()) {
+      if (tokenInfo.clientId === clientId && tokenInfo.expiresAt > now && !this.revokedFamilies.has(tokenInfo.family)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Revoke a single token
+   * @param {string} token - The access or refresh token
+   * @returns {boolean} True if the token was valid and is now revoked
+   */
+  revokeToken(token) {
+    let claims;
+    try {
+      claims = verifyJwt(token, this.authConfig.jwtSecret, { audience: this.authConfig.audience });
+    } catch (error) {
+      return false;
+    }
+    
+    this.revokedTokens.set(claims.jti, { reason: 'revoked', expiresAt: claims.exp * 1000 });
+    this.issuedTokens.delete(claims.jti);
+    return true;
+  }
+
+  /**
+   * Revoke every token of a token family
+   * @param {string} family - The token family ID
+   */
+  revokeFamily(family) {
+    // No token of the family outlives the longest refresh token lifetime
+    this.revokedFamilies.set(family, Date.now() + this.authConfig.refreshTokenExpirationSeconds * 1000);
+    
+    for (const [tokenId, tokenInfo] of this.issuedTokens.entries()) {
+      if (tokenInfo.family === family) {
+        this.issuedTokens.delete(tokenId);
+      }
+    }
+  }
+
+  /**
+   * Revoke all tokens issued to a client
+   * @param {string} clientId - The client ID
+   * @returns {number} Number of tokens revoked
+   */
+  revokeClientTokens(clientId) {
+    const families = new Set();
+    let count = 0;
+    
+    for (const tokenInfo of this.issuedTokens.values()) {
+      if (tokenInfo.clientId === clientId) {
+        families.add(tokenInfo.family);
+        count++;
+      }
+    }
+    
+    for (const family of families) {
+      this.revokeFamily(family);
+    }
+    
+    return count;
+  }
+
+  /**
+   * Forget revocations and issued tokens that have expired anyway
+   * @returns {number} Number of entries removed
+   */
+  cleanupExpiredTokens() {
+    const now = Date.now();
+    let count = 0;
+    
+    for (const tokenMap of [this.issuedTokens, this.revokedTokens]) {
+      for (const [tokenId, tokenInfo] of tokenMap.entries()) {
+        if (tokenInfo.expiresAt <= now) {
+          tokenMap.delete(tokenId);
+          count++;
+        }
+      }
+    }
+    
+    for (const [family, expiresAt] of this.revokedFamilies.entries()) {
+      if (expiresAt <= now) {
+        this.revokedFamilies.delete(family);
+        count++;
+      }
+    }
+    
+    return count;
+  }
+
+  /**
+   * Dispose of the authentication manager
+   */
+  dispose() {
+    this.issuedTokens.clear();
+    this.revokedTokens.clear();
+    this.revokedFamilies.clear();
+  }
+}
+
 module.exports = {
-  MCPAuthManager
-};
\ No newline at end of file
+  MCPAuthManager,
+  AuthManager
+};
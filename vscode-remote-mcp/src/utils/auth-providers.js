@@ -0,0 +1,499 @@
+/**
+ * Authentication Providers for VSCode Remote MCP
+ *
+ * This module checks client credentials for the authentication handlers, including:
+ * - A registry mapping authentication methods to providers
+ * - Static API keys read from a JSON file
+ * - Username/password pairs read from an htpasswd file with bcrypt or scrypt hashes
+ * - Client certificates presented over mutual TLS
+ * - Mapping the authenticated identity to its permissions
+ *
+ * Credential files are re-read when they change, so keys and users can be
+ * added or removed without restarting the server.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const { getLogger } = require('./logger');
+
+const log = getLogger('auth-providers');
+
+/**
+ * Authentication methods clients can request
+ * @enum {string}
+ */
+const AUTH_METHODS = {
+  TOKEN: 'token',
+  API_KEY: 'api_key',
+  PASSWORD: 'password',
+  CLIENT_CERTIFICATE: 'client_certificate'
+};
+
+/**
+ * Create an authentication error
+ * @param {string} message - The error message
+ * @param {string} [code='AUTH_FAILED'] - Error code reported to the client
+ * @returns {Error} The error
+ */
+function createAuthError(message, code = 'AUTH_FAILED') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Hash a secret with SHA-256
+ * @param {string} secret - The secret
+ * @returns {Buffer} The digest
+ */
+function sha256(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Compare two buffers in constant time
+ * @param {Buffer} a - First buffer
+ * @param {Buffer} b - Second buffer
+ * @returns {boolean} True if the buffers are equal
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read a file again only when it has changed
+ */
+class CredentialFile {
+  /**
+   * Create a new CredentialFile instance
+   * @param {string} filePath - Path to the file
+   * @param {Function} parse - Called with the file content, returns the parsed entries
+   */
+  constructor(filePath, parse) {
+    this.filePath = filePath;
+    this.parse = parse;
+    this.mtimeMs = null;
+    this.entries = null;
+  }
+
+  /**
+   * Get the parsed entries, reloading the file if it changed
+   * @returns {*} The parsed entries
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  load() {
+    const stats = fs.statSync(this.filePath);
+
+    if (this.entries === null || stats.mtimeMs !== this.mtimeMs) {
+      this.entries = this.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.mtimeMs = stats.mtimeMs;
+    }
+
+    return this.entries;
+  }
+}
+
+/**
+ * Parse an API key file
+ *
+ * The file is JSON of the form `{ "keys": [{ "id", "key" | "sha256", "permissions" }] }`,
+ * where `sha256` is the hex digest of the key so the file does not need to hold it.
+ * @param {string} content - The file content
+ * @returns {Array<Object>} Keys as { id, digest, permissions }
+ * @throws {Error} If an entry is invalid
+ */
+function parseApiKeyFile(content) {
+  const { keys } = JSON.parse(content);
+
+  if (!Array.isArray(keys)) {
+    throw new Error('API key file must contain a "keys" array');
+  }
+
+  return keys.map((entry, index) => {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) {
+      throw new Error(`API key ${index + 1} must have an id`);
+    }
+    if (typeof entry.key !== 'string' && !/^[0-9a-f]{64}$/i.test(entry.sha256 || '')) {
+      throw new Error(`API key "${entry.id}" must have a key or a sha256 digest`);
+    }
+
+    return {
+      id: entry.id,
+      digest: typeof entry.key === 'string' ? sha256(entry.key) : Buffer.from(entry.sha256, 'hex'),
+      permissions: Array.isArray(entry.permissions) ? entry.permissions : []
+    };
+  });
+}
+
+/**
+ * Parse an htpasswd file
+ * @param {string} content - The file content, one `username:hash` per line
+ * @returns {Map<string, string>} Map of username to password hash
+ */
+function parseHtpasswdFile(content) {
+  const users = new Map();
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const separator = trimmed.indexOf(':');
+    if (separator > 0) {
+      users.set(trimmed.slice(0, separator), trimmed.slice(separator + 1));
+    }
+  }
+
+  return users;
+}
+
+/**
+ * Derive an scrypt key
+ * @param {string} password - The password
+ * @param {Buffer} salt - The salt
+ * @param {number} keyLength - Length of the derived key
+ * @param {Object} params - scrypt parameters { N, r, p }
+ * @returns {Promise<Buffer>} The derived key
+ */
+function deriveScryptKey(password, salt, keyLength, params) {
+  // Leave room for large cost parameters; Node's default limit is 32 MB
+  const maxmem = 256 * params.N * params.r + 32 * 1024 * 1024;
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, { ...params, maxmem }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+/**
+ * Hash a password for an htpasswd file with scrypt
+ *
+ * The hash has the form `$scrypt$ln=<log2 N>,r=<r>,p=<p>$<salt>$<key>` with
+ * base64 salt and key.
+ * @param {string} password - The password
+ * @param {Object} [options={}] - scrypt options
+ * @param {number} [options.cost=14] - log2 of the CPU/memory cost N
+ * @param {number} [options.blockSize=8] - Block size r
+ * @param {number} [options.parallelization=1] - Parallelization p
+ * @returns {Promise<string>} The password hash
+ */
+async function hashScryptPassword(password, options = {}) {
+  const { cost = 14, blockSize = 8, parallelization = 1 } = options;
+  const salt = crypto.randomBytes(16);
+  const key = await deriveScryptKey(password, salt, 32, { N: 2 ** cost, r: blockSize, p: parallelization });
+
+  return `$scrypt$ln=${cost},r=${blockSize},p=${parallelization}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Check a password against an scrypt hash
+ * @param {string} password - The password
+ * @param {string} hash - Hash created by hashScryptPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyScryptPassword(password, hash) {
+  const match = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(hash);
+  if (!match) {
+    return false;
+  }
+
+  const [, cost, blockSize, parallelization, salt, key] = match;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await deriveScryptKey(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: 2 ** Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+
+  return safeEqual(actual, expected);
+}
+
+/**
+ * Check a password against an htpasswd hash
+ * @param {string} password - The password
+ * @param {string} hash - bcrypt (`$2a$`, `$2b$`, `$2y$`) or scrypt (`$scrypt$`) hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+function verifyPassword(password, hash) {
+  if (/^\$2[aby]\$/.test(hash)) {
+    return bcrypt.compare(password, hash);
+  }
+  if (hash.startsWith('$scrypt$')) {
+    return verifyScryptPassword(password, hash);
+  }
+
+  // MD5, SHA-1 and crypt(3) hashes are too weak to accept
+  return Promise.resolve(false);
+}
+
+/**
+ * Provider for access tokens issued by the server
+ */
+class TokenProvider {
+  /**
+   * Create a new TokenProvider instance
+   * @param {Function} verifyToken - Called with a token, returns its claims or throws
+   */
+  constructor(verifyToken) {
+    this.verifyToken = verifyToken;
+  }
+
+  /**
+   * Authenticate with an access token
+   * @param {Object} credentials - Request payload with `token`
+   * @returns {Promise<Object>} Identity { identity, permissions, clientId }
+   */
+  async authenticate(credentials) {
+    if (!credentials.token) {
+      throw createAuthError('Missing authentication token', 'MISSING_TOKEN');
+    }
+
+    let claims;
+    try {
+      claims = this.verifyToken(credentials.token);
+    } catch (error) {
+      throw createAuthError(error.message, error.code || 'INVALID_TOKEN');
+    }
+
+    const metadata = claims.meta || {};
+    return {
+      identity: metadata.identity || null,
+      permissions: metadata.permissions || [],
+      clientId: claims.sub,
+      metadata
+    };
+  }
+}
+
+/**
+ * Provider for static API keys
+ */
+class ApiKeyProvider {
+  /**
+   * Create a new ApiKeyProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.file - Path to the API key file
+   */
+  constructor(options) {
+    this.keyFile = new CredentialFile(options.file, parseApiKeyFile);
+  }
+
+  /**
+   * Authenticate with an API key
+   * @param {Object} credentials - Request payload with `apiKey`
+   * @returns {Promise<Object>} Identity { identity, permissions }
+   */
+  async authenticate(credentials) {
+    if (typeof credentials.apiKey !== 'string' || !credentials.apiKey) {
+      throw createAuthError('Missing API key', 'MISSING_CREDENTIALS');
+    }
+
+    const digest = sha256(credentials.apiKey);
+
+    // Compare against every key so the time taken does not reveal which one matched
+    let matched = null;
+    for (const key of this.keyFile.load()) {
+      if (safeEqual(digest, key.digest) && !matched) {
+        matched = key;
+      }
+    }
+
+    if (!matched) {
+      throw createAuthError('Invalid API key');
+    }
+
+    return { identity: matched.id, permissions: matched.permissions };
+  }
+}
+
+/**
+ * Provider for usernames and passwords from an htpasswd file
+ */
+class HtpasswdProvider {
+  /**
+   * Create a new HtpasswdProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.file - Path to the htpasswd file
+   */
+  constructor(options) {
+    this.userFile = new CredentialFile(options.file, parseHtpasswdFile);
+  }
+
+  /**
+   * Authenticate with a username and password
+   * @param {Object} credentials - Request payload with `username` and `password`
+   * @returns {Promise<Object>} Identity { identity, permissions }
+   */
+  async authenticate(credentials) {
+    const { username, password } = credentials;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username) {
+      throw createAuthError('Missing username or password', 'MISSING_CREDENTIALS');
+    }
+
+    const hash = this.userFile.load().get(username);
+
+    if (!hash || !(await verifyPassword(password, hash))) {
+      throw createAuthError('Invalid username or password');
+    }
+
+    return { identity: username, permissions: [] };
+  }
+}
+
+/**
+ * Provider for client certificates verified during the TLS handshake
+ */
+class ClientCertificateProvider {
+  /**
+   * Authenticate with the certificate the client presented when connecting
+   * @param {Object} credentials - Request payload (unused)
+   * @param {Object} client - The client, with `certificate` and `certificateAuthorized` set by the transport
+   * @returns {Promise<Object>} Identity { identity, permissions }
+   */
+  async authenticate(credentials, client) {
+    const certificate = client && client.certificate;
+
+    if (!certificate) {
+      throw createAuthError('No client certificate was presented', 'MISSING_CREDENTIALS');
+    }
+    if (!client.certificateAuthorized) {
+      throw createAuthError('Client certificate is not signed by a trusted authority');
+    }
+
+    const identity = certificate.subject && certificate.subject.CN;
+    if (!identity) {
+      throw createAuthError('Client certificate has no common name');
+    }
+
+    return { identity, permissions: [], fingerprint: certificate.fingerprint256 };
+  }
+}
+
+/**
+ * Authentication provider registry
+ */
+class AuthProviderRegistry {
+  /**
+   * Create a new AuthProviderRegistry instance
+   * @param {Object} [options={}] - Registry options
+   * @param {Object.<string, Array<string>>} [options.permissions={}] - Permissions granted to each identity
+   */
+  constructor(options = {}) {
+    this.permissions = options.permissions || {};
+
+    // Map of providers: authentication method -> provider
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider
+   * @param {string} method - The authentication method
+   * @param {Object} provider - Object with an async authenticate(credentials, client) method
+   */
+  register(method, provider) {
+    this.providers.set(method, provider);
+  }
+
+  /**
+   * Unregister a provider
+   * @param {string} method - The authentication method
+   * @returns {boolean} True if a provider was removed
+   */
+  unregister(method) {
+    return this.providers.delete(method);
+  }
+
+  /**
+   * Check if a method has a provider
+   * @param {string} method - The authentication method
+   * @returns {boolean} True if the method is supported
+   */
+  has(method) {
+    return this.providers.has(method);
+  }
+
+  /**
+   * Get the supported authentication methods
+   * @returns {Array<string>} The methods
+   */
+  getMethods() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Authenticate a client
+   *
+   * The permissions of the result combine those the provider reports with
+   * those configured for the identity.
+   * @param {string} method - The authentication method
+   * @param {Object} credentials - The credentials from the request payload
+   * @param {Object} [client] - The client that sent the request
+   * @returns {Promise<Object>} { success: true, method, identity, permissions, ... } or { success: false, message, code }
+   */
+  async authenticate(method, credentials, client) {
+    const provider = this.providers.get(method);
+
+    if (!provider) {
+      return { success: false, message: `Unsupported authentication method: ${method}`, code: 'UNSUPPORTED_AUTH_METHOD' };
+    }
+
+    try {
+      const result = await provider.authenticate(credentials || {}, client);
+      const configured = (result.identity && this.permissions[result.identity]) || [];
+
+      return {
+        ...result,
+        success: true,
+        method,
+        permissions: Array.from(new Set([...result.permissions, ...configured]))
+      };
+    } catch (error) {
+      if (!error.code) {
+        log.error(`Authentication provider ${method} failed`, { error });
+      }
+      return { success: false, message: error.code ? error.message : 'Authentication failed', code: error.code || 'AUTH_FAILED' };
+    }
+  }
+}
+
+/**
+ * Create the credential providers configured in the auth section
+ * @param {Object} authConfig - The auth configuration section
+ * @returns {AuthProviderRegistry} Registry with the configured providers
+ */
+function createAuthProviders(authConfig) {
+  const providers = authConfig.providers || {};
+  const registry = new AuthProviderRegistry({ permissions: authConfig.permissions });
+
+  if (providers.apiKeysFile) {
+    registry.register(AUTH_METHODS.API_KEY, new ApiKeyProvider({ file: providers.apiKeysFile }));
+  }
+  if (providers.htpasswdFile) {
+    registry.register(AUTH_METHODS.PASSWORD, new HtpasswdProvider({ file: providers.htpasswdFile }));
+  }
+  if (providers.clientCertificates) {
+    registry.register(AUTH_METHODS.CLIENT_CERTIFICATE, new ClientCertificateProvider());
+  }
+
+  return registry;
+}
+
+module.exports = {
+  AUTH_METHODS,
+  AuthProviderRegistry,
+  TokenProvider,
+  ApiKeyProvider,
+  HtpasswdProvider,
+  ClientCertificateProvider,
+  createAuthProviders,
+  hashScryptPassword,
+  verifyPassword
+};
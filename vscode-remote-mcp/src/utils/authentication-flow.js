@@ -6,6 +6,9 @@
 
 const { MCPAuthManager } = require('./auth-manager');
 const { ClientStateModel, SessionState } = require('./client-state-model');
+const { getLogger } = require('./logger');
+
+const log = getLogger('authentication-flow');
 
 /**
  * Authentication Flow Manager class
@@ -67,7 +70,7 @@ class AuthenticationFlowManager {
         sessionId: 'session-id' // This would come from the server in a real implementation
       };
     } catch (error) {
-      console.error('Authentication flow initialization failed:', error);
+      log.error('Authentication flow initialization failed', { error });
       
       // Disconnect on failure
       await this.stateManager.disconnect({
@@ -113,7 +116,7 @@ class AuthenticationFlowManager {
       
       return true;
     } catch (error) {
-      console.error('Authentication failed:', error);
+      log.error('Authentication failed', { error });
       
       // Update state
       await this.stateManager.authenticate({ shouldFail: true });
@@ -137,7 +140,7 @@ class AuthenticationFlowManager {
       // Refresh the token
       return this.refreshToken();
     } catch (error) {
-      console.error('Token expiration handling failed:', error);
+      log.error('Token expiration handling failed', { error });
       throw error;
     }
   }
@@ -170,7 +173,7 @@ class AuthenticationFlowManager {
       
       return true;
     } catch (error) {
-      console.error('Token refresh failed:', error);
+      log.error('Token refresh failed', { error });
       throw error;
     }
   }
@@ -229,11 +232,11 @@ class AuthenticationFlowManager {
         // Check if token is about to expire
         if (this.authManager.isTokenAboutToExpire(this.serverId, this.options.tokenRefreshThreshold)) {
           this.refreshToken().catch(error => {
-            console.error('Automatic token refresh failed:', error);
+            log.error('Automatic token refresh failed', { error });
           });
         }
       } catch (error) {
-        console.error('Error checking token expiration:', error);
+        log.error('Error checking token expiration', { error });
       }
     }, this.options.tokenRefreshInterval);
   }
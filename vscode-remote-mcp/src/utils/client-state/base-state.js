@@ -4,6 +4,10 @@
  * This module provides a base class for all state classes with common functionality.
  */
 
+const { getLogger } = require('../logger');
+
+const log = getLogger('base-state');
+
 /**
  * Base State class with common state management functionality
  */
@@ -68,7 +72,7 @@ class BaseState {
       try {
         listener(oldState, newState);
       } catch (err) {
-        console.error('Error in state listener:', err);
+        log.error('Error in state listener', { error: err });
       }
     }
   }
@@ -9,6 +9,9 @@ const SessionParticipationState = require('./session-state');
 const DocumentCollaborationState = require('./document-state');
 const TerminalSharingState = require('./terminal-state');
 const { ConnectionState, SessionState } = require('./state-constants');
+const { getLogger } = require('../logger');
+
+const log = getLogger('client-state-manager');
 
 /**
  * Client State Manager class
@@ -121,14 +124,15 @@ class ClientStateManager {
   /**
    * Open a document
    * @param {string} documentUri - The document URI
+   * @param {number} [version=0] - The document version reported by the server
    * @throws {Error} If not in a session
    */
-  openDocument(documentUri) {
+  openDocument(documentUri, version = 0) {
     if (this.sessionState.getCurrentState() !== SessionState.ACTIVE_OWNER && 
         this.sessionState.getCurrentState() !== SessionState.ACTIVE_PARTICIPANT) {
       throw new Error('Cannot open document: Not in a session');
     }
-    this.documentState.openDocument(documentUri);
+    this.documentState.openDocument(documentUri, version);
   }
 
   /**
@@ -139,11 +143,21 @@ class ClientStateManager {
     this.documentState.makeEdit(edit);
   }
 
+  /**
+   * Receive a change made by another client
+   * @param {Object} change - The remote change { operations, version }
+   * @returns {Array<Object>} Remote operations to apply to the local document
+   */
+  receiveChange(change) {
+    return this.documentState.receiveChange(change);
+  }
+
   /**
    * Complete the current edit
+   * @param {number} [version] - The document version acknowledged by the server
    */
-  editComplete() {
-    this.documentState.editComplete();
+  editComplete(version) {
+    this.documentState.editComplete(version);
   }
 
   /**
@@ -207,7 +221,7 @@ class ClientStateManager {
         this.handleErrorMessage(message);
       }
     } catch (error) {
-      console.error('Error handling message:', error);
+      log.error('Error handling message', { error });
     }
   }
 
@@ -318,7 +332,7 @@ class ClientStateManager {
         try {
           callback(data);
         } catch (error) {
-          console.error(`Error in listener for ${event}:`, error);
+          log.error(`Error in listener for ${event}`, { error });
         }
       }
     }
@@ -2,10 +2,14 @@
  * Document Collaboration State for VSCode Remote MCP
  * 
  * This module manages the state transitions for document collaboration.
+ * Edits carry insert/delete operations (see ../text-operations.js) based on
+ * the last document version acknowledged by the server, and a pending edit is
+ * transformed against remote changes that arrive before it is acknowledged.
  */
 
 const BaseState = require('./base-state');
 const { DocumentState } = require('./state-constants');
+const { transformOperations } = require('../text-operations');
 
 /**
  * Document Collaboration State class
@@ -19,6 +23,7 @@ class DocumentCollaborationState extends BaseState {
     super(DocumentState.NO_DOCUMENT);
     this.documentUri = null;
     this.currentEdit = null;
+    this.version = 0;
   }
 
   /**
@@ -37,6 +42,14 @@ class DocumentCollaborationState extends BaseState {
     return this.currentEdit;
   }
 
+  /**
+   * Get the last document version acknowledged by the server
+   * @returns {number} The document version
+   */
+  getVersion() {
+    return this.version;
+  }
+
   /**
    * Validate if a transition is allowed
    * @param {string} fromState - The state to transition from
@@ -57,17 +70,20 @@ class DocumentCollaborationState extends BaseState {
   /**
    * Open a document
    * @param {string} documentUri - The document URI
+   * @param {number} [version=0] - The document version reported by the server
    * @throws {Error} If not in a valid state to open a document
    */
-  openDocument(documentUri) {
+  openDocument(documentUri, version = 0) {
     this._validateTransition(this.currentState, DocumentState.ACTIVE);
     this.documentUri = documentUri;
+    this.version = version;
     this._transitionTo(DocumentState.ACTIVE);
   }
 
   /**
    * Make an edit to the document
    * @param {Object} edit - The edit to make
+   * @param {Array<Object>} [edit.operations] - Insert/delete operations making up the edit
    * @throws {Error} If not in a valid state to make an edit
    */
   makeEdit(edit) {
@@ -75,19 +91,59 @@ class DocumentCollaborationState extends BaseState {
       throw new Error(`Cannot make edit in state: ${this.currentState}`);
     }
     this._validateTransition(this.currentState, DocumentState.EDITING);
-    this.currentEdit = edit;
+    this.currentEdit = {
+      ...edit,
+      operations: edit.operations || [],
+      baseVersion: this.version
+    };
     this._transitionTo(DocumentState.EDITING);
   }
 
+  /**
+   * Receive a change made by another client
+   * 
+   * While an edit is pending, its operations are transformed so they still
+   * apply after the remote change, and the remote operations are transformed
+   * so they can be applied on top of the pending edit.
+   * @param {Object} change - The remote change
+   * @param {Array<Object>} change.operations - The remote operations
+   * @param {number} change.version - The document version after the change
+   * @returns {Array<Object>} Remote operations to apply to the local document
+   * @throws {Error} If no document is open
+   */
+  receiveChange(change) {
+    if (this.currentState === DocumentState.NO_DOCUMENT) {
+      throw new Error(`Cannot receive change in state: ${this.currentState}`);
+    }
+
+    let operations = change.operations;
+
+    if (this.currentEdit) {
+      // Changes already committed by the server win ties with the pending edit
+      const [pending, remote] = transformOperations(this.currentEdit.operations, operations, false);
+      this.currentEdit = { ...this.currentEdit, operations: pending, baseVersion: change.version };
+      operations = remote;
+    }
+
+    this.version = change.version;
+    this.lastActivity = new Date();
+
+    return operations;
+  }
+
   /**
    * Complete the current edit
+   * @param {number} [version] - The document version acknowledged by the server
    * @throws {Error} If not in a valid state to complete an edit
    */
-  editComplete() {
+  editComplete(version) {
     if (this.currentState !== DocumentState.EDITING) {
       throw new Error(`Cannot complete edit in state: ${this.currentState}`);
     }
     this._validateTransition(this.currentState, DocumentState.ACTIVE);
+    if (version !== undefined) {
+      this.version = version;
+    }
     this.currentEdit = null;
     this._transitionTo(DocumentState.ACTIVE);
   }
@@ -103,6 +159,7 @@ class DocumentCollaborationState extends BaseState {
     this._validateTransition(this.currentState, DocumentState.NO_DOCUMENT);
     this.documentUri = null;
     this.currentEdit = null;
+    this.version = 0;
     this._transitionTo(DocumentState.NO_DOCUMENT);
   }
 
@@ -113,6 +170,7 @@ class DocumentCollaborationState extends BaseState {
     super.reset(DocumentState.NO_DOCUMENT);
     this.documentUri = null;
     this.currentEdit = null;
+    this.version = 0;
   }
 }
 
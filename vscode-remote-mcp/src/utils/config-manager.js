@@ -10,6 +10,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isValidRole } = require('./session-roles');
+const { getLogger } = require('./logger');
+
+const log = getLogger('config-manager');
 
 /**
  * Configuration Manager class
@@ -27,22 +31,41 @@ class ConfigManager {
         host: 'localhost',
         logLevel: 'info', // debug, info, warn, error
         maxClients: 10,
-        shutdownTimeoutMs: 5000
+        shutdownTimeoutMs: 5000,
+        tls: {
+          certFile: null, // Serve wss:// when set together with keyFile
+          keyFile: null,
+          caFile: null // Request client certificates signed by this CA
+        }
       },
       auth: {
         enabled: false,
         tokenExpirationSeconds: 3600,
         refreshTokenExpirationSeconds: 86400,
-        jwtSecret: 'mcp-secret-key-change-in-production'
+        jwtSecret: 'mcp-secret-key-change-in-production',
+        audience: 'vscode-remote-mcp',
+        providers: {
+          apiKeysFile: null, // JSON file of API keys
+          htpasswdFile: null, // htpasswd file with bcrypt or scrypt hashes
+          clientCertificates: false // Accept client certificates (requires server.tls.caFile)
+        },
+        permissions: {} // Identity -> permissions, e.g. { "alice": ["admin"] }
       },
       session: {
         inactivityTimeoutMs: 24 * 60 * 60 * 1000, // 24 hours
-        cleanupIntervalMs: 60 * 60 * 1000 // 1 hour
+        cleanupIntervalMs: 60 * 60 * 1000, // 1 hour
+        store: {
+          type: 'json', // json, memory, none
+          path: path.join(process.cwd(), 'data', 'sessions')
+        },
+        saveDelayMs: 500,
+        defaultRole: 'viewer' // owner, editor, terminal-operator, viewer
       },
       terminal: {
         maxBufferSize: 1000,
         inactivityTimeoutMs: 60 * 60 * 1000, // 1 hour
-        cleanupIntervalMs: 15 * 60 * 1000 // 15 minutes
+        cleanupIntervalMs: 15 * 60 * 1000, // 15 minutes
+        shell: null // Falls back to $SHELL, then bash
       },
       editor: {
         maxHistorySize: 100,
@@ -53,6 +76,34 @@ class ConfigManager {
         maxHistorySize: 20,
         inactivityTimeoutMs: 24 * 60 * 60 * 1000, // 24 hours
         cleanupIntervalMs: 60 * 60 * 1000 // 1 hour
+      },
+      presence: {
+        idleTimeoutMs: 60 * 1000, // 1 minute
+        awayTimeoutMs: 5 * 60 * 1000, // 5 minutes
+        throttleMs: 100,
+        checkIntervalMs: 15 * 1000 // 15 seconds
+      },
+      workspace: {
+        roots: [process.cwd()] // Directories file-touching tools may access
+      },
+      prompts: {
+        directory: null // Directory of markdown prompt templates
+      },
+      instances: {
+        directory: path.join(__dirname, '../../vscode-instances'), // Instance configurations and job allocations
+        runtime: 'docker', // docker, podman, memory
+        reconcileOnStartup: true, // Reconcile the instance records with the runtime when the server starts
+        pruneMissing: false // Delete records whose container is gone when reconciling on startup, instead of marking them
+      },
+      tools: {
+        executeCommand: false, // Register execute_command, which runs any shell command
+        enabled: [], // Tools to serve; empty serves every tool
+        disabled: [], // Tools never to serve, built-in or plugin
+        plugins: {
+          directories: [], // Directories of tool plugin modules
+          packages: [], // npm packages that are tool plugins
+          hotReload: true // Reload plugin directories when their files change
+        }
       }
     };
     
@@ -81,7 +132,7 @@ class ConfigManager {
         this.mergeConfig(this.config, fileConfig);
       }
     } catch (error) {
-      console.warn(`Warning: Could not load configuration from ${this.configPath}: ${error.message}`);
+      log.warn(`Could not load configuration from ${this.configPath}`, { error });
     }
     
     // Override with environment variables
@@ -137,6 +188,15 @@ class ConfigManager {
     if (process.env.MCP_SHUTDOWN_TIMEOUT_MS) {
       this.config.server.shutdownTimeoutMs = parseInt(process.env.MCP_SHUTDOWN_TIMEOUT_MS, 10);
     }
+    if (process.env.MCP_TLS_CERT_FILE) {
+      this.config.server.tls.certFile = process.env.MCP_TLS_CERT_FILE;
+    }
+    if (process.env.MCP_TLS_KEY_FILE) {
+      this.config.server.tls.keyFile = process.env.MCP_TLS_KEY_FILE;
+    }
+    if (process.env.MCP_TLS_CA_FILE) {
+      this.config.server.tls.caFile = process.env.MCP_TLS_CA_FILE;
+    }
     
     // Auth configuration
     if (process.env.MCP_AUTH_ENABLED) {
@@ -151,6 +211,18 @@ class ConfigManager {
     if (process.env.MCP_JWT_SECRET) {
       this.config.auth.jwtSecret = process.env.MCP_JWT_SECRET;
     }
+    if (process.env.MCP_JWT_AUDIENCE) {
+      this.config.auth.audience = process.env.MCP_JWT_AUDIENCE;
+    }
+    if (process.env.MCP_AUTH_API_KEYS_FILE) {
+      this.config.auth.providers.apiKeysFile = process.env.MCP_AUTH_API_KEYS_FILE;
+    }
+    if (process.env.MCP_AUTH_HTPASSWD_FILE) {
+      this.config.auth.providers.htpasswdFile = process.env.MCP_AUTH_HTPASSWD_FILE;
+    }
+    if (process.env.MCP_AUTH_CLIENT_CERTIFICATES) {
+      this.config.auth.providers.clientCertificates = process.env.MCP_AUTH_CLIENT_CERTIFICATES === 'true';
+    }
     
     // Session configuration
     if (process.env.MCP_SESSION_INACTIVITY_TIMEOUT_MS) {
@@ -159,6 +231,18 @@ class ConfigManager {
     if (process.env.MCP_SESSION_CLEANUP_INTERVAL_MS) {
       this.config.session.cleanupIntervalMs = parseInt(process.env.MCP_SESSION_CLEANUP_INTERVAL_MS, 10);
     }
+    if (process.env.MCP_SESSION_STORE) {
+      this.config.session.store.type = process.env.MCP_SESSION_STORE;
+    }
+    if (process.env.MCP_SESSION_STORE_PATH) {
+      this.config.session.store.path = process.env.MCP_SESSION_STORE_PATH;
+    }
+    if (process.env.MCP_SESSION_SAVE_DELAY_MS) {
+      this.config.session.saveDelayMs = parseInt(process.env.MCP_SESSION_SAVE_DELAY_MS, 10);
+    }
+    if (process.env.MCP_SESSION_DEFAULT_ROLE) {
+      this.config.session.defaultRole = process.env.MCP_SESSION_DEFAULT_ROLE;
+    }
     
     // Terminal configuration
     if (process.env.MCP_TERMINAL_MAX_BUFFER_SIZE) {
@@ -170,6 +254,9 @@ class ConfigManager {
     if (process.env.MCP_TERMINAL_CLEANUP_INTERVAL_MS) {
       this.config.terminal.cleanupIntervalMs = parseInt(process.env.MCP_TERMINAL_CLEANUP_INTERVAL_MS, 10);
     }
+    if (process.env.MCP_TERMINAL_SHELL) {
+      this.config.terminal.shell = process.env.MCP_TERMINAL_SHELL;
+    }
     
     // Editor configuration
     if (process.env.MCP_EDITOR_MAX_HISTORY_SIZE) {
@@ -192,6 +279,64 @@ class ConfigManager {
     if (process.env.MCP_EXTENSION_CLEANUP_INTERVAL_MS) {
       this.config.extension.cleanupIntervalMs = parseInt(process.env.MCP_EXTENSION_CLEANUP_INTERVAL_MS, 10);
     }
+    
+    // Presence configuration
+    if (process.env.MCP_PRESENCE_IDLE_TIMEOUT_MS) {
+      this.config.presence.idleTimeoutMs = parseInt(process.env.MCP_PRESENCE_IDLE_TIMEOUT_MS, 10);
+    }
+    if (process.env.MCP_PRESENCE_AWAY_TIMEOUT_MS) {
+      this.config.presence.awayTimeoutMs = parseInt(process.env.MCP_PRESENCE_AWAY_TIMEOUT_MS, 10);
+    }
+    if (process.env.MCP_PRESENCE_THROTTLE_MS) {
+      this.config.presence.throttleMs = parseInt(process.env.MCP_PRESENCE_THROTTLE_MS, 10);
+    }
+    if (process.env.MCP_PRESENCE_CHECK_INTERVAL_MS) {
+      this.config.presence.checkIntervalMs = parseInt(process.env.MCP_PRESENCE_CHECK_INTERVAL_MS, 10);
+    }
+    
+    // Workspace configuration
+    if (process.env.MCP_WORKSPACE_ROOTS) {
+      this.config.workspace.roots = process.env.MCP_WORKSPACE_ROOTS.split(path.delimiter).filter(Boolean);
+    }
+    
+    // Prompts configuration
+    if (process.env.MCP_PROMPTS_DIR) {
+      this.config.prompts.directory = process.env.MCP_PROMPTS_DIR;
+    }
+    
+    // Instances configuration
+    if (process.env.MCP_INSTANCES_DIR) {
+      this.config.instances.directory = process.env.MCP_INSTANCES_DIR;
+    }
+    if (process.env.MCP_CONTAINER_RUNTIME) {
+      this.config.instances.runtime = process.env.MCP_CONTAINER_RUNTIME;
+    }
+    if (process.env.MCP_INSTANCES_RECONCILE_ON_STARTUP) {
+      this.config.instances.reconcileOnStartup = process.env.MCP_INSTANCES_RECONCILE_ON_STARTUP === 'true';
+    }
+    if (process.env.MCP_INSTANCES_PRUNE_MISSING) {
+      this.config.instances.pruneMissing = process.env.MCP_INSTANCES_PRUNE_MISSING === 'true';
+    }
+    
+    // Tools configuration
+    if (process.env.MCP_ENABLE_EXECUTE_COMMAND) {
+      this.config.tools.executeCommand = process.env.MCP_ENABLE_EXECUTE_COMMAND === 'true';
+    }
+    if (process.env.MCP_TOOLS_ENABLED) {
+      this.config.tools.enabled = process.env.MCP_TOOLS_ENABLED.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    if (process.env.MCP_TOOLS_DISABLED) {
+      this.config.tools.disabled = process.env.MCP_TOOLS_DISABLED.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    if (process.env.MCP_TOOL_PLUGIN_DIRS) {
+      this.config.tools.plugins.directories = process.env.MCP_TOOL_PLUGIN_DIRS.split(path.delimiter).filter(Boolean);
+    }
+    if (process.env.MCP_TOOL_PLUGIN_PACKAGES) {
+      this.config.tools.plugins.packages = process.env.MCP_TOOL_PLUGIN_PACKAGES.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    if (process.env.MCP_TOOL_PLUGINS_HOT_RELOAD) {
+      this.config.tools.plugins.hotReload = process.env.MCP_TOOL_PLUGINS_HOT_RELOAD === 'true';
+    }
   }
 
   /**
@@ -216,6 +361,75 @@ class ConfigManager {
       throw new Error(`Invalid max clients: ${this.config.server.maxClients}`);
     }
     
+    const tls = this.config.server.tls;
+    if (Boolean(tls.certFile) !== Boolean(tls.keyFile)) {
+      throw new Error('TLS requires both a certificate file and a key file');
+    }
+    
+    if (tls.caFile && !tls.certFile) {
+      throw new Error('Client certificates require TLS to be enabled');
+    }
+    
+    // Validate session configuration
+    if (!['json', 'memory', 'none'].includes(this.config.session.store.type)) {
+      throw new Error(`Invalid session store type: ${this.config.session.store.type}`);
+    }
+    
+    if (!isValidRole(this.config.session.defaultRole)) {
+      throw new Error(`Invalid default session role: ${this.config.session.defaultRole}`);
+    }
+    
+    // Validate workspace configuration
+    const roots = this.config.workspace.roots;
+    if (!Array.isArray(roots) || roots.length === 0 || !roots.every(root => typeof root === 'string' && root)) {
+      throw new Error(`Invalid workspace roots: ${JSON.stringify(roots)}`);
+    }
+    
+    // Validate prompts configuration
+    const promptsDirectory = this.config.prompts.directory;
+    if (promptsDirectory !== null && (typeof promptsDirectory !== 'string' || promptsDirectory.length === 0)) {
+      throw new Error(`Invalid prompts directory: ${JSON.stringify(promptsDirectory)}`);
+    }
+    
+    // Validate instances configuration
+    const instancesDirectory = this.config.instances.directory;
+    if (typeof instancesDirectory !== 'string' || instancesDirectory.length === 0) {
+      throw new Error(`Invalid instances directory: ${JSON.stringify(instancesDirectory)}`);
+    }
+    
+    if (!['docker', 'podman', 'memory'].includes(this.config.instances.runtime)) {
+      throw new Error(`Invalid container runtime: ${this.config.instances.runtime}`);
+    }
+    
+    for (const key of ['reconcileOnStartup', 'pruneMissing']) {
+      if (typeof this.config.instances[key] !== 'boolean') {
+        throw new Error(`Invalid instances.${key}: ${JSON.stringify(this.config.instances[key])}`);
+      }
+    }
+    
+    // Validate tools configuration
+    if (typeof this.config.tools.executeCommand !== 'boolean') {
+      throw new Error(`Invalid tools.executeCommand: ${JSON.stringify(this.config.tools.executeCommand)}`);
+    }
+    
+    const isNameList = list => Array.isArray(list) && list.every(name => typeof name === 'string' && name);
+    for (const key of ['enabled', 'disabled']) {
+      if (!isNameList(this.config.tools[key])) {
+        throw new Error(`Invalid tools.${key}: ${JSON.stringify(this.config.tools[key])}`);
+      }
+    }
+    
+    const plugins = this.config.tools.plugins;
+    for (const key of ['directories', 'packages']) {
+      if (!isNameList(plugins[key])) {
+        throw new Error(`Invalid tools.plugins.${key}: ${JSON.stringify(plugins[key])}`);
+      }
+    }
+    
+    if (typeof plugins.hotReload !== 'boolean') {
+      throw new Error(`Invalid tools.plugins.hotReload: ${JSON.stringify(plugins.hotReload)}`);
+    }
+    
     // Validate auth configuration
     if (this.config.auth.enabled) {
       if (isNaN(this.config.auth.tokenExpirationSeconds) || this.config.auth.tokenExpirationSeconds < 1) {
@@ -226,8 +440,20 @@ class ConfigManager {
         throw new Error(`Invalid refresh token expiration: ${this.config.auth.refreshTokenExpirationSeconds}`);
       }
       
-      if (!this.config.auth.jwtSecret || this.config.auth.jwtSecret === 'mcp-secret-key-change-in-production') {
-        console.warn('Warning: Using default JWT secret. This is insecure for production environments.');
+      if (typeof this.config.auth.jwtSecret !== 'string' || this.config.auth.jwtSecret.length === 0) {
+        throw new Error('A JWT secret is required when authentication is enabled');
+      }
+      
+      if (this.config.auth.jwtSecret === 'mcp-secret-key-change-in-production') {
+        log.warn('Using default JWT secret. This is insecure for production environments.');
+      }
+      
+      if (typeof this.config.auth.audience !== 'string' || this.config.auth.audience.length === 0) {
+        throw new Error(`Invalid JWT audience: ${this.config.auth.audience}`);
+      }
+      
+      if (this.config.auth.providers.clientCertificates && !this.config.server.tls.caFile) {
+        throw new Error('Client certificate authentication requires server.tls.caFile');
       }
     }
   }
@@ -280,7 +506,7 @@ class ConfigManager {
       fs.writeFileSync(savePath, JSON.stringify(this.config, null, 2), 'utf8');
       return true;
     } catch (error) {
-      console.error(`Error saving configuration to ${savePath}: ${error.message}`);
+      log.error(`Error saving configuration to ${savePath}`, { error });
       return false;
     }
   }
@@ -5,6 +5,9 @@
 
 const { ClientStateManager } = require('./client-state-model');
 const { MCPAuthManager } = require('./auth-manager');
+const { getLogger } = require('./logger');
+
+const log = getLogger('connection-manager');
 
 /**
  * MCP Connection Manager
@@ -61,7 +64,7 @@ class MCPConnectionManager {
       } else {
         // Authentication failed
         this.stateManager.setConnectionState('AuthenticationFailed');
-        console.error('Authentication failed:', message.payload?.error || 'Unknown error');
+        log.error('Authentication failed', { reason: message.payload?.error || 'Unknown error' });
       }
     });
     
@@ -73,7 +76,7 @@ class MCPConnectionManager {
       } else {
         // Session failed to start
         this.stateManager.setSessionState('Failed');
-        console.error('Session failed:', message.payload?.error || 'Unknown error');
+        log.error('Session failed', { reason: message.payload?.error || 'Unknown error' });
       }
     });
     
@@ -111,7 +114,7 @@ class MCPConnectionManager {
         .then((authToken) => {
           // If no token is available, fail the connection
           if (!authToken) {
-            console.error('Authentication failed: No token available');
+            log.error('Authentication failed: No token available');
             resolve(false);
             return;
           }
@@ -132,7 +135,7 @@ class MCPConnectionManager {
           resolve(true);
         })
         .catch((error) => {
-          console.error('Authentication failed:', error.message);
+          log.error('Authentication failed', { error });
           resolve(false);
         });
     });
@@ -174,7 +177,7 @@ class MCPConnectionManager {
               resolve(true);
             })
             .catch((error) => {
-              console.error('Failed to clear auth token:', error.message);
+              log.error('Failed to clear auth token', { error });
               // Still consider disconnection successful
               this.stateManager.setConnectionState('Disconnected');
               resolve(true);
@@ -185,7 +188,7 @@ class MCPConnectionManager {
           resolve(true);
         }
       } catch (error) {
-        console.error('Disconnection failed:', error.message);
+        log.error('Disconnection failed', { error });
         resolve(false);
       }
     });
@@ -202,7 +205,7 @@ class MCPConnectionManager {
       try {
         // Check if connected
         if (this.stateManager.getConnectionState() !== 'Connected') {
-          console.error('Cannot start session: Not connected');
+          log.error('Cannot start session: Not connected');
           resolve(false);
           return;
         }
@@ -224,7 +227,7 @@ class MCPConnectionManager {
         
         resolve(true);
       } catch (error) {
-        console.error('Failed to start session:', error.message);
+        log.error('Failed to start session', { error });
         resolve(false);
       }
     });
@@ -239,7 +242,7 @@ class MCPConnectionManager {
       try {
         // Check if session is active
         if (this.stateManager.getSessionState() !== 'Active') {
-          console.error('Cannot end session: No active session');
+          log.error('Cannot end session: No active session');
           resolve(false);
           return;
         }
@@ -259,7 +262,7 @@ class MCPConnectionManager {
         
         resolve(true);
       } catch (error) {
-        console.error('Failed to end session:', error.message);
+        log.error('Failed to end session', { error });
         resolve(false);
       }
     });
@@ -337,7 +340,7 @@ class MCPConnectionManager {
                 resolve(true);
               })
               .catch((error) => {
-                console.error('Failed to set token:', error.message);
+                log.error('Failed to set token', { error });
                 resolve(false);
               });
           } else {
@@ -345,7 +348,7 @@ class MCPConnectionManager {
           }
         })
         .catch((error) => {
-          console.error('Failed to refresh token:', error.message);
+          log.error('Failed to refresh token', { error });
           resolve(false);
         });
     });
@@ -0,0 +1,783 @@
+/**
+ * Container Runtimes for VSCode Remote MCP
+ *
+ * This module provides the container runtimes the instance tools run VSCode
+ * instances with. Every runtime implements the same interface, so the tools
+ * do not depend on the docker CLI:
+ * - run(spec): create and start a container, resolving with its ID
+ * - inspect(name): the state of a container, or null if there is none
+ * - list({ namePrefix }): the names of the containers, running or not
+ * - stats(name): its current CPU and memory usage
+ * - start(name), restart(name): start it again after it stopped, or restart it
+ * - stop(name), kill(name), remove(name): stop, kill or delete it
+ * - update(name, limits): change its CPU and memory limits in place
+ * - removeVolume(name): delete a named volume
+ * - logs(name): its output
+ *
+ * Every method takes an options object whose `signal` cancels the call.
+ * Operations on a missing container fail with the code NO_SUCH_CONTAINER,
+ * and removing a missing volume fails with NO_SUCH_VOLUME.
+ */
+
+const { execFileAsync } = require('./exec-async');
+const { createAbortError } = require('./tool-context');
+
+/**
+ * Error code of operations on a container that does not exist
+ * @type {string}
+ */
+const NO_SUCH_CONTAINER = 'NO_SUCH_CONTAINER';
+
+/**
+ * Error code of removing a volume that does not exist
+ * @type {string}
+ */
+const NO_SUCH_VOLUME = 'NO_SUCH_VOLUME';
+
+/**
+ * How long the instance tools wait before checking that a new container is still running
+ * @type {number}
+ */
+const DEFAULT_STARTUP_DELAY_MS = 2000;
+
+/**
+ * Create the error of an operation on a missing container
+ * @param {string} name - Container name
+ * @returns {Error} An error with code NO_SUCH_CONTAINER
+ */
+function createNoSuchContainerError(name) {
+  const error = new Error(`No such container: ${name}`);
+  error.code = NO_SUCH_CONTAINER;
+  return error;
+}
+
+/**
+ * Create the error of removing a missing volume
+ * @param {string} name - Volume name
+ * @returns {Error} An error with code NO_SUCH_VOLUME
+ */
+function createNoSuchVolumeError(name) {
+  const error = new Error(`No such volume: ${name}`);
+  error.code = NO_SUCH_VOLUME;
+  return error;
+}
+
+/**
+ * Runtime that drives a Docker-compatible command line
+ */
+class CliContainerRuntime {
+  /**
+   * Create a new CliContainerRuntime instance
+   * @param {Object} [options={}] - Runtime options
+   * @param {string} [options.command='docker'] - The CLI program
+   * @param {Function} [options.execFile=execFileAsync] - Runs the CLI with an argument array, like execFileAsync
+   * @param {number} [options.startupDelayMs=2000] - How long a new container should run before it is checked
+   */
+  constructor(options = {}) {
+    this.command = options.command || 'docker';
+    this.name = this.command;
+    this.execFile = options.execFile || execFileAsync;
+    this.startupDelayMs = options.startupDelayMs !== undefined ? options.startupDelayMs : DEFAULT_STARTUP_DELAY_MS;
+  }
+
+  /**
+   * Run the CLI
+   * @param {Array<string>} args - Its arguments
+   * @param {Object} [options={}] - Call options
+   * @param {AbortSignal} [options.signal] - Kills the CLI when aborted
+   * @param {Object} [options.env] - Variables added to the environment of the CLI
+   * @returns {Promise<Object>} Resolves with { stdout, stderr }
+   * @throws {Error} With code NO_SUCH_CONTAINER or NO_SUCH_VOLUME if the CLI reports a missing container or volume
+   */
+  async exec(args, options = {}) {
+    const execOptions = { signal: options.signal };
+    if (options.env) {
+      execOptions.env = { ...process.env, ...options.env };
+    }
+
+    try {
+      return await this.execFile(this.command, args, execOptions);
+    } catch (error) {
+      const output = error.stderr || error.message;
+      if (/no such (?:container|object)/i.test(output)) {
+        error.code = NO_SUCH_CONTAINER;
+      } else if (/no such volume/i.test(output)) {
+        error.code = NO_SUCH_VOLUME;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the arguments of `run` for a container specification
+   *
+   * Secret variables are passed by name only; the CLI reads their values
+   * from its own environment, so they never appear in process listings or
+   * in the messages of failed commands.
+   *
+   * @param {Object} spec - Container specification, see run
+   * @returns {Array<string>} The arguments after `run`
+   */
+  buildRunArgs(spec) {
+    const args = ['-d', '--name', spec.name];
+
+    if (spec.restart) {
+      args.push('--restart', spec.restart);
+    }
+    for (const { host, container } of spec.ports || []) {
+      args.push('-p', `${host}:${container}`);
+    }
+    for (const { source, target } of spec.volumes || []) {
+      args.push('-v', `${source}:${target}`);
+    }
+    if (spec.cpus !== undefined) {
+      args.push(`--cpus=${spec.cpus}`);
+    }
+    if (spec.memory !== undefined) {
+      args.push(`--memory=${spec.memory}`);
+    }
+    for (const [key, value] of Object.entries(spec.env || {})) {
+      args.push('-e', `${key}=${value}`);
+    }
+    for (const key of Object.keys(spec.secretEnv || {})) {
+      args.push('-e', key);
+    }
+
+    args.push(spec.image, ...(spec.command || []));
+    return args;
+  }
+
+  /**
+   * Create and start a container
+   * @param {Object} spec - Container specification
+   * @param {string} spec.name - Container name
+   * @param {string} spec.image - Image to run; it is pulled if missing
+   * @param {Array<string>} [spec.command] - Command and arguments overriding those of the image
+   * @param {Array<Object>} [spec.ports] - Published ports as { host, container }
+   * @param {Array<Object>} [spec.volumes] - Mounts as { source, target }; a source without a slash is a named volume
+   * @param {Object} [spec.env] - Environment variables
+   * @param {Object} [spec.secretEnv] - Environment variables kept off the command line
+   * @param {number|string} [spec.cpus] - CPU limit
+   * @param {string} [spec.memory] - Memory limit, e.g. 2g
+   * @param {string} [spec.restart] - Restart policy, e.g. unless-stopped
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<string>} The container ID
+   */
+  async run(spec, options = {}) {
+    const { stdout } = await this.exec(['run', ...this.buildRunArgs(spec)], { signal: options.signal, env: spec.secretEnv });
+    return stdout.trim();
+  }
+
+  /**
+   * Get the state of a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<Object|null>} { id, name, image, status, running, startedAt, health, ports, mounts } or null if there is no such container;
+   *   `health` is the status of the image's health check (starting, healthy or unhealthy), or null without one,
+   *   `ports` maps container ports such as `8080/tcp` to the host port they are published on, and
+   *   `mounts` lists the mounts as { source, target }, with the volume name as source of a named volume
+   */
+  async inspect(name, options = {}) {
+    let stdout;
+    try {
+      ({ stdout } = await this.exec(['inspect', '--type', 'container', name], options));
+    } catch (error) {
+      if (error.code === NO_SUCH_CONTAINER) {
+        return null;
+      }
+      throw error;
+    }
+
+    const [data] = JSON.parse(stdout);
+    return this.parseInspect(data);
+  }
+
+  /**
+   * Turn the output of `inspect` for one container into a state
+   * @param {Object} data - The inspect data
+   * @returns {Object} { id, name, image, status, running, startedAt, health, ports, mounts }
+   */
+  parseInspect(data) {
+    const ports = {};
+    for (const [containerPort, bindings] of Object.entries((data.NetworkSettings && data.NetworkSettings.Ports) || {})) {
+      if (bindings && bindings.length > 0) {
+        ports[containerPort] = parseInt(bindings[0].HostPort, 10);
+      }
+    }
+
+    return {
+      id: data.Id,
+      name: (data.Name || '').replace(/^\//, ''),
+      image: (data.Config && data.Config.Image) || data.ImageName || null,
+      status: data.State.Status,
+      running: Boolean(data.State.Running),
+      startedAt: data.State.StartedAt || null,
+      health: (data.State.Health && data.State.Health.Status) || null,
+      ports,
+      mounts: (data.Mounts || []).map(mount => ({
+        source: mount.Type === 'volume' ? mount.Name : mount.Source,
+        target: mount.Destination
+      }))
+    };
+  }
+
+  /**
+   * List containers, running or not
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {string} [options.namePrefix] - Only containers whose name starts with this
+   * @returns {Promise<Array<string>>} The container names
+   */
+  async list(options = {}) {
+    const args = ['ps', '--all', '--format', '{{.Names}}'];
+    if (options.namePrefix) {
+      args.push('--filter', `name=${options.namePrefix}`);
+    }
+    const { stdout } = await this.exec(args, options);
+    // The name filter also matches in the middle of names
+    return stdout.split('\n')
+      .map(name => name.trim())
+      .filter(name => name && (!options.namePrefix || name.startsWith(options.namePrefix)));
+  }
+
+  /**
+   * Get the current resource usage of a running container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<Object>} { cpu, memory } as the CLI formats them, e.g. { cpu: '0.50%', memory: '120MiB / 2GiB' }
+   */
+  async stats(name, options = {}) {
+    const { stdout } = await this.exec(['stats', '--no-stream', '--format', '{{.CPUPerc}},{{.MemUsage}}', name], options);
+    const [cpu = '', memory = ''] = stdout.trim().split(',');
+    return { cpu: cpu.trim(), memory: memory.trim() };
+  }
+
+  /**
+   * Start a stopped container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async start(name, options = {}) {
+    await this.exec(['start', name], options);
+  }
+
+  /**
+   * Restart a container, or start it if it is stopped
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {number} [options.timeoutSeconds] - How long it may take to exit before it is killed; the CLI default if unset
+   * @returns {Promise<void>}
+   */
+  async restart(name, options = {}) {
+    const args = ['restart'];
+    if (options.timeoutSeconds !== undefined) {
+      args.push('-t', String(options.timeoutSeconds));
+    }
+    await this.exec([...args, name], options);
+  }
+
+  /**
+   * Stop a container, killing it if it does not exit in time
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {number} [options.timeoutSeconds] - How long it may take to exit; the CLI default if unset
+   * @returns {Promise<void>}
+   */
+  async stop(name, options = {}) {
+    const args = ['stop'];
+    if (options.timeoutSeconds !== undefined) {
+      args.push('-t', String(options.timeoutSeconds));
+    }
+    await this.exec([...args, name], options);
+  }
+
+  /**
+   * Kill a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async kill(name, options = {}) {
+    await this.exec(['kill', name], options);
+  }
+
+  /**
+   * Remove a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {boolean} [options.force=false] - Remove it even if it is running
+   * @param {boolean} [options.volumes=false] - Remove its anonymous volumes too
+   * @returns {Promise<void>}
+   */
+  async remove(name, options = {}) {
+    const args = ['rm'];
+    if (options.force) {
+      args.push('-f');
+    }
+    if (options.volumes) {
+      args.push('-v');
+    }
+    await this.exec([...args, name], options);
+  }
+
+  /**
+   * Change the resource limits of a container without recreating it
+   * @param {string} name - Container name or ID
+   * @param {Object} limits - The limits to change; unset ones are kept
+   * @param {number|string} [limits.cpus] - CPU limit
+   * @param {string} [limits.memory] - Memory limit, e.g. 2g
+   * @param {string} [limits.memorySwap] - Memory plus swap limit; the CLI refuses a memory limit above the current one
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async update(name, limits, options = {}) {
+    const args = ['update'];
+    if (limits.cpus !== undefined) {
+      args.push(`--cpus=${limits.cpus}`);
+    }
+    if (limits.memory !== undefined) {
+      args.push(`--memory=${limits.memory}`);
+    }
+    if (limits.memorySwap !== undefined) {
+      args.push(`--memory-swap=${limits.memorySwap}`);
+    }
+    await this.exec([...args, name], options);
+  }
+
+  /**
+   * Remove a named volume
+   * @param {string} name - Volume name
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async removeVolume(name, options = {}) {
+    await this.exec(['volume', 'rm', name], options);
+  }
+
+  /**
+   * Get the output of a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {number} [options.tail] - Only the last lines
+   * @param {string} [options.since] - Only output after this timestamp (RFC 3339 or Unix) or duration (e.g. 10m)
+   * @param {string} [options.until] - Only output before this timestamp or duration
+   * @param {boolean} [options.timestamps=false] - Prefix each line with its timestamp
+   * @returns {Promise<Object>} { stdout, stderr } of the container
+   */
+  async logs(name, options = {}) {
+    const args = ['logs'];
+    if (options.tail !== undefined) {
+      args.push('--tail', String(options.tail));
+    }
+    if (options.since) {
+      args.push('--since', String(options.since));
+    }
+    if (options.until) {
+      args.push('--until', String(options.until));
+    }
+    if (options.timestamps) {
+      args.push('--timestamps');
+    }
+    const { stdout, stderr } = await this.exec([...args, name], options);
+    return { stdout, stderr };
+  }
+}
+
+/**
+ * Runtime that drives the docker CLI
+ */
+class DockerRuntime extends CliContainerRuntime {
+  /**
+   * Create a new DockerRuntime instance
+   * @param {Object} [options={}] - Runtime options, see CliContainerRuntime
+   */
+  constructor(options = {}) {
+    super({ ...options, command: options.command || 'docker' });
+  }
+}
+
+/**
+ * Runtime that drives the podman CLI
+ *
+ * Podman accepts the docker arguments used here. Its inspect output names
+ * the image in `ImageName` and reports `Config.Image` only for some images,
+ * which parseInspect handles.
+ */
+class PodmanRuntime extends CliContainerRuntime {
+  /**
+   * Create a new PodmanRuntime instance
+   * @param {Object} [options={}] - Runtime options, see CliContainerRuntime
+   */
+  constructor(options = {}) {
+    super({ ...options, command: options.command || 'podman' });
+  }
+
+  /**
+   * Turn the output of `podman inspect` for one container into a state
+   * @param {Object} data - The inspect data
+   * @returns {Object} { id, name, image, status, running, startedAt, health, ports, mounts }
+   */
+  parseInspect(data) {
+    const state = super.parseInspect(data);
+    // Podman reports containers that exited as "exited" and never-started ones as "configured"
+    if (state.status === 'configured') {
+      state.status = 'created';
+    }
+    // Podman before 4.3 reports health checks as Healthcheck
+    if (!state.health && data.State.Healthcheck) {
+      state.health = data.State.Healthcheck.Status || null;
+    }
+    return state;
+  }
+}
+
+/**
+ * Runtime that keeps containers in memory, for tests and dry runs
+ *
+ * Containers start and stop instantly and run nothing. Their output is
+ * whatever was added with appendLogs.
+ */
+class MemoryContainerRuntime {
+  /**
+   * Create a new MemoryContainerRuntime instance
+   * @param {Object} [options={}] - Runtime options
+   * @param {number} [options.startupDelayMs=0] - How long a new container should run before it is checked
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.startupDelayMs = options.startupDelayMs || 0;
+
+    // Map of container name to its record
+    this.containers = new Map();
+
+    // Names of the named volumes containers were created with
+    this.volumes = new Set();
+  }
+
+  /**
+   * Throw if the call was cancelled
+   * @param {Object} options - Call options with `signal`
+   * @throws {Error} An AbortError if the signal aborted
+   */
+  checkSignal(options) {
+    if (options && options.signal && options.signal.aborted) {
+      throw createAbortError();
+    }
+  }
+
+  /**
+   * Get the record of a container
+   * @param {string} name - Container name or ID
+   * @returns {Object} The record
+   * @throws {Error} With code NO_SUCH_CONTAINER if there is none
+   */
+  getContainer(name) {
+    const container = this.containers.get(name) || [...this.containers.values()].find(record => record.id === name);
+    if (!container) {
+      throw createNoSuchContainerError(name);
+    }
+    return container;
+  }
+
+  /**
+   * Create and start a container
+   * @param {Object} spec - Container specification, see CliContainerRuntime#run
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<string>} The container ID
+   * @throws {Error} If the name or a host port is already taken
+   */
+  async run(spec, options = {}) {
+    this.checkSignal(options);
+
+    if (this.containers.has(spec.name)) {
+      throw new Error(`Conflict. The container name "/${spec.name}" is already in use`);
+    }
+    for (const { host } of spec.ports || []) {
+      const taken = [...this.containers.values()].some(container =>
+        container.running && container.spec.ports.some(port => String(port.host) === String(host)));
+      if (taken) {
+        throw new Error(`Bind for 0.0.0.0:${host} failed: port is already allocated`);
+      }
+    }
+
+    for (const { source } of spec.volumes || []) {
+      if (!String(source).includes('/')) {
+        this.volumes.add(source);
+      }
+    }
+
+    const id = `${Date.now().toString(16)}${Math.random().toString(16).slice(2, 10)}`.padEnd(64, '0');
+    this.containers.set(spec.name, {
+      id,
+      spec: { ports: [], volumes: [], env: {}, secretEnv: {}, ...spec },
+      running: true,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      stats: { cpu: '0.00%', memory: `0B / ${spec.memory || '0B'}` },
+      health: null,
+      logs: []
+    });
+    return id;
+  }
+
+  /**
+   * Get the state of a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<Object|null>} { id, name, image, status, running, startedAt, health, ports, mounts } or null if there is no such container
+   */
+  async inspect(name, options = {}) {
+    this.checkSignal(options);
+
+    let container;
+    try {
+      container = this.getContainer(name);
+    } catch (error) {
+      return null;
+    }
+
+    const ports = {};
+    for (const port of container.spec.ports) {
+      ports[`${port.container}/tcp`] = parseInt(port.host, 10);
+    }
+
+    return {
+      id: container.id,
+      name: container.spec.name,
+      image: container.spec.image,
+      status: container.status,
+      running: container.running,
+      startedAt: container.startedAt,
+      health: container.running ? container.health : null,
+      ports,
+      mounts: container.spec.volumes.map(({ source, target }) => ({ source, target }))
+    };
+  }
+
+  /**
+   * List containers, running or not
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {string} [options.namePrefix] - Only containers whose name starts with this
+   * @returns {Promise<Array<string>>} The container names
+   */
+  async list(options = {}) {
+    this.checkSignal(options);
+    return [...this.containers.keys()].filter(name => !options.namePrefix || name.startsWith(options.namePrefix));
+  }
+
+  /**
+   * Get the current resource usage of a running container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<Object>} { cpu, memory }
+   */
+  async stats(name, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    return container.running ? { ...container.stats } : { cpu: '0.00%', memory: '0B / 0B' };
+  }
+
+  /**
+   * Start a stopped container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async start(name, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    if (!container.running) {
+      container.running = true;
+      container.status = 'running';
+      container.startedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Restart a container, or start it if it is stopped
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async restart(name, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    container.running = true;
+    container.status = 'running';
+    container.startedAt = new Date().toISOString();
+  }
+
+  /**
+   * Stop a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async stop(name, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    container.running = false;
+    container.status = 'exited';
+  }
+
+  /**
+   * Kill a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   * @throws {Error} If the container is not running
+   */
+  async kill(name, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    if (!container.running) {
+      throw new Error(`Cannot kill container: ${name}: container is not running`);
+    }
+    container.running = false;
+    container.status = 'exited';
+  }
+
+  /**
+   * Remove a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {boolean} [options.force=false] - Remove it even if it is running
+   * @returns {Promise<void>}
+   * @throws {Error} If the container is running and force is not set
+   */
+  async remove(name, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    if (container.running && !options.force) {
+      throw new Error(`You cannot remove a running container ${container.id}. Stop the container before attempting removal or force remove`);
+    }
+    this.containers.delete(container.spec.name);
+  }
+
+  /**
+   * Change the resource limits of a container
+   * @param {string} name - Container name or ID
+   * @param {Object} limits - { cpus, memory, memorySwap }, see CliContainerRuntime#update
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   */
+  async update(name, limits, options = {}) {
+    this.checkSignal(options);
+    const container = this.getContainer(name);
+    if (limits.cpus !== undefined) {
+      container.spec.cpus = limits.cpus;
+    }
+    if (limits.memory !== undefined) {
+      container.spec.memory = limits.memory;
+      container.stats.memory = `0B / ${limits.memory}`;
+    }
+  }
+
+  /**
+   * Remove a named volume
+   * @param {string} name - Volume name
+   * @param {Object} [options={}] - Call options with `signal`
+   * @returns {Promise<void>}
+   * @throws {Error} With code NO_SUCH_VOLUME if there is none; without a code if a container still uses it
+   */
+  async removeVolume(name, options = {}) {
+    this.checkSignal(options);
+    if (!this.volumes.has(name)) {
+      throw createNoSuchVolumeError(name);
+    }
+    const user = [...this.containers.values()].find(container =>
+      container.spec.volumes.some(volume => volume.source === name));
+    if (user) {
+      throw new Error(`remove ${name}: volume is in use - [${user.id}]`);
+    }
+    this.volumes.delete(name);
+  }
+
+  /**
+   * Get the output of a container
+   * @param {string} name - Container name or ID
+   * @param {Object} [options={}] - Call options with `signal`
+   * @param {number} [options.tail] - Only the last lines
+   * @param {string} [options.since] - Only output at or after this ISO timestamp
+   * @param {string} [options.until] - Only output before this ISO timestamp
+   * @param {boolean} [options.timestamps=false] - Prefix each line with its timestamp
+   * @returns {Promise<Object>} { stdout, stderr } of the container
+   */
+  async logs(name, options = {}) {
+    this.checkSignal(options);
+    let entries = this.getContainer(name).logs;
+
+    if (options.since) {
+      const since = new Date(options.since).getTime();
+      entries = entries.filter(entry => new Date(entry.time).getTime() >= since);
+    }
+    if (options.until) {
+      const until = new Date(options.until).getTime();
+      entries = entries.filter(entry => new Date(entry.time).getTime() < until);
+    }
+    if (options.tail !== undefined) {
+      entries = options.tail > 0 ? entries.slice(-options.tail) : [];
+    }
+
+    const output = { stdout: '', stderr: '' };
+    for (const entry of entries) {
+      output[entry.stream] += `${options.timestamps ? `${entry.time} ` : ''}${entry.text}\n`;
+    }
+    return output;
+  }
+
+  /**
+   * Set the health check status of a container, as if its image had a health check
+   * @param {string} name - Container name or ID
+   * @param {string|null} health - starting, healthy or unhealthy; null for no health check
+   */
+  setHealth(name, health) {
+    this.getContainer(name).health = health;
+  }
+
+  /**
+   * Add output to a container, as if it had printed it
+   * @param {string} name - Container name or ID
+   * @param {string} text - The output; each line becomes one log entry
+   * @param {Object} [options={}] - Entry options
+   * @param {string} [options.stream='stdout'] - stdout or stderr
+   * @param {string} [options.time] - ISO timestamp of the entries; now if unset
+   */
+  appendLogs(name, text, options = {}) {
+    const container = this.getContainer(name);
+    const time = options.time || new Date().toISOString();
+    for (const line of text.replace(/\n$/, '').split('\n')) {
+      container.logs.push({ time, stream: options.stream || 'stdout', text: line });
+    }
+  }
+}
+
+/**
+ * Create the container runtime selected by the configuration
+ * @param {Object} [instancesConfig={}] - The `instances` configuration section
+ * @param {string} [instancesConfig.runtime='docker'] - docker, podman or memory
+ * @returns {CliContainerRuntime|MemoryContainerRuntime} The runtime
+ * @throws {Error} If the runtime is unknown
+ */
+function createContainerRuntime(instancesConfig = {}) {
+  switch (instancesConfig.runtime || 'docker') {
+    case 'docker':
+      return new DockerRuntime();
+    case 'podman':
+      return new PodmanRuntime();
+    case 'memory':
+      return new MemoryContainerRuntime();
+    default:
+      throw new Error(`Unknown container runtime: ${instancesConfig.runtime}`);
+  }
+}
+
+module.exports = {
+  NO_SUCH_CONTAINER,
+  NO_SUCH_VOLUME,
+  CliContainerRuntime,
+  DockerRuntime,
+  PodmanRuntime,
+  MemoryContainerRuntime,
+  createContainerRuntime
+};
@@ -3,12 +3,13 @@
  * 
  * This module handles collaborative editing between clients, including:
  * - Tracking open editors
- * - Synchronizing editor content
+ * - Synchronizing editor content through transformed edit operations
  * - Managing cursor positions and selections
  * - Handling editor lifecycle events
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { applyOperations, transformOperations, diffToOperations } = require('./text-operations');
 
 /**
  * Editor Manager class
@@ -251,27 +252,112 @@ class EditorManager {
       return false;
     }
     
+    // Record the replacement as operations so later edits can be transformed against it
+    const operations = diffToOperations(editor.content, content);
+    this.commitChange(editor, clientId, editor.version, operations);
+    
+    return true;
+  }
+
+  /**
+   * Apply an edit made against a possibly stale version of the document
+   * 
+   * Operations based on an older version are transformed against every change
+   * committed since that version, so concurrent edits are merged rather than
+   * rejected. Changes already in the history win ties between inserts at the
+   * same position.
+   * @param {string} editorId - The editor ID
+   * @param {string} clientId - The client ID making the change
+   * @param {Array<Object>} operations - Insert/delete operations (see text-operations.js)
+   * @param {number} version - The document version the operations were made against
+   * @returns {Object|null} The committed change { clientId, timestamp, baseVersion, version, operations }, or null if the edit could not be applied
+   * @throws {Error} If the operations are invalid for the document
+   */
+  applyEdit(editorId, clientId, operations, version) {
+    const editor = this.getEditor(editorId);
+    if (!editor || editor.state === 'closed') {
+      return null;
+    }
+    
+    // Verify client is a participant
+    if (!editor.participants.includes(clientId)) {
+      return null;
+    }
+    
+    // Check version
+    if (!Number.isInteger(version) || version > editor.version) {
+      return null;
+    }
+    
+    // Find the changes the client has not seen
+    const missedChanges = this.getChangesSince(editorId, version);
+    if (!missedChanges) {
+      // The history no longer reaches back to the client's version
+      return null;
+    }
+    
+    // Rebase the operations onto the current version
+    let transformed = operations;
+    for (const change of missedChanges) {
+      [transformed] = transformOperations(transformed, change.operations, false);
+    }
+    
+    return this.commitChange(editor, clientId, version, transformed);
+  }
+
+  /**
+   * Get the changes committed after a version
+   * @param {string} editorId - The editor ID
+   * @param {number} version - The version to start after
+   * @returns {Array|null} Array of changes, or null if the history no longer reaches back to version
+   */
+  getChangesSince(editorId, version) {
+    const editor = this.getEditor(editorId);
+    if (!editor) {
+      return null;
+    }
+    
+    const changes = editor.changeHistory.filter(change => change.version > version);
+    if (changes.length !== editor.version - version) {
+      return null;
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Apply operations to an editor's content and record them in its history
+   * @param {Object} editor - The editor object
+   * @param {string} clientId - The client ID making the change
+   * @param {number} baseVersion - The version the operations were made against
+   * @param {Array<Object>} operations - Operations based on the current version
+   * @returns {Object} The committed change
+   * @throws {Error} If the operations are invalid for the document
+   */
+  commitChange(editor, clientId, baseVersion, operations) {
     // Update content
-    const oldContent = editor.content;
-    editor.content = content;
+    editor.content = applyOperations(editor.content, operations);
     editor.version++;
     editor.lastActivity = new Date();
     
     // Add to change history
-    editor.changeHistory.push({
+    const change = {
       clientId,
       timestamp: new Date(),
+      baseVersion,
       version: editor.version,
-      oldContent,
-      newContent: content
-    });
+      operations
+    };
+    editor.changeHistory.push(change);
     
     // Trim history if needed
     if (editor.changeHistory.length > editor.maxHistorySize) {
       editor.changeHistory = editor.changeHistory.slice(-editor.maxHistorySize);
     }
     
-    return true;
+    this.sessionManager.updateSessionActivity(editor.sessionId);
+    
+    return change;
   }
 
   /**
@@ -447,6 +533,55 @@ class EditorManager {
     return removedCount;
   }
 
+  /**
+   * Serialize the open editors of a session for persistence
+   * @param {string} sessionId - The session ID
+   * @returns {Array} Array of plain editor data
+   */
+  serializeSessionEditors(sessionId) {
+    return this.getSessionEditors(sessionId)
+      .filter(editor => editor.state !== 'closed')
+      .map(editor => ({
+        ...editor,
+        cursors: Object.fromEntries(editor.cursors),
+        selections: Object.fromEntries(editor.selections)
+      }));
+  }
+
+  /**
+   * Restore an editor from persisted data
+   * @param {Object} data - Editor data produced by serializeSessionEditors
+   * @returns {Object} The restored editor object
+   */
+  restoreEditor(data) {
+    const editor = {
+      ...data,
+      registeredAt: new Date(data.registeredAt),
+      lastActivity: new Date(data.lastActivity),
+      participants: data.participants.slice(),
+      cursors: new Map(Object.entries(data.cursors || {})),
+      selections: new Map(Object.entries(data.selections || {})),
+      changeHistory: (data.changeHistory || []).map(change => ({
+        ...change,
+        timestamp: new Date(change.timestamp)
+      }))
+    };
+    
+    // Store editor
+    this.editors.set(editor.id, editor);
+    this.filePathMap.set(editor.filePath, editor.id);
+    
+    // Add to client editors map
+    for (const clientId of editor.participants) {
+      if (!this.clientEditors.has(clientId)) {
+        this.clientEditors.set(clientId, new Set());
+      }
+      this.clientEditors.get(clientId).add(editor.id);
+    }
+    
+    return editor;
+  }
+
   /**
    * Dispose of the editor manager
    */
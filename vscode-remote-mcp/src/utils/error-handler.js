@@ -645,6 +645,7 @@ async function retryWithBackoff(operation, maxRetries, initialDelayMs) {
  * @param {Object} [loggingService] - Optional external logging service
  */
 function logError(error, context = {}, loggingService) {
+  const logger = require('./logger');
   const logEntry = {
     timestamp: new Date().toISOString(),
     errorCode: error.payload.code,
@@ -661,8 +662,8 @@ function logError(error, context = {}, loggingService) {
     logEntry.details = error.payload.details;
   }
   
-  // Log to console
-  console.error('ERROR:', JSON.stringify(logEntry));
+  // Log as one structured line
+  logger.error(logEntry.message, logEntry);
   
   // Log to external service if provided
   if (loggingService && typeof loggingService.logError === 'function') {
@@ -775,7 +776,8 @@ class ConnectionManager {
       throw new Error(`Failed to reconnect after ${this.maxReconnectAttempts} attempts`);
     }
     
-    console.log(`Connection lost: ${reason}. Attempting to reconnect...`);
+    const logger = require('./logger');
+    logger.info(`Connection lost: ${reason}. Attempting to reconnect...`);
     
     const delay = this.calculateBackoffDelay();
     await new Promise(resolve => setTimeout(resolve, delay));
@@ -793,7 +795,7 @@ class ConnectionManager {
       });
       
       if (isRecurring) {
-        console.warn('Recurring connection failures detected. Consider alternative connection strategy.');
+        logger.warn('Recurring connection failures detected. Consider alternative connection strategy.');
       }
       
       return this.handleDisconnection(`Reconnection failed: ${error.message}`);
@@ -890,8 +892,9 @@ class ErrorRecoveryManager {
    * @returns {Promise<void>}
    */
   async defaultRecoveryStrategy(error) {
+    const logger = require('./logger');
     const recoveryAction = getRecoveryAction(error);
-    console.log(`Implementing default recovery for ${error.payload.code}: ${recoveryAction || 'No action specified'}`);
+    logger.info(`Implementing default recovery for ${error.payload.code}: ${recoveryAction || 'No action specified'}`);
     
     // Wait a moment before retrying
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -926,7 +929,8 @@ class ErrorRecoveryManager {
     try {
       await strategy(error);
     } catch (recoveryError) {
-      console.error(`Recovery failed for ${code}:`, recoveryError);
+      const logger = require('./logger');
+      logger.error(`Recovery failed for ${code}`, { error: recoveryError });
       throw recoveryError;
     }
   }
@@ -0,0 +1,131 @@
+/**
+ * Cancellable shell commands for VSCode Remote MCP
+ *
+ * This module runs the shell commands of tools (docker and friends), including:
+ * - Resolving with { stdout, stderr } and failing like util.promisify(exec)
+ * - Running programs with argument arrays, without a shell
+ * - Killing the command and every process it started when the signal aborts
+ */
+
+const { spawn } = require('child_process');
+const { createAbortError } = require('./tool-context');
+
+/**
+ * Kill a child process together with the processes it started
+ * @param {ChildProcess} child - A child spawned as the leader of its own process group
+ */
+function killProcessGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch (error) {
+    // No process groups (Windows) or the group is already gone
+    child.kill('SIGTERM');
+  }
+}
+
+/**
+ * Collect the output of a child process and settle with it
+ * @param {ChildProcess} child - The child, spawned as the leader of its own process group
+ * @param {string} description - The command line, for error messages
+ * @param {AbortSignal} [signal] - Kills the child and its children when aborted
+ * @returns {Promise<Object>} Resolves with { stdout, stderr }
+ */
+function collectOutput(child, description, signal) {
+  return new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let aborted = false;
+
+    /**
+     * Kill the command when the signal aborts
+     */
+    function onAbort() {
+      aborted = true;
+      killProcessGroup(child);
+    }
+
+    child.stdout.setEncoding('utf8').on('data', (data) => {
+      stdout += data;
+    });
+    child.stderr.setEncoding('utf8').on('data', (data) => {
+      stderr += data;
+    });
+
+    child.on('error', (error) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      reject(Object.assign(error, { stdout, stderr }));
+    });
+
+    child.on('close', (code, killSignal) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (aborted) {
+        reject(createAbortError());
+      } else if (code !== 0) {
+        const error = new Error(`Command failed: ${description}\n${stderr}`);
+        reject(Object.assign(error, { code, signal: killSignal, stdout, stderr }));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run a shell command
+ * @param {string} command - The command
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment variables
+ * @param {AbortSignal} [options.signal] - Kills the command and its children when aborted
+ * @returns {Promise<Object>} Resolves with { stdout, stderr }
+ * @throws {Error} If the command fails (with `code`, `stdout` and `stderr` set) or is aborted (an AbortError)
+ */
+async function execAsync(command, options = {}) {
+  const { signal, cwd, env } = options;
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  // The shell leads its own process group, so killing the group also stops the commands it started
+  const child = spawn(command, { shell: true, cwd, env, detached: process.platform !== 'win32' });
+  return collectOutput(child, command, signal);
+}
+
+/**
+ * Run a program with an argument array, without a shell
+ *
+ * Arguments are passed to the program as they are, so they need no quoting
+ * and cannot inject further commands.
+ *
+ * @param {string} file - The program
+ * @param {Array<string>} [args=[]] - Its arguments
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment variables
+ * @param {AbortSignal} [options.signal] - Kills the program and its children when aborted
+ * @returns {Promise<Object>} Resolves with { stdout, stderr }
+ * @throws {Error} If the program fails (with `code`, `stdout` and `stderr` set) or is aborted (an AbortError)
+ */
+async function execFileAsync(file, args = [], options = {}) {
+  const { signal, cwd, env } = options;
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+
+  const child = spawn(file, args, { cwd, env, detached: process.platform !== 'win32' });
+  return collectOutput(child, [file, ...args].join(' '), signal);
+}
+
+module.exports = {
+  execAsync,
+  execFileAsync
+};
@@ -388,6 +388,57 @@ class ExtensionManager {
     return removedCount;
   }
 
+  /**
+   * Serialize the extension states of a session for persistence
+   * @param {string} sessionId - The session ID
+   * @returns {Array} Array of plain extension state data
+   */
+  serializeSessionExtensions(sessionId) {
+    const sessionExtensions = this.extensionStates.get(sessionId);
+    if (!sessionExtensions) {
+      return [];
+    }
+    
+    return Array.from(sessionExtensions.values()).map(extensionState => ({
+      ...extensionState,
+      clients: Array.from(extensionState.clients)
+    }));
+  }
+
+  /**
+   * Restore an extension state from persisted data
+   * @param {Object} data - Extension state data produced by serializeSessionExtensions
+   * @returns {Object} The restored extension state
+   */
+  restoreExtension(data) {
+    const extensionState = {
+      ...data,
+      registeredAt: new Date(data.registeredAt),
+      lastUpdated: new Date(data.lastUpdated),
+      history: (data.history || []).map(entry => ({
+        ...entry,
+        timestamp: new Date(entry.timestamp)
+      })),
+      clients: new Set(data.clients)
+    };
+    
+    // Initialize session extensions if needed
+    if (!this.extensionStates.has(data.sessionId)) {
+      this.extensionStates.set(data.sessionId, new Map());
+    }
+    this.extensionStates.get(data.sessionId).set(extensionState.id, extensionState);
+    
+    // Add to client extensions map
+    for (const clientId of extensionState.clients) {
+      if (!this.clientExtensions.has(clientId)) {
+        this.clientExtensions.set(clientId, new Set());
+      }
+      this.clientExtensions.get(clientId).add(extensionState.id);
+    }
+    
+    return extensionState;
+  }
+
   /**
    * Dispose of the extension manager
    */
@@ -0,0 +1,190 @@
+/**
+ * Glob Matcher for VSCode Remote MCP
+ *
+ * This module matches workspace paths against glob patterns and ignore files, including:
+ * - Converting globs (`*`, `**`, `?`, `[abc]`, `{a,b}`) to regular expressions
+ * - Include/exclude glob lists in the style of `find -name` and gitignore
+ * - Parsing `.gitignore`/`.ignore` files with negation and directory-only rules
+ *
+ * All paths are relative and use `/` as separator.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression source
+ * @param {string} glob - The glob pattern
+ * @returns {string} Regular expression source matching a whole path
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        i++;
+        if (atSegmentStart && glob[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (set[0] === '!') {
+          set = `^${set.slice(1)}`;
+        }
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      i++;
+      source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a glob into a matcher function
+ *
+ * Globs without a `/` match the file name at any depth (like `find -name`);
+ * globs containing a `/` match the whole path relative to the search root.
+ * @param {string} glob - The glob pattern
+ * @returns {Function} Function taking a relative path and returning true on a match
+ */
+function compileGlob(glob) {
+  const pattern = glob.startsWith('./') ? glob.slice(2) : glob;
+  const matchBasename = !pattern.includes('/');
+  const regex = new RegExp(`^${globToRegExpSource(pattern.replace(/^\//, ''))}$`);
+
+  return relativePath => regex.test(matchBasename ? relativePath.slice(relativePath.lastIndexOf('/') + 1) : relativePath);
+}
+
+/**
+ * Create a matcher for include and exclude glob lists
+ * @param {Object} options - Matcher options
+ * @param {Array<string>} [options.include=[]] - Globs a file must match (any of them); empty matches every file
+ * @param {Array<string>} [options.require=[]] - Globs a file must also match (all of them)
+ * @param {Array<string>} [options.exclude=[]] - Globs excluding files and directories
+ * @returns {Object} Matcher with isIncluded(relativePath) and isExcluded(relativePath)
+ */
+function createGlobMatcher(options = {}) {
+  const include = (options.include || []).map(compileGlob);
+  const required = (options.require || []).map(compileGlob);
+  const exclude = (options.exclude || []).map(compileGlob);
+
+  return {
+    isIncluded: relativePath => (include.length === 0 || include.some(match => match(relativePath)))
+      && required.every(match => match(relativePath)),
+    isExcluded: relativePath => exclude.some(match => match(relativePath))
+  };
+}
+
+/**
+ * Parse the contents of a `.gitignore` or `.ignore` file
+ * @param {string} content - The file contents
+ * @param {string} [base=''] - Directory of the ignore file, relative to the search root
+ * @returns {Array<Object>} Rules as { base, negate, directoryOnly, match }
+ */
+function parseIgnoreFile(content, base = '') {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (line.endsWith('/')) {
+      directoryOnly = true;
+      line = line.slice(0, -1);
+    }
+
+    if (!line) {
+      continue;
+    }
+
+    // Patterns with a slash before the end are anchored to the ignore file's directory
+    const anchored = line.includes('/');
+    const source = globToRegExpSource(line.replace(/^\//, ''));
+    const regex = new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`);
+
+    rules.push({ base, negate, directoryOnly, match: relativePath => regex.test(relativePath) });
+  }
+
+  return rules;
+}
+
+/**
+ * Check a path against ignore rules, the last matching rule wins
+ * @param {Array<Object>} rules - Rules from parseIgnoreFile, outermost directory first
+ * @param {string} relativePath - Path relative to the search root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True if the path is ignored
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+
+    let pathFromBase = relativePath;
+    if (rule.base) {
+      if (!relativePath.startsWith(`${rule.base}/`)) {
+        continue;
+      }
+      pathFromBase = relativePath.slice(rule.base.length + 1);
+    }
+
+    if (rule.match(pathFromBase)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+module.exports = {
+  globToRegExpSource,
+  compileGlob,
+  createGlobMatcher,
+  parseIgnoreFile,
+  isIgnored
+};
@@ -1,3 +1,7 @@
+const { getLogger } = require('./logger');
+
+const log = getLogger('graceful-shutdown');
+
 /**
  * Gracefully shut down the server
  * @param {Map<string, Object>} clients - Map of connected clients
@@ -15,7 +19,7 @@ async function shutdownGracefully(
   estimatedDowntime = 300,
   options = {}
 ) {
-  console.log(`Initiating graceful shutdown: ${reason}`);
+  log.info(`Initiating graceful shutdown: ${reason}`);
   
   // Default options
   const shutdownOptions = {
@@ -41,12 +45,12 @@ async function shutdownGracefully(
   try {
     // Notify all clients
     await notifyClients(clients, shutdownMessage);
-    console.log('All clients notified of shutdown');
+    log.info('All clients notified of shutdown');
     
     // Disconnect all clients with timeout
     const timeoutPromise = new Promise((resolve) => {
       setTimeout(() => {
-        console.warn(`Shutdown timed out waiting for clients to disconnect after ${shutdownOptions.timeoutMs}ms`);
+        log.warn(`Shutdown timed out waiting for clients to disconnect after ${shutdownOptions.timeoutMs}ms`);
         resolve();
       }, shutdownOptions.timeoutMs);
     });
@@ -57,25 +61,24 @@ async function shutdownGracefully(
       timeoutPromise
     ]);
     
-    console.log('All clients disconnected');
+    log.info('All clients disconnected');
     
     // Perform any additional cleanup
     if (typeof shutdownOptions.cleanup === 'function') {
       await shutdownOptions.cleanup();
     }
-    console.log('Cleanup completed');
+    log.info('Cleanup completed');
     
     // Exit process (only if not in test mode)
     if (shutdownOptions.exitProcess !== false) {
-      console.log('Exiting process');
+      log.info('Exiting process');
       process.exit(0);
     } else {
-      console.log('Skipping process exit (test mode)');
+      log.info('Skipping process exit (test mode)');
       return shutdownMessage;
     }
   } catch (error) {
-    console.error(`Error during graceful shutdown: ${error.message}`);
-    console.error(error.stack);
+    log.error('Error during graceful shutdown', { error });
     
     // Force exit in case of error (only if not in test mode)
     if (shutdownOptions.exitProcess !== false) {
@@ -100,12 +103,12 @@ async function notifyClients(clients, message) {
   
   // Send shutdown message to each client
   for (const [clientId, client] of clients.entries()) {
-    console.log(`Notifying client ${clientId} of shutdown`);
+    log.info(`Notifying client ${clientId} of shutdown`);
     if (client && typeof client.send === 'function') {
       try {
         notifyPromises.push(client.send(message));
       } catch (error) {
-        console.error(`Failed to notify client ${clientId}:`, error);
+        log.error(`Failed to notify client ${clientId}`, { error });
         // Continue with other clients even if one fails
       }
     }
@@ -115,7 +118,7 @@ async function notifyClients(clients, message) {
   try {
     await Promise.all(notifyPromises);
   } catch (error) {
-    console.error('Error during client notification:', error);
+    log.error('Error during client notification', { error });
     // Continue with shutdown even if notifications fail
   }
 }
@@ -134,7 +137,7 @@ async function disconnectClients(clients) {
       try {
         disconnectPromises.push(client.disconnect());
       } catch (error) {
-        console.error(`Failed to disconnect client ${clientId}:`, error);
+        log.error(`Failed to disconnect client ${clientId}`, { error });
         // Continue with other clients even if one fails
       }
     }
@@ -144,7 +147,7 @@ async function disconnectClients(clients) {
   try {
     await Promise.all(disconnectPromises);
   } catch (error) {
-    console.error('Error during client disconnection:', error);
+    log.error('Error during client disconnection', { error });
     // Continue with shutdown even if disconnections fail
   }
 }
@@ -0,0 +1,164 @@
+/**
+ * Instance Health for VSCode Remote MCP
+ *
+ * This module tells whether a VSCode instance is actually serving, including:
+ * - Probing the HTTP port of an instance
+ * - Combining the probe with the state and health check of its container
+ *   into one state: starting, healthy, unhealthy, stopped or missing
+ * - Waiting until an instance is healthy, with a timeout
+ */
+
+const http = require('http');
+const { setTimeout: delay } = require('timers/promises');
+const { createAbortError } = require('./tool-context');
+
+/**
+ * How long a request to the instance may take before the probe fails
+ * @type {number}
+ */
+const DEFAULT_PROBE_TIMEOUT_MS = 2000;
+
+/**
+ * How long after the container started a failing probe means `starting` rather than `unhealthy`
+ * @type {number}
+ */
+const DEFAULT_STARTUP_GRACE_MS = 60000;
+
+/**
+ * How often waitForInstance checks again
+ * @type {number}
+ */
+const DEFAULT_WAIT_INTERVAL_MS = 1000;
+
+/**
+ * Send a request to the HTTP port of an instance
+ *
+ * Any response below 500 counts, since code-server answers `/` with a
+ * redirect to its login page.
+ *
+ * @param {number} port - Host port of the instance
+ * @param {Object} [options={}] - Probe options
+ * @param {string} [options.host='127.0.0.1'] - Host the port is published on
+ * @param {number} [options.timeoutMs=2000] - How long the request may take
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} { ok, statusCode } or { ok: false, error }
+ * @throws {Error} An AbortError if the signal aborted
+ */
+function probeHttp(port, options = {}) {
+  const { host = '127.0.0.1', timeoutMs = DEFAULT_PROBE_TIMEOUT_MS, signal } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const request = http.get({ host, port, path: '/', timeout: timeoutMs, signal }, (response) => {
+      response.resume();
+      resolve({ ok: response.statusCode < 500, statusCode: response.statusCode });
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${timeoutMs}ms`)));
+    request.on('error', (error) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+      } else {
+        resolve({ ok: false, error: error.message });
+      }
+    });
+  });
+}
+
+/**
+ * Check the health of an instance
+ *
+ * A running instance is `healthy` once its HTTP port answers, unless the
+ * health check of its container reports `unhealthy`. While the port does
+ * not answer it is `starting` during the startup grace period or while the
+ * container health check is still starting, and `unhealthy` afterwards.
+ *
+ * @param {Object} runtime - Container runtime from createContainerRuntime
+ * @param {Object} record - Record of the instance from the instance registry
+ * @param {Object} [options={}] - Check options
+ * @param {string} [options.host='127.0.0.1'] - Host the instance port is published on
+ * @param {number} [options.probeTimeoutMs=2000] - How long the HTTP request may take
+ * @param {number} [options.startupGraceMs=60000] - How long a new container may take to serve
+ * @param {AbortSignal} [options.signal] - Cancels the check
+ * @returns {Promise<Object>} { state, port, container_health, http }: `http` is the probe result, or null if the container is not running
+ */
+async function checkInstanceHealth(runtime, record, options = {}) {
+  const {
+    host,
+    probeTimeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+    startupGraceMs = DEFAULT_STARTUP_GRACE_MS,
+    signal
+  } = options;
+
+  const containerState = await runtime.inspect(record.instance_name, { signal });
+  if (!containerState || !containerState.running) {
+    return {
+      state: containerState ? 'stopped' : 'missing',
+      port: record.port,
+      container_health: null,
+      http: null
+    };
+  }
+
+  const port = containerState.ports['8080/tcp'] || record.port;
+  const probe = await probeHttp(port, { host, timeoutMs: probeTimeoutMs, signal });
+  const startedAt = new Date(containerState.startedAt).getTime();
+  const inGracePeriod = Number.isNaN(startedAt) || Date.now() - startedAt < startupGraceMs;
+
+  let state;
+  if (containerState.health === 'unhealthy') {
+    state = 'unhealthy';
+  } else if (probe.ok) {
+    state = 'healthy';
+  } else if (inGracePeriod || containerState.health === 'starting') {
+    state = 'starting';
+  } else {
+    state = 'unhealthy';
+  }
+
+  return { state, port, container_health: containerState.health, http: probe };
+}
+
+/**
+ * Wait until an instance is healthy
+ *
+ * Returns early if the container stops or disappears, since it will not
+ * become healthy on its own.
+ *
+ * @param {Object} runtime - Container runtime from createContainerRuntime
+ * @param {Object} record - Record of the instance from the instance registry
+ * @param {Object} [options={}] - Wait options; also those of checkInstanceHealth
+ * @param {number} [options.timeoutMs=120000] - How long to wait
+ * @param {number} [options.intervalMs=1000] - How long to wait between checks
+ * @param {Function} [options.onCheck] - Called with (health, elapsedMs) after every check
+ * @param {AbortSignal} [options.signal] - Cancels the wait
+ * @returns {Promise<Object>} The last health from checkInstanceHealth, with `ready` and `waited_ms`
+ * @throws {Error} An AbortError if the signal aborted
+ */
+async function waitForInstance(runtime, record, options = {}) {
+  const { timeoutMs = 120000, intervalMs = DEFAULT_WAIT_INTERVAL_MS, onCheck, signal } = options;
+  const started = Date.now();
+
+  for (;;) {
+    const health = await checkInstanceHealth(runtime, record, options);
+    const elapsed = Date.now() - started;
+    if (onCheck) {
+      onCheck(health, elapsed);
+    }
+
+    const done = ['healthy', 'stopped', 'missing'].includes(health.state) || elapsed + intervalMs > timeoutMs;
+    if (done) {
+      return { ...health, ready: health.state === 'healthy', waited_ms: elapsed };
+    }
+    await delay(intervalMs, undefined, { signal });
+  }
+}
+
+module.exports = {
+  probeHttp,
+  checkInstanceHealth,
+  waitForInstance
+};
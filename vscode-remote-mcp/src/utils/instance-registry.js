@@ -0,0 +1,544 @@
+/**
+ * Instance Registry for VSCode Remote MCP
+ *
+ * This module owns the records of the deployed VSCode instances, one
+ * `<instance_name>.json` file per instance in the instances directory,
+ * including:
+ * - Finding, creating, updating and deleting records
+ * - Upgrading records written by older versions to the current schema
+ * - A lock file, so servers and scripts sharing the directory do not overwrite each other
+ * - Reconciling the records with the container runtime: adopting instance
+ *   containers without a record and marking or pruning records whose container is gone
+ * - Lifecycle events, delivered to the listeners added with subscribe
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const { v4: uuidv4 } = require('uuid');
+const { getLogger } = require('./logger');
+
+const log = getLogger('instance-registry');
+
+/**
+ * Schema version of the records this module writes
+ *
+ * Version 1 records (without `schema_version`) are upgraded when read.
+ * Version 2 added `schema_version`, `state` and `updated_at`.
+ *
+ * @type {number}
+ */
+const RECORD_SCHEMA_VERSION = 2;
+
+/**
+ * Directory of instance records when none is configured
+ * @type {string}
+ */
+const DEFAULT_INSTANCES_DIRECTORY = path.join(__dirname, '../../vscode-instances');
+
+/**
+ * Name of the lock file in the instances directory
+ * @type {string}
+ */
+const LOCK_FILE = '.registry.lock';
+
+/**
+ * How often to try again while another process holds the lock
+ * @type {number}
+ */
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Container names deploy_vscode_instance gives instances: vscode-<name>-<8 hex digit id>
+ * @type {RegExp}
+ */
+const INSTANCE_CONTAINER_PATTERN = /^vscode-(.+)-([0-9a-f]{8})$/;
+
+/**
+ * Names instances and their containers may have
+ *
+ * Record paths are built from container names, so a name must not contain
+ * path separators or start with a dot.
+ *
+ * @type {RegExp}
+ */
+const INSTANCE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+/**
+ * Check that a name can be used for an instance or its container
+ * @param {string} name - The name
+ * @throws {Error} If the name does not match INSTANCE_NAME_PATTERN
+ */
+function assertValidInstanceName(name) {
+  if (typeof name !== 'string' || !INSTANCE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid instance name: ${name} (use letters, digits, '_', '-' and '.', not starting with '.')`);
+  }
+}
+
+/**
+ * Upgrade a record to the current schema
+ * @param {Object} record - The record as read
+ * @returns {Object} The record at RECORD_SCHEMA_VERSION
+ * @throws {Error} If the record was written by a newer version
+ */
+function migrateRecord(record) {
+  const version = record.schema_version || 1;
+  if (version > RECORD_SCHEMA_VERSION) {
+    throw new Error(`Unsupported instance record version ${version}; this server reads up to version ${RECORD_SCHEMA_VERSION}`);
+  }
+
+  let migrated = record;
+  if (version < 2) {
+    migrated = {
+      ...migrated,
+      schema_version: 2,
+      state: 'active',
+      updated_at: migrated.updated_at || migrated.created_at
+    };
+  }
+  return migrated;
+}
+
+/**
+ * Get the named volumes of an instance
+ * @param {string} instanceName - Container name of the instance
+ * @returns {Object} { data, extensions }: the volumes of the code-server data and of the installed extensions
+ */
+function getInstanceVolumes(instanceName) {
+  return {
+    data: `vscode-data-${instanceName}`,
+    extensions: `vscode-extensions-${instanceName}`
+  };
+}
+
+/**
+ * Build the record of an instance container that has none
+ * @param {Object} state - The container state from runtime.inspect
+ * @returns {Object} The record
+ */
+function buildAdoptedRecord(state) {
+  const [, name, id] = INSTANCE_CONTAINER_PATTERN.exec(state.name);
+  const workspaceMount = (state.mounts || []).find(mount => mount.target === '/workspace');
+  const now = new Date().toISOString();
+
+  return {
+    schema_version: RECORD_SCHEMA_VERSION,
+    id,
+    name,
+    instance_name: state.name,
+    workspace_path: workspaceMount ? workspaceMount.source : null,
+    port: state.ports['8080/tcp'] || null,
+    extensions: [],
+    cpu_limit: null,
+    memory_limit: null,
+    environment: {},
+    state: 'active',
+    adopted: true,
+    created_at: state.startedAt || now,
+    updated_at: now
+  };
+}
+
+/**
+ * Instance Registry class
+ */
+class InstanceRegistry {
+  /**
+   * Create a new InstanceRegistry instance
+   * @param {Object} [options={}] - Registry options
+   * @param {string} [options.directory] - Directory of the records (defaults to `vscode-instances`)
+   * @param {number} [options.lockTimeoutMs=5000] - How long to wait for the lock before giving up
+   * @param {number} [options.staleLockMs=30000] - Age after which a lock is taken over, in case its holder crashed
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_INSTANCES_DIRECTORY;
+    this.lockTimeoutMs = options.lockTimeoutMs !== undefined ? options.lockTimeoutMs : 5000;
+    this.staleLockMs = options.staleLockMs !== undefined ? options.staleLockMs : 30000;
+
+    // Listeners added with subscribe
+    this.listeners = new Set();
+
+    // Serializes the locked sections of this process
+    this.lockQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the path of the record of an instance
+   * @param {string} instanceName - Container name of the instance
+   * @returns {string} The record path
+   * @throws {Error} If the name could point outside the instances directory
+   */
+  getRecordPath(instanceName) {
+    assertValidInstanceName(instanceName);
+    return path.join(this.directory, `${instanceName}.json`);
+  }
+
+  /**
+   * Read every record
+   *
+   * Records that cannot be read, or were written by a newer version, are
+   * logged and skipped.
+   *
+   * @returns {Promise<Array<Object>>} The records, upgraded to the current schema
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Error reading instances directory', { error });
+      }
+      return [];
+    }
+
+    const records = [];
+    for (const file of files.sort()) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        if (record && record.instance_name) {
+          records.push(migrateRecord(record));
+        }
+      } catch (error) {
+        log.error(`Error reading config file ${file}`, { error });
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Find the record of an instance by its name
+   * @param {string} name - Instance name, as given to deploy_vscode_instance
+   * @returns {Promise<Object|null>} The record, or null if there is none
+   */
+  async find(name) {
+    return (await this.list()).find(record => record.name === name) || null;
+  }
+
+  /**
+   * Find the record of an instance by its ID
+   * @param {string} id - Instance ID
+   * @returns {Promise<Object|null>} The record, or null if there is none
+   */
+  async findById(id) {
+    return (await this.list()).find(record => record.id === id) || null;
+  }
+
+  /**
+   * Read the record of an instance by its container name
+   * @param {string} instanceName - Container name of the instance
+   * @returns {Promise<Object|null>} The record, or null if there is none
+   */
+  async get(instanceName) {
+    try {
+      return migrateRecord(JSON.parse(await fs.readFile(this.getRecordPath(instanceName), 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the record of a new instance
+   * @param {Object} config - The instance configuration; needs `instance_name`
+   * @returns {Promise<Object>} The record as written
+   * @throws {Error} If the name or container name is invalid
+   */
+  async create(config) {
+    assertValidInstanceName(config.name);
+    assertValidInstanceName(config.instance_name);
+    const record = await this.withLock(() => this.writeRecord({
+      ...config,
+      state: 'active',
+      updated_at: config.created_at || new Date().toISOString()
+    }));
+    this.emit('created', record);
+    return record;
+  }
+
+  /**
+   * Change the record of an instance
+   * @param {string} instanceName - Container name of the instance
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object>} The record as written
+   * @throws {Error} If there is no such record
+   */
+  async update(instanceName, changes) {
+    const record = await this.withLock(async () => {
+      const current = await this.get(instanceName);
+      if (!current) {
+        throw new Error(`Instance record not found: ${instanceName}`);
+      }
+      return this.writeRecord({ ...current, ...changes, updated_at: new Date().toISOString() });
+    });
+    this.emit('updated', record);
+    return record;
+  }
+
+  /**
+   * Delete the record of an instance
+   * @param {string} instanceName - Container name of the instance
+   * @returns {Promise<Object|null>} The deleted record, or null if there was none
+   */
+  async remove(instanceName) {
+    const record = await this.withLock(() => this.deleteRecord(instanceName));
+    if (record) {
+      this.emit('removed', record);
+    }
+    return record;
+  }
+
+  /**
+   * Bring the records in line with the containers of a runtime
+   *
+   * Containers named like instances (`vscode-<name>-<id>`) that have no
+   * record are adopted. Records whose container is gone are marked
+   * `missing`, or deleted with `prune`; a missing instance whose container
+   * is back is marked `active` again.
+   *
+   * @param {Object} runtime - Container runtime from createContainerRuntime
+   * @param {Object} [options={}] - Reconcile options
+   * @param {boolean} [options.prune=false] - Delete the records of missing containers instead of marking them
+   * @param {boolean} [options.adopt=true] - Create records for instance containers without one
+   * @param {AbortSignal} [options.signal] - Cancels the runtime calls
+   * @returns {Promise<Object>} Instance names by outcome: { adopted, missing, pruned, recovered }
+   */
+  async reconcile(runtime, options = {}) {
+    const { prune = false, adopt = true, signal } = options;
+    const result = { adopted: [], missing: [], pruned: [], recovered: [] };
+
+    const records = await this.list();
+    for (const record of records) {
+      const state = await runtime.inspect(record.instance_name, { signal });
+
+      if (!state && prune) {
+        const pruned = await this.withLock(() => this.deleteRecord(record.instance_name));
+        if (pruned) {
+          result.pruned.push(record.instance_name);
+          this.emit('pruned', pruned);
+        }
+      } else if (!state && record.state !== 'missing') {
+        const marked = await this.withLock(() => this.setState(record.instance_name, 'missing'));
+        if (marked) {
+          result.missing.push(record.instance_name);
+          this.emit('missing', marked);
+        }
+      } else if (state && record.state === 'missing') {
+        const recovered = await this.withLock(() => this.setState(record.instance_name, 'active'));
+        if (recovered) {
+          result.recovered.push(record.instance_name);
+          this.emit('recovered', recovered);
+        }
+      } else if (!state) {
+        result.missing.push(record.instance_name);
+      }
+    }
+
+    if (adopt) {
+      const known = new Set(records.map(record => record.instance_name));
+      const names = await runtime.list({ namePrefix: 'vscode-', signal });
+
+      for (const name of names) {
+        if (known.has(name) || !INSTANCE_CONTAINER_PATTERN.test(name) || !INSTANCE_NAME_PATTERN.test(name)) {
+          continue;
+        }
+        const state = await runtime.inspect(name, { signal });
+        if (!state) {
+          continue;
+        }
+
+        // Another process may have written the record in the meantime
+        const adopted = await this.withLock(async () => (
+          await this.get(name) ? null : this.writeRecord(buildAdoptedRecord(state))
+        ));
+        if (adopted) {
+          result.adopted.push(name);
+          this.emit('adopted', adopted);
+        }
+      }
+    }
+
+    if (result.adopted.length + result.missing.length + result.pruned.length + result.recovered.length > 0) {
+      log.info('Reconciled instance records', result);
+    }
+    return result;
+  }
+
+  /**
+   * Add a listener for lifecycle events
+   *
+   * The registry emits `created`, `updated`, `removed`, `adopted`, `missing`,
+   * `pruned` and `recovered`; the instance tools emit `started`, `stopped`
+   * and `restarted`.
+   *
+   * @param {Function} listener - Called with { type, name, instance_name, id, record, time }
+   * @returns {Function} Removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell every listener about a lifecycle event
+   * @param {string} type - Event type
+   * @param {Object} record - Record of the instance
+   */
+  emit(type, record) {
+    const event = {
+      type,
+      name: record.name,
+      instance_name: record.instance_name,
+      id: record.id,
+      record,
+      time: new Date().toISOString()
+    };
+
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.error(`Error in instance ${type} listener`, { error });
+      }
+    }
+  }
+
+  /**
+   * Run a function while holding the registry lock
+   *
+   * Calls in this process wait for each other; other processes are kept
+   * out by a lock file that is created exclusively and deleted afterwards.
+   *
+   * @param {Function} fn - The function; may return a promise
+   * @returns {Promise<*>} What the function returns
+   */
+  withLock(fn) {
+    const run = this.lockQueue.then(async () => {
+      const release = await this.acquireLock();
+      try {
+        return await fn();
+      } finally {
+        await release();
+      }
+    });
+    this.lockQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Create the lock file, waiting while another process holds it
+   * @returns {Promise<Function>} Deletes the lock file
+   * @throws {Error} If the lock is not free within lockTimeoutMs
+   */
+  async acquireLock() {
+    await fs.mkdir(this.directory, { recursive: true });
+    const lockPath = path.join(this.directory, LOCK_FILE);
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString() }), { flag: 'wx' });
+        return () => fs.rm(lockPath, { force: true });
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.isStaleLock(lockPath)) {
+        log.warn(`Taking over stale instance registry lock ${lockPath}`);
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for the instance registry lock ${lockPath}`);
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Check if a lock file was left behind by a process that is gone or stuck
+   * @param {string} lockPath - Path of the lock file
+   * @returns {Promise<boolean>} True if the lock may be taken over
+   */
+  async isStaleLock(lockPath) {
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs > this.staleLockMs) {
+        return true;
+      }
+
+      const { pid } = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+      if (pid === process.pid) {
+        return false;
+      }
+      process.kill(pid, 0);
+      return false;
+    } catch (error) {
+      // ESRCH: the holder is gone. ENOENT: the lock was just released.
+      // A lock file that is still being written cannot be parsed yet.
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * Write a record at the current schema version
+   *
+   * The record goes to a temporary file first, so a crash never leaves a
+   * partial record. Callers hold the lock.
+   *
+   * @param {Object} record - The record
+   * @returns {Promise<Object>} The record as written
+   */
+  async writeRecord(record) {
+    const written = { ...record, schema_version: RECORD_SCHEMA_VERSION };
+    const recordPath = this.getRecordPath(record.instance_name);
+    const tempPath = `${recordPath}.${process.pid}.${uuidv4().substring(0, 8)}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(written, null, 2));
+    await fs.rename(tempPath, recordPath);
+    return written;
+  }
+
+  /**
+   * Delete a record; callers hold the lock
+   * @param {string} instanceName - Container name of the instance
+   * @returns {Promise<Object|null>} The deleted record, or null if there was none
+   */
+  async deleteRecord(instanceName) {
+    const record = await this.get(instanceName);
+    if (record) {
+      await fs.rm(this.getRecordPath(instanceName), { force: true });
+    }
+    return record;
+  }
+
+  /**
+   * Set the `state` of a record; callers hold the lock
+   * @param {string} instanceName - Container name of the instance
+   * @param {string} state - active or missing
+   * @returns {Promise<Object|null>} The record as written, or null if it is gone
+   */
+  async setState(instanceName, state) {
+    const record = await this.get(instanceName);
+    return record ? this.writeRecord({ ...record, state, updated_at: new Date().toISOString() }) : null;
+  }
+}
+
+module.exports = {
+  RECORD_SCHEMA_VERSION,
+  DEFAULT_INSTANCES_DIRECTORY,
+  INSTANCE_NAME_PATTERN,
+  InstanceRegistry,
+  assertValidInstanceName,
+  migrateRecord,
+  getInstanceVolumes
+};
@@ -0,0 +1,397 @@
+/**
+ * JavaScript Analyzer for VSCode Remote MCP
+ *
+ * This module analyzes JavaScript and TypeScript sources (including JSX/TSX)
+ * from their syntax tree, including:
+ * - Functions, arrow functions and methods with exact line ranges
+ * - Classes with their methods
+ * - ES module imports/exports, require() calls and CommonJS exports
+ * - Cyclomatic complexity and control-flow nesting depth per function
+ */
+
+const { parse } = require('@babel/parser');
+
+/**
+ * Parser plugins by file extension
+ * @type {Object.<string, Array<string>>}
+ */
+const PARSER_PLUGINS = {
+  '.js': ['jsx'],
+  '.jsx': ['jsx'],
+  '.mjs': ['jsx'],
+  '.cjs': ['jsx'],
+  '.ts': ['typescript'],
+  '.mts': ['typescript'],
+  '.cts': ['typescript'],
+  '.tsx': ['typescript', 'jsx']
+};
+
+/**
+ * Node types that start a function
+ * @type {Set<string>}
+ */
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'ObjectMethod'
+]);
+
+/**
+ * Node types that add a nesting level inside a function
+ * @type {Set<string>}
+ */
+const NESTING_TYPES = new Set([
+  'IfStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'SwitchStatement',
+  'TryStatement'
+]);
+
+/**
+ * Logical operators that add a decision point
+ * @type {Set<string>}
+ */
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+
+/**
+ * Check if a file extension can be analyzed from its syntax tree
+ * @param {string} extension - File extension including the dot
+ * @returns {boolean} True if the extension is JavaScript or TypeScript
+ */
+function isSupportedExtension(extension) {
+  return Object.prototype.hasOwnProperty.call(PARSER_PLUGINS, extension.toLowerCase());
+}
+
+/**
+ * Check if a node is a syntax tree node
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a node
+ */
+function isNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+/**
+ * Get the child nodes of a node
+ * @param {Object} node - The node
+ * @returns {Array<Object>} The child nodes in source order
+ */
+function getChildren(node) {
+  const children = [];
+
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments' || key === 'extra') {
+      continue;
+    }
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.filter(isNode).forEach(child => children.push(child));
+    } else if (isNode(value)) {
+      children.push(value);
+    }
+  }
+
+  return children;
+}
+
+/**
+ * Get the name of a property key
+ * @param {Object} key - The key node
+ * @param {boolean} computed - Whether the key is computed
+ * @returns {string} The key name
+ */
+function getKeyName(key, computed) {
+  if (!computed && key.type === 'Identifier') {
+    return key.name;
+  }
+  if (key.type === 'PrivateName') {
+    return `#${key.id.name}`;
+  }
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+    return String(key.value);
+  }
+  return '[computed]';
+}
+
+/**
+ * Get a dotted name for an identifier or member expression
+ * @param {Object} node - The node
+ * @returns {string|null} The name, or null if it has no static name
+ */
+function getExpressionName(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'ThisExpression') {
+    return 'this';
+  }
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const object = getExpressionName(node.object);
+    return object ? `${object}.${getKeyName(node.property, node.computed)}` : null;
+  }
+  return null;
+}
+
+/**
+ * Get the names bound by a declaration
+ * @param {Object} declaration - The declaration node
+ * @returns {Array<string>} The declared names
+ */
+function getDeclaredNames(declaration) {
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations
+      .filter(declarator => declarator.id.type === 'Identifier')
+      .map(declarator => declarator.id.name);
+  }
+  return declaration.id && declaration.id.name ? [declaration.id.name] : [];
+}
+
+/**
+ * Name a function from its node and parent
+ * @param {Object} node - The function node
+ * @param {Object|null} parent - The parent node
+ * @param {string|null} className - Name of the enclosing class, for methods
+ * @returns {Object} Name and kind of the function
+ */
+function describeFunction(node, parent, className) {
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+    const name = getKeyName(node.key, node.computed);
+    const kind = node.kind === 'constructor' ? 'constructor' : node.kind === 'method' ? 'method' : `${node.kind}ter`;
+    return { name: className ? `${className}.${name}` : name, kind };
+  }
+
+  if (node.type === 'ObjectMethod') {
+    return { name: getKeyName(node.key, node.computed), kind: node.kind === 'method' ? 'method' : `${node.kind}ter` };
+  }
+
+  const kind = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
+
+  if (node.id) {
+    return { name: node.id.name, kind };
+  }
+
+  if (parent) {
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      return { name: parent.id.name, kind };
+    }
+    if (parent.type === 'AssignmentExpression') {
+      return { name: getExpressionName(parent.left) || '<anonymous>', kind };
+    }
+    if (parent.type === 'ObjectProperty') {
+      return { name: getKeyName(parent.key, parent.computed), kind };
+    }
+    if (parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty') {
+      const name = parent.type === 'ClassPrivateProperty' ? `#${parent.key.id.name}` : getKeyName(parent.key, parent.computed);
+      return { name: className ? `${className}.${name}` : name, kind: 'method' };
+    }
+    if (parent.type === 'ExportDefaultDeclaration') {
+      return { name: 'default', kind };
+    }
+  }
+
+  return { name: '<anonymous>', kind };
+}
+
+/**
+ * Count a node's contribution to cyclomatic complexity
+ * @param {Object} node - The node
+ * @returns {number} Number of decision points the node adds
+ */
+function getDecisionPoints(node) {
+  switch (node.type) {
+    case 'IfStatement':
+    case 'ConditionalExpression':
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+    case 'CatchClause':
+      return 1;
+    case 'SwitchCase':
+      return node.test ? 1 : 0;
+    case 'LogicalExpression':
+    case 'AssignmentExpression':
+      return LOGICAL_OPERATORS.has(node.operator) ? 1 : 0;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Parse a JavaScript or TypeScript source
+ * @param {string} content - The source code
+ * @param {string} extension - File extension including the dot
+ * @returns {Object} The syntax tree
+ * @throws {SyntaxError} If the source cannot be parsed
+ */
+function parseSource(content, extension) {
+  return parse(content, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins: [...PARSER_PLUGINS[extension.toLowerCase()], 'decorators-legacy']
+  });
+}
+
+/**
+ * Analyze a JavaScript or TypeScript source
+ * @param {string} content - The source code
+ * @param {string} extension - File extension including the dot
+ * @returns {Object} Analysis with functions, classes, imports, exports and file-level complexity
+ * @throws {SyntaxError} If the source cannot be parsed
+ */
+function analyzeJavaScript(content, extension) {
+  const ast = parseSource(content, extension);
+
+  const result = {
+    functions: [],
+    classes: [],
+    imports: [],
+    exports: [],
+    // Decision points outside any function, plus one for the file itself
+    topLevelComplexity: 1
+  };
+
+  /**
+   * Record an export
+   * @param {string} name - The exported name
+   * @param {string} kind - The export kind
+   * @param {Object} node - The exporting node
+   */
+  const addExport = (name, kind, node) => {
+    result.exports.push({ name, kind, line: node.loc.start.line, end_line: node.loc.end.line });
+  };
+
+  /**
+   * Record module-level statements: imports, exports and require() calls
+   * @param {Object} node - The node
+   */
+  const recordModuleSyntax = (node) => {
+    if (node.type === 'ImportDeclaration') {
+      result.imports.push({
+        source: node.source.value,
+        kind: node.importKind === 'type' ? 'type' : 'import',
+        specifiers: node.specifiers.map(specifier => specifier.local.name),
+        line: node.loc.start.line,
+        end_line: node.loc.end.line
+      });
+    } else if (node.type === 'CallExpression' && node.arguments.length > 0 && node.arguments[0].type === 'StringLiteral' &&
+      ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import')) {
+      result.imports.push({
+        source: node.arguments[0].value,
+        kind: node.callee.type === 'Import' ? 'dynamic' : 'require',
+        specifiers: [],
+        line: node.loc.start.line,
+        end_line: node.loc.end.line
+      });
+    } else if (node.type === 'ExportNamedDeclaration') {
+      if (node.declaration) {
+        getDeclaredNames(node.declaration).forEach(name => addExport(name, 'named', node));
+      }
+      node.specifiers.forEach(specifier => addExport(getKeyName(specifier.exported, false), 'named', node));
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      addExport('default', 'default', node);
+    } else if (node.type === 'ExportAllDeclaration') {
+      addExport(node.exported ? getKeyName(node.exported, false) : '*', 'all', node);
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      // CommonJS: module.exports = ..., module.exports.name = ..., exports.name = ...
+      const target = getExpressionName(node.left);
+      if (target === 'module.exports') {
+        if (node.right.type === 'ObjectExpression') {
+          node.right.properties
+            .filter(property => property.type === 'ObjectProperty' || property.type === 'ObjectMethod')
+            .forEach(property => addExport(getKeyName(property.key, property.computed), 'commonjs', node));
+        } else {
+          addExport('default', 'commonjs', node);
+        }
+      } else if (target && /^(module\.)?exports\.[^.]+$/.test(target)) {
+        addExport(target.slice(target.lastIndexOf('.') + 1), 'commonjs', node);
+      }
+    }
+  };
+
+  /**
+   * Visit a node and its children
+   * @param {Object} node - The node
+   * @param {Object|null} parent - The parent node
+   * @param {Object|null} currentFunction - Record of the enclosing function
+   * @param {number} depth - Nesting depth inside the enclosing function
+   * @param {string|null} className - Name of the enclosing class
+   */
+  const visit = (node, parent, currentFunction, depth, className) => {
+    recordModuleSyntax(node);
+
+    let functionRecord = currentFunction;
+    let nestingDepth = depth;
+    let enclosingClass = className;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const { name, kind } = describeFunction(node, parent, className);
+      functionRecord = {
+        name,
+        kind,
+        line: node.loc.start.line,
+        end_line: node.loc.end.line,
+        lines: node.loc.end.line - node.loc.start.line + 1,
+        params: node.params.length,
+        async: node.async === true,
+        complexity: 1,
+        nesting_depth: 0
+      };
+      result.functions.push(functionRecord);
+      nestingDepth = 0;
+    } else if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      const name = node.id ? node.id.name : (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier' ? parent.id.name : '<anonymous>');
+      const methods = node.body.body
+        .filter(member => member.type === 'ClassMethod' || member.type === 'ClassPrivateMethod')
+        .map(member => getKeyName(member.key, member.computed));
+      result.classes.push({
+        name,
+        line: node.loc.start.line,
+        end_line: node.loc.end.line,
+        extends: node.superClass ? getExpressionName(node.superClass) : null,
+        methods
+      });
+      enclosingClass = name;
+    } else {
+      const points = getDecisionPoints(node);
+      if (functionRecord) {
+        functionRecord.complexity += points;
+      } else {
+        result.topLevelComplexity += points;
+      }
+
+      // An `else if` continues its chain instead of nesting deeper
+      const isElseIf = node.type === 'IfStatement' && parent && parent.type === 'IfStatement' && parent.alternate === node;
+      if (NESTING_TYPES.has(node.type) && !isElseIf) {
+        nestingDepth++;
+        if (functionRecord && nestingDepth > functionRecord.nesting_depth) {
+          functionRecord.nesting_depth = nestingDepth;
+        }
+      }
+    }
+
+    for (const child of getChildren(node)) {
+      visit(child, node, functionRecord, nestingDepth, enclosingClass);
+    }
+  };
+
+  visit(ast.program, null, null, 0, null);
+
+  return result;
+}
+
+module.exports = {
+  analyzeJavaScript,
+  isSupportedExtension
+};
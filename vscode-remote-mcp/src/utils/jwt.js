@@ -0,0 +1,139 @@
+/**
+ * JSON Web Tokens for VSCode Remote MCP
+ *
+ * This module signs and verifies the HS256 tokens issued by the collaboration
+ * server, including:
+ * - Encoding claims as a compact JWT signed with HMAC-SHA256
+ * - Checking the signature in constant time
+ * - Checking expiry, not-before and audience claims
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Header of every token signed by this module
+ * @type {Object}
+ */
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Create a token error
+ * @param {string} message - The error message
+ * @param {string} code - Error code reported to clients (INVALID_TOKEN or TOKEN_EXPIRED)
+ * @returns {Error} The error
+ */
+function createTokenError(message, code = 'INVALID_TOKEN') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encode a value as base64url JSON
+ * @param {Object} value - The value to encode
+ * @returns {string} The encoded segment
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - The encoded segment
+ * @returns {Object} The decoded value
+ * @throws {Error} If the segment is not base64url JSON
+ */
+function decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('not an object');
+    }
+    return value;
+  } catch (error) {
+    throw createTokenError('Malformed token');
+  }
+}
+
+/**
+ * Compute the HS256 signature of a signing input
+ * @param {string} input - The header and payload segments joined by a dot
+ * @param {string} secret - The signing secret
+ * @returns {Buffer} The signature
+ */
+function createSignature(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest();
+}
+
+/**
+ * Sign claims as an HS256 token
+ * @param {Object} claims - The token claims
+ * @param {string} secret - The signing secret
+ * @returns {string} The compact token
+ */
+function signJwt(claims, secret) {
+  if (!secret) {
+    throw new Error('A secret is required to sign tokens');
+  }
+
+  const input = `${encodeSegment(HEADER)}.${encodeSegment(claims)}`;
+  return `${input}.${createSignature(input, secret).toString('base64url')}`;
+}
+
+/**
+ * Verify an HS256 token and return its claims
+ * @param {string} token - The compact token
+ * @param {string} secret - The signing secret
+ * @param {Object} [options={}] - Verification options
+ * @param {string} [options.audience] - Required `aud` claim
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} The verified claims
+ * @throws {Error} If the token is malformed, forged, expired or for another audience; `error.code` is set
+ */
+function verifyJwt(token, secret, options = {}) {
+  if (typeof token !== 'string') {
+    throw createTokenError('Malformed token');
+  }
+
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw createTokenError('Malformed token');
+  }
+
+  // Only accept the algorithm the server signs with
+  const header = decodeSegment(segments[0]);
+  if (header.alg !== HEADER.alg) {
+    throw createTokenError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = createSignature(`${segments[0]}.${segments[1]}`, secret);
+  const actual = Buffer.from(segments[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw createTokenError('Invalid token signature');
+  }
+
+  const claims = decodeSegment(segments[1]);
+  const nowSeconds = Math.floor((options.now !== undefined ? options.now : Date.now()) / 1000);
+
+  if (typeof claims.exp !== 'number' || claims.exp <= nowSeconds) {
+    throw createTokenError('Token has expired', 'TOKEN_EXPIRED');
+  }
+
+  if (typeof claims.nbf === 'number' && claims.nbf > nowSeconds) {
+    throw createTokenError('Token is not valid yet');
+  }
+
+  if (options.audience !== undefined) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw createTokenError('Token was issued for another audience');
+    }
+  }
+
+  return claims;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,284 @@
+/**
+ * Line Edits for VSCode Remote MCP
+ *
+ * This module plans and applies line-based edits for the modify_code tool, including:
+ * - Turning add/update/remove/replace operations into line-range changes
+ * - Checking that a batch of changes does not overlap
+ * - Applying every change against the original lines at once
+ * - Formatting the changes as a unified diff
+ *
+ * Every operation addresses lines of the original content, so the line
+ * numbers in a batch do not shift as earlier edits are applied.
+ */
+
+/**
+ * Number of unchanged lines shown around each diff hunk
+ * @type {number}
+ */
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Validate a 1-based line number
+ * @param {number} line - The line number
+ * @param {number} max - The highest allowed line number
+ * @param {string} label - Name used in the error message
+ * @returns {number} The zero-based line index
+ * @throws {Error} If the line number is out of range
+ */
+function toLineIndex(line, max, label) {
+  if (!Number.isInteger(line) || line < 1 || line > max) {
+    throw new Error(`Invalid ${label}: ${line}`);
+  }
+  return line - 1;
+}
+
+/**
+ * Find the first line matching a pattern
+ * @param {Array<string>} lines - The original lines
+ * @param {string} pattern - Regular expression source
+ * @returns {number} The zero-based index of the matching line
+ * @throws {Error} If no line matches
+ */
+function findPatternLine(lines, pattern) {
+  const regex = new RegExp(pattern);
+  const index = lines.findIndex(line => regex.test(line));
+
+  if (index === -1) {
+    throw new Error(`Pattern not found: ${pattern}`);
+  }
+  return index;
+}
+
+/**
+ * Validate a line range against the original lines
+ * @param {Object} range - Range with 1-based start_line and end_line
+ * @param {number} lineCount - Number of original lines
+ * @returns {Object} Zero-based { start, end } with an exclusive end
+ */
+function toLineRange(range, lineCount) {
+  const start = toLineIndex(range.start_line, lineCount, 'start line');
+
+  if (!Number.isInteger(range.end_line) || range.end_line - 1 < start || range.end_line > lineCount) {
+    throw new Error(`Invalid end line: ${range.end_line}`);
+  }
+  return { start, end: range.end_line };
+}
+
+/**
+ * Plan one operation as a change to a range of original lines
+ * @param {Array<string>} lines - The original lines
+ * @param {Object} edit - The operation (operation, position, content, pattern, range)
+ * @returns {Object} Change as { start, end, lines } replacing lines[start, end)
+ * @throws {Error} If the operation is invalid for the original lines
+ */
+function planEdit(lines, edit) {
+  const contentLines = typeof edit.content === 'string' ? edit.content.split('\n') : null;
+
+  switch (edit.operation) {
+    case 'add': {
+      if (!contentLines) {
+        throw new Error('Content is required for add operation');
+      }
+      const line = edit.position ? edit.position.line : lines.length + 1;
+      const index = toLineIndex(line, lines.length + 1, 'line number');
+      return { start: index, end: index, lines: contentLines };
+    }
+
+    case 'update': {
+      if (!contentLines) {
+        throw new Error('Content is required for update operation');
+      }
+      let index;
+      if (edit.pattern) {
+        index = findPatternLine(lines, edit.pattern);
+      } else if (edit.position) {
+        index = toLineIndex(edit.position.line, lines.length, 'line number');
+      } else {
+        throw new Error('Either pattern or position is required for update operation');
+      }
+      return { start: index, end: index + 1, lines: contentLines };
+    }
+
+    case 'remove': {
+      if (edit.pattern) {
+        const index = findPatternLine(lines, edit.pattern);
+        return { start: index, end: index + 1, lines: [] };
+      }
+      if (edit.range) {
+        return { ...toLineRange(edit.range, lines.length), lines: [] };
+      }
+      if (edit.position) {
+        const index = toLineIndex(edit.position.line, lines.length, 'line number');
+        return { start: index, end: index + 1, lines: [] };
+      }
+      throw new Error('Either pattern, range, or position is required for remove operation');
+    }
+
+    case 'replace':
+      if (!edit.range) {
+        throw new Error('Range is required for replace operation');
+      }
+      if (!edit.content) {
+        throw new Error('Content is required for replace operation');
+      }
+      return { ...toLineRange(edit.range, lines.length), lines: contentLines };
+
+    default:
+      throw new Error(`Invalid operation: ${edit.operation}`);
+  }
+}
+
+/**
+ * Plan a batch of operations against the same original lines
+ * @param {Array<string>} lines - The original lines
+ * @param {Array<Object>} edits - The operations, in order
+ * @returns {Array<Object>} Changes sorted by position, each with the index of its edit
+ * @throws {Error} If an operation is invalid or two operations overlap
+ */
+function planEdits(lines, edits) {
+  const changes = edits.map((edit, index) => {
+    try {
+      return { ...planEdit(lines, edit), index };
+    } catch (error) {
+      error.editIndex = index;
+      throw error;
+    }
+  });
+
+  // Insertions at the same line keep their batch order and come before a change starting there
+  const sorted = changes.slice().sort((a, b) => (
+    a.start - b.start || (a.end - a.start === 0 ? 0 : 1) - (b.end - b.start === 0 ? 0 : 1) || a.index - b.index
+  ));
+
+  // Compare each change with the earlier change reaching furthest down the file
+  let furthest = null;
+  for (const current of sorted) {
+    if (furthest && current.start < furthest.end) {
+      const error = new Error(`Edits ${furthest.index + 1} and ${current.index + 1} change overlapping lines`);
+      error.editIndex = current.index;
+      throw error;
+    }
+    if (!furthest || current.end > furthest.end) {
+      furthest = current;
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Apply planned changes to the original lines
+ * @param {Array<string>} lines - The original lines
+ * @param {Array<Object>} changes - Changes from planEdits
+ * @returns {Array<string>} The modified lines
+ */
+function applyChanges(lines, changes) {
+  const result = [];
+  let cursor = 0;
+
+  for (const change of changes) {
+    result.push(...lines.slice(cursor, change.start), ...change.lines);
+    cursor = Math.max(cursor, change.end);
+  }
+  result.push(...lines.slice(cursor));
+
+  return result;
+}
+
+/**
+ * Format a hunk header range
+ * @param {number} start - Zero-based first line of the hunk
+ * @param {number} count - Number of lines in the hunk
+ * @returns {string} The range, e.g. `3,4`
+ */
+function formatHunkRange(start, count) {
+  // Empty ranges point at the line before them
+  return `${count === 0 ? start : start + 1},${count}`;
+}
+
+/**
+ * Format planned changes as a unified diff
+ * @param {string} fileName - Name shown in the diff headers
+ * @param {Array<string>} lines - The original lines
+ * @param {Array<Object>} changes - Changes from planEdits
+ * @param {number} [contextLines=3] - Unchanged lines shown around each hunk
+ * @returns {string} The unified diff, or an empty string if nothing changed
+ */
+function formatUnifiedDiff(fileName, lines, changes, contextLines = DIFF_CONTEXT_LINES) {
+  const effective = changes.filter(change => (
+    change.end - change.start !== change.lines.length ||
+    change.lines.some((line, offset) => line !== lines[change.start + offset])
+  ));
+
+  if (effective.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context would touch into one hunk
+  const groups = [];
+  for (const change of effective) {
+    const group = groups[groups.length - 1];
+    if (group && change.start - group[group.length - 1].end <= contextLines * 2) {
+      group.push(change);
+    } else {
+      groups.push([change]);
+    }
+  }
+
+  let output = `--- a/${fileName}\n+++ b/${fileName}\n`;
+  let delta = 0;
+
+  // Line count change of every change before the current group
+  const deltas = new Map();
+  for (const change of effective) {
+    deltas.set(change, delta);
+    delta += change.lines.length - (change.end - change.start);
+  }
+
+  for (const group of groups) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const oldStart = Math.max(0, first.start - contextLines);
+    const oldEnd = Math.min(lines.length, last.end + contextLines);
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    let cursor = oldStart;
+
+    for (const change of group) {
+      for (; cursor < change.start; cursor++) {
+        body.push(` ${lines[cursor]}`);
+        oldCount++;
+        newCount++;
+      }
+      for (let i = change.start; i < change.end; i++) {
+        body.push(`-${lines[i]}`);
+        oldCount++;
+      }
+      for (const line of change.lines) {
+        body.push(`+${line}`);
+        newCount++;
+      }
+      cursor = Math.max(cursor, change.end);
+    }
+
+    for (; cursor < oldEnd; cursor++) {
+      body.push(` ${lines[cursor]}`);
+      oldCount++;
+      newCount++;
+    }
+
+    const newStart = oldStart + deltas.get(first);
+    output += `@@ -${formatHunkRange(oldStart, oldCount)} +${formatHunkRange(newStart, newCount)} @@\n`;
+    output += `${body.join('\n')}\n`;
+  }
+
+  return output;
+}
+
+module.exports = {
+  planEdit,
+  planEdits,
+  applyChanges,
+  formatUnifiedDiff
+};
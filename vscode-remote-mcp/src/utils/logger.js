@@ -1,11 +1,16 @@
 /**
  * Logger utility for the MCP server
- * 
- * This module provides standardized logging functions with different severity levels.
- * It uses environment variables to control log levels and output format.
- * 
+ *
+ * This module provides the one logger every server, tool and client uses, including:
+ * - JSON-lines output on stderr, so stdio transports keep stdout to themselves
+ * - Per-module child loggers that add their bindings to every line
+ * - Request and correlation IDs carried through async calls with runWithLogContext
+ * - Changing the level at runtime with setLogLevel
+ * - Redacting tokens, passwords and secret environment variables from every line
+ *
  * @module logger
  */
+const { AsyncLocalStorage } = require('async_hooks');
 const config = require("../config/env");
 
 // Log levels with numeric values for comparison
@@ -16,67 +21,291 @@ const LOG_LEVELS = {
   debug: 3
 };
 
-// Convert string log level to numeric value
-const currentLogLevel = LOG_LEVELS[config.log.level] || LOG_LEVELS.info;
+/**
+ * Replacement for redacted values
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Names of fields and environment variables that hold secrets
+ * @type {RegExp}
+ */
+const SECRET_NAME_PATTERN = /pass(?:word|wd|phrase)|secret|token|api[-_]?key|authorization|cookie|credential|private[-_]?key/i;
+
+/**
+ * Secrets inside free text, with the part to keep in group 1
+ * @type {Array<RegExp>}
+ */
+const SECRET_TEXT_PATTERNS = [
+  // Authorization headers
+  /\b((?:Bearer|Basic)\s+)[A-Za-z0-9._~+/=-]+/gi,
+  // NAME=value, as in `-e PASSWORD=...` or `?token=...`
+  /\b([\w-]*(?:pass(?:word|wd|phrase)|secret|token|api[-_]?key)[\w-]*=)(?:"[^"]*"|'[^']*'|[^\s&"',;]+)/gi,
+  // --password value and --password=value
+  /(--(?:[\w-]*(?:pass(?:word|wd|phrase)|secret|token|api[-_]?key)[\w-]*)[ =])(?:"[^"]*"|'[^']*'|\S+)/gi,
+  // "password": "..." in JSON
+  /("[\w-]*(?:pass(?:word|wd|phrase)|secret|token|api[-_]?key|authorization)[\w-]*"\s*:\s*")(?:[^"\\]|\\.)*(?=")/gi,
+  // JSON Web Tokens
+  /()\beyJ[\w-]+\.[\w-]+\.[\w-]+/g
+];
+
+/**
+ * Secret environment variables shorter than this are not searched for in text
+ * @type {number}
+ */
+const MIN_ENV_SECRET_LENGTH = 4;
+
+// Shared by the root logger and every child; MCP_DEBUG=1 is kept as a shorthand for debug
+const state = {
+  level: process.env.MCP_DEBUG === '1' ? 'debug' : (LOG_LEVELS[config.log.level] !== undefined ? config.log.level : 'info'),
+  sink: line => process.stderr.write(`${line}\n`)
+};
+
+// Request fields of the code running now, set by runWithLogContext
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Collect the values of environment variables whose names mark them as secrets
+ * @returns {Array<string>} The values, longest first
+ */
+function getEnvSecrets() {
+  return Object.entries(process.env)
+    .filter(([name, value]) => SECRET_NAME_PATTERN.test(name) && value && value.length >= MIN_ENV_SECRET_LENGTH)
+    .map(([, value]) => value)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Redact secrets from text
+ * @param {string} text - The text
+ * @param {Array<string>} [envSecrets=getEnvSecrets()] - Secret values to remove wherever they appear
+ * @returns {string} The text with secrets replaced by [REDACTED]
+ */
+function redactText(text, envSecrets = getEnvSecrets()) {
+  let redacted = text;
+  for (const secret of envSecrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  for (const pattern of SECRET_TEXT_PATTERNS) {
+    redacted = redacted.replace(pattern, (match, keep) => `${keep}${REDACTED}`);
+  }
+  return redacted;
+}
+
+/**
+ * Check if a value is an error, including errors made in another realm such as a vm context
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is an error
+ */
+function isError(value) {
+  return value instanceof Error || Object.prototype.toString.call(value) === '[object Error]';
+}
+
+/**
+ * Turn an error into plain fields
+ * @param {Error} error - The error
+ * @returns {Object} { name, message, code, stack }
+ */
+function serializeError(error) {
+  const fields = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    fields.code = error.code;
+  }
+  if (error.stack) {
+    fields.stack = error.stack;
+  }
+  return fields;
+}
 
 /**
- * Format log message with timestamp and metadata
+ * Copy a value with every secret redacted
+ *
+ * Fields named like secrets (password, token, apiKey, ...) are replaced
+ * entirely, strings are searched for secrets, errors become plain fields
+ * and circular references are cut.
+ *
+ * @param {*} value - The value
+ * @param {Array<string>} [envSecrets=getEnvSecrets()] - Secret values to remove wherever they appear
+ * @param {WeakSet} [seen=new WeakSet()] - Objects on the current path
+ * @returns {*} The redacted copy
+ */
+function redact(value, envSecrets = getEnvSecrets(), seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value, envSecrets);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  seen.add(value);
+  const source = isError(value) ? serializeError(value) : value;
+  let copy;
+  if (Array.isArray(source)) {
+    copy = source.map(item => redact(item, envSecrets, seen));
+  } else {
+    copy = {};
+    for (const [key, field] of Object.entries(source)) {
+      const isSecretField = SECRET_NAME_PATTERN.test(key) && field !== null && typeof field !== 'object' && typeof field !== 'boolean';
+      copy[key] = isSecretField ? REDACTED : redact(field, envSecrets, seen);
+    }
+  }
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Format a log line
  * @param {string} level - Log level
  * @param {string} message - Log message
- * @param {Object} [metadata] - Additional metadata
- * @returns {string} Formatted log message
+ * @param {Object} bindings - Fields of the logger
+ * @param {Object|Error} [metadata] - Additional metadata; an error is logged as { error }
+ * @returns {string} The line as JSON
+ */
+function formatLogMessage(level, message, bindings, metadata = {}) {
+  const fields = isError(metadata) ? { error: metadata } : metadata;
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    ...bindings,
+    ...logContext.getStore(),
+    msg: String(message),
+    ...fields
+  });
+  return JSON.stringify(entry);
+}
+
+/**
+ * Logger class
  */
-function formatLogMessage(level, message, metadata = {}) {
-  const timestamp = new Date().toISOString();
-  const metadataStr = Object.keys(metadata).length > 0 
-    ? ` ${JSON.stringify(metadata)}`
-    : '';
-  
-  return `[${timestamp}] [${level.toUpperCase()}] ${message}${metadataStr}`;
+class Logger {
+  /**
+   * Create a new Logger instance
+   * @param {Object} [bindings={}] - Fields added to every line, e.g. { module: 'tool-host' }
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Create a logger that adds more fields to every line
+   * @param {Object} bindings - The fields
+   * @returns {Logger} The child logger; it shares the level and output of this one
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Check if messages of a level are written
+   * @param {string} level - Log level
+   * @returns {boolean} True if the level is enabled
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] <= LOG_LEVELS[state.level];
+  }
+
+  /**
+   * Write a log line
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {Object|Error} [metadata] - Additional metadata
+   */
+  log(level, message, metadata) {
+    if (this.isLevelEnabled(level)) {
+      state.sink(formatLogMessage(level, message, this.bindings, metadata));
+    }
+  }
+
+  /**
+   * Log error message
+   * @param {string} message - Error message
+   * @param {Object|Error} [metadata] - Additional metadata
+   */
+  error(message, metadata) {
+    this.log('error', message, metadata);
+  }
+
+  /**
+   * Log warning message
+   * @param {string} message - Warning message
+   * @param {Object|Error} [metadata] - Additional metadata
+   */
+  warn(message, metadata) {
+    this.log('warn', message, metadata);
+  }
+
+  /**
+   * Log info message
+   * @param {string} message - Info message
+   * @param {Object|Error} [metadata] - Additional metadata
+   */
+  info(message, metadata) {
+    this.log('info', message, metadata);
+  }
+
+  /**
+   * Log debug message
+   * @param {string} message - Debug message
+   * @param {Object|Error} [metadata] - Additional metadata
+   */
+  debug(message, metadata) {
+    this.log('debug', message, metadata);
+  }
+}
+
+// Logger without bindings, behind the module-level functions
+const rootLogger = new Logger();
+
+/**
+ * Get the logger of a module
+ * @param {string} moduleName - Module name, written as `module` on every line
+ * @returns {Logger} The child logger
+ */
+function getLogger(moduleName) {
+  return rootLogger.child({ module: moduleName });
 }
 
 /**
  * Log error message
  * @param {string} message - Error message
- * @param {Object} [metadata] - Additional metadata
+ * @param {Object|Error} [metadata] - Additional metadata
  */
-function error(message, metadata = {}) {
-  if (currentLogLevel >= LOG_LEVELS.error) {
-    console.error(formatLogMessage('error', message, metadata));
-  }
+function error(message, metadata) {
+  rootLogger.error(message, metadata);
 }
 
 /**
  * Log warning message
  * @param {string} message - Warning message
- * @param {Object} [metadata] - Additional metadata
+ * @param {Object|Error} [metadata] - Additional metadata
  */
-function warn(message, metadata = {}) {
-  if (currentLogLevel >= LOG_LEVELS.warn) {
-    console.warn(formatLogMessage('warn', message, metadata));
-  }
+function warn(message, metadata) {
+  rootLogger.warn(message, metadata);
 }
 
 /**
  * Log info message
  * @param {string} message - Info message
- * @param {Object} [metadata] - Additional metadata
+ * @param {Object|Error} [metadata] - Additional metadata
  */
-function info(message, metadata = {}) {
-  if (currentLogLevel >= LOG_LEVELS.info) {
-    console.info(formatLogMessage('info', message, metadata));
-  }
+function info(message, metadata) {
+  rootLogger.info(message, metadata);
 }
 
 /**
  * Log debug message
  * @param {string} message - Debug message
- * @param {Object} [metadata] - Additional metadata
+ * @param {Object|Error} [metadata] - Additional metadata
  */
-function debug(message, metadata = {}) {
-  if (currentLogLevel >= LOG_LEVELS.debug) {
-    console.debug(formatLogMessage('debug', message, metadata));
-  }
+function debug(message, metadata) {
+  rootLogger.debug(message, metadata);
 }
 
 /**
@@ -84,23 +313,92 @@ function debug(message, metadata = {}) {
  * @returns {string} Current log level
  */
 function getLogLevel() {
-  return config.log.level;
+  return state.level;
 }
 
 /**
- * Set the log level
- * @param {string} level - New log level
+ * Set the log level of every logger
+ * @param {string} level - New log level: error, warn, info or debug
+ * @throws {Error} If the level is unknown
  */
 function setLogLevel(level) {
-  // This is just for testing - in a real app, we would update the config
-  config.log.level = level;
+  if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+    throw new Error(`Invalid log level: ${level}`);
+  }
+  state.level = level;
+}
+
+/**
+ * Replace where log lines are written
+ * @param {Function} sink - Called with each line, without a trailing newline
+ * @returns {Function} The previous sink
+ */
+function setLogSink(sink) {
+  const previous = state.sink;
+  state.sink = sink;
+  return previous;
+}
+
+/**
+ * Run a function with fields added to every line logged during it, including from async calls it starts
+ * @param {Object} fields - The fields, e.g. { requestId, sessionId }
+ * @param {Function} fn - The function
+ * @returns {*} What the function returns
+ */
+function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Get the fields added by the enclosing runWithLogContext
+ * @returns {Object} The fields; empty outside runWithLogContext
+ */
+function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * Log each request a transport delivers with its message id as `requestId`
+ *
+ * Call this after the SDK server connected to the transport, since
+ * connecting replaces the transport's message handler.
+ *
+ * @param {Object} transport - A connected SDK transport
+ * @returns {Object} The transport
+ */
+function correlateTransport(transport) {
+  const onmessage = transport.onmessage;
+  if (typeof onmessage !== 'function') {
+    return transport;
+  }
+
+  transport.onmessage = (message, extra) => {
+    const fields = {};
+    if (message && message.id !== undefined && message.method) {
+      fields.requestId = message.id;
+    }
+    if (transport.sessionId) {
+      fields.sessionId = transport.sessionId;
+    }
+    return runWithLogContext(fields, () => onmessage(message, extra));
+  };
+  return transport;
 }
 
 module.exports = {
+  LOG_LEVELS,
+  Logger,
+  getLogger,
   error,
   warn,
   info,
   debug,
   getLogLevel,
-  setLogLevel
-};
\ No newline at end of file
+  setLogLevel,
+  setLogSink,
+  runWithLogContext,
+  getLogContext,
+  correlateTransport,
+  redact,
+  redactText
+};
@@ -6,6 +6,9 @@
 
 const { MCPAuthManager } = require('./auth-manager');
 const { createAuthError, createConnectionError } = require('./error-handler');
+const { getLogger } = require('./logger');
+
+const log = getLogger('mcp-connection-manager');
 
 /**
  * MCP Connection Manager class
@@ -129,7 +132,7 @@ class MCPConnectionManager {
       
       await this.sendMessage(serverId, disconnectMessage);
     } catch (error) {
-      console.error(`Error sending disconnect message to server ${serverId}:`, error);
+      log.error(`Error sending disconnect message to server ${serverId}`, { error });
     }
     
     // Clear refresh timer
@@ -176,7 +179,7 @@ class MCPConnectionManager {
     // Send the message
     try {
       // Mock sending the message (in a real implementation, this would use WebSockets)
-      console.log(`Sending message to server ${serverId}:`, message);
+      log.debug(`Sending message to server ${serverId}`, { message });
       
       // Update last activity
       if (this.connections.has(serverId)) {
@@ -226,7 +229,7 @@ class MCPConnectionManager {
         this._handleTokenRefresh(serverId, message);
         break;
       default:
-        console.warn(`Unhandled message type: ${message.type}`);
+        log.warn(`Unhandled message type: ${message.type}`);
     }
   }
 
@@ -237,7 +240,7 @@ class MCPConnectionManager {
    * @private
    */
   async _handleTokenExpired(serverId, message) {
-    console.log(`Token expired for server ${serverId}`);
+    log.info(`Token expired for server ${serverId}`);
     
     // Remove token
     await this.authManager.removeToken(serverId);
@@ -255,7 +258,7 @@ class MCPConnectionManager {
    * @private
    */
   async _handleTokenRefresh(serverId, message) {
-    console.log(`Token refresh for server ${serverId}`);
+    log.info(`Token refresh for server ${serverId}`);
     
     // Check if refresh was successful
     if (message.payload && message.payload.success) {
@@ -0,0 +1,426 @@
+/**
+ * HTTP Transport for the VSCode Remote MCP SDK server
+ *
+ * This module serves the MCP tool server to remote agents over HTTP, including:
+ * - MCP streamable HTTP on /mcp, with one session per initialized client
+ * - The older HTTP+SSE transport on /sse and /messages as a fallback
+ * - Bearer-token authentication of every request
+ * - Checking the Host and Origin headers against DNS rebinding
+ * - Cancelling the in-flight tool calls of a session when it closes
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { ErrorCode, isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { getLogger, correlateTransport } = require('./logger');
+
+const log = getLogger('mcp-http-transport');
+
+/**
+ * Largest JSON-RPC request body accepted on /mcp
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Addresses that listen on every interface
+ * @type {string[]}
+ */
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+/**
+ * Check whether a host name or address only reaches this machine
+ * @param {string} host - Host name or address, IPv6 without brackets
+ * @returns {boolean} True for localhost, 127.0.0.0/8 and ::1
+ */
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host);
+}
+
+/**
+ * Get the host name of a Host header or origin, without port and IPv6 brackets
+ * @param {string} authority - The Host header, or an origin such as http://localhost:3000
+ * @returns {string|null} The lower-case host name, or null if it cannot be parsed
+ */
+function getHostname(authority) {
+  if (net.isIPv6(authority)) {
+    return authority.toLowerCase();
+  }
+  try {
+    const url = new URL(authority.includes('://') ? authority : `http://${authority}`);
+    return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash a token so tokens of any length can be compared in constant time
+ * @param {string} token - The token
+ * @returns {Buffer} The SHA-256 digest
+ */
+function digestToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * MCP HTTP Transport class
+ */
+class McpHttpTransport {
+  /**
+   * Create a new McpHttpTransport instance
+   * @param {Object} options - Transport options
+   * @param {string} [options.host='127.0.0.1'] - Host to bind to
+   * @param {number} [options.port=3000] - Port to listen on; 0 picks a free port
+   * @param {string} [options.token] - Bearer token clients must send; requests are not authenticated without one,
+   *   which is only allowed on a loopback host
+   * @param {string[]} [options.allowedHosts] - Host names requests may be sent to, besides loopback names and `host`;
+   *   any Host header is accepted when binding to every interface and no list is given
+   * @param {string[]} [options.allowedOrigins] - Origins browsers may send requests from, besides those of allowed hosts
+   * @param {Function} options.createServer - Called with ({ signal }) for every new session; returns an SDK Server
+   *   whose tool calls are cancelled when `signal` aborts
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 3000;
+    this.tokenDigest = options.token ? digestToken(options.token) : null;
+    this.allowedHosts = this.getAllowedHosts(options.allowedHosts);
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.createServer = options.createServer;
+
+    // HTTP server (created by listen)
+    this.httpServer = null;
+
+    // Map of session ID to { id, kind, transport, server, controller }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Build the list of host names requests may be sent to
+   * @param {string[]} [configured] - Configured host names
+   * @returns {string[]|null} Allowed host names, or null if any Host header is accepted
+   */
+  getAllowedHosts(configured) {
+    if (!configured && WILDCARD_HOSTS.includes(this.host)) {
+      return null;
+    }
+
+    const hosts = ['localhost', '127.0.0.1', '::1', ...(configured || [])];
+    if (!WILDCARD_HOSTS.includes(this.host)) {
+      hosts.push(this.host);
+    }
+    return hosts.map(host => getHostname(host)).filter(Boolean);
+  }
+
+  /**
+   * Start listening for requests
+   * @returns {Promise<Object>} Resolves with the bound address { address, port }
+   * @throws {Error} If there is no bearer token and the host is not a loopback address
+   */
+  listen() {
+    if (!this.tokenDigest) {
+      if (!isLoopbackHost(getHostname(this.host))) {
+        return Promise.reject(new Error(`Refusing to serve MCP over HTTP on ${this.host} without a bearer token; set MCP_HTTP_TOKEN or bind to a loopback address`));
+      }
+      log.warn('MCP HTTP transport has no bearer token; any local process may call tools');
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        log.error('Error handling MCP HTTP request', { error });
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, ErrorCode.InternalError, 'Internal server error');
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.removeListener('error', reject);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  /**
+   * Route an HTTP request
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    if (!this.isAllowedHost(req) || !this.isAllowedOrigin(req)) {
+      this.sendJsonRpcError(res, 403, ErrorCode.ConnectionClosed, 'Forbidden: Host or Origin not allowed');
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="mcp"');
+      this.sendJsonRpcError(res, 401, ErrorCode.ConnectionClosed, 'Unauthorized');
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/mcp') {
+      await this.handleStreamableRequest(req, res);
+    } else if (url.pathname === '/sse' && req.method === 'GET') {
+      await this.handleSseConnect(res);
+    } else if (url.pathname === '/messages' && req.method === 'POST') {
+      await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+    } else {
+      res.writeHead(404).end('Not found');
+    }
+  }
+
+  /**
+   * Check the Host header of a request, so a DNS name rebound to this server cannot reach it
+   * @param {http.IncomingMessage} req - The request
+   * @returns {boolean} True if the request may proceed
+   */
+  isAllowedHost(req) {
+    if (!this.allowedHosts) {
+      return true;
+    }
+    return this.allowedHosts.includes(getHostname(req.headers.host || ''));
+  }
+
+  /**
+   * Check the Origin header of a request, so web pages cannot call tools from a browser
+   *
+   * Requests without an Origin header do not come from a browser page.
+   *
+   * @param {http.IncomingMessage} req - The request
+   * @returns {boolean} True if the request may proceed
+   */
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin || this.allowedOrigins.includes(origin)) {
+      return true;
+    }
+    return Boolean(this.allowedHosts) && this.allowedHosts.includes(getHostname(origin));
+  }
+
+  /**
+   * Check the bearer token of a request
+   * @param {http.IncomingMessage} req - The request
+   * @returns {boolean} True if the request may proceed
+   */
+  isAuthorized(req) {
+    if (!this.tokenDigest) {
+      return true;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return Boolean(match) && crypto.timingSafeEqual(digestToken(match[1].trim()), this.tokenDigest);
+  }
+
+  /**
+   * Handle a streamable HTTP request on /mcp
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  async handleStreamableRequest(req, res) {
+    let body;
+    if (req.method === 'POST') {
+      try {
+        body = await this.readJsonBody(req);
+      } catch (error) {
+        this.sendJsonRpcError(res, error.statusCode || 400, ErrorCode.ParseError, error.message);
+        return;
+      }
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.kind !== 'streamable') {
+        this.sendJsonRpcError(res, 404, ErrorCode.ConnectionClosed, 'Session not found');
+        return;
+      }
+
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    // Requests without a session must start one
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      this.sendJsonRpcError(res, 400, ErrorCode.InvalidRequest, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const controller = new AbortController();
+    const server = this.createServer({ signal: controller.signal });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => this.openSession(id, 'streamable', transport, server, controller)
+    });
+
+    await server.connect(transport);
+    correlateTransport(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open an HTTP+SSE session on /sse
+   * @param {http.ServerResponse} res - The response that carries the event stream
+   * @returns {Promise<void>}
+   */
+  async handleSseConnect(res) {
+    const transport = new SSEServerTransport('/messages', res);
+    const controller = new AbortController();
+    const server = this.createServer({ signal: controller.signal });
+
+    this.openSession(transport.sessionId, 'sse', transport, server, controller);
+    await server.connect(transport);
+    correlateTransport(transport);
+  }
+
+  /**
+   * Handle a message posted to an HTTP+SSE session
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @param {string|null} sessionId - Session ID from the query string
+   * @returns {Promise<void>}
+   */
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.kind !== 'sse') {
+      res.writeHead(404).end('Session not found');
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res);
+  }
+
+  /**
+   * Track a session and close it when its server closes
+   * @param {string} id - The session ID
+   * @param {string} kind - 'streamable' or 'sse'
+   * @param {Object} transport - The SDK transport
+   * @param {Object} server - The SDK server connected to the transport
+   * @param {AbortController} controller - Aborts the tool calls of the session
+   */
+  openSession(id, kind, transport, server, controller) {
+    this.sessions.set(id, { id, kind, transport, server, controller });
+
+    const onclose = server.onclose;
+    server.onclose = () => {
+      if (onclose) {
+        onclose();
+      }
+      this.closeSession(id);
+    };
+  }
+
+  /**
+   * Close a session and cancel its in-flight tool calls
+   * @param {string} id - The session ID
+   * @returns {Promise<boolean>} True if the session was open
+   */
+  async closeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(id);
+    session.controller.abort();
+
+    try {
+      await session.server.close();
+    } catch (error) {
+      log.error(`Error closing MCP session ${id}`, { error });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the number of open sessions
+   * @returns {number} Number of open sessions
+   */
+  getSessionCount() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Promise<*>} The parsed body
+   * @throws {Error} If the body is too large or not JSON; `error.statusCode` is set
+   */
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          const error = new Error('Request body is too large');
+          error.statusCode = 413;
+          req.destroy();
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new Error('Parse error: request body is not valid JSON'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON-RPC error response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - HTTP status code
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   */
+  sendJsonRpcError(res, status, code, message) {
+    if (!res.headersSent) {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+    }
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  /**
+   * Close every session and stop listening
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(Array.from(this.sessions.keys()).map(id => this.closeSession(id)));
+
+    if (!this.httpServer) {
+      return;
+    }
+
+    await new Promise((resolve) => {
+      this.httpServer.close(() => resolve());
+      // Event streams stay open until their sockets are destroyed
+      if (typeof this.httpServer.closeAllConnections === 'function') {
+        this.httpServer.closeAllConnections();
+      }
+    });
+    this.httpServer = null;
+  }
+}
+
+module.exports = {
+  McpHttpTransport
+};
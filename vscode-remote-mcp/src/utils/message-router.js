@@ -8,6 +8,9 @@
  */
 
 const { validateMessage } = require('./message-validator');
+const { getLogger } = require('./logger');
+
+const log = getLogger('message-router');
 
 /**
  * Message Router class
@@ -55,10 +58,7 @@ class MessageRouter {
       // Validate message format
       validateMessage(message);
       
-      // Log message for debugging
-      if (this.serverConfig.logLevel === 'debug') {
-        console.log(`Received message: ${JSON.stringify(message)}`);
-      }
+      log.debug('Received message', { message });
       
       // Get message type
       const messageType = message.type;
@@ -86,6 +86,11 @@ class MessageRouter {
           return this.createErrorResponse(message, 'Invalid or expired token', 'INVALID_TOKEN');
         }
         
+        // Tokens are bound to the client they were issued to
+        if (client.id && tokenInfo.clientId !== client.id) {
+          return this.createErrorResponse(message, 'Token was issued to another client', 'INVALID_TOKEN');
+        }
+        
         // Add token info to client for handler use
         client.tokenInfo = tokenInfo;
       }
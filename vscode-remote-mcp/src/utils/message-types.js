@@ -39,7 +39,31 @@ const MESSAGE_TYPES = {
   NOTIFICATION: 'notification',
   
   // Additional message types used in validation
-  CONNECTION: 'connection'
+  CONNECTION: 'connection',
+
+  // Collaboration messages handled by the MCP server
+  AUTHENTICATION_REQUEST: 'authentication_request',
+  SESSION_LIST: 'session_list',
+  SESSION_PROMOTE: 'session_promote',
+  SESSION_DEMOTE: 'session_demote',
+  SESSION_KICK: 'session_kick',
+  SESSION_KICKED: 'session_kicked',
+  SESSION_ROLE_CHANGED: 'session_role_changed',
+  PRESENCE_UPDATE: 'presence_update',
+  PRESENCE_FOLLOW: 'presence_follow',
+  TERMINAL_CREATE: 'terminal_create',
+  TERMINAL_DATA: 'terminal_data',
+  TERMINAL_RESIZE: 'terminal_resize',
+  TERMINAL_CLOSE: 'terminal_close',
+  EDITOR_OPEN: 'editor_open',
+  EDITOR_CHANGE: 'editor_change',
+  EDITOR_CURSOR: 'editor_cursor',
+  EDITOR_SELECTION: 'editor_selection',
+  EDITOR_CLOSE: 'editor_close',
+  EXTENSION_REGISTER: 'extension_register',
+  EXTENSION_STATE: 'extension_state',
+  EXTENSION_UNREGISTER: 'extension_unregister',
+  SERVER_SHUTDOWN: 'server_shutdown'
 };
 
 /**
@@ -78,7 +102,30 @@ const MESSAGE_TYPE_CATEGORIES = {
   [MESSAGE_TYPES.ERROR]: MESSAGE_CATEGORIES.SYSTEM,
   [MESSAGE_TYPES.PING]: MESSAGE_CATEGORIES.SYSTEM,
   [MESSAGE_TYPES.PONG]: MESSAGE_CATEGORIES.SYSTEM,
-  [MESSAGE_TYPES.DISCONNECT]: MESSAGE_CATEGORIES.CONNECTION
+  [MESSAGE_TYPES.DISCONNECT]: MESSAGE_CATEGORIES.CONNECTION,
+  [MESSAGE_TYPES.CONNECTION]: MESSAGE_CATEGORIES.CONNECTION,
+  [MESSAGE_TYPES.AUTHENTICATION_REQUEST]: MESSAGE_CATEGORIES.AUTHENTICATION,
+  [MESSAGE_TYPES.SESSION_LIST]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.SESSION_PROMOTE]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.SESSION_DEMOTE]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.SESSION_KICK]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.SESSION_KICKED]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.SESSION_ROLE_CHANGED]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.PRESENCE_UPDATE]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.PRESENCE_FOLLOW]: MESSAGE_CATEGORIES.SESSION,
+  [MESSAGE_TYPES.TERMINAL_CREATE]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.TERMINAL_DATA]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.TERMINAL_RESIZE]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.TERMINAL_CLOSE]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EDITOR_OPEN]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EDITOR_CHANGE]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EDITOR_CURSOR]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EDITOR_SELECTION]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EDITOR_CLOSE]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EXTENSION_REGISTER]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EXTENSION_STATE]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.EXTENSION_UNREGISTER]: MESSAGE_CATEGORIES.CONTENT,
+  [MESSAGE_TYPES.SERVER_SHUTDOWN]: MESSAGE_CATEGORIES.SYSTEM
 };
 
 module.exports = {
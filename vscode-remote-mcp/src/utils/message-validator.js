@@ -454,13 +454,18 @@ function validateSessionJoinMessage(message) {
 function validateTokenRefreshMessage(message) {
   const { payload } = message;
   
-  validateRequiredFields(payload, ['clientId', 'newToken']);
+  // The refresh token may be sent as refreshToken or, by older clients, as newToken
+  validateRequiredFields(payload, payload.refreshToken !== undefined ? ['clientId', 'refreshToken'] : ['clientId', 'newToken']);
   
   if (typeof payload.clientId !== 'string') {
     throw new Error('clientId must be a string');
   }
   
-  if (typeof payload.newToken !== 'string') {
+  if (payload.refreshToken !== undefined && typeof payload.refreshToken !== 'string') {
+    throw new Error('refreshToken must be a string');
+  }
+  
+  if (payload.newToken !== undefined && typeof payload.newToken !== 'string') {
     throw new Error('newToken must be a string');
   }
   
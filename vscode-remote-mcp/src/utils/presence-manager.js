@@ -0,0 +1,454 @@
+/**
+ * Presence Manager for VSCode Remote MCP
+ *
+ * This module tracks who is doing what in each session, including:
+ * - Display name and colour of every participant
+ * - Active editor, cursor and selections
+ * - Focused terminal
+ * - Idle and away status based on activity
+ * - Following another participant's editor and cursor
+ *
+ * Changes are batched per session and reported through the onUpdate callback
+ * at most once per throttle interval.
+ */
+
+/**
+ * Colours assigned to participants that do not choose one
+ * @type {Array<string>}
+ */
+const PRESENCE_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231',
+  '#911eb4', '#42d4f4', '#f032e6', '#9a6324'
+];
+
+/**
+ * Presence fields a client may update directly
+ * @type {Array<string>}
+ */
+const UPDATABLE_FIELDS = [
+  'displayName',
+  'color',
+  'activeEditorId',
+  'activeFilePath',
+  'cursor',
+  'selections',
+  'focusedTerminalId'
+];
+
+/**
+ * Presence fields that a follower mirrors from the participant it follows
+ * @type {Array<string>}
+ */
+const FOLLOWED_FIELDS = ['activeEditorId', 'activeFilePath', 'cursor', 'selections'];
+
+/**
+ * Presence Manager class
+ */
+class PresenceManager {
+  /**
+   * Create a new PresenceManager instance
+   * @param {Object} options - Presence options
+   * @param {number} [options.idleTimeoutMs=60000] - Inactivity before a participant is idle
+   * @param {number} [options.awayTimeoutMs=300000] - Inactivity before a participant is away
+   * @param {number} [options.throttleMs=100] - Minimum time between updates for a session
+   * @param {Function} [options.onUpdate] - Called with (sessionId, changes) for each batch of changes
+   * @param {Function} [options.onFollow] - Called with (sessionId, followerId, presence) when a followed participant moves
+   */
+  constructor(options = {}) {
+    this.idleTimeoutMs = options.idleTimeoutMs || 60 * 1000;
+    this.awayTimeoutMs = options.awayTimeoutMs || 5 * 60 * 1000;
+    this.throttleMs = options.throttleMs !== undefined ? options.throttleMs : 100;
+
+    // Callbacks
+    this.onUpdate = options.onUpdate || (() => {});
+    this.onFollow = options.onFollow || (() => {});
+
+    // Map of session presence: sessionId -> Map of clientId -> presence object
+    this.sessions = new Map();
+
+    // Map of client to session: clientId -> sessionId
+    this.clientSessions = new Map();
+
+    // Map of pending changes: sessionId -> Map of clientId -> changed fields
+    this.pendingChanges = new Map();
+
+    // Map of flush timers: sessionId -> timeout
+    this.flushTimers = new Map();
+  }
+
+  /**
+   * Add a participant to a session's presence
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @param {Object} info - Participant information
+   * @param {string} [info.displayName] - Display name (defaults to the client ID)
+   * @param {string} [info.color] - Colour (defaults to an unused palette colour)
+   * @returns {Object} The participant's presence
+   */
+  join(sessionId, clientId, info = {}) {
+    // A client is present in one session at a time
+    const previousSessionId = this.clientSessions.get(clientId);
+    if (previousSessionId && previousSessionId !== sessionId) {
+      this.leave(previousSessionId, clientId);
+    }
+
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, new Map());
+    }
+    const participants = this.sessions.get(sessionId);
+
+    const presence = {
+      clientId,
+      displayName: info.displayName || clientId,
+      color: info.color || this.pickColor(participants),
+      activeEditorId: null,
+      activeFilePath: null,
+      cursor: null,
+      selections: [],
+      focusedTerminalId: null,
+      status: 'active', // active, idle, away
+      following: null,
+      lastActivity: new Date()
+    };
+
+    participants.set(clientId, presence);
+    this.clientSessions.set(clientId, sessionId);
+
+    this.queueChange(sessionId, clientId, this.serialize(presence), true);
+
+    return presence;
+  }
+
+  /**
+   * Remove a participant from a session's presence
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @returns {boolean} True if the participant was removed, false otherwise
+   */
+  leave(sessionId, clientId) {
+    const participants = this.sessions.get(sessionId);
+    if (!participants || !participants.delete(clientId)) {
+      return false;
+    }
+
+    this.clientSessions.delete(clientId);
+
+    // Stop anyone following the participant
+    for (const presence of participants.values()) {
+      if (presence.following === clientId) {
+        presence.following = null;
+        this.queueChange(sessionId, presence.clientId, { following: null });
+      }
+    }
+
+    // Replace any pending changes with the departure
+    this.queueChange(sessionId, clientId, { left: true }, true);
+
+    if (participants.size === 0) {
+      this.sessions.delete(sessionId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a client from whichever session it is present in
+   * @param {string} clientId - The client ID
+   * @returns {boolean} True if the client was removed, false otherwise
+   */
+  removeClient(clientId) {
+    const sessionId = this.clientSessions.get(clientId);
+    if (!sessionId) {
+      return false;
+    }
+
+    return this.leave(sessionId, clientId);
+  }
+
+  /**
+   * Get a participant's presence
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @returns {Object|null} The presence object or null if not found
+   */
+  getPresence(sessionId, clientId) {
+    const participants = this.sessions.get(sessionId);
+    return (participants && participants.get(clientId)) || null;
+  }
+
+  /**
+   * Get the presence of every participant in a session
+   * @param {string} sessionId - The session ID
+   * @returns {Array} Array of serialized presence objects
+   */
+  getSnapshot(sessionId) {
+    const participants = this.sessions.get(sessionId);
+    if (!participants) {
+      return [];
+    }
+
+    return Array.from(participants.values()).map(presence => this.serialize(presence));
+  }
+
+  /**
+   * Update a participant's presence
+   * @param {string} clientId - The client ID
+   * @param {Object} changes - Fields to update (see UPDATABLE_FIELDS)
+   * @returns {boolean} True if the presence was updated, false otherwise
+   */
+  update(clientId, changes) {
+    const sessionId = this.clientSessions.get(clientId);
+    const presence = sessionId && this.getPresence(sessionId, clientId);
+    if (!presence) {
+      return false;
+    }
+
+    const changed = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined && changes[field] !== presence[field]) {
+        presence[field] = changes[field];
+        changed[field] = changes[field];
+      }
+    }
+
+    // Navigating to another editor ends follow mode
+    if (presence.following && changed.activeEditorId !== undefined) {
+      const leader = this.getPresence(sessionId, presence.following);
+      if (!leader || leader.activeEditorId !== changed.activeEditorId) {
+        presence.following = null;
+        changed.following = null;
+      }
+    }
+
+    this.markActive(sessionId, presence, changed);
+
+    if (Object.keys(changed).length > 0) {
+      this.queueChange(sessionId, clientId, changed);
+    }
+
+    // Move followers along with the participant
+    if (FOLLOWED_FIELDS.some(field => changed[field] !== undefined)) {
+      for (const follower of this.getFollowers(sessionId, clientId)) {
+        this.onFollow(sessionId, follower.clientId, this.serialize(presence));
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Record activity for a participant without changing its presence fields
+   * @param {string} clientId - The client ID
+   * @returns {boolean} True if the participant was found, false otherwise
+   */
+  touch(clientId) {
+    const sessionId = this.clientSessions.get(clientId);
+    const presence = sessionId && this.getPresence(sessionId, clientId);
+    if (!presence) {
+      return false;
+    }
+
+    const changed = {};
+    this.markActive(sessionId, presence, changed);
+
+    if (Object.keys(changed).length > 0) {
+      this.queueChange(sessionId, clientId, changed);
+    }
+
+    return true;
+  }
+
+  /**
+   * Start or stop following another participant
+   * @param {string} clientId - The follower's client ID
+   * @param {string|null} targetClientId - The participant to follow, or null to stop following
+   * @returns {Object|null} The followed participant's presence, or null when following stopped
+   * @throws {Error} If the follower or target is not present in the same session
+   */
+  follow(clientId, targetClientId) {
+    const sessionId = this.clientSessions.get(clientId);
+    const presence = sessionId && this.getPresence(sessionId, clientId);
+    if (!presence) {
+      throw new Error(`Client ${clientId} is not present in any session`);
+    }
+
+    let target = null;
+    if (targetClientId) {
+      if (targetClientId === clientId) {
+        throw new Error('Clients cannot follow themselves');
+      }
+
+      target = this.getPresence(sessionId, targetClientId);
+      if (!target) {
+        throw new Error(`Client ${targetClientId} is not a participant in session ${sessionId}`);
+      }
+    }
+
+    presence.following = targetClientId || null;
+
+    const changed = { following: presence.following };
+    this.markActive(sessionId, presence, changed);
+    this.queueChange(sessionId, clientId, changed);
+
+    return target ? this.serialize(target) : null;
+  }
+
+  /**
+   * Get the participants following a client
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The followed client ID
+   * @returns {Array} Array of presence objects
+   */
+  getFollowers(sessionId, clientId) {
+    const participants = this.sessions.get(sessionId);
+    if (!participants) {
+      return [];
+    }
+
+    return Array.from(participants.values())
+      .filter(presence => presence.following === clientId);
+  }
+
+  /**
+   * Move participants to idle or away once they have been inactive long enough
+   * @param {Date} [now=new Date()] - The current time
+   * @returns {number} Number of participants whose status changed
+   */
+  updateIdleStatus(now = new Date()) {
+    let changedCount = 0;
+
+    for (const [sessionId, participants] of this.sessions.entries()) {
+      for (const presence of participants.values()) {
+        const inactiveTime = now - presence.lastActivity;
+        let status = 'active';
+
+        if (inactiveTime > this.awayTimeoutMs) {
+          status = 'away';
+        } else if (inactiveTime > this.idleTimeoutMs) {
+          status = 'idle';
+        }
+
+        if (status !== presence.status) {
+          presence.status = status;
+          this.queueChange(sessionId, presence.clientId, { status });
+          changedCount++;
+        }
+      }
+    }
+
+    return changedCount;
+  }
+
+  /**
+   * Record activity and return an inactive participant to active
+   * @param {string} sessionId - The session ID
+   * @param {Object} presence - The presence object
+   * @param {Object} changed - Changed fields to add the status change to
+   * @private
+   */
+  markActive(sessionId, presence, changed) {
+    presence.lastActivity = new Date();
+
+    if (presence.status !== 'active') {
+      presence.status = 'active';
+      changed.status = 'active';
+    }
+  }
+
+  /**
+   * Queue a presence change for the next update
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @param {Object} changes - Changed fields
+   * @param {boolean} [replace=false] - Whether to discard earlier pending changes for the client
+   * @private
+   */
+  queueChange(sessionId, clientId, changes, replace = false) {
+    if (!this.pendingChanges.has(sessionId)) {
+      this.pendingChanges.set(sessionId, new Map());
+    }
+    const pending = this.pendingChanges.get(sessionId);
+
+    const previous = replace ? {} : pending.get(clientId) || {};
+    pending.set(clientId, { ...previous, ...changes });
+
+    // Schedule a flush unless one is already pending
+    if (!this.flushTimers.has(sessionId)) {
+      const timer = setTimeout(() => this.flush(sessionId), this.throttleMs);
+      if (timer.unref) {
+        timer.unref();
+      }
+      this.flushTimers.set(sessionId, timer);
+    }
+  }
+
+  /**
+   * Report the pending changes for a session
+   * @param {string} sessionId - The session ID
+   * @returns {Array} The changes that were reported
+   */
+  flush(sessionId) {
+    const timer = this.flushTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.flushTimers.delete(sessionId);
+    }
+
+    const pending = this.pendingChanges.get(sessionId);
+    if (!pending || pending.size === 0) {
+      return [];
+    }
+    this.pendingChanges.delete(sessionId);
+
+    const changes = Array.from(pending.entries())
+      .map(([clientId, fields]) => ({ clientId, ...fields }));
+
+    this.onUpdate(sessionId, changes);
+
+    return changes;
+  }
+
+  /**
+   * Pick a colour that no participant in the session uses yet
+   * @param {Map} participants - The session's participants
+   * @returns {string} A colour
+   * @private
+   */
+  pickColor(participants) {
+    const used = new Set(Array.from(participants.values()).map(presence => presence.color));
+    return PRESENCE_COLORS.find(color => !used.has(color)) ||
+      PRESENCE_COLORS[participants.size % PRESENCE_COLORS.length];
+  }
+
+  /**
+   * Convert a presence object for sending to clients
+   * @param {Object} presence - The presence object
+   * @returns {Object} Serialized presence
+   * @private
+   */
+  serialize(presence) {
+    return {
+      ...presence,
+      lastActivity: presence.lastActivity.toISOString()
+    };
+  }
+
+  /**
+   * Dispose of the presence manager
+   */
+  dispose() {
+    for (const timer of this.flushTimers.values()) {
+      clearTimeout(timer);
+    }
+
+    this.flushTimers.clear();
+    this.pendingChanges.clear();
+    this.sessions.clear();
+    this.clientSessions.clear();
+  }
+}
+
+module.exports = {
+  PresenceManager,
+  PRESENCE_COLORS
+};
@@ -0,0 +1,254 @@
+/**
+ * Prompt Registry for VSCode Remote MCP
+ *
+ * This module serves MCP prompt templates, including:
+ * - Built-in prompts that fill their messages with tool results
+ * - Markdown templates with `{{argument}}` placeholders loaded from a user directory
+ * - Checking the arguments of a prompt before it is rendered
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ToolErrorCode } = require('./tool-host');
+const { getLogger } = require('./logger');
+
+const log = getLogger('prompt-registry');
+
+/**
+ * Placeholder for an argument: `{{name}}` is required, `{{name?}}` is optional
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)(\?)?\s*\}\}/g;
+
+/**
+ * Names of prompts and of their template files
+ * @type {RegExp}
+ */
+const PROMPT_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * Create a prompt error
+ * @param {string} message - The error message
+ * @param {string} code - Error code (PROMPT_NOT_FOUND or INVALID_ARGUMENTS)
+ * @returns {Error} The error
+ */
+function createPromptError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a markdown prompt template
+ *
+ * An optional front matter block between `---` lines holds `key: value` lines:
+ * `description` describes the prompt and `arguments.<name>` describes an argument.
+ * Every placeholder in the body declares an argument.
+ *
+ * @param {string} name - Prompt name
+ * @param {string} source - Contents of the template file
+ * @returns {Object} The prompt { name, description, arguments, template }
+ */
+function parsePromptTemplate(name, source) {
+  const metadata = {};
+  let template = source.replace(/^\uFEFF/, '');
+
+  const frontMatter = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(template);
+  if (frontMatter) {
+    for (const line of frontMatter[1].split(/\r?\n/)) {
+      const match = /^\s*([\w.-]+)\s*:\s*(.*?)\s*$/.exec(line);
+      if (match) {
+        metadata[match[1]] = match[2];
+      }
+    }
+    template = template.slice(frontMatter[0].length);
+  }
+
+  // An argument is required if any of its placeholders is
+  const argumentsByName = new Map();
+  for (const [, argumentName, optional] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const argument = argumentsByName.get(argumentName) || { name: argumentName, required: false };
+    argument.required = argument.required || !optional;
+    argumentsByName.set(argumentName, argument);
+  }
+
+  return {
+    name,
+    description: metadata.description || `Prompt template ${name}`,
+    arguments: [...argumentsByName.values()].map(argument => ({
+      name: argument.name,
+      ...(metadata[`arguments.${argument.name}`] ? { description: metadata[`arguments.${argument.name}`] } : {}),
+      required: argument.required
+    })),
+    template: template.trim()
+  };
+}
+
+/**
+ * Replace the placeholders of a template with argument values
+ * @param {string} template - The template
+ * @param {Object} args - Argument values; missing optional arguments become empty
+ * @returns {string} The rendered text
+ */
+function renderPromptTemplate(template, args) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, argumentName) => {
+    const value = args[argumentName];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Run a tool for a prompt, failing like the prompt would
+ * @param {ToolHost} toolHost - The tool host
+ * @param {string} name - Tool name
+ * @param {Object} params - Tool parameters
+ * @param {Object} [context] - Tool context from createToolContext
+ * @returns {Promise<Object>} The tool result
+ * @throws {Error} INVALID_ARGUMENTS if the tool rejected its parameters, a plain error if it failed
+ */
+async function runPromptTool(toolHost, name, params, context) {
+  try {
+    return await toolHost.callTool(name, params, context);
+  } catch (error) {
+    if (error.code === ToolErrorCode.InvalidParams) {
+      throw createPromptError(error.message, 'INVALID_ARGUMENTS');
+    }
+    throw new Error(`${name} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Prompt Registry class
+ */
+class PromptRegistry {
+  /**
+   * Create a new PromptRegistry instance
+   * @param {Object} options - Registry options
+   * @param {Object} options.prompts - Built-in prompts by name, each { description, arguments, getMessages }
+   * @param {string} [options.directory] - Directory of markdown templates (`<name>.md`)
+   * @param {ToolHost} options.toolHost - Tool host the built-in prompts call tools through
+   * @param {WorkspaceResources} [options.resources] - Resources the built-in prompts embed
+   */
+  constructor(options) {
+    this.prompts = options.prompts;
+    this.directory = options.directory || null;
+    this.toolHost = options.toolHost;
+    this.resources = options.resources;
+  }
+
+  /**
+   * Get a built-in prompt
+   * @param {string} name - Prompt name
+   * @returns {Object|null} The prompt, or null if there is no built-in prompt with that name
+   */
+  getBuiltInPrompt(name) {
+    return Object.prototype.hasOwnProperty.call(this.prompts, name) ? this.prompts[name] : null;
+  }
+
+  /**
+   * Load the markdown templates of the user directory
+   *
+   * Templates are read on every request so edits show up without a restart.
+   * A template named like a built-in prompt is skipped.
+   *
+   * @returns {Promise<Map<string, Object>>} Map of prompt name to parsed template
+   */
+  async loadTemplates() {
+    const templates = new Map();
+    if (!this.directory) {
+      return templates;
+    }
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Could not read prompts directory ${this.directory}`, { error });
+      }
+      return templates;
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const name = entry.name.slice(0, -'.md'.length);
+      if (!entry.isFile() || !entry.name.endsWith('.md') || !PROMPT_NAME_PATTERN.test(name)) {
+        continue;
+      }
+      if (this.getBuiltInPrompt(name)) {
+        log.warn(`Prompt template ${entry.name} is ignored: ${name} is a built-in prompt`);
+        continue;
+      }
+
+      try {
+        const source = await fs.promises.readFile(path.join(this.directory, entry.name), 'utf8');
+        templates.set(name, parsePromptTemplate(name, source));
+      } catch (error) {
+        log.error(`Could not read prompt template ${entry.name}`, { error });
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * List the built-in prompts followed by the templates of the user directory
+   * @returns {Promise<Array<Object>>} Prompts as { name, description, arguments }
+   */
+  async listPrompts() {
+    const builtIn = Object.entries(this.prompts).map(([name, prompt]) => ({
+      name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }));
+    const templates = [...(await this.loadTemplates()).values()].map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args
+    }));
+
+    return [...builtIn, ...templates];
+  }
+
+  /**
+   * Render a prompt
+   * @param {string} name - Prompt name
+   * @param {Object} [args={}] - Prompt arguments (strings)
+   * @param {Object} [context] - Tool context from createToolContext for the tools the prompt calls
+   * @returns {Promise<Object>} The prompt { description, messages }
+   * @throws {Error} PROMPT_NOT_FOUND for unknown prompts, INVALID_ARGUMENTS for missing or invalid arguments
+   */
+  async getPrompt(name, args = {}, context) {
+    const prompt = this.getBuiltInPrompt(name) || (await this.loadTemplates()).get(name);
+    if (!prompt) {
+      throw createPromptError(`Prompt not found: ${name}`, 'PROMPT_NOT_FOUND');
+    }
+
+    const missing = prompt.arguments
+      .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+      .map(argument => argument.name);
+    if (missing.length > 0) {
+      throw createPromptError(`Missing required arguments for prompt ${name}: ${missing.join(', ')}`, 'INVALID_ARGUMENTS');
+    }
+
+    if (prompt.template !== undefined) {
+      return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text: renderPromptTemplate(prompt.template, args) } }]
+      };
+    }
+
+    const messages = await prompt.getMessages(args, {
+      runTool: (toolName, params) => runPromptTool(this.toolHost, toolName, params, context),
+      resources: this.resources
+    });
+
+    return { description: prompt.description, messages };
+  }
+}
+
+module.exports = {
+  PromptRegistry,
+  parsePromptTemplate,
+  renderPromptTemplate,
+  createPromptError
+};
@@ -0,0 +1,218 @@
+/**
+ * Schema Validator for VSCode Remote MCP
+ *
+ * This module checks tool arguments against the JSON Schemas in `src/tools`, including:
+ * - The keywords the tool schemas use: type, enum, properties, required, additionalProperties,
+ *   items, minItems/maxItems, minLength/maxLength, pattern and minimum/maximum
+ * - Filling in the `default` of missing properties
+ * - Coercing numbers sent as strings ("8080") for integer and number properties
+ * - Reporting every offending property by its path, e.g. `edits[0].operation`
+ *
+ * Other keywords are ignored.
+ */
+
+/**
+ * Integers as sloppy clients send them
+ * @type {RegExp}
+ */
+const INTEGER_STRING_PATTERN = /^[+-]?\d+$/;
+
+/**
+ * Decimal numbers as sloppy clients send them
+ * @type {RegExp}
+ */
+const NUMBER_STRING_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check if a value has a JSON Schema type
+ * @param {*} value - The value
+ * @param {string} type - The type
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Turn a number sent as a string into a number when the schema expects one
+ * @param {*} value - The value
+ * @param {Array<string>} types - Types allowed by the schema
+ * @returns {*} The number, or the value unchanged
+ */
+function coerceNumber(value, types) {
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (types.includes('integer') && INTEGER_STRING_PATTERN.test(trimmed) && Number.isSafeInteger(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (types.includes('number') && NUMBER_STRING_PATTERN.test(trimmed) && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  return value;
+}
+
+/**
+ * Join a property name to a path
+ * @param {string} parent - Path of the parent
+ * @param {string|number} key - Property name or array index
+ * @returns {string} The path
+ */
+function joinPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Validate a value, collecting errors
+ * @param {Object} schema - The schema
+ * @param {*} value - The value
+ * @param {string} valuePath - Path of the value
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {*} The value with defaults and coercions applied
+ */
+function check(schema, value, valuePath, errors) {
+  const label = valuePath || 'arguments';
+  const addError = (message) => errors.push({ path: valuePath, message: `${label} ${message}` });
+
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    value = coerceNumber(value, types);
+
+    if (!types.some(type => matchesType(value, type))) {
+      addError(`must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+      return value;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(allowed => JSON.stringify(allowed) === JSON.stringify(value))) {
+    addError(`must be one of: ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+    return value;
+  }
+
+  if (isPlainObject(value)) {
+    return checkObject(schema, value, valuePath, errors);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError(`must have at most ${schema.maxItems} items`);
+    }
+    return schema.items ? value.map((item, index) => check(schema.items, item, joinPath(valuePath, index), errors)) : value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      addError(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Validate the properties of an object, filling in defaults
+ * @param {Object} schema - The object schema
+ * @param {Object} value - The object
+ * @param {string} valuePath - Path of the object
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {Object} A copy of the object with defaults and coercions applied
+ */
+function checkObject(schema, value, valuePath, errors) {
+  const properties = schema.properties || {};
+  const result = {};
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const propertyPath = joinPath(valuePath, key);
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      result[key] = check(properties[key], propertyValue, propertyPath, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: propertyPath, message: `${propertyPath} is not allowed` });
+    } else if (isPlainObject(schema.additionalProperties)) {
+      result[key] = check(schema.additionalProperties, propertyValue, propertyPath, errors);
+    } else {
+      result[key] = propertyValue;
+    }
+  }
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (result[key] === undefined && value[key] === undefined && propertySchema && propertySchema.default !== undefined) {
+      result[key] = JSON.parse(JSON.stringify(propertySchema.default));
+    }
+  }
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      const propertyPath = joinPath(valuePath, key);
+      errors.push({ path: propertyPath, message: `${propertyPath} is required` });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - The schema
+ * @param {*} value - The value; it is not modified
+ * @returns {Object} { value, errors } with the value after defaults and coercions, and
+ *   errors as [{ path, message }] (empty when the value is valid)
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  const result = check(schema, value, '', errors);
+  return { value: result, errors };
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,325 @@
+/**
+ * Search Engine for VSCode Remote MCP
+ *
+ * This module searches file contents in-process, including:
+ * - Walking a directory tree while honouring `.gitignore` and `.ignore` files
+ * - Filtering files with include and exclude globs
+ * - Line-by-line or multiline regular expression matching with context lines
+ * - Skipping binary and oversized files
+ * - Yielding matches as they are found so callers can stop early
+ * - Stopping when the search is aborted
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createGlobMatcher, parseIgnoreFile, isIgnored } = require('./glob-matcher');
+const { createAbortError } = require('./tool-context');
+
+/**
+ * Ignore files read in every directory
+ * @type {Array<string>}
+ */
+const IGNORE_FILES = ['.gitignore', '.ignore'];
+
+/**
+ * Directories skipped unless ignore files are disabled
+ * @type {Array<string>}
+ */
+const DEFAULT_SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+/**
+ * Files larger than this are skipped
+ * @type {number}
+ */
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Number of leading bytes checked for NUL characters to detect binary files
+ * @type {number}
+ */
+const BINARY_CHECK_BYTES = 8000;
+
+/**
+ * Build the regular expression for a search pattern
+ * @param {string} pattern - The search pattern
+ * @param {Object} options - Pattern options
+ * @param {boolean} [options.useRegex=true] - Treat the pattern as a JavaScript regular expression
+ * @param {boolean} [options.ignoreCase=false] - Match case-insensitively
+ * @param {boolean} [options.multiline=false] - Let matches span lines (`.` also matches newlines)
+ * @returns {RegExp} The global regular expression
+ * @throws {SyntaxError} If the pattern is not a valid regular expression
+ */
+function buildSearchRegExp(pattern, options = {}) {
+  const source = options.useRegex === false ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+  let flags = 'g';
+
+  if (options.ignoreCase) {
+    flags += 'i';
+  }
+  if (options.multiline) {
+    flags += 'ms';
+  }
+
+  return new RegExp(source, flags);
+}
+
+/**
+ * Check if a buffer looks like binary data
+ * @param {Buffer} buffer - The file contents
+ * @returns {boolean} True if the buffer contains a NUL byte near the start
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_CHECK_BYTES).includes(0);
+}
+
+/**
+ * Walk a directory tree, yielding files that pass the ignore rules and globs
+ * @param {string} root - The search root
+ * @param {Object} options - Walk options
+ * @param {Object} options.matcher - Glob matcher from createGlobMatcher
+ * @param {boolean} options.respectIgnoreFiles - Honour ignore files and skip default directories
+ * @param {Object} options.stats - Counters updated while walking
+ * @yields {Object} Files as { absolutePath, relativePath }
+ */
+async function* walkFiles(root, options) {
+  // Depth-first stack of directories with the ignore rules that apply inside them
+  const stack = [{ directory: root, relativeDirectory: '', rules: [] }];
+
+  while (stack.length > 0) {
+    const { directory, relativeDirectory, rules: parentRules } = stack.pop();
+    let entries;
+
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      options.stats.unreadable++;
+      continue;
+    }
+
+    let rules = parentRules;
+    if (options.respectIgnoreFiles) {
+      for (const ignoreFile of IGNORE_FILES) {
+        if (entries.some(entry => entry.name === ignoreFile && entry.isFile())) {
+          try {
+            const content = await fs.readFile(path.join(directory, ignoreFile), 'utf8');
+            rules = rules.concat(parseIgnoreFile(content, relativeDirectory));
+          } catch (error) {
+            // An unreadable ignore file ignores nothing
+          }
+        }
+      }
+    }
+
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    const subdirectories = [];
+
+    for (const entry of entries) {
+      const relativePath = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+
+      // Symlinks are not followed, so the walk stays inside the search root
+      if (!isDirectory && !entry.isFile()) {
+        continue;
+      }
+
+      if (options.respectIgnoreFiles) {
+        if (isDirectory && DEFAULT_SKIPPED_DIRECTORIES.includes(entry.name)) {
+          continue;
+        }
+        if (isIgnored(rules, relativePath, isDirectory)) {
+          continue;
+        }
+      }
+
+      if (isDirectory) {
+        if (!options.matcher.isExcluded(relativePath) && !options.matcher.isExcluded(`${relativePath}/`)) {
+          subdirectories.push({ directory: path.join(directory, entry.name), relativeDirectory: relativePath, rules });
+        }
+      } else if (options.matcher.isIncluded(relativePath) && !options.matcher.isExcluded(relativePath)) {
+        yield { absolutePath: path.join(directory, entry.name), relativePath };
+      }
+    }
+
+    // Push in reverse so directories are visited in name order
+    stack.push(...subdirectories.reverse());
+  }
+}
+
+/**
+ * Get the context lines around a range of lines
+ * @param {Array<string>} lines - All lines of the file
+ * @param {number} startIndex - Zero-based index of the first matched line
+ * @param {number} endIndex - Zero-based index of the last matched line
+ * @param {number} contextLines - Number of context lines on each side
+ * @returns {Object} Context as { lines_before, lines_after } with 1-based line numbers
+ */
+function getContext(lines, startIndex, endIndex, contextLines) {
+  const toLine = index => ({ line: index + 1, content: lines[index] });
+  const before = [];
+  const after = [];
+
+  for (let i = Math.max(0, startIndex - contextLines); i < startIndex; i++) {
+    before.push(toLine(i));
+  }
+  for (let i = endIndex + 1; i <= Math.min(lines.length - 1, endIndex + contextLines); i++) {
+    after.push(toLine(i));
+  }
+
+  return { lines_before: before, lines_after: after };
+}
+
+/**
+ * Find the matches in one file's text
+ * @param {string} text - The file contents
+ * @param {RegExp} regex - Global search expression from buildSearchRegExp
+ * @param {Object} options - Match options
+ * @param {boolean} options.multiline - Match against the whole text instead of line by line
+ * @param {number} options.contextLines - Number of context lines on each side
+ * @yields {Object} Matches as { line, end_line, column, content, match, lines_before, lines_after }
+ */
+function* matchText(text, regex, options) {
+  const lines = text.split(/\r?\n/);
+
+  if (!options.multiline) {
+    for (let i = 0; i < lines.length; i++) {
+      regex.lastIndex = 0;
+      const match = regex.exec(lines[i]);
+
+      if (match) {
+        yield {
+          line: i + 1,
+          end_line: i + 1,
+          column: match.index + 1,
+          content: lines[i],
+          match: match[0],
+          ...getContext(lines, i, i, options.contextLines)
+        };
+      }
+    }
+    return;
+  }
+
+  // Offsets of each line start, used to map match offsets to line numbers
+  const lineStarts = [0];
+  const newline = /\r?\n/g;
+  let newlineMatch;
+  while ((newlineMatch = newline.exec(text)) !== null) {
+    lineStarts.push(newlineMatch.index + newlineMatch[0].length);
+  }
+
+  const lineIndexAt = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  };
+
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    // Step past empty matches so the search always advances
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+    }
+
+    const startIndex = lineIndexAt(match.index);
+    const endIndex = lineIndexAt(match.index + Math.max(match[0].length - 1, 0));
+
+    yield {
+      line: startIndex + 1,
+      end_line: endIndex + 1,
+      column: match.index - lineStarts[startIndex] + 1,
+      content: lines.slice(startIndex, endIndex + 1).join('\n'),
+      match: match[0],
+      ...getContext(lines, startIndex, endIndex, options.contextLines)
+    };
+  }
+}
+
+/**
+ * Search the files below a directory
+ * @param {Object} options - Search options
+ * @param {string} options.directory - The directory to search
+ * @param {RegExp} options.regex - Global search expression from buildSearchRegExp
+ * @param {Array<string>} [options.include=[]] - Globs a file must match (any of them)
+ * @param {Array<string>} [options.require=[]] - Globs a file must also match (all of them)
+ * @param {Array<string>} [options.exclude=[]] - Globs excluding files and directories
+ * @param {boolean} [options.multiline=false] - Let matches span lines
+ * @param {number} [options.contextLines=2] - Number of context lines on each side
+ * @param {boolean} [options.respectIgnoreFiles=true] - Honour ignore files and skip `.git`/`node_modules`
+ * @param {Object} [options.stats] - Counters updated while searching
+ * @param {AbortSignal} [options.signal] - Stops the search with an AbortError when aborted
+ * @param {Function} [options.onFileSearched] - Called with the stats after every searched file
+ * @yields {Object} Matches with `file` (absolute) and `relative_path` added
+ */
+async function* searchFiles(options) {
+  const stats = options.stats || {};
+  Object.assign(stats, { files_searched: 0, binary_files_skipped: 0, large_files_skipped: 0, unreadable: 0 });
+
+  // A file given as the directory is searched on its own
+  const rootStats = await fs.stat(options.directory);
+  const files = rootStats.isFile()
+    ? [{ absolutePath: options.directory, relativePath: path.basename(options.directory) }]
+    : walkFiles(options.directory, {
+      matcher: createGlobMatcher({ include: options.include, require: options.require, exclude: options.exclude }),
+      respectIgnoreFiles: options.respectIgnoreFiles !== false,
+      stats
+    });
+
+  for await (const file of files) {
+    if (options.signal) {
+      if (options.signal.aborted) {
+        throw createAbortError();
+      }
+    }
+
+    let buffer;
+
+    try {
+      const fileStats = await fs.stat(file.absolutePath);
+      if (fileStats.size > MAX_FILE_SIZE) {
+        stats.large_files_skipped++;
+        continue;
+      }
+      buffer = await fs.readFile(file.absolutePath);
+    } catch (error) {
+      stats.unreadable++;
+      continue;
+    }
+
+    if (isBinary(buffer)) {
+      stats.binary_files_skipped++;
+      continue;
+    }
+
+    stats.files_searched++;
+    if (options.onFileSearched) {
+      options.onFileSearched(stats);
+    }
+
+    const matches = matchText(buffer.toString('utf8'), options.regex, {
+      multiline: options.multiline === true,
+      contextLines: options.contextLines !== undefined ? options.contextLines : 2
+    });
+
+    for (const match of matches) {
+      yield { file: file.absolutePath, relative_path: file.relativePath, ...match };
+    }
+  }
+}
+
+module.exports = {
+  buildSearchRegExp,
+  searchFiles,
+  walkFiles,
+  matchText,
+  isBinary,
+  MAX_FILE_SIZE
+};
@@ -5,6 +5,9 @@
  */
 
 const { shutdownGracefully, setupShutdownHandlers } = require('./graceful-shutdown');
+const { getLogger } = require('./logger');
+
+const log = getLogger('server-manager');
 
 /**
  * Server Manager class
@@ -90,7 +93,7 @@ class ServerManager {
           client.send(JSON.stringify(message));
           count++;
         } catch (error) {
-          console.error('Error sending message to client:', error);
+          log.error('Error sending message to client', { error });
         }
       }
     }
@@ -113,7 +116,7 @@ class ServerManager {
     // Set shutting down flag
     this.isShuttingDown = true;
     
-    console.log(`Initiating graceful shutdown: ${reason}`);
+    log.info(`Initiating graceful shutdown: ${reason}`);
     
     try {
       // Notify all clients
@@ -123,19 +126,19 @@ class ServerManager {
       if (this.server && this.server.close && typeof this.server.close === 'function') {
         await new Promise((resolve) => {
           this.server.close(() => {
-            console.log('Server closed');
+            log.info('Server closed');
             resolve();
           });
           
           // Set timeout to force close
           setTimeout(() => {
-            console.log('Server close timed out, forcing close');
+            log.info('Server close timed out, forcing close');
             resolve();
           }, this.options.shutdownTimeout);
         });
       }
     } catch (error) {
-      console.error('Error during graceful shutdown:', error);
+      log.error('Error during graceful shutdown', { error });
     }
   }
 
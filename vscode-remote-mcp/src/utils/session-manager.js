@@ -7,10 +7,35 @@
  * - Adding participants to sessions
  * - Removing participants from sessions
  * - Session state synchronization
+ * - Participant roles and permissions
  * - Session cleanup and termination
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { ROLES, isValidRole, roleHasPermission } = require('./session-roles');
+
+/**
+ * Timestamp fields converted back to Date objects when restoring state
+ * @type {Array<string>}
+ */
+const DATE_FIELDS = ['createdAt', 'registeredAt', 'updatedAt', 'lastUpdated'];
+
+/**
+ * Convert persisted timestamp strings back to Date objects
+ * @param {Object} state - The persisted state object
+ * @returns {Object} The state with Date timestamps
+ */
+function reviveDates(state) {
+  const revived = { ...state };
+  
+  for (const field of DATE_FIELDS) {
+    if (typeof revived[field] === 'string') {
+      revived[field] = new Date(revived[field]);
+    }
+  }
+  
+  return revived;
+}
 
 /**
  * Session Manager class
@@ -18,8 +43,21 @@ const { v4: uuidv4 } = require('uuid');
 class SessionManager {
   /**
    * Create a new SessionManager instance
+   * @param {Object} options - Session manager options
+   * @param {Function} [options.onChange] - Called with (sessionId) whenever a session or its state changes
+   * @param {Function} [options.onRemove] - Called with (sessionId) when a session is removed
+   * @param {Function} [options.onRoleChange] - Called with (sessionId, clientId, role) when a participant's role changes
+   * @param {string} [options.defaultRole='viewer'] - Role given to participants joining a session
    */
-  constructor() {
+  constructor(options = {}) {
+    // Change callbacks (used to persist sessions)
+    this.onChange = options.onChange || (() => {});
+    this.onRemove = options.onRemove || (() => {});
+    this.onRoleChange = options.onRoleChange || (() => {});
+    
+    // Role given to joining participants unless the session sets its own; a new client ID gets no write access
+    this.defaultRole = options.defaultRole || ROLES.VIEWER;
+    
     // Map of active sessions: sessionId -> session object
     this.activeSessions = new Map();
     
@@ -36,9 +74,12 @@ class SessionManager {
    * @param {string} createdBy - Client ID of the session creator
    * @param {string} workspaceId - Workspace ID for the session
    * @param {string} sessionName - Name of the session
+   * @param {Object} options - Session options
+   * @param {string} [options.defaultRole] - Role given to participants joining this session
+   * @param {string} [options.identity] - Authenticated identity of the creator
    * @returns {Object} The created session object
    */
-  createSession(sessionId = null, createdBy, workspaceId, sessionName = null) {
+  createSession(sessionId = null, createdBy, workspaceId, sessionName = null, options = {}) {
     // Generate session ID if not provided
     const id = sessionId || uuidv4();
     
@@ -47,6 +88,11 @@ class SessionManager {
       throw new Error(`Session with ID ${id} already exists`);
     }
     
+    const defaultRole = options.defaultRole || this.defaultRole;
+    if (!isValidRole(defaultRole)) {
+      throw new Error(`Invalid role: ${defaultRole}`);
+    }
+    
     // Create new session object
     const session = {
       id,
@@ -56,6 +102,12 @@ class SessionManager {
       createdAt: new Date(),
       lastActivity: new Date(),
       participants: [createdBy],
+      roles: new Map([[createdBy, ROLES.OWNER]]),
+      defaultRole,
+      kickedClients: new Set(),
+      identities: new Map(),
+      identityRoles: new Map(),
+      kickedIdentities: new Set(),
       state: {
         terminals: new Map(),
         editors: new Map(),
@@ -63,10 +115,16 @@ class SessionManager {
       }
     };
     
+    if (options.identity) {
+      this.assignRole(session, createdBy, ROLES.OWNER, options.identity);
+    }
+    
     // Store session
     this.activeSessions.set(id, session);
     this.clientSessionMap.set(createdBy, id);
     
+    this.onChange(id);
+    
     return session;
   }
 
@@ -79,14 +137,37 @@ class SessionManager {
     return this.activeSessions.get(sessionId) || null;
   }
 
+  /**
+   * Give a participant a role, and remember it for the participant's identity
+   * @param {Object} session - The session object
+   * @param {string} clientId - The client ID
+   * @param {string} role - The role
+   * @param {string} [identity] - Authenticated identity of the client; the one it joined with if omitted
+   */
+  assignRole(session, clientId, role, identity = session.identities.get(clientId)) {
+    session.roles.set(clientId, role);
+    
+    if (identity) {
+      session.identities.set(clientId, identity);
+      session.identityRoles.set(identity, role);
+    }
+  }
+
   /**
    * Add a participant to a session
+   *
+   * Client IDs are chosen by clients, so the role and kick of an
+   * authenticated participant follow its identity: rejoining under another
+   * client ID keeps the role, and a kicked identity stays out.
+   *
    * @param {string} sessionId - The session ID
    * @param {string} clientId - The client ID to add
    * @param {string} workspaceId - The workspace ID of the client
+   * @param {string} [role] - The participant's role (defaults to the session's default role)
+   * @param {string} [identity] - Authenticated identity of the client
    * @returns {Object} The updated session object
    */
-  addParticipant(sessionId, clientId, workspaceId) {
+  addParticipant(sessionId, clientId, workspaceId, role = null, identity = null) {
     const session = this.getSession(sessionId);
     
     if (!session) {
@@ -98,13 +179,25 @@ class SessionManager {
       return session;
     }
     
+    // Kicked clients cannot rejoin
+    if (session.kickedClients.has(clientId)) {
+      throw new Error(`Client ${clientId} has been removed from session ${sessionId}`);
+    }
+    if (identity && session.kickedIdentities.has(identity)) {
+      throw new Error(`Identity ${identity} has been removed from session ${sessionId}`);
+    }
+    
     // Add client to session
     session.participants.push(clientId);
+    const rememberedRole = identity ? session.identityRoles.get(identity) : null;
+    this.assignRole(session, clientId, rememberedRole || role || session.defaultRole, identity);
     session.lastActivity = new Date();
     
     // Update client-session mapping
     this.clientSessionMap.set(clientId, sessionId);
     
+    this.onChange(sessionId);
+    
     return session;
   }
 
@@ -123,6 +216,8 @@ class SessionManager {
     
     // Remove client from session
     session.participants = session.participants.filter(id => id !== clientId);
+    session.roles.delete(clientId);
+    session.identities.delete(clientId);
     session.lastActivity = new Date();
     
     // Remove client-session mapping
@@ -134,6 +229,16 @@ class SessionManager {
       return null;
     }
     
+    // Hand ownership to the longest-standing participant if the last owner left
+    const hasOwner = Array.from(session.roles.values()).includes(ROLES.OWNER);
+    if (!hasOwner) {
+      const newOwnerId = session.participants[0];
+      this.assignRole(session, newOwnerId, ROLES.OWNER);
+      this.onRoleChange(sessionId, newOwnerId, ROLES.OWNER);
+    }
+    
+    this.onChange(sessionId);
+    
     return session;
   }
 
@@ -157,6 +262,8 @@ class SessionManager {
     // Remove session
     this.activeSessions.delete(sessionId);
     
+    this.onRemove(sessionId);
+    
     return true;
   }
 
@@ -175,6 +282,97 @@ class SessionManager {
     return this.getSession(sessionId);
   }
 
+  /**
+   * Get a participant's role
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @returns {string|null} The role or null if the client is not a participant
+   */
+  getRole(sessionId, clientId) {
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      return null;
+    }
+    
+    return session.roles.get(clientId) || null;
+  }
+
+  /**
+   * Change a participant's role
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @param {string} role - The new role
+   * @returns {Object} The updated session object
+   * @throws {Error} If the session, participant or role is invalid
+   */
+  setRole(sessionId, clientId, role) {
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new Error(`Session with ID ${sessionId} not found`);
+    }
+    
+    if (!session.participants.includes(clientId)) {
+      throw new Error(`Client ${clientId} is not a participant in session ${sessionId}`);
+    }
+    
+    if (!isValidRole(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+    
+    // A session must always keep an owner
+    const owners = session.participants.filter(id => session.roles.get(id) === ROLES.OWNER);
+    if (role !== ROLES.OWNER && owners.length === 1 && owners[0] === clientId) {
+      throw new Error(`Cannot change the role of the only owner of session ${sessionId}`);
+    }
+    
+    this.assignRole(session, clientId, role);
+    session.lastActivity = new Date();
+    
+    this.onRoleChange(sessionId, clientId, role);
+    this.onChange(sessionId);
+    
+    return session;
+  }
+
+  /**
+   * Remove a participant and prevent it from rejoining, under any client ID if it is authenticated
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID to kick
+   * @returns {Object|null} The updated session object, or null if the session was removed
+   * @throws {Error} If the session or participant is invalid
+   */
+  kickParticipant(sessionId, clientId) {
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      throw new Error(`Session with ID ${sessionId} not found`);
+    }
+    
+    if (!session.participants.includes(clientId)) {
+      throw new Error(`Client ${clientId} is not a participant in session ${sessionId}`);
+    }
+    
+    session.kickedClients.add(clientId);
+    if (session.identities.has(clientId)) {
+      session.kickedIdentities.add(session.identities.get(clientId));
+    }
+    
+    return this.removeParticipant(sessionId, clientId);
+  }
+
+  /**
+   * Check if a participant's role grants a permission
+   * @param {string} sessionId - The session ID
+   * @param {string} clientId - The client ID
+   * @param {string} permission - The permission (see PERMISSIONS in session-roles.js)
+   * @returns {boolean} True if the participant has the permission
+   */
+  hasPermission(sessionId, clientId, permission) {
+    return roleHasPermission(this.getRole(sessionId, clientId), permission);
+  }
+
   /**
    * Update session activity timestamp
    * @param {string} sessionId - The session ID
@@ -188,6 +386,7 @@ class SessionManager {
     }
     
     session.lastActivity = new Date();
+    this.onChange(sessionId);
     return true;
   }
 
@@ -232,6 +431,7 @@ class SessionManager {
     });
     
     session.lastActivity = new Date();
+    this.onChange(sessionId);
     return true;
   }
 
@@ -271,6 +471,7 @@ class SessionManager {
     });
     
     session.lastActivity = new Date();
+    this.onChange(sessionId);
     return true;
   }
 
@@ -310,6 +511,7 @@ class SessionManager {
     });
     
     session.lastActivity = new Date();
+    this.onChange(sessionId);
     return true;
   }
 
@@ -329,6 +531,85 @@ class SessionManager {
     return session.state.extensions.get(extensionId) || null;
   }
 
+  /**
+   * Serialize a session for persistence
+   * @param {string} sessionId - The session ID
+   * @returns {Object|null} Plain session data or null if not found
+   */
+  serializeSession(sessionId) {
+    const session = this.getSession(sessionId);
+    
+    if (!session) {
+      return null;
+    }
+    
+    return {
+      id: session.id,
+      createdBy: session.createdBy,
+      workspaceId: session.workspaceId,
+      name: session.name,
+      createdAt: session.createdAt.toISOString(),
+      lastActivity: session.lastActivity.toISOString(),
+      participants: session.participants.slice(),
+      roles: Object.fromEntries(session.roles),
+      defaultRole: session.defaultRole,
+      kickedClients: Array.from(session.kickedClients),
+      identities: Object.fromEntries(session.identities),
+      identityRoles: Object.fromEntries(session.identityRoles),
+      kickedIdentities: Array.from(session.kickedIdentities),
+      state: {
+        terminals: Object.fromEntries(session.state.terminals),
+        editors: Object.fromEntries(session.state.editors),
+        extensions: Object.fromEntries(session.state.extensions)
+      }
+    };
+  }
+
+  /**
+   * Restore a session from persisted data
+   * @param {Object} data - Session data produced by serializeSession
+   * @returns {Object} The restored session object
+   */
+  restoreSession(data) {
+    const restoreStates = (states = {}) => new Map(
+      Object.entries(states).map(([id, state]) => [id, reviveDates(state)])
+    );
+    
+    const session = {
+      id: data.id,
+      createdBy: data.createdBy,
+      workspaceId: data.workspaceId,
+      name: data.name,
+      createdAt: new Date(data.createdAt),
+      lastActivity: new Date(data.lastActivity),
+      participants: data.participants.slice(),
+      roles: new Map(Object.entries(data.roles || { [data.createdBy]: ROLES.OWNER })),
+      defaultRole: data.defaultRole || this.defaultRole,
+      kickedClients: new Set(data.kickedClients || []),
+      identities: new Map(Object.entries(data.identities || {})),
+      identityRoles: new Map(Object.entries(data.identityRoles || {})),
+      kickedIdentities: new Set(data.kickedIdentities || []),
+      state: {
+        terminals: restoreStates(data.state.terminals),
+        editors: restoreStates(data.state.editors),
+        extensions: restoreStates(data.state.extensions)
+      }
+    };
+    
+    // Store session
+    this.activeSessions.set(session.id, session);
+    for (const clientId of session.participants) {
+      this.clientSessionMap.set(clientId, session.id);
+      
+      // Records saved before roles existed only know the creator
+      if (!session.roles.has(clientId)) {
+        session.roles.set(clientId, session.defaultRole);
+      }
+    }
+    
+    return session;
+  }
+
   /**
    * Get all sessions
    * @returns {Array} Array of all session objects
@@ -0,0 +1,177 @@
+/**
+ * Session Persistence for VSCode Remote MCP
+ *
+ * This module keeps a session store in sync with the in-memory managers, including:
+ * - Snapshotting a session, its editors, extensions and terminals when it changes
+ * - Restoring every stored session on startup
+ * - Deleting stored records when sessions are removed
+ */
+
+const { getLogger } = require('./logger');
+
+const log = getLogger('session-persistence');
+
+/**
+ * Version of the persisted session record format
+ * @type {number}
+ */
+const RECORD_FORMAT_VERSION = 1;
+
+/**
+ * Session Persistence class
+ */
+class SessionPersistence {
+  /**
+   * Create a new SessionPersistence instance
+   * @param {Object} options - Persistence options
+   * @param {Object|null} options.store - Session store (see session-store.js), or null to disable persistence
+   * @param {SessionManager} options.sessionManager - The session manager instance
+   * @param {TerminalManager} options.terminalManager - The terminal manager instance
+   * @param {EditorManager} options.editorManager - The editor manager instance
+   * @param {ExtensionManager} options.extensionManager - The extension manager instance
+   * @param {number} [options.saveDelayMs=500] - Delay used to batch changes into one snapshot
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.sessionManager = options.sessionManager;
+    this.terminalManager = options.terminalManager;
+    this.editorManager = options.editorManager;
+    this.extensionManager = options.extensionManager;
+    this.saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : 500;
+
+    // Map of pending snapshots: sessionId -> timeout
+    this.pendingSaves = new Map();
+
+    // Changes are ignored while restoring and after disposal
+    this.restoring = false;
+    this.disposed = false;
+  }
+
+  /**
+   * Restore every stored session into the managers
+   * @returns {number} Number of sessions restored
+   */
+  restore() {
+    if (!this.store) {
+      return 0;
+    }
+
+    let restoredCount = 0;
+    this.restoring = true;
+
+    try {
+      for (const record of this.store.loadSessions()) {
+        if (record.formatVersion !== RECORD_FORMAT_VERSION || !record.session) {
+          log.warn(`Skipping session record with unsupported format ${record.formatVersion}`);
+          continue;
+        }
+
+        // Keep sessions that are already live
+        if (this.sessionManager.getSession(record.session.id)) {
+          continue;
+        }
+
+        this.sessionManager.restoreSession(record.session);
+        (record.editors || []).forEach(editor => this.editorManager.restoreEditor(editor));
+        (record.extensions || []).forEach(extension => this.extensionManager.restoreExtension(extension));
+        (record.terminals || []).forEach(terminal => this.terminalManager.restoreTerminal(terminal));
+
+        restoredCount++;
+      }
+    } finally {
+      this.restoring = false;
+    }
+
+    return restoredCount;
+  }
+
+  /**
+   * Schedule a snapshot of a session
+   * @param {string} sessionId - The session ID
+   */
+  scheduleSave(sessionId) {
+    if (!this.store || this.restoring || this.disposed || this.pendingSaves.has(sessionId)) {
+      return;
+    }
+
+    const timer = setTimeout(() => this.save(sessionId), this.saveDelayMs);
+    if (timer.unref) {
+      timer.unref();
+    }
+    this.pendingSaves.set(sessionId, timer);
+  }
+
+  /**
+   * Snapshot a session immediately
+   * @param {string} sessionId - The session ID
+   * @returns {boolean} True if the session was saved, false otherwise
+   */
+  save(sessionId) {
+    clearTimeout(this.pendingSaves.get(sessionId));
+    this.pendingSaves.delete(sessionId);
+
+    const session = this.sessionManager.serializeSession(sessionId);
+    if (!this.store || !session) {
+      return false;
+    }
+
+    try {
+      this.store.saveSession({
+        formatVersion: RECORD_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        session,
+        editors: this.editorManager.serializeSessionEditors(sessionId),
+        extensions: this.extensionManager.serializeSessionExtensions(sessionId),
+        terminals: this.terminalManager.serializeSessionTerminals(sessionId)
+      });
+      return true;
+    } catch (error) {
+      log.error(`Failed to persist session ${sessionId}`, { error });
+      return false;
+    }
+  }
+
+  /**
+   * Delete the stored record of a removed session
+   * @param {string} sessionId - The session ID
+   */
+  remove(sessionId) {
+    clearTimeout(this.pendingSaves.get(sessionId));
+    this.pendingSaves.delete(sessionId);
+
+    if (!this.store || this.disposed) {
+      return;
+    }
+
+    try {
+      this.store.removeSession(sessionId);
+    } catch (error) {
+      log.error(`Failed to remove persisted session ${sessionId}`, { error });
+    }
+  }
+
+  /**
+   * Write every pending snapshot
+   */
+  flush() {
+    for (const sessionId of Array.from(this.pendingSaves.keys())) {
+      this.save(sessionId);
+    }
+  }
+
+  /**
+   * Write pending snapshots and stop tracking changes
+   *
+   * Called before clients are disconnected on shutdown, so sessions emptied
+   * by the disconnects stay in the store for the next start.
+   */
+  dispose() {
+    this.flush();
+    this.disposed = true;
+  }
+}
+
+module.exports = {
+  SessionPersistence,
+  RECORD_FORMAT_VERSION
+};
@@ -0,0 +1,90 @@
+/**
+ * Session Roles for VSCode Remote MCP
+ *
+ * This module defines the roles a participant can hold in a session and the
+ * permissions each role grants. Participants without a write permission can
+ * still follow along: open existing editors, move their cursor and watch
+ * terminal output.
+ */
+
+/**
+ * Enumeration of session roles
+ * @enum {string}
+ */
+const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  TERMINAL_OPERATOR: 'terminal-operator',
+  VIEWER: 'viewer'
+};
+
+/**
+ * Enumeration of session permissions
+ * @enum {string}
+ */
+const PERMISSIONS = {
+  EDITOR_WRITE: 'editor:write',
+  TERMINAL_WRITE: 'terminal:write',
+  EXTENSION_WRITE: 'extension:write',
+  SESSION_MANAGE: 'session:manage'
+};
+
+/**
+ * Map of roles to the permissions they grant
+ * @type {Object.<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.EDITOR]: [PERMISSIONS.EDITOR_WRITE, PERMISSIONS.TERMINAL_WRITE, PERMISSIONS.EXTENSION_WRITE],
+  [ROLES.TERMINAL_OPERATOR]: [PERMISSIONS.TERMINAL_WRITE],
+  [ROLES.VIEWER]: []
+};
+
+/**
+ * Rank of each role, used to tell promotions from demotions
+ * @type {Object.<string, number>}
+ */
+const ROLE_RANKS = {
+  [ROLES.VIEWER]: 0,
+  [ROLES.TERMINAL_OPERATOR]: 1,
+  [ROLES.EDITOR]: 2,
+  [ROLES.OWNER]: 3
+};
+
+/**
+ * Check if a value is a known role
+ * @param {string} role - The role to check
+ * @returns {boolean} True if the role is known
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role - The role
+ * @param {string} permission - The permission
+ * @returns {boolean} True if the role grants the permission
+ */
+function roleHasPermission(role, permission) {
+  return isValidRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Compare the rank of two roles
+ * @param {string} a - The first role
+ * @param {string} b - The second role
+ * @returns {number} Negative if a ranks below b, positive if above, 0 if equal
+ */
+function compareRoles(a, b) {
+  return ROLE_RANKS[a] - ROLE_RANKS[b];
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  roleHasPermission,
+  compareRoles
+};
@@ -0,0 +1,150 @@
+/**
+ * Session Store for VSCode Remote MCP
+ *
+ * This module provides the storage backends used to persist collaboration
+ * sessions across server restarts. Every backend implements the same
+ * interface, so a custom store can be passed to the server instead:
+ * - loadSessions(): return every stored session record
+ * - saveSession(record): create or replace the record for record.session.id
+ * - removeSession(sessionId): delete a stored record
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const log = getLogger('session-store');
+
+/**
+ * Store that writes one JSON file per session into a directory
+ */
+class JsonFileSessionStore {
+  /**
+   * Create a new JsonFileSessionStore instance
+   * @param {string} directory - Directory holding the session files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Get the file path for a session
+   * @param {string} sessionId - The session ID
+   * @returns {string} The session file path
+   */
+  getFilePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  /**
+   * Load every stored session record
+   * @returns {Array<Object>} Array of session records
+   */
+  loadSessions() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const records = [];
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        records.push(JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        log.warn(`Could not load session record ${file}`, { error });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Create or replace a session record
+   * @param {Object} record - The session record
+   */
+  saveSession(record) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a partial record
+    const filePath = this.getFilePath(record.session.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Delete a session record
+   * @param {string} sessionId - The session ID
+   */
+  removeSession(sessionId) {
+    fs.rmSync(this.getFilePath(sessionId), { force: true });
+  }
+}
+
+/**
+ * Store that keeps session records in memory (records do not survive a restart)
+ */
+class MemorySessionStore {
+  /**
+   * Create a new MemorySessionStore instance
+   */
+  constructor() {
+    // Map of session records: sessionId -> serialized record
+    this.records = new Map();
+  }
+
+  /**
+   * Load every stored session record
+   * @returns {Array<Object>} Array of session records
+   */
+  loadSessions() {
+    return Array.from(this.records.values()).map(record => JSON.parse(record));
+  }
+
+  /**
+   * Create or replace a session record
+   * @param {Object} record - The session record
+   */
+  saveSession(record) {
+    this.records.set(record.session.id, JSON.stringify(record));
+  }
+
+  /**
+   * Delete a session record
+   * @param {string} sessionId - The session ID
+   */
+  removeSession(sessionId) {
+    this.records.delete(sessionId);
+  }
+}
+
+/**
+ * Create the session store described by the session configuration
+ * @param {Object} storeConfig - The session.store configuration section
+ * @param {string} storeConfig.type - Backend type: 'json', 'memory' or 'none'
+ * @param {string} [storeConfig.path] - Directory for the 'json' backend
+ * @returns {Object|null} The session store, or null if persistence is disabled
+ * @throws {Error} If the backend type is unknown
+ */
+function createSessionStore(storeConfig = {}) {
+  switch (storeConfig.type) {
+    case 'json':
+      return new JsonFileSessionStore(storeConfig.path);
+    case 'memory':
+      return new MemorySessionStore();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown session store type: ${storeConfig.type}`);
+  }
+}
+
+module.exports = {
+  JsonFileSessionStore,
+  MemorySessionStore,
+  createSessionStore
+};
@@ -6,9 +6,11 @@
  * - Distributing terminal output to connected clients
  * - Processing terminal input from clients
  * - Managing terminal lifecycle
+ * - Running the shell process behind each terminal
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { spawnTerminalProcess } = require('./terminal-process');
 
 /**
  * Terminal Manager class
@@ -17,11 +19,22 @@ class TerminalManager {
   /**
    * Create a new TerminalManager instance
    * @param {SessionManager} sessionManager - The session manager instance
+   * @param {Object} options - Terminal manager options
+   * @param {string} [options.defaultShell] - Shell used when a terminal does not request one
+   * @param {Function} [options.onOutput] - Called with (terminal, data) when a shell writes output
+   * @param {Function} [options.onExit] - Called with (terminal, exitCode, signal) when a shell exits on its own
+   * @param {Function} [options.spawnProcess] - Process factory (defaults to spawnTerminalProcess)
    */
-  constructor(sessionManager) {
+  constructor(sessionManager, options = {}) {
     // Reference to session manager
     this.sessionManager = sessionManager;
     
+    // Process options
+    this.defaultShell = options.defaultShell || process.env.SHELL || 'bash';
+    this.onOutput = options.onOutput || (() => {});
+    this.onExit = options.onExit || (() => {});
+    this.spawnProcess = options.spawnProcess || spawnTerminalProcess;
+    
     // Map of active terminals: terminalId -> terminal object
     this.terminals = new Map();
     
@@ -59,15 +72,21 @@ class TerminalManager {
       createdAt: new Date(),
       lastActivity: new Date(),
       name: options.name || `Terminal ${terminalId.substring(0, 8)}`,
-      shell: options.shell || 'bash',
+      shell: options.shell || this.defaultShell,
       cwd: options.cwd || '~',
       dimensions: options.dimensions || { cols: 80, rows: 24 },
       participants: session.participants.slice(), // Copy all session participants
       buffer: [],
       bufferMaxSize: options.bufferMaxSize || 1000,
-      state: options.state || 'active' // active, inactive, closed
+      state: options.state || 'active', // active, inactive, closed
+      process: null,
+      pid: null,
+      exitCode: null
     };
     
+    // Start the shell process
+    this.startProcess(terminal, options);
+    
     // Store terminal
     this.terminals.set(terminalId, terminal);
     
@@ -91,6 +110,66 @@ class TerminalManager {
     return terminal;
   }
 
+  /**
+   * Start the shell process for a terminal
+   * @param {Object} terminal - The terminal object
+   * @param {Object} options - Terminal options
+   */
+  startProcess(terminal, options = {}) {
+    const terminalProcess = this.spawnProcess({
+      shell: terminal.shell,
+      args: options.args,
+      cwd: terminal.cwd,
+      env: options.env ? { ...process.env, ...options.env } : undefined,
+      cols: terminal.dimensions.cols,
+      rows: terminal.dimensions.rows
+    });
+    
+    terminal.process = terminalProcess;
+    terminal.pid = terminalProcess.pid;
+    
+    terminalProcess.onData(data => this.handleProcessOutput(terminal.id, data));
+    terminalProcess.onExit((exitCode, signal) => this.handleProcessExit(terminal.id, exitCode, signal));
+  }
+
+  /**
+   * Handle output written by a terminal's shell
+   * @param {string} terminalId - The terminal ID
+   * @param {string} data - The output data
+   */
+  handleProcessOutput(terminalId, data) {
+    if (this.processOutput(terminalId, data)) {
+      this.onOutput(this.getTerminal(terminalId), data);
+    }
+  }
+
+  /**
+   * Handle a terminal's shell exiting
+   * @param {string} terminalId - The terminal ID
+   * @param {number|null} exitCode - The exit code
+   * @param {string|null} signal - The signal that ended the process
+   */
+  handleProcessExit(terminalId, exitCode, signal) {
+    const terminal = this.getTerminal(terminalId);
+    if (!terminal) {
+      return;
+    }
+    
+    terminal.process = null;
+    terminal.exitCode = exitCode;
+    
+    // Terminals closed by a client already notified their participants
+    if (terminal.state === 'closed') {
+      return;
+    }
+    
+    // Capture participants before closing clears them
+    const participants = terminal.participants.slice();
+    this.closeTerminal(terminalId);
+    
+    this.onExit({ ...terminal, participants }, exitCode, signal);
+  }
+
   /**
    * Get a terminal by ID
    * @param {string} terminalId - The terminal ID
@@ -255,6 +334,11 @@ class TerminalManager {
       terminal.buffer = terminal.buffer.slice(-terminal.bufferMaxSize);
     }
     
+    // Forward input to the shell
+    if (terminal.process) {
+      terminal.process.write(data);
+    }
+    
     return true;
   }
 
@@ -290,6 +374,11 @@ class TerminalManager {
     terminal.dimensions = dimensions;
     terminal.lastActivity = new Date();
     
+    // Apply dimensions to the shell
+    if (terminal.process) {
+      terminal.process.resize(dimensions.cols, dimensions.rows);
+    }
+    
     return true;
   }
 
@@ -308,6 +397,11 @@ class TerminalManager {
     terminal.state = 'closed';
     terminal.lastActivity = new Date();
     
+    // Stop the shell
+    if (terminal.process) {
+      terminal.process.kill();
+    }
+    
     // Update session state
     this.sessionManager.updateTerminalState(terminal.sessionId, terminalId, {
       id: terminalId,
@@ -377,10 +471,67 @@ class TerminalManager {
     return removedCount;
   }
 
+  /**
+   * Serialize the open terminals of a session for persistence
+   * @param {string} sessionId - The session ID
+   * @returns {Array} Array of plain terminal data (without the shell process)
+   */
+  serializeSessionTerminals(sessionId) {
+    return this.getSessionTerminals(sessionId)
+      .filter(terminal => terminal.state !== 'closed')
+      .map(({ process: terminalProcess, pid, ...terminal }) => terminal);
+  }
+
+  /**
+   * Restore a terminal from persisted data
+   * 
+   * The shell that backed the terminal did not survive the restart, so the
+   * terminal is restored closed with its output buffer intact.
+   * @param {Object} data - Terminal data produced by serializeSessionTerminals
+   * @returns {Object} The restored terminal object
+   */
+  restoreTerminal(data) {
+    const terminal = {
+      ...data,
+      createdAt: new Date(data.createdAt),
+      lastActivity: new Date(data.lastActivity),
+      participants: [],
+      buffer: (data.buffer || []).map(entry => ({
+        ...entry,
+        timestamp: new Date(entry.timestamp)
+      })),
+      state: 'closed',
+      process: null,
+      pid: null,
+      exitCode: null
+    };
+    
+    this.terminals.set(terminal.id, terminal);
+    
+    // Update session state
+    this.sessionManager.updateTerminalState(terminal.sessionId, terminal.id, {
+      id: terminal.id,
+      name: terminal.name,
+      createdBy: terminal.createdBy,
+      createdAt: terminal.createdAt,
+      state: 'closed'
+    });
+    
+    return terminal;
+  }
+
   /**
    * Dispose of the terminal manager
    */
   dispose() {
+    // Stop all shells
+    for (const terminal of this.terminals.values()) {
+      if (terminal.process) {
+        terminal.process.kill();
+        terminal.process = null;
+      }
+    }
+    
     this.terminals.clear();
     this.clientTerminals.clear();
   }
@@ -0,0 +1,174 @@
+/**
+ * Terminal Process for VSCode Remote MCP
+ *
+ * This module spawns the shell processes behind shared terminals. It uses a
+ * real pseudo-terminal through the optional `node-pty` package when it is
+ * installed, and falls back to a `child_process` shell with piped stdio
+ * otherwise. Both backends expose the same handle:
+ * - write(data): send input to the shell
+ * - resize(cols, rows): apply new terminal dimensions
+ * - kill(signal): terminate the shell
+ * - onData(callback) / onExit(callback): receive output and exit events
+ */
+
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const log = getLogger('terminal-process');
+
+/**
+ * Load node-pty if it is installed
+ * @returns {Object|null} The node-pty module or null if unavailable
+ */
+function loadPty() {
+  try {
+    return require('node-pty');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a terminal working directory, expanding a leading `~`
+ * @param {string} cwd - The requested working directory
+ * @returns {string} Absolute working directory
+ */
+function resolveCwd(cwd) {
+  if (!cwd || cwd === '~') {
+    return os.homedir();
+  }
+
+  if (cwd.startsWith('~/')) {
+    return path.join(os.homedir(), cwd.slice(2));
+  }
+
+  return path.resolve(cwd);
+}
+
+/**
+ * Spawn a shell backed by node-pty
+ * @param {Object} pty - The node-pty module
+ * @param {Object} options - Spawn options
+ * @returns {Object} Terminal process handle
+ */
+function spawnPty(pty, options) {
+  const child = pty.spawn(options.shell, options.args, {
+    name: 'xterm-256color',
+    cols: options.cols,
+    rows: options.rows,
+    cwd: options.cwd,
+    env: options.env
+  });
+
+  return {
+    backend: 'pty',
+    pid: child.pid,
+    write: (data) => child.write(data),
+    resize: (cols, rows) => child.resize(cols, rows),
+    kill: (signal = 'SIGHUP') => child.kill(signal),
+    onData: (callback) => child.onData(callback),
+    onExit: (callback) => child.onExit(({ exitCode, signal }) => callback(exitCode, signal))
+  };
+}
+
+/**
+ * Spawn a shell with piped stdio
+ * @param {Object} options - Spawn options
+ * @returns {Object} Terminal process handle
+ */
+function spawnPipe(options) {
+  // Without a TTY, ask common shells to behave interactively
+  const interactiveShells = ['bash', 'sh', 'zsh'];
+  const args = options.args.length === 0 && interactiveShells.includes(path.basename(options.shell))
+    ? ['-i']
+    : options.args;
+
+  const child = spawn(options.shell, args, {
+    cwd: options.cwd,
+    env: {
+      ...options.env,
+      COLUMNS: String(options.cols),
+      LINES: String(options.rows)
+    },
+    stdio: 'pipe'
+  });
+
+  let exited = false;
+
+  // Writing to a shell that closed its input fails with EPIPE; unhandled, that would end the server
+  child.stdin.on('error', (error) => {
+    log.debug('Terminal input closed', { pid: child.pid, error });
+  });
+
+  return {
+    backend: 'pipe',
+    pid: child.pid,
+    write: (data) => {
+      if (!exited && child.stdin.writable) {
+        child.stdin.write(data);
+      }
+    },
+    // Pipes have no window size; the new size only applies to later commands
+    resize: () => {},
+    kill: (signal = 'SIGTERM') => {
+      if (!exited) {
+        child.kill(signal);
+      }
+    },
+    onData: (callback) => {
+      child.stdout.on('data', chunk => callback(chunk.toString()));
+      child.stderr.on('data', chunk => callback(chunk.toString()));
+    },
+    onExit: (callback) => {
+      child.on('error', (error) => {
+        if (!exited) {
+          exited = true;
+          callback(null, null, error);
+        }
+      });
+      child.on('exit', (exitCode, signal) => {
+        if (!exited) {
+          exited = true;
+          callback(exitCode, signal);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Spawn the shell process for a terminal
+ * @param {Object} options - Spawn options
+ * @param {string} options.shell - Shell executable
+ * @param {Array<string>} [options.args=[]] - Shell arguments
+ * @param {string} [options.cwd='~'] - Working directory
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @param {number} [options.cols=80] - Terminal columns
+ * @param {number} [options.rows=24] - Terminal rows
+ * @param {boolean} [options.usePty=true] - Whether to use node-pty when installed
+ * @returns {Object} Terminal process handle
+ */
+function spawnTerminalProcess(options) {
+  const spawnOptions = {
+    shell: options.shell,
+    args: options.args || [],
+    cwd: resolveCwd(options.cwd),
+    env: {
+      ...(options.env || process.env),
+      TERM: 'xterm-256color'
+    },
+    cols: options.cols || 80,
+    rows: options.rows || 24
+  };
+
+  const pty = options.usePty === false ? null : loadPty();
+
+  return pty ? spawnPty(pty, spawnOptions) : spawnPipe(spawnOptions);
+}
+
+module.exports = {
+  spawnTerminalProcess,
+  resolveCwd
+};
@@ -0,0 +1,215 @@
+/**
+ * Text Operations for VSCode Remote MCP
+ *
+ * This module implements the operational transform used for collaborative
+ * editing. A change is an ordered list of operations, each addressed by
+ * character offset into the document produced by the previous operation:
+ * - { type: 'insert', position, text }
+ * - { type: 'delete', position, length }
+ *
+ * Two changes made concurrently against the same document version can be
+ * transformed so that applying either one after the other yields the same
+ * document.
+ */
+
+/**
+ * Validate a list of operations against a document length
+ * @param {Array<Object>} operations - The operations to validate
+ * @param {number} documentLength - Length of the document the operations apply to
+ * @throws {Error} If an operation is malformed or out of range
+ */
+function validateOperations(operations, documentLength) {
+  if (!Array.isArray(operations)) {
+    throw new Error('Operations must be an array');
+  }
+
+  let length = documentLength;
+
+  operations.forEach((operation, index) => {
+    if (!operation || typeof operation !== 'object') {
+      throw new Error(`Operation ${index} must be an object`);
+    }
+
+    if (!Number.isInteger(operation.position) || operation.position < 0) {
+      throw new Error(`Operation ${index} must have a non-negative integer position`);
+    }
+
+    if (operation.type === 'insert') {
+      if (typeof operation.text !== 'string') {
+        throw new Error(`Insert operation ${index} must have a text string`);
+      }
+      if (operation.position > length) {
+        throw new Error(`Insert operation ${index} position ${operation.position} is beyond the document length ${length}`);
+      }
+      length += operation.text.length;
+    } else if (operation.type === 'delete') {
+      if (!Number.isInteger(operation.length) || operation.length <= 0) {
+        throw new Error(`Delete operation ${index} must have a positive integer length`);
+      }
+      if (operation.position + operation.length > length) {
+        throw new Error(`Delete operation ${index} range ends beyond the document length ${length}`);
+      }
+      length -= operation.length;
+    } else {
+      throw new Error(`Unknown operation type at ${index}: ${operation.type}`);
+    }
+  });
+}
+
+/**
+ * Apply a list of operations to a document
+ * @param {string} content - The document content
+ * @param {Array<Object>} operations - The operations to apply
+ * @returns {string} The new document content
+ * @throws {Error} If the operations are invalid for the document
+ */
+function applyOperations(content, operations) {
+  validateOperations(operations, content.length);
+
+  return operations.reduce((result, operation) => {
+    if (operation.type === 'insert') {
+      return result.slice(0, operation.position) + operation.text + result.slice(operation.position);
+    }
+    return result.slice(0, operation.position) + result.slice(operation.position + operation.length);
+  }, content);
+}
+
+/**
+ * Transform a single operation so it applies after another concurrent operation
+ * @param {Object} operation - The operation to transform
+ * @param {Object} other - The concurrent operation that has already been applied
+ * @param {boolean} operationFirst - Whether operation wins ties between inserts at the same position
+ * @returns {Array<Object>} Zero, one or two operations replacing operation
+ */
+function transformOperation(operation, other, operationFirst) {
+  const { position } = operation;
+
+  if (operation.type === 'insert') {
+    if (other.type === 'insert') {
+      if (position < other.position || (position === other.position && operationFirst)) {
+        return [operation];
+      }
+      return [{ ...operation, position: position + other.text.length }];
+    }
+
+    // Other is a delete
+    if (position <= other.position) {
+      return [operation];
+    }
+    if (position >= other.position + other.length) {
+      return [{ ...operation, position: position - other.length }];
+    }
+    // The insert point was deleted, so insert where the deleted range started
+    return [{ ...operation, position: other.position }];
+  }
+
+  // Operation is a delete
+  const end = position + operation.length;
+
+  if (other.type === 'insert') {
+    if (other.position <= position) {
+      return [{ ...operation, position: position + other.text.length }];
+    }
+    if (other.position >= end) {
+      return [operation];
+    }
+    // Text was inserted inside the deleted range, so delete around it
+    const before = other.position - position;
+    return [
+      { ...operation, position, length: before },
+      { ...operation, position: position + other.text.length, length: operation.length - before }
+    ];
+  }
+
+  // Both are deletes
+  const otherEnd = other.position + other.length;
+
+  if (end <= other.position) {
+    return [operation];
+  }
+  if (position >= otherEnd) {
+    return [{ ...operation, position: position - other.length }];
+  }
+
+  // Ranges overlap, so only delete what the other operation left behind
+  const overlap = Math.min(end, otherEnd) - Math.max(position, other.position);
+  const length = operation.length - overlap;
+  if (length === 0) {
+    return [];
+  }
+  return [{ ...operation, position: Math.min(position, other.position), length }];
+}
+
+/**
+ * Transform two concurrent lists of operations against each other
+ * @param {Array<Object>} operations - Operations to transform
+ * @param {Array<Object>} others - Concurrent operations made against the same document
+ * @param {boolean} operationsFirst - Whether operations win ties between inserts at the same position
+ * @returns {Array<Array<Object>>} [operations applying after others, others applying after operations]
+ */
+function transformOperations(operations, others, operationsFirst) {
+  if (operations.length === 0 || others.length === 0) {
+    return [operations, others];
+  }
+
+  if (operations.length > 1) {
+    const [first, othersAfterFirst] = transformOperations(operations.slice(0, 1), others, operationsFirst);
+    const [rest, othersAfterAll] = transformOperations(operations.slice(1), othersAfterFirst, operationsFirst);
+    return [first.concat(rest), othersAfterAll];
+  }
+
+  if (others.length > 1) {
+    const [operationsAfterFirst, first] = transformOperations(operations, others.slice(0, 1), operationsFirst);
+    const [operationsAfterAll, rest] = transformOperations(operationsAfterFirst, others.slice(1), operationsFirst);
+    return [operationsAfterAll, first.concat(rest)];
+  }
+
+  return [
+    transformOperation(operations[0], others[0], operationsFirst),
+    transformOperation(others[0], operations[0], !operationsFirst)
+  ];
+}
+
+/**
+ * Describe the difference between two documents as operations
+ * @param {string} oldContent - The original content
+ * @param {string} newContent - The new content
+ * @returns {Array<Object>} Operations turning oldContent into newContent
+ */
+function diffToOperations(oldContent, newContent) {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldContent.length, newContent.length);
+  while (prefix < maxPrefix && oldContent[prefix] === newContent[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldContent[oldContent.length - 1 - suffix] === newContent[newContent.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const operations = [];
+  const deleted = oldContent.length - prefix - suffix;
+  const inserted = newContent.slice(prefix, newContent.length - suffix);
+
+  if (deleted > 0) {
+    operations.push({ type: 'delete', position: prefix, length: deleted });
+  }
+  if (inserted.length > 0) {
+    operations.push({ type: 'insert', position: prefix, text: inserted });
+  }
+
+  return operations;
+}
+
+module.exports = {
+  validateOperations,
+  applyOperations,
+  transformOperation,
+  transformOperations,
+  diffToOperations
+};
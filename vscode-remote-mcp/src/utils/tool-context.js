@@ -0,0 +1,124 @@
+/**
+ * Tool Call Context for VSCode Remote MCP
+ *
+ * This module gives long-running tools feedback and cancellation, including:
+ * - Reporting progress as MCP `notifications/progress` when the client asked for it
+ * - An AbortSignal that aborts when the call is cancelled, to pass to child processes and file reads
+ * - Recognizing the errors raised by aborted operations
+ */
+
+const { getLogger } = require('./logger');
+
+const log = getLogger('tool-context');
+
+/**
+ * Create the context a tool is called with
+ * @param {Object} [options={}] - Context options
+ * @param {AbortSignal} [options.signal] - Aborted when the call is cancelled; a call without one is never cancelled
+ * @param {string|number} [options.progressToken] - Progress token sent by the client in `_meta.progressToken`
+ * @param {Function} [options.sendNotification] - Sends a notification related to the call
+ * @returns {Object} The context { signal, canReportProgress, reportProgress, throwIfAborted }
+ */
+function createToolContext(options = {}) {
+  const signal = options.signal || new AbortController().signal;
+  const { progressToken, sendNotification } = options;
+  let lastProgress = null;
+
+  return {
+    signal,
+
+    // Whether reportProgress reaches the client, for tools whose only output while running is progress
+    canReportProgress: progressToken !== undefined && Boolean(sendNotification),
+
+    /**
+     * Report progress to the client
+     *
+     * Nothing is sent unless the client supplied a progress token. Progress must increase
+     * with every notification, so values not above the last one reported are dropped.
+     *
+     * @param {number} progress - Progress so far
+     * @param {number} [total] - Total progress, if known
+     * @param {string} [message] - Description of the current step
+     */
+    reportProgress(progress, total, message) {
+      if (progressToken === undefined || !sendNotification || signal.aborted) {
+        return;
+      }
+      if (lastProgress !== null && progress <= lastProgress) {
+        return;
+      }
+      lastProgress = progress;
+
+      const params = { progressToken, progress };
+      if (total !== undefined) {
+        params.total = total;
+      }
+      if (message) {
+        params.message = message;
+      }
+
+      // Progress is best effort; a closed connection must not fail the tool
+      Promise.resolve()
+        .then(() => sendNotification({ method: 'notifications/progress', params }))
+        .catch(error => log.error('Failed to send progress notification', { error }));
+    },
+
+    /**
+     * Throw if the call was cancelled
+     * @throws {Error} The AbortError of the signal
+     */
+    throwIfAborted() {
+      if (signal.aborted) {
+        throw createAbortError();
+      }
+    }
+  };
+}
+
+/**
+ * Create the error thrown when a tool call is cancelled
+ * @param {string} [message='The operation was aborted'] - The error message
+ * @returns {Error} An error named AbortError with code ABORT_ERR, like those of Node.js APIs
+ */
+function createAbortError(message = 'The operation was aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * Check whether an error was raised because an operation was aborted
+ * @param {Error} error - The error
+ * @returns {boolean} True for AbortErrors, including those of child_process and fs
+ */
+function isAbortError(error) {
+  return Boolean(error) && (error.name === 'AbortError' || error.code === 'ABORT_ERR');
+}
+
+/**
+ * Create the result returned by a tool that stopped because it was cancelled
+ * @param {string} message - What was cancelled
+ * @returns {Object} The tool result
+ */
+function createCancelledResult(message) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error: ${message}`
+      }
+    ],
+    error: {
+      code: -32603,
+      message
+    }
+  };
+}
+
+module.exports = {
+  createToolContext,
+  createAbortError,
+  isAbortError,
+  createCancelledResult
+};
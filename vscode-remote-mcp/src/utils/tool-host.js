@@ -0,0 +1,292 @@
+/**
+ * Tool Host for VSCode Remote MCP
+ *
+ * This module is the dispatch core every tool front-end shares, including:
+ * - Registering tools with their description and input schema
+ * - Validating tool arguments against the schema before a tool runs, filling in defaults
+ * - Running middleware around every tool call
+ * - Mapping tool failures, error results and cancellation to JSON-RPC error codes
+ */
+
+const { createToolContext } = require('./tool-context');
+const { validateSchema } = require('./schema-validator');
+const { getLogger } = require('./logger');
+
+const log = getLogger('tool-host');
+
+/**
+ * JSON-RPC error codes used by the tool host
+ * @type {Object.<string, number>}
+ */
+const ToolErrorCode = {
+  RequestCancelled: -32001,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603
+};
+
+/**
+ * Error of a tool call, carrying the JSON-RPC error code front-ends report
+ */
+class ToolError extends Error {
+  /**
+   * Create a new ToolError
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - The error message
+   * @param {*} [data] - Additional error data
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Tool Host class
+ */
+class ToolHost {
+  /**
+   * Create a new ToolHost instance
+   */
+  constructor() {
+    // Map of tool name to { handler, description, inputSchema }
+    this.tools = new Map();
+
+    // Middleware run around every call, outermost first
+    this.middleware = [];
+  }
+
+  /**
+   * Register a tool
+   * @param {string} name - Tool name
+   * @param {Object} definition - Tool definition
+   * @param {Function} definition.handler - Called with (args, context); resolves with a tool result
+   * @param {string} [definition.description] - Tool description
+   * @param {Object} [definition.inputSchema] - JSON Schema of the arguments
+   * @returns {ToolHost} The host, for chaining
+   * @throws {Error} If the name is taken or the handler is missing
+   */
+  register(name, definition) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Tool name is required');
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+    if (!definition || typeof definition.handler !== 'function') {
+      throw new Error(`Tool ${name} needs a handler function`);
+    }
+
+    this.tools.set(name, {
+      handler: definition.handler,
+      description: definition.description || name,
+      inputSchema: definition.inputSchema || { type: 'object', properties: {} }
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} True if the tool was registered
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Check if a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean} True if the tool is registered
+   */
+  hasTool(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Add middleware that runs around every tool call
+   *
+   * Middleware is called with ({ name, args, context }, next) and resolves with
+   * the tool result, usually the one `next()` resolves with. Middleware added
+   * first runs outermost.
+   *
+   * @param {Function} middleware - The middleware
+   * @returns {ToolHost} The host, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * List the registered tools
+   * @returns {Array<Object>} Tools as { name, description, inputSchema }
+   */
+  listTools() {
+    return [...this.tools.entries()].map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      inputSchema: tool.inputSchema
+    }));
+  }
+
+  /**
+   * Get the tools capability advertised during initialization
+   * @returns {Object.<string, boolean>} Map of tool name to true
+   */
+  getCapabilities() {
+    const capabilities = {};
+    for (const name of this.tools.keys()) {
+      capabilities[name] = true;
+    }
+    return capabilities;
+  }
+
+  /**
+   * Validate tool arguments against the input schema of a tool
+   * @param {string} name - Tool name
+   * @param {*} args - Tool arguments
+   * @returns {Object} The arguments with defaults filled in and numbers sent as strings converted
+   * @throws {ToolError} InvalidParams listing every offending property if the arguments do not match
+   */
+  validateArguments(name, args) {
+    const { inputSchema } = this.tools.get(name);
+    const { value, errors } = validateSchema({ type: 'object', ...inputSchema }, args);
+
+    if (errors.length > 0) {
+      throw new ToolError(
+        ToolErrorCode.InvalidParams,
+        `Invalid arguments for ${name}: ${errors.map(error => error.message).join('; ')}`,
+        { errors }
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Call a tool
+   * @param {string} name - Tool name
+   * @param {Object} [args={}] - Tool arguments
+   * @param {Object} [context=createToolContext()] - Tool context; the call is given up when its signal aborts
+   * @returns {Promise<Object>} The tool result
+   * @throws {ToolError} If the tool is unknown, the arguments are invalid, the tool fails or the call is cancelled
+   */
+  async callTool(name, args = {}, context = createToolContext()) {
+    if (!name) {
+      throw new ToolError(ToolErrorCode.InvalidParams, 'Tool name is required');
+    }
+    if (!this.tools.has(name)) {
+      throw new ToolError(ToolErrorCode.MethodNotFound, `Tool not found: ${name}`);
+    }
+
+    const validatedArgs = this.validateArguments(name, args);
+
+    let result;
+    try {
+      result = await this.runMiddleware({ name, args: validatedArgs, context }, 0);
+    } catch (error) {
+      if (error instanceof ToolError) {
+        throw error;
+      }
+
+      log.error(`Error calling tool ${name}`, { error });
+      throw new ToolError(ToolErrorCode.InternalError, `Error calling tool ${name}: ${error.message || 'Unknown error'}`);
+    }
+
+    if (result && result.error) {
+      throw new ToolError(result.error.code || ToolErrorCode.InternalError, result.error.message || 'Unknown error');
+    }
+
+    return result || {};
+  }
+
+  /**
+   * Run the middleware from an index on, then the tool
+   * @param {Object} call - The call { name, args, context }
+   * @param {number} index - Index of the next middleware
+   * @returns {Promise<Object>} The tool result
+   */
+  runMiddleware(call, index) {
+    if (index === this.middleware.length) {
+      return this.invoke(call);
+    }
+
+    let nextCalled = false;
+    return Promise.resolve(this.middleware[index](call, () => {
+      if (nextCalled) {
+        throw new Error('next() called more than once');
+      }
+      nextCalled = true;
+      return this.runMiddleware(call, index + 1);
+    }));
+  }
+
+  /**
+   * Run a tool, giving up on it when the call is cancelled
+   * @param {Object} call - The call { name, args, context }
+   * @returns {Promise<Object>} The tool result
+   * @throws {ToolError} If the call is cancelled
+   */
+  invoke({ name, args, context }) {
+    const { signal } = context;
+    const cancelled = () => new ToolError(ToolErrorCode.RequestCancelled, `Tool call cancelled: ${name}`);
+
+    if (signal && signal.aborted) {
+      return Promise.reject(cancelled());
+    }
+
+    // Tools stop their own work through the signal; the caller is answered right away
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(cancelled());
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      Promise.resolve()
+        .then(() => this.tools.get(name).handler(args, context))
+        .then(resolve, reject)
+        .finally(() => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        });
+    });
+  }
+}
+
+/**
+ * Create a tool host with every tool of a tool registry
+ * @param {Object} registry - The registry, shaped like `src/tools`
+ * @param {Object.<string, Function>} registry.tools - Map of tool name to tool function
+ * @param {Object.<string, Object>} registry.toolSchemas - Map of tool name to input schema
+ * @param {Object.<string, string>} [registry.toolDescriptions] - Map of tool name to description
+ * @returns {ToolHost} The tool host
+ */
+function createToolHost(registry) {
+  const host = new ToolHost();
+  const descriptions = registry.toolDescriptions || {};
+
+  for (const [name, handler] of Object.entries(registry.tools)) {
+    host.register(name, {
+      handler,
+      description: descriptions[name],
+      inputSchema: registry.toolSchemas[name]
+    });
+  }
+
+  return host;
+}
+
+module.exports = {
+  ToolHost,
+  ToolError,
+  ToolErrorCode,
+  createToolHost
+};
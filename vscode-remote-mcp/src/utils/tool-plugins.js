@@ -0,0 +1,333 @@
+/**
+ * Tool Plugins for VSCode Remote MCP
+ *
+ * This module adds tools from outside `src/tools` to a tool host, including:
+ * - Discovering plugin modules in configured directories and npm packages
+ * - Checking that each plugin exports { name, description, inputSchema, handler }
+ * - Applying the enabled and disabled tool lists of the configuration
+ * - Reloading the plugins of a directory when its files change
+ * - Reporting when the list of tools changed, so clients can be told
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const log = getLogger('tool-plugins');
+
+/**
+ * How long file events must settle before the plugins are reloaded
+ * @type {number}
+ */
+const RELOAD_DEBOUNCE_MS = 100;
+
+/**
+ * Check if a tool is switched on by the enabled and disabled lists
+ * @param {string} name - Tool name
+ * @param {Object} [lists={}] - The lists
+ * @param {Array<string>} [lists.enabled=[]] - Tools to serve; empty serves every tool
+ * @param {Array<string>} [lists.disabled=[]] - Tools never to serve, even if enabled
+ * @returns {boolean} True if the tool should be served
+ */
+function isToolEnabled(name, { enabled = [], disabled = [] } = {}) {
+  if (disabled.includes(name)) {
+    return false;
+  }
+  return enabled.length === 0 || enabled.includes(name);
+}
+
+/**
+ * Check the shape of a tool exported by a plugin
+ * @param {*} definition - The exported tool
+ * @param {string} source - Where the tool came from, for error messages
+ * @throws {Error} If the tool is not { name, description, inputSchema, handler }
+ */
+function validatePluginTool(definition, source) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Plugin ${source} must export a tool object`);
+  }
+  if (typeof definition.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(definition.name)) {
+    throw new Error(`Plugin ${source} must export a name of letters, digits, "_" or "-"`);
+  }
+  if (typeof definition.handler !== 'function') {
+    throw new Error(`Plugin ${source} must export a handler function`);
+  }
+  if (definition.description !== undefined && typeof definition.description !== 'string') {
+    throw new Error(`Plugin ${source} must export a string description`);
+  }
+  if (definition.inputSchema !== undefined && (!definition.inputSchema || typeof definition.inputSchema !== 'object')) {
+    throw new Error(`Plugin ${source} must export an object inputSchema`);
+  }
+}
+
+/**
+ * Tool Plugin Loader class
+ */
+class ToolPluginLoader {
+  /**
+   * Create a new ToolPluginLoader instance
+   * @param {Object} options - Loader options
+   * @param {ToolHost} options.toolHost - Tool host the plugin tools are registered with
+   * @param {Array<string>} [options.directories=[]] - Directories whose `.js` files and module directories are plugins
+   * @param {Array<string>} [options.packages=[]] - npm packages that are plugins
+   * @param {Array<string>} [options.enabled=[]] - Tools to serve; empty serves every tool
+   * @param {Array<string>} [options.disabled=[]] - Tools never to serve
+   * @param {boolean} [options.hotReload=true] - Reload the plugins of a directory when its files change
+   * @param {Function} [options.onToolsChanged] - Called after a reload changed the listed tools
+   */
+  constructor(options) {
+    this.toolHost = options.toolHost;
+    this.directories = (options.directories || []).map(directory => path.resolve(directory));
+    this.packages = options.packages || [];
+    this.enabled = options.enabled || [];
+    this.disabled = options.disabled || [];
+    this.hotReload = options.hotReload !== false;
+    this.onToolsChanged = options.onToolsChanged || null;
+
+    // Map of tool name to the plugin source it was loaded from
+    this.loadedTools = new Map();
+
+    // Map of each watched directory, plugin directories and their subdirectories, to its fs.FSWatcher
+    this.watchers = new Map();
+
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load every plugin and start watching the plugin directories
+   * @returns {Array<string>} Names of the registered plugin tools
+   */
+  load() {
+    this.registerAll(this.discover());
+
+    if (this.hotReload) {
+      this.directories.forEach(directory => this.watchDirectory(directory));
+    }
+
+    return [...this.loadedTools.keys()];
+  }
+
+  /**
+   * Load the plugins again, replacing the registered plugin tools
+   *
+   * Plugin modules are read afresh, so edited files take effect.
+   * `onToolsChanged` is called if the listed tools differ afterwards.
+   *
+   * @returns {boolean} True if the listed tools changed
+   */
+  reload() {
+    const before = JSON.stringify(this.toolHost.listTools());
+    const definitions = this.discover();
+
+    for (const name of this.loadedTools.keys()) {
+      this.toolHost.unregister(name);
+    }
+    this.loadedTools.clear();
+    this.registerAll(definitions);
+
+    const changed = JSON.stringify(this.toolHost.listTools()) !== before;
+    if (changed && this.onToolsChanged) {
+      this.onToolsChanged();
+    }
+    return changed;
+  }
+
+  /**
+   * Find and require the plugins of every directory and package
+   * @returns {Array<Object>} The plugin tools as { definition, source }
+   */
+  discover() {
+    const found = [];
+
+    for (const directory of this.directories) {
+      for (const modulePath of this.findModules(directory)) {
+        found.push(...this.requirePlugin(modulePath, modulePath, directory));
+      }
+    }
+
+    for (const packageName of this.packages) {
+      let modulePath;
+      try {
+        modulePath = require.resolve(packageName, { paths: [process.cwd(), __dirname] });
+      } catch (error) {
+        log.error(`Cannot find tool plugin package ${packageName}`, { error });
+        continue;
+      }
+      found.push(...this.requirePlugin(modulePath, packageName, null));
+    }
+
+    return found;
+  }
+
+  /**
+   * List the plugin modules of a directory
+   * @param {string} directory - The plugin directory
+   * @returns {Array<string>} Paths of its `.js` files and of subdirectories that resolve to a module
+   */
+  findModules(directory) {
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      log.error(`Cannot read tool plugin directory ${directory}`, { error });
+      return [];
+    }
+
+    const modules = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(directory, entry.name);
+
+      if (entry.isFile() && entry.name.endsWith('.js')) {
+        modules.push(entryPath);
+      } else if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        try {
+          modules.push(require.resolve(entryPath));
+        } catch (error) {
+          // Not a module, e.g. a directory of helpers
+        }
+      }
+    }
+    return modules;
+  }
+
+  /**
+   * Require a plugin module afresh
+   * @param {string} modulePath - Resolved path of the module
+   * @param {string} source - Where the plugin came from, for messages
+   * @param {string|null} directory - Plugin directory whose cached modules are dropped first
+   * @returns {Array<Object>} Its tools as { definition, source }; empty if the plugin is broken
+   */
+  requirePlugin(modulePath, source, directory) {
+    if (directory) {
+      // Helpers required by the plugin may have changed too
+      for (const cachedPath of Object.keys(require.cache)) {
+        if (cachedPath.startsWith(directory + path.sep)) {
+          delete require.cache[cachedPath];
+        }
+      }
+    }
+
+    try {
+      const exported = require(modulePath);
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      definitions.forEach(definition => validatePluginTool(definition, source));
+      return definitions.map(definition => ({ definition, source }));
+    } catch (error) {
+      log.error(`Error loading tool plugin ${source}`, { error });
+      return [];
+    }
+  }
+
+  /**
+   * Register plugin tools with the tool host
+   *
+   * Tools switched off by the enabled and disabled lists are skipped, and so
+   * are tools whose name is already taken by a built-in or an earlier plugin.
+   *
+   * @param {Array<Object>} plugins - The plugin tools as { definition, source }
+   */
+  registerAll(plugins) {
+    for (const { definition, source } of plugins) {
+      const { name } = definition;
+
+      if (!isToolEnabled(name, this)) {
+        continue;
+      }
+      if (this.toolHost.hasTool(name)) {
+        const owner = this.loadedTools.has(name) ? `plugin ${this.loadedTools.get(name)}` : 'a built-in tool';
+        log.warn(`Skipping tool plugin ${source}: ${name} is already provided by ${owner}`);
+        continue;
+      }
+
+      this.toolHost.register(name, {
+        handler: definition.handler,
+        description: definition.description,
+        inputSchema: definition.inputSchema
+      });
+      this.loadedTools.set(name, source);
+    }
+  }
+
+  /**
+   * Reload the plugins once the file events of a directory settle
+   *
+   * Recursive watching is not available on Linux before Node 20, so the
+   * directory and each of its subdirectories get their own watcher.
+   *
+   * @param {string} directory - The plugin directory
+   */
+  watchDirectory(directory) {
+    const pending = [directory];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+
+      if (!this.watchers.has(current)) {
+        let watcher;
+        try {
+          watcher = fs.watch(current, { persistent: false });
+        } catch (error) {
+          log.error(`Cannot watch tool plugin directory ${current}`, { error });
+          continue;
+        }
+
+        watcher.on('change', () => this.scheduleReload(directory));
+        watcher.on('error', (error) => log.error(`Error watching ${current}`, { error }));
+        this.watchers.set(current, watcher);
+      }
+
+      let entries;
+      try {
+        entries = fs.readdirSync(current, { withFileTypes: true });
+      } catch (error) {
+        continue;
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+          pending.push(path.join(current, entry.name));
+        }
+      }
+    }
+  }
+
+  /**
+   * Reload the plugins after file events stopped for a while
+   *
+   * Subdirectories created meanwhile are watched from then on, and those
+   * removed are no longer.
+   *
+   * @param {string} directory - The plugin directory the events came from
+   */
+  scheduleReload(directory) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+
+      for (const [watched, watcher] of this.watchers) {
+        if (!fs.existsSync(watched)) {
+          watcher.close();
+          this.watchers.delete(watched);
+        }
+      }
+      this.watchDirectory(directory);
+
+      this.reload();
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  /**
+   * Stop watching the plugin directories
+   */
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+  }
+}
+
+module.exports = {
+  ToolPluginLoader,
+  isToolEnabled,
+  validatePluginTool
+};
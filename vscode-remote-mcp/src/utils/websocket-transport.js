@@ -0,0 +1,229 @@
+/**
+ * WebSocket Transport for VSCode Remote MCP
+ *
+ * This module exposes the MCP server over WebSockets, including:
+ * - Listening on the configured host and port
+ * - Creating a client object for every connected socket
+ * - Parsing incoming frames and handing them to the server
+ * - Enforcing the maximum number of concurrent sockets
+ * - Serving wss:// and recording client certificates when TLS is configured
+ * - Closing connections within the shutdown timeout
+ */
+
+const https = require('https');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { getLogger } = require('./logger');
+
+const log = getLogger('websocket-transport');
+
+/**
+ * WebSocket Transport class
+ */
+class WebSocketTransport {
+  /**
+   * Create a new WebSocketTransport instance
+   * @param {Object} options - Transport options
+   * @param {string} options.host - Host to bind to
+   * @param {number} options.port - Port to listen on
+   * @param {number} options.maxClients - Maximum number of concurrent sockets
+   * @param {Object} [options.tls] - TLS options { cert, key, ca }; client certificates are requested when `ca` is set
+   * @param {Function} options.onMessage - Called with (message, client) for every parsed frame
+   * @param {Function} [options.onInvalidMessage] - Called with (error, client) for frames that are not valid JSON
+   * @param {Function} [options.onDisconnect] - Called with (client) when a socket closes
+   */
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port;
+    this.maxClients = options.maxClients;
+    this.tls = options.tls || null;
+
+    // Callbacks
+    this.onMessage = options.onMessage || (() => {});
+    this.onInvalidMessage = options.onInvalidMessage || (() => {});
+    this.onDisconnect = options.onDisconnect || (() => {});
+
+    // WebSocket server and, with TLS, its HTTPS server (created by listen)
+    this.wss = null;
+    this.httpsServer = null;
+
+    // Set of connected client objects
+    this.clients = new Set();
+  }
+
+  /**
+   * Start listening for connections
+   * @returns {Promise<Object>} Resolves with the bound address { address, port }
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      let listener;
+
+      if (this.tls) {
+        // Certificates are checked by the client_certificate provider, so unverified ones still connect
+        this.httpsServer = https.createServer({
+          cert: this.tls.cert,
+          key: this.tls.key,
+          ca: this.tls.ca,
+          requestCert: Boolean(this.tls.ca),
+          rejectUnauthorized: false
+        });
+        this.wss = new WebSocket.Server({ server: this.httpsServer });
+        listener = this.httpsServer;
+        this.httpsServer.listen(this.port, this.host);
+      } else {
+        this.wss = new WebSocket.Server({ host: this.host, port: this.port });
+        listener = this.wss;
+      }
+
+      listener.once('listening', () => {
+        listener.removeListener('error', reject);
+        resolve(this.wss.address());
+      });
+
+      listener.once('error', reject);
+
+      this.wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+    });
+  }
+
+  /**
+   * Handle a new socket connection
+   * @param {WebSocket} socket - The connected socket
+   * @param {http.IncomingMessage} request - The upgrade request
+   */
+  handleConnection(socket, request) {
+    // Refuse the socket if the client limit is reached
+    if (this.clients.size >= this.maxClients) {
+      socket.send(JSON.stringify({
+        type: 'error',
+        id: `error-${Date.now()}`,
+        timestamp: new Date().toISOString(),
+        payload: {
+          code: 'MAX_CLIENTS',
+          message: 'Maximum number of clients reached',
+          relatedTo: 'connection'
+        }
+      }));
+      socket.close(1013, 'Maximum number of clients reached');
+      return;
+    }
+
+    const client = this.createClient(socket, request);
+    this.clients.add(client);
+
+    socket.on('message', (data) => {
+      let message;
+
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.onInvalidMessage(error, client);
+        return;
+      }
+
+      this.onMessage(message, client);
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(client);
+      this.onDisconnect(client);
+    });
+
+    socket.on('error', (error) => {
+      log.error(`WebSocket error (${client.connectionId})`, { error });
+    });
+  }
+
+  /**
+   * Create the client object handed to message handlers
+   * @param {WebSocket} socket - The connected socket
+   * @param {http.IncomingMessage} request - The upgrade request
+   * @returns {Object} The client object
+   */
+  createClient(socket, request) {
+    // Peer certificates are empty objects when the client presented none
+    const certificate = typeof request.socket.getPeerCertificate === 'function' ? request.socket.getPeerCertificate() : null;
+
+    return {
+      // Set by the connection handler once the client identifies itself
+      id: null,
+      connectionId: uuidv4(),
+      socket,
+      ipAddress: request.socket.remoteAddress,
+      userAgent: request.headers['user-agent'],
+      certificate: certificate && Object.keys(certificate).length > 0 ? certificate : null,
+      certificateAuthorized: request.socket.authorized === true,
+
+      /**
+       * Send a message to the client
+       * @param {Object} message - The message to send
+       */
+      send(message) {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      },
+
+      /**
+       * Close the client connection
+       * @param {number} [code=1000] - WebSocket close code
+       * @param {string} [reason=''] - Close reason
+       */
+      disconnect(code = 1000, reason = '') {
+        socket.close(code, reason);
+      }
+    };
+  }
+
+  /**
+   * Get the number of connected sockets
+   * @returns {number} Number of connected sockets
+   */
+  getClientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Stop accepting connections and wait for connected sockets to close
+   * @param {number} timeoutMs - Time to wait before terminating remaining sockets
+   * @returns {Promise<void>}
+   */
+  close(timeoutMs) {
+    if (!this.wss) {
+      return Promise.resolve();
+    }
+
+    // Resolve once every socket has closed and its disconnect callback has run
+    const socketsClosed = Array.from(this.clients).map(client => new Promise((resolve) => {
+      client.socket.once('close', resolve);
+    }));
+
+    const serverClosed = new Promise((resolve) => {
+      this.wss.close(() => {
+        if (this.httpsServer) {
+          this.httpsServer.close(() => resolve());
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    // Terminate sockets that are still open when the grace period ends
+    const timer = setTimeout(() => {
+      for (const client of this.clients) {
+        client.socket.terminate();
+      }
+    }, timeoutMs);
+
+    return Promise.all([serverClosed, ...socketsClosed]).then(() => {
+      clearTimeout(timer);
+      this.wss = null;
+      this.httpsServer = null;
+    });
+  }
+}
+
+module.exports = {
+  WebSocketTransport
+};
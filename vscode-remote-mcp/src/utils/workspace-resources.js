@@ -0,0 +1,370 @@
+/**
+ * Workspace Resources for VSCode Remote MCP
+ *
+ * This module exposes files as MCP resources, including:
+ * - Listing the workspace files (honouring ignore files), instance configurations and job allocations
+ * - Reading them by URI: `file:///{path}`, `instance://{instance_name}` and `job://{job_id}`
+ * - Keeping every file read inside the workspace sandbox
+ * - Watching resources for changes so subscribers can be notified
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { walkFiles, isBinary, MAX_FILE_SIZE } = require('./search-engine');
+const { createGlobMatcher } = require('./glob-matcher');
+const { getLogger } = require('./logger');
+
+const log = getLogger('workspace-resources');
+
+/**
+ * Number of resources returned per resources/list page
+ * @type {number}
+ */
+const PAGE_SIZE = 500;
+
+/**
+ * Time to wait for a burst of file system events to settle before notifying
+ * @type {number}
+ */
+const CHANGE_DEBOUNCE_MS = 100;
+
+/**
+ * MIME types of common text files; other text files are text/plain
+ * @type {Object.<string, string>}
+ */
+const MIME_TYPES = {
+  '.js': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.jsx': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.tsx': 'text/typescript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.py': 'text/x-python',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml'
+};
+
+/**
+ * Resource templates clients can fill in to read resources that are not listed
+ * @type {Array<Object>}
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'file:///{path}',
+    name: 'Workspace file',
+    description: 'A file inside the workspace roots, by absolute path or by path relative to the first root'
+  },
+  {
+    uriTemplate: 'instance://{instance_name}',
+    name: 'VSCode instance configuration',
+    description: 'Configuration of a deployed VSCode instance',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'job://{job_id}',
+    name: 'Job resource allocation',
+    description: 'Resources allocated to a job with manage_job_resources',
+    mimeType: 'application/json'
+  }
+];
+
+/**
+ * Create a resource error
+ * @param {string} message - The error message
+ * @param {string} code - Error code (INVALID_URI or RESOURCE_NOT_FOUND)
+ * @returns {Error} The error
+ */
+function createResourceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Guess the MIME type of a text file from its name
+ * @param {string} filePath - The file path
+ * @returns {string} The MIME type
+ */
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'text/plain';
+}
+
+/**
+ * Workspace Resources class
+ */
+class WorkspaceResources {
+  /**
+   * Create a new WorkspaceResources instance
+   * @param {Object} options - Resource options
+   * @param {WorkspaceSandbox} options.sandbox - Sandbox whose roots are listed and which checks every file read
+   * @param {string} options.instancesDir - Directory of instance configurations; job allocations are in its `resources` directory
+   */
+  constructor(options) {
+    this.sandbox = options.sandbox;
+    this.instancesDir = options.instancesDir;
+    this.jobsDir = path.join(options.instancesDir, 'resources');
+
+    // Map of watched directory to { watcher, listeners: Map of file name to Set of listeners, timers }
+    this.watchedDirectories = new Map();
+  }
+
+  /**
+   * Get the resource templates
+   * @returns {Array<Object>} The templates
+   */
+  listResourceTemplates() {
+    return RESOURCE_TEMPLATES.map(template => ({ ...template }));
+  }
+
+  /**
+   * List one page of resources
+   * @param {string} [cursor] - Cursor returned with the previous page
+   * @returns {Promise<Object>} The page { resources, nextCursor }
+   * @throws {Error} If the cursor is invalid
+   */
+  async listResources(cursor) {
+    const offset = cursor === undefined ? 0 : Number(cursor);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw createResourceError(`Invalid cursor: ${cursor}`, 'INVALID_URI');
+    }
+
+    const resources = [];
+    let index = 0;
+
+    for await (const resource of this.iterateResources()) {
+      if (index++ < offset) {
+        continue;
+      }
+      if (resources.length === PAGE_SIZE) {
+        return { resources, nextCursor: String(offset + PAGE_SIZE) };
+      }
+      resources.push(resource);
+    }
+
+    return { resources };
+  }
+
+  /**
+   * Iterate over every listed resource: instances, then jobs, then workspace files
+   * @yields {Object} Resources as { uri, name, mimeType }
+   */
+  async* iterateResources() {
+    for (const [directory, scheme, label] of [[this.instancesDir, 'instance', 'VSCode instance'], [this.jobsDir, 'job', 'Job']]) {
+      for (const id of await this.listJsonFiles(directory)) {
+        yield { uri: `${scheme}://${encodeURIComponent(id)}`, name: `${label} ${id}`, mimeType: 'application/json' };
+      }
+    }
+
+    const matcher = createGlobMatcher({});
+    const stats = { unreadable: 0 };
+
+    for (const root of this.sandbox.roots) {
+      // Names stay unambiguous when there are several roots
+      const prefix = this.sandbox.roots.length > 1 ? `${path.basename(root)}/` : '';
+
+      for await (const file of walkFiles(root, { matcher, respectIgnoreFiles: true, stats })) {
+        yield { uri: pathToFileURL(file.absolutePath).href, name: `${prefix}${file.relativePath}`, mimeType: getMimeType(file.absolutePath) };
+      }
+    }
+  }
+
+  /**
+   * List the IDs of the JSON files in a directory
+   * @param {string} directory - The directory
+   * @returns {Promise<Array<string>>} File names without the .json extension
+   */
+  async listJsonFiles(directory) {
+    try {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+        .map(entry => entry.name.slice(0, -'.json'.length))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Resolve a resource URI to the file that backs it
+   * @param {string} uri - The resource URI
+   * @returns {string} The absolute file path
+   * @throws {Error} If the URI is malformed, has an unknown scheme or points outside the workspace
+   */
+  resolveUri(uri) {
+    let parsed;
+    try {
+      parsed = new URL(uri);
+    } catch (error) {
+      throw createResourceError(`Invalid resource URI: ${uri}`, 'INVALID_URI');
+    }
+
+    if (parsed.protocol === 'instance:' || parsed.protocol === 'job:') {
+      const id = decodeURIComponent(parsed.host || parsed.pathname.replace(/^\/+/, ''));
+      if (!/^[\w.-]+$/.test(id) || id.startsWith('.')) {
+        throw createResourceError(`Invalid resource URI: ${uri}`, 'INVALID_URI');
+      }
+      return path.join(parsed.protocol === 'instance:' ? this.instancesDir : this.jobsDir, `${id}.json`);
+    }
+
+    if (parsed.protocol !== 'file:') {
+      throw createResourceError(`Unsupported resource URI scheme: ${parsed.protocol}`, 'INVALID_URI');
+    }
+
+    const absolutePath = fileURLToPath(parsed);
+    try {
+      return this.sandbox.resolvePath(absolutePath);
+    } catch (error) {
+      // Paths outside the roots, like file:///src/index.js, are read relative to the first root
+      try {
+        return this.sandbox.resolvePath(absolutePath.replace(/^[/\\]+/, ''));
+      } catch (relativeError) {
+        throw createResourceError(relativeError.message, 'INVALID_URI');
+      }
+    }
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - The resource URI
+   * @returns {Promise<Object>} The result { contents: [{ uri, mimeType, text | blob }] }
+   * @throws {Error} If the URI is invalid or the resource does not exist
+   */
+  async readResource(uri) {
+    const filePath = this.resolveUri(uri);
+    let buffer;
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) {
+        throw createResourceError(`Resource is not a file: ${uri}`, 'INVALID_URI');
+      }
+      if (stats.size > MAX_FILE_SIZE) {
+        throw createResourceError(`Resource is larger than ${MAX_FILE_SIZE} bytes: ${uri}`, 'INVALID_URI');
+      }
+      buffer = await fs.promises.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'INVALID_URI') {
+        throw error;
+      }
+      throw createResourceError(`Resource not found: ${uri}`, 'RESOURCE_NOT_FOUND');
+    }
+
+    if (isBinary(buffer)) {
+      return { contents: [{ uri, mimeType: 'application/octet-stream', blob: buffer.toString('base64') }] };
+    }
+
+    return { contents: [{ uri, mimeType: getMimeType(filePath), text: buffer.toString('utf8') }] };
+  }
+
+  /**
+   * Watch a resource for changes
+   *
+   * The directory holding the file is watched, so files that are replaced
+   * rather than written in place, or created later, are still noticed.
+   *
+   * @param {string} uri - The resource URI
+   * @param {Function} listener - Called with (uri) after the resource changed
+   * @returns {Function} Stops watching
+   * @throws {Error} If the URI is invalid or its directory cannot be watched
+   */
+  watch(uri, listener) {
+    const filePath = this.resolveUri(uri);
+    const directory = path.dirname(filePath);
+    const fileName = path.basename(filePath);
+
+    if (directory === this.jobsDir) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    let watched = this.watchedDirectories.get(directory);
+    if (!watched) {
+      let watcher;
+      try {
+        watcher = fs.watch(directory, { persistent: false });
+      } catch (error) {
+        throw createResourceError(`Cannot watch ${uri}: ${error.message}`, 'RESOURCE_NOT_FOUND');
+      }
+
+      watched = { watcher, listeners: new Map(), timers: new Map() };
+      watcher.on('change', (eventType, changedName) => this.handleChange(directory, changedName && changedName.toString()));
+      watcher.on('error', (error) => log.error(`Error watching ${directory}`, { error }));
+      this.watchedDirectories.set(directory, watched);
+    }
+
+    if (!watched.listeners.has(fileName)) {
+      watched.listeners.set(fileName, new Set());
+    }
+    const entry = { uri, listener };
+    watched.listeners.get(fileName).add(entry);
+
+    return () => this.unwatch(directory, fileName, entry);
+  }
+
+  /**
+   * Notify the listeners of a changed file once its events settle
+   * @param {string} directory - The watched directory
+   * @param {string} fileName - Name of the changed file
+   */
+  handleChange(directory, fileName) {
+    const watched = this.watchedDirectories.get(directory);
+    if (!watched || !fileName || !watched.listeners.has(fileName)) {
+      return;
+    }
+
+    clearTimeout(watched.timers.get(fileName));
+    watched.timers.set(fileName, setTimeout(() => {
+      watched.timers.delete(fileName);
+      for (const { uri, listener } of watched.listeners.get(fileName) || []) {
+        listener(uri);
+      }
+    }, CHANGE_DEBOUNCE_MS));
+  }
+
+  /**
+   * Remove a listener and close the directory watcher once nothing is watched in it
+   * @param {string} directory - The watched directory
+   * @param {string} fileName - The watched file name
+   * @param {Object} entry - The listener entry
+   */
+  unwatch(directory, fileName, entry) {
+    const watched = this.watchedDirectories.get(directory);
+    if (!watched || !watched.listeners.has(fileName)) {
+      return;
+    }
+
+    const entries = watched.listeners.get(fileName);
+    entries.delete(entry);
+    if (entries.size === 0) {
+      watched.listeners.delete(fileName);
+      clearTimeout(watched.timers.get(fileName));
+      watched.timers.delete(fileName);
+    }
+
+    if (watched.listeners.size === 0) {
+      watched.watcher.close();
+      this.watchedDirectories.delete(directory);
+    }
+  }
+
+  /**
+   * Stop every watcher
+   */
+  dispose() {
+    for (const watched of this.watchedDirectories.values()) {
+      watched.watcher.close();
+      watched.timers.forEach(timer => clearTimeout(timer));
+    }
+    this.watchedDirectories.clear();
+  }
+}
+
+module.exports = {
+  WorkspaceResources,
+  RESOURCE_TEMPLATES
+};
@@ -0,0 +1,190 @@
+/**
+ * Workspace Sandbox for VSCode Remote MCP
+ *
+ * This module keeps file-touching tools inside a set of allowed workspace roots, including:
+ * - Normalizing relative and absolute paths against the workspace
+ * - Resolving symlinks so links cannot point tools outside a root
+ * - Wrapping tools so their path parameters are checked before they run
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Links followed before a path is given up on, as for the ELOOP limit of the kernel
+const MAX_SYMLINK_DEPTH = 40;
+
+/**
+ * Get the status of a path itself, without following a final symlink
+ * @param {string} candidate - The path
+ * @returns {fs.Stats|null} The status, or null if nothing is there
+ */
+function lstatOrNull(candidate) {
+  try {
+    return fs.lstatSync(candidate);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve symlinks in a path that may not exist yet
+ *
+ * The longest existing prefix is resolved with realpath and the remaining
+ * segments are appended, so a missing file below a symlinked directory still
+ * resolves to its real location. A dangling symlink counts as existing: it
+ * is followed to its target, since writing through it creates the target.
+ * @param {string} absolutePath - Normalized absolute path
+ * @param {number} [depth=0] - Dangling links followed so far
+ * @returns {string} The real path
+ * @throws {Error} If the path runs through too many links
+ */
+function realpathAllowMissing(absolutePath, depth = 0) {
+  if (depth > MAX_SYMLINK_DEPTH) {
+    throw new Error(`Too many symbolic links in ${absolutePath}`);
+  }
+
+  let existing = absolutePath;
+  const missing = [];
+
+  while (!lstatOrNull(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) {
+      break;
+    }
+    missing.unshift(path.basename(existing));
+    existing = parent;
+  }
+
+  try {
+    return path.join(fs.realpathSync.native(existing), ...missing);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  // The existing prefix is a dangling link
+  const target = path.resolve(path.dirname(existing), fs.readlinkSync(existing));
+  return realpathAllowMissing(path.join(target, ...missing), depth + 1);
+}
+
+/**
+ * Check if a path is inside a directory
+ * @param {string} directory - The directory
+ * @param {string} candidate - The path to check
+ * @returns {boolean} True if the path is the directory or below it
+ */
+function isPathInside(directory, candidate) {
+  const relative = path.relative(directory, candidate);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Workspace Sandbox class
+ */
+class WorkspaceSandbox {
+  /**
+   * Create a new WorkspaceSandbox instance
+   * @param {Object} options - Sandbox options
+   * @param {Array<string>} options.roots - Allowed workspace roots; relative paths resolve against the first one
+   */
+  constructor(options) {
+    if (!options.roots || options.roots.length === 0) {
+      throw new Error('At least one workspace root is required');
+    }
+
+    this.roots = options.roots.map(root => realpathAllowMissing(path.resolve(root)));
+  }
+
+  /**
+   * Resolve a path and check that it stays inside a workspace root
+   * @param {string} inputPath - Absolute path, or path relative to the first root
+   * @returns {string} The normalized real path
+   * @throws {Error} If the path is outside every workspace root
+   */
+  resolvePath(inputPath) {
+    if (typeof inputPath !== 'string' || inputPath.length === 0 || inputPath.includes('\0')) {
+      throw new Error(`Invalid path: ${JSON.stringify(inputPath)}`);
+    }
+
+    const resolved = realpathAllowMissing(path.resolve(this.roots[0], inputPath));
+
+    if (!this.roots.some(root => isPathInside(root, resolved))) {
+      throw new Error(`Path ${inputPath} is outside the allowed workspace roots (${this.roots.join(', ')})`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check if a path is inside a workspace root
+   * @param {string} inputPath - The path to check
+   * @returns {boolean} True if the path is allowed
+   */
+  isAllowed(inputPath) {
+    try {
+      this.resolvePath(inputPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wrap a tool so its path parameters are resolved inside the workspace first
+   * @param {Function} tool - The tool function
+   * @param {Object.<string, string|undefined>} pathParams - Map of path parameter names to their defaults;
+   *   `list[].name` names a path field of every item in an array parameter
+   * @returns {Function} The sandboxed tool; the tool context is passed through unchanged
+   */
+  wrapTool(tool, pathParams) {
+    return async (params = {}, context) => {
+      const sandboxedParams = { ...params };
+
+      for (const [name, defaultValue] of Object.entries(pathParams)) {
+        try {
+          const [listName, field] = name.split('[].');
+
+          if (field) {
+            if (Array.isArray(params[listName])) {
+              sandboxedParams[listName] = params[listName].map(item => (
+                item && item[field] !== undefined ? { ...item, [field]: this.resolvePath(item[field]) } : item
+              ));
+            }
+            continue;
+          }
+
+          const value = params[name] !== undefined ? params[name] : defaultValue;
+
+          // Missing required paths are reported by the tool itself
+          if (value !== undefined) {
+            sandboxedParams[name] = this.resolvePath(value);
+          }
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error: ${error.message}`
+              }
+            ],
+            error: {
+              code: -32602,
+              message: error.message
+            }
+          };
+        }
+      }
+
+      return tool(sandboxedParams, context);
+    };
+  }
+}
+
+module.exports = {
+  WorkspaceSandbox,
+  isPathInside
+};
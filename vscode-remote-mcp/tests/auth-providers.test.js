@@ -0,0 +1,290 @@
+/**
+ * Tests for pluggable authentication providers
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const {
+  AuthProviderRegistry,
+  ApiKeyProvider,
+  HtpasswdProvider,
+  ClientCertificateProvider,
+  hashScryptPassword,
+  verifyPassword
+} = require('../src/utils/auth-providers');
+const { AuthManager } = require('../src/utils/auth-manager');
+const { handleAuthenticateRequest } = require('../src/handlers/auth-handlers');
+const { handleClientInfoRequest } = require('../src/handlers/connection-handlers');
+const { MCPServer } = require('../src/mcp-server');
+
+describe('Authentication providers', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-auth-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('accepts API keys from the key file and reloads it when it changes', async () => {
+    const file = path.join(tempDir, 'api-keys.json');
+    const digest = crypto.createHash('sha256').update('team-b-key').digest('hex');
+    fs.writeFileSync(file, JSON.stringify({
+      keys: [
+        { id: 'team-a', key: 'team-a-key', permissions: ['admin'] },
+        { id: 'team-b', sha256: digest }
+      ]
+    }));
+    const provider = new ApiKeyProvider({ file });
+
+    await expect(provider.authenticate({ apiKey: 'team-a-key' })).resolves.toEqual({ identity: 'team-a', permissions: ['admin'] });
+    await expect(provider.authenticate({ apiKey: 'team-b-key' })).resolves.toEqual({ identity: 'team-b', permissions: [] });
+    await expect(provider.authenticate({ apiKey: 'wrong' })).rejects.toThrow('Invalid API key');
+    await expect(provider.authenticate({})).rejects.toMatchObject({ code: 'MISSING_CREDENTIALS' });
+
+    fs.writeFileSync(file, JSON.stringify({ keys: [{ id: 'team-c', key: 'team-c-key' }] }));
+    const future = new Date(Date.now() + 10000);
+    fs.utimesSync(file, future, future);
+
+    await expect(provider.authenticate({ apiKey: 'team-a-key' })).rejects.toThrow('Invalid API key');
+    await expect(provider.authenticate({ apiKey: 'team-c-key' })).resolves.toMatchObject({ identity: 'team-c' });
+  });
+
+  test('accepts htpasswd users with bcrypt and scrypt hashes', async () => {
+    const file = path.join(tempDir, 'htpasswd');
+    fs.writeFileSync(file, [
+      '# Team accounts',
+      `alice:${bcrypt.hashSync('alice-password', 4).replace('$2a$', '$2y$')}`,
+      `bob:${await hashScryptPassword('bob-password', { cost: 10 })}`,
+      'carol:{SHA}W6ph5Mm5Pz8GgiULbPgzG37mj9g='
+    ].join('\n'));
+    const provider = new HtpasswdProvider({ file });
+
+    await expect(provider.authenticate({ username: 'alice', password: 'alice-password' })).resolves.toEqual({ identity: 'alice', permissions: [] });
+    await expect(provider.authenticate({ username: 'bob', password: 'bob-password' })).resolves.toMatchObject({ identity: 'bob' });
+    await expect(provider.authenticate({ username: 'bob', password: 'alice-password' })).rejects.toThrow('Invalid username or password');
+    await expect(provider.authenticate({ username: 'dave', password: 'x' })).rejects.toThrow('Invalid username or password');
+
+    // Weak hash formats are never accepted
+    await expect(provider.authenticate({ username: 'carol', password: 'password' })).rejects.toThrow('Invalid username or password');
+  });
+
+  test('hashes passwords with scrypt', async () => {
+    const hash = await hashScryptPassword('secret', { cost: 10 });
+
+    expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$/);
+    await expect(verifyPassword('secret', hash)).resolves.toBe(true);
+    await expect(verifyPassword('Secret', hash)).resolves.toBe(false);
+  });
+
+  test('identifies clients by their verified certificate', async () => {
+    const provider = new ClientCertificateProvider();
+    const certificate = { subject: { CN: 'ci-runner' }, fingerprint256: 'AA:BB' };
+
+    await expect(provider.authenticate({}, { certificate, certificateAuthorized: true }))
+      .resolves.toEqual({ identity: 'ci-runner', permissions: [], fingerprint: 'AA:BB' });
+    await expect(provider.authenticate({}, { certificate, certificateAuthorized: false })).rejects.toThrow('trusted authority');
+    await expect(provider.authenticate({}, { certificate: null })).rejects.toMatchObject({ code: 'MISSING_CREDENTIALS' });
+  });
+
+  test('maps identities to configured permissions', async () => {
+    const registry = new AuthProviderRegistry({ permissions: { alice: ['admin', 'deploy'] } });
+    registry.register('static', { authenticate: async (credentials) => ({ identity: credentials.user, permissions: ['deploy'] }) });
+
+    await expect(registry.authenticate('static', { user: 'alice' })).resolves.toEqual({
+      success: true,
+      method: 'static',
+      identity: 'alice',
+      permissions: ['deploy', 'admin']
+    });
+    await expect(registry.authenticate('static', { user: 'bob' })).resolves.toMatchObject({ permissions: ['deploy'] });
+    await expect(registry.authenticate('oauth', {})).resolves.toEqual({
+      success: false,
+      message: 'Unsupported authentication method: oauth',
+      code: 'UNSUPPORTED_AUTH_METHOD'
+    });
+  });
+});
+
+describe('handleAuthenticateRequest', () => {
+  let tempDir;
+  let server;
+  let clientInfos;
+
+  /**
+   * Send a message to a handler as a client
+   * @param {Function} handler - The handler
+   * @param {string} clientId - The client ID
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   * @returns {Promise<Object>} The response message
+   */
+  function request(handler, clientId, type, payload) {
+    return handler(server, { type, id: `${type}-1`, payload }, { id: clientId });
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-auth-'));
+    const apiKeysFile = path.join(tempDir, 'api-keys.json');
+    fs.writeFileSync(apiKeysFile, JSON.stringify({ keys: [{ id: 'ops', key: 'ops-key' }, { id: 'dev', key: 'dev-key' }] }));
+
+    const authConfig = {
+      enabled: true,
+      tokenExpirationSeconds: 60,
+      refreshTokenExpirationSeconds: 600,
+      jwtSecret: 'test-secret',
+      audience: 'vscode-remote-mcp',
+      providers: { apiKeysFile },
+      permissions: { ops: ['admin'] }
+    };
+    clientInfos = new Map([['client-1', { id: 'client-1' }], ['client-2', { id: 'client-2' }]]);
+    server = {
+      authManager: new AuthManager({ getSection: () => authConfig }),
+      messageRouter: {
+        createSuccessResponse: (message, payload) => ({ type: `${message.type}_ack`, payload }),
+        createErrorResponse: (message, text, code) => ({ type: 'error', payload: { code, message: text } })
+      },
+      connectionManager: {
+        isClientConnected: clientId => clientInfos.has(clientId),
+        getClientInfo: clientId => clientInfos.get(clientId),
+        updateClient: (clientId, info) => clientInfos.set(clientId, info)
+      }
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test('grants the permissions of the identity to the client', async () => {
+    const response = await request(handleAuthenticateRequest, 'client-1', 'authenticate', { authMethod: 'api_key', apiKey: 'ops-key' });
+
+    expect(response.payload).toMatchObject({ status: 'authenticated', identity: 'ops', permissions: ['admin'] });
+    expect(server.authManager.validateToken(response.payload.token).metadata).toEqual({ identity: 'ops', permissions: ['admin'] });
+    expect(clientInfos.get('client-1')).toMatchObject({ authenticated: true, authMethod: 'api_key', identity: 'ops' });
+
+    // The admin permission lets the client inspect other clients
+    await request(handleAuthenticateRequest, 'client-2', 'authenticate', { authMethod: 'api_key', apiKey: 'dev-key' });
+    const adminInfo = await request(handleClientInfoRequest, 'client-1', 'client_info', { targetClientId: 'client-2' });
+    const denied = await request(handleClientInfoRequest, 'client-2', 'client_info', { targetClientId: 'client-1' });
+
+    expect(adminInfo.type).toBe('client_info_ack');
+    expect(denied.payload.code).toBe('PERMISSION_DENIED');
+  });
+
+  test('refuses tokens issued to another client and switching identities', async () => {
+    const signedIn = await request(handleAuthenticateRequest, 'client-1', 'authenticate', { authMethod: 'api_key', apiKey: 'ops-key' });
+
+    const stolen = await request(handleAuthenticateRequest, 'client-2', 'authenticate', { authMethod: 'token', token: signedIn.payload.token });
+    expect(stolen.payload).toEqual({ code: 'INVALID_TOKEN', message: 'Token was issued to another client' });
+    expect(stolen.payload.token).toBeUndefined();
+    expect(clientInfos.get('client-2')).toEqual({ id: 'client-2' });
+
+    const own = await request(handleAuthenticateRequest, 'client-1', 'authenticate', { authMethod: 'token', token: signedIn.payload.token });
+    expect(own.payload).toMatchObject({ status: 'authenticated', identity: 'ops' });
+
+    const switched = await request(handleAuthenticateRequest, 'client-1', 'authenticate', { authMethod: 'api_key', apiKey: 'dev-key' });
+    expect(switched.payload.code).toBe('IDENTITY_MISMATCH');
+    expect(clientInfos.get('client-1')).toMatchObject({ identity: 'ops', permissions: ['admin'] });
+  });
+
+  test('rejects invalid credentials and unconfigured methods', async () => {
+    const invalid = await request(handleAuthenticateRequest, 'client-1', 'authenticate', { authMethod: 'api_key', apiKey: 'nope' });
+    const unsupported = await request(handleAuthenticateRequest, 'client-1', 'authenticate', { authMethod: 'password', username: 'a', password: 'b' });
+    const missingToken = await request(handleAuthenticateRequest, 'client-1', 'authenticate', {});
+
+    expect(invalid.payload).toEqual({ code: 'AUTH_FAILED', message: 'Invalid API key' });
+    expect(unsupported.payload.code).toBe('UNSUPPORTED_AUTH_METHOD');
+    expect(missingToken.payload.code).toBe('MISSING_TOKEN');
+    expect(clientInfos.get('client-1').authenticated).toBeUndefined();
+  });
+});
+
+describe('MCPServer credential authentication', () => {
+  const originalEnv = { ...process.env };
+  let tempDir;
+  let server;
+  let client;
+
+  /**
+   * Process a message as the test client
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   * @param {string} [token] - Access token sent with the message
+   * @returns {Promise<Object>} The response message
+   */
+  function request(type, payload, token) {
+    return server.messageRouter.processMessage({ type, id: `${type}-1`, timestamp: new Date().toISOString(), payload, token }, client);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-auth-'));
+    fs.writeFileSync(path.join(tempDir, 'htpasswd'), `alice:${bcrypt.hashSync('alice-password', 4)}\nbob:${bcrypt.hashSync('bob-password', 4)}\n`);
+    process.env.MCP_AUTH_ENABLED = 'true';
+    process.env.MCP_JWT_SECRET = 'test-secret';
+    process.env.MCP_AUTH_HTPASSWD_FILE = path.join(tempDir, 'htpasswd');
+
+    server = new MCPServer({ sessionStore: null });
+    client = { send: jest.fn() };
+  });
+
+  afterEach(() => {
+    for (const manager of [server.sessionManager, server.terminalManager, server.editorManager, server.extensionManager, server.presenceManager]) {
+      manager.dispose();
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('issues tokens only after the client presents credentials', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+
+    expect(ack.payload.token).toBeNull();
+    expect(ack.payload.authMethods).toEqual(['password', 'token']);
+
+    const rejected = await request('authentication_request', { authMethod: 'password', username: 'alice', password: 'wrong' });
+    expect(rejected.payload.code).toBe('AUTH_FAILED');
+
+    const response = await request('authentication_request', { authMethod: 'password', username: 'alice', password: 'alice-password' });
+    expect(response.payload).toMatchObject({ status: 'authenticated', identity: 'alice' });
+    expect(client.identity).toBe('alice');
+
+    const allowed = await request('session_list', {}, response.payload.token);
+    expect(allowed.type).toBe('session_list_ack');
+
+    // Refreshed tokens keep the identity
+    const refreshed = await request('token_refresh', { clientId: 'client-1', refreshToken: response.payload.refreshToken });
+    expect(server.authManager.validateToken(refreshed.payload.token).metadata.identity).toBe('alice');
+  });
+
+  test('keeps a client ID with the identity that authenticated on it', async () => {
+    await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+    const signedIn = await request('authentication_request', { authMethod: 'password', username: 'alice', password: 'alice-password' });
+    await request('disconnect', {});
+
+    // Another socket cannot pick up the ID without one of alice's tokens
+    client = { send: jest.fn() };
+    const taken = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+    expect(taken.payload.code).toBe('CLIENT_ID_IN_USE');
+
+    const reconnected = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] }, signedIn.payload.token);
+    expect(reconnected.payload.status).toBe('connected');
+    expect(client.identity).toBe('alice');
+
+    const switched = await request('authentication_request', { authMethod: 'password', username: 'bob', password: 'bob-password' });
+    expect(switched.payload.code).toBe('IDENTITY_MISMATCH');
+    expect(client.identity).toBe('alice');
+  });
+});
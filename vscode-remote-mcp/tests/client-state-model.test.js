@@ -228,6 +228,36 @@ describe('Client State Model', () => {
       expect(documentState.getDocumentUri()).toBeNull();
     });
 
+    it('should carry operations and the base version in the current edit', () => {
+      documentState.openDocument('file:///path/to/document.js', 3);
+      documentState.makeEdit({ operations: [{ type: 'insert', position: 0, text: 'a' }] });
+
+      expect(documentState.getCurrentEdit()).toEqual({
+        operations: [{ type: 'insert', position: 0, text: 'a' }],
+        baseVersion: 3
+      });
+
+      documentState.editComplete(4);
+      expect(documentState.getVersion()).toBe(4);
+    });
+
+    it('should transform a pending edit against remote changes', () => {
+      documentState.openDocument('file:///path/to/document.js', 1);
+      documentState.makeEdit({ operations: [{ type: 'insert', position: 5, text: '!' }] });
+
+      const remote = documentState.receiveChange({
+        operations: [{ type: 'insert', position: 0, text: 'Oh, ' }],
+        version: 2
+      });
+
+      expect(remote).toEqual([{ type: 'insert', position: 0, text: 'Oh, ' }]);
+      expect(documentState.getCurrentEdit()).toEqual({
+        operations: [{ type: 'insert', position: 9, text: '!' }],
+        baseVersion: 2
+      });
+      expect(documentState.getVersion()).toBe(2);
+    });
+
     it('should not allow invalid transitions', () => {
       // Cannot make edit when no document is active
       expect(() => documentState.makeEdit({ range: { startLine: 1, startColumn: 1 }, text: 'edit' })).toThrow();
@@ -0,0 +1,325 @@
+/**
+ * Tests for the container runtimes and the instance tools that use them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-runtime-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const {
+  NO_SUCH_CONTAINER,
+  DockerRuntime,
+  PodmanRuntime,
+  MemoryContainerRuntime,
+  createContainerRuntime
+} = require('../src/utils/container-runtime');
+const { createToolContext } = require('../src/utils/tool-context');
+const { setLogSink } = require('../src/utils/logger');
+const deployVSCodeInstance = require('../src/tools/deploy_vscode_instance');
+const listVSCodeInstances = require('../src/tools/list_vscode_instances');
+const stopVSCodeInstance = require('../src/tools/stop_vscode_instance');
+const manageJobResources = require('../src/tools/manage_job_resources');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+/**
+ * Create a CLI runtime whose command line calls are recorded instead of run
+ * @param {Function} RuntimeClass - DockerRuntime or PodmanRuntime
+ * @param {Function} [respond] - Called with the arguments; returns { stdout, stderr } or throws
+ * @returns {Object} { runtime, calls }
+ */
+function createRecordingRuntime(RuntimeClass, respond = () => ({ stdout: '', stderr: '' })) {
+  const calls = [];
+  const runtime = new RuntimeClass({
+    execFile: async (file, args, options) => {
+      calls.push({ file, args, options });
+      return respond(args);
+    }
+  });
+  return { runtime, calls };
+}
+
+describe('CLI runtimes', () => {
+  test('run containers with argument arrays and secrets in the environment', async () => {
+    const { runtime, calls } = createRecordingRuntime(DockerRuntime, () => ({ stdout: 'abc123\n', stderr: '' }));
+
+    const id = await runtime.run({
+      name: 'vscode-app',
+      image: 'codercom/code-server:latest',
+      restart: 'unless-stopped',
+      ports: [{ host: 8443, container: 8080 }],
+      volumes: [{ source: '/work space', target: '/workspace' }],
+      cpus: '1.5',
+      memory: '2g',
+      env: { GREETING: 'hello; rm -rf /' },
+      secretEnv: { PASSWORD: 'hunter2' }
+    });
+
+    expect(id).toBe('abc123');
+    expect(calls[0].file).toBe('docker');
+    expect(calls[0].args).toEqual([
+      'run', '-d', '--name', 'vscode-app', '--restart', 'unless-stopped',
+      '-p', '8443:8080', '-v', '/work space:/workspace', '--cpus=1.5', '--memory=2g',
+      '-e', 'GREETING=hello; rm -rf /', '-e', 'PASSWORD', 'codercom/code-server:latest'
+    ]);
+    expect(calls[0].options.env.PASSWORD).toBe('hunter2');
+    expect(calls[0].args.join(' ')).not.toContain('hunter2');
+  });
+
+  test('parse inspect output and report missing containers as null', async () => {
+    const inspectData = [{
+      Id: 'abc123',
+      Name: '/vscode-app',
+      Config: { Image: 'codercom/code-server:latest' },
+      State: { Status: 'running', Running: true, StartedAt: '2026-01-05T09:30:00Z' },
+      NetworkSettings: { Ports: { '8080/tcp': [{ HostIp: '0.0.0.0', HostPort: '8443' }], '9000/tcp': null } },
+      Mounts: [
+        { Type: 'bind', Source: '/home/ann/app', Destination: '/workspace' },
+        { Type: 'volume', Name: 'vscode-data-vscode-app', Source: '/var/lib/docker/volumes/vscode-data-vscode-app/_data', Destination: '/home/coder/.local/share/code-server' }
+      ]
+    }];
+    const { runtime, calls } = createRecordingRuntime(DockerRuntime, (args) => {
+      if (args.includes('missing')) {
+        throw Object.assign(new Error('Command failed'), { code: 1, stderr: 'Error: No such container: missing\n' });
+      }
+      return { stdout: JSON.stringify(inspectData), stderr: '' };
+    });
+
+    await expect(runtime.inspect('vscode-app')).resolves.toEqual({
+      id: 'abc123',
+      name: 'vscode-app',
+      image: 'codercom/code-server:latest',
+      status: 'running',
+      running: true,
+      startedAt: '2026-01-05T09:30:00Z',
+      health: null,
+      ports: { '8080/tcp': 8443 },
+      mounts: [
+        { source: '/home/ann/app', target: '/workspace' },
+        { source: 'vscode-data-vscode-app', target: '/home/coder/.local/share/code-server' }
+      ]
+    });
+    await expect(runtime.inspect('missing')).resolves.toBeNull();
+    await expect(runtime.stop('missing')).rejects.toMatchObject({ code: NO_SUCH_CONTAINER });
+    expect(calls[0].args).toEqual(['inspect', '--type', 'container', 'vscode-app']);
+  });
+
+  test('build the arguments of stats, stop, kill, remove and logs', async () => {
+    const { runtime, calls } = createRecordingRuntime(PodmanRuntime, (args) => (
+      args[0] === 'stats' ? { stdout: '0.52%,120MiB / 2GiB\n', stderr: '' } : { stdout: 'line\n', stderr: 'warning\n' }
+    ));
+
+    await expect(runtime.stats('app')).resolves.toEqual({ cpu: '0.52%', memory: '120MiB / 2GiB' });
+    await runtime.stop('app', { timeoutSeconds: 5 });
+    await runtime.kill('app');
+    await runtime.remove('app', { force: true, volumes: true });
+    await expect(runtime.logs('app', { tail: 10, since: '10m', timestamps: true })).resolves.toEqual({ stdout: 'line\n', stderr: 'warning\n' });
+
+    expect(calls.map(call => call.file)).toEqual(['podman', 'podman', 'podman', 'podman', 'podman']);
+    expect(calls.map(call => call.args)).toEqual([
+      ['stats', '--no-stream', '--format', '{{.CPUPerc}},{{.MemUsage}}', 'app'],
+      ['stop', '-t', '5', 'app'],
+      ['kill', 'app'],
+      ['rm', '-f', '-v', 'app'],
+      ['logs', '--tail', '10', '--since', '10m', '--timestamps', 'app']
+    ]);
+  });
+
+  test('are selected by configuration', () => {
+    expect(createContainerRuntime()).toBeInstanceOf(DockerRuntime);
+    expect(createContainerRuntime({ runtime: 'podman' })).toBeInstanceOf(PodmanRuntime);
+    expect(createContainerRuntime({ runtime: 'memory' })).toBeInstanceOf(MemoryContainerRuntime);
+    expect(() => createContainerRuntime({ runtime: 'lxc' })).toThrow('Unknown container runtime: lxc');
+  });
+});
+
+describe('MemoryContainerRuntime', () => {
+  test('keeps containers through their lifecycle', async () => {
+    const runtime = new MemoryContainerRuntime();
+    const spec = { name: 'app', image: 'busybox', ports: [{ host: 9000, container: 8080 }], memory: '1g' };
+
+    const id = await runtime.run(spec);
+    await expect(runtime.run(spec)).rejects.toThrow('The container name "/app" is already in use');
+    await expect(runtime.run({ ...spec, name: 'other' })).rejects.toThrow('port is already allocated');
+    await expect(runtime.inspect(id)).resolves.toMatchObject({ name: 'app', status: 'running', running: true, ports: { '8080/tcp': 9000 } });
+    await expect(runtime.stats('app')).resolves.toEqual({ cpu: '0.00%', memory: '0B / 1g' });
+    await expect(runtime.remove('app')).rejects.toThrow('cannot remove a running container');
+
+    await runtime.stop('app');
+    await expect(runtime.inspect('app')).resolves.toMatchObject({ status: 'exited', running: false });
+    await expect(runtime.kill('app')).rejects.toThrow('is not running');
+
+    await runtime.remove('app');
+    await expect(runtime.inspect('app')).resolves.toBeNull();
+    await expect(runtime.stop('app')).rejects.toMatchObject({ code: NO_SUCH_CONTAINER });
+  });
+
+  test('filters the output of a container', async () => {
+    const runtime = new MemoryContainerRuntime();
+    await runtime.run({ name: 'app', image: 'busybox' });
+    runtime.appendLogs('app', 'booting\nlistening', { time: '2026-01-05T09:00:00.000Z' });
+    runtime.appendLogs('app', 'bad request', { time: '2026-01-05T09:05:00.000Z', stream: 'stderr' });
+    runtime.appendLogs('app', 'request', { time: '2026-01-05T09:10:00.000Z' });
+
+    await expect(runtime.logs('app')).resolves.toEqual({ stdout: 'booting\nlistening\nrequest\n', stderr: 'bad request\n' });
+    await expect(runtime.logs('app', { tail: 2 })).resolves.toEqual({ stdout: 'request\n', stderr: 'bad request\n' });
+    await expect(runtime.logs('app', { since: '2026-01-05T09:01:00Z', until: '2026-01-05T09:10:00Z', timestamps: true })).resolves.toEqual({
+      stdout: '',
+      stderr: '2026-01-05T09:05:00.000Z bad request\n'
+    });
+  });
+
+  test('honours cancellation', async () => {
+    const runtime = new MemoryContainerRuntime();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(runtime.run({ name: 'app', image: 'busybox' }, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(runtime.containers.size).toBe(0);
+  });
+});
+
+describe('instance tools on the memory runtime', () => {
+  let instancesDir;
+  let workspacePath;
+  let runtime;
+  let options;
+  let previousSink;
+
+  beforeEach(() => {
+    instancesDir = fs.mkdtempSync(path.join(workspaceRoot, 'instances-'));
+    workspacePath = fs.mkdtempSync(path.join(workspaceRoot, 'workspace-'));
+    runtime = new MemoryContainerRuntime();
+    options = { runtime, instancesDir };
+    previousSink = setLogSink(() => {});
+  });
+
+  afterEach(() => {
+    setLogSink(previousSink);
+  });
+
+  test('deploy, list, report usage of and stop an instance', async () => {
+    const deployed = await deployVSCodeInstance({ name: 'app', workspace_path: workspacePath, password: 'hunter2', environment: { MODE: 'dev' } }, createToolContext(), options);
+
+    expect(deployed).toMatchObject({ name: 'app', status: 'running' });
+    const container = runtime.containers.get(deployed.instance_name);
+    expect(container.spec).toMatchObject({
+      image: 'codercom/code-server:latest',
+      ports: [{ host: deployed.port, container: 8080 }],
+      env: { MODE: 'dev', EXTENSIONS: 'ms-python.python,dbaeumer.vscode-eslint' },
+      secretEnv: { PASSWORD: 'hunter2' }
+    });
+    expect(fs.existsSync(path.join(instancesDir, `${deployed.instance_name}.json`))).toBe(true);
+
+    const listed = await listVSCodeInstances({}, createToolContext(), options);
+    expect(listed.instances).toEqual([expect.objectContaining({
+      name: 'app',
+      status: 'running',
+      port: deployed.port,
+      cpu_usage: '0.00%',
+      memory_usage: '0B / 2g'
+    })]);
+
+    await manageJobResources({ job_id: deployed.id, operation: 'allocate', resources: { cpu: 2 } }, createToolContext(), options);
+    const status = await manageJobResources({ job_id: deployed.id, operation: 'status' }, createToolContext(), options);
+    expect(status.usage).toEqual({ cpu_usage: '0.00%', memory_usage: '0B / 2g' });
+    expect(fs.existsSync(path.join(instancesDir, 'resources', `${deployed.id}.json`))).toBe(true);
+
+    const stopped = await stopVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    expect(stopped).toMatchObject({ status: 'stopped' });
+    expect((await listVSCodeInstances({ status: 'stopped' }, createToolContext(), options)).count).toBe(1);
+    expect(await stopVSCodeInstance({ name: 'app', force: true }, createToolContext(), options)).toMatchObject({ status: 'already_stopped' });
+  });
+
+  test('report instances whose container is gone as missing', async () => {
+    const deployed = await deployVSCodeInstance({ name: 'app', workspace_path: workspacePath }, createToolContext(), options);
+    await runtime.remove(deployed.instance_name, { force: true });
+
+    const listed = await listVSCodeInstances({}, createToolContext(), options);
+    const stopped = await stopVSCodeInstance({ name: 'app' }, createToolContext(), options);
+
+    expect(listed.instances).toEqual([expect.objectContaining({ name: 'app', status: 'missing' })]);
+    expect(stopped.error).toEqual({ code: -32602, message: `Container not found: ${deployed.instance_name}` });
+  });
+
+  test('suggest another port when the runtime reports the port as taken', async () => {
+    const first = await deployVSCodeInstance({ name: 'first', workspace_path: workspacePath }, createToolContext(), options);
+
+    const second = await deployVSCodeInstance({ name: 'second', workspace_path: workspacePath, port: first.port }, createToolContext(), options);
+
+    expect(second.error).toMatchObject({ code: -32603, message: `Port ${first.port} is already allocated` });
+    expect(second.error.details.suggested_port).toEqual(expect.any(Number));
+    expect(fs.readdirSync(instancesDir).filter(file => file.endsWith('.json'))).toEqual([`${first.instance_name}.json`]);
+  });
+
+  test('remove the record and container of a deployment that failed', async () => {
+    const records = () => fs.readdirSync(instancesDir).filter(file => file.endsWith('.json'));
+    const run = runtime.run.bind(runtime);
+
+    jest.spyOn(runtime, 'run').mockRejectedValueOnce(new Error('manifest unknown'));
+    const failed = await deployVSCodeInstance({ name: 'broken', workspace_path: workspacePath }, createToolContext(), options);
+    expect(failed.error).toEqual({ code: -32603, message: 'Failed to deploy container: manifest unknown' });
+    expect(records()).toEqual([]);
+
+    // The container starts but exits before it is checked
+    runtime.run.mockImplementationOnce(async (spec, runOptions) => {
+      const container = await run(spec, runOptions);
+      await runtime.stop(spec.name);
+      return container;
+    });
+    const exited = await deployVSCodeInstance({ name: 'exiting', workspace_path: workspacePath }, createToolContext(), options);
+    expect(exited.error).toEqual({ code: -32603, message: 'Failed to start VSCode instance' });
+    expect(records()).toEqual([]);
+    expect(runtime.containers.size).toBe(0);
+  });
+});
+
+describe('instance tools over MCP', () => {
+  afterEach(() => {
+    delete process.env.MCP_CONTAINER_RUNTIME;
+    delete process.env.MCP_INSTANCES_DIR;
+  });
+
+  test('use the runtime and instances directory of the configuration', async () => {
+    const instancesDir = fs.mkdtempSync(path.join(workspaceRoot, 'mcp-instances-'));
+    process.env.MCP_CONTAINER_RUNTIME = 'memory';
+    process.env.MCP_INSTANCES_DIR = instancesDir;
+
+    let Server;
+    let registry;
+    jest.isolateModules(() => {
+      Server = require('../src/mcp-sdk-server');
+      registry = require('../src/tools');
+    });
+    const mcpServer = new Server();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    try {
+      await client.callTool({ name: 'deploy_vscode_instance', arguments: { name: 'remote', workspace_path: workspaceRoot } });
+      const listed = await client.callTool({ name: 'list_vscode_instances', arguments: {} });
+      const { resources } = await client.listResources();
+
+      expect(registry.containerRuntime.name).toBe('memory');
+      expect(registry.containerRuntime.containers.size).toBe(1);
+      expect(listed.content[0].text).toContain('Instance 1: remote');
+      await expect(client.callTool({ name: 'deploy_vscode_instance', arguments: { name: 'escape', workspace_path: os.tmpdir() } }))
+        .rejects.toThrow('is outside the allowed workspace roots');
+      await expect(client.callTool({ name: 'deploy_vscode_instance', arguments: { name: '../escaped', workspace_path: workspaceRoot } }))
+        .rejects.toThrow('name must match');
+      expect(resources.map(resource => resource.uri)).toContainEqual(expect.stringMatching(/^instance:\/\/vscode-remote-/));
+    } finally {
+      await client.close();
+      mcpServer.toolPlugins.close();
+    }
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for delta-based collaborative editing in EditorManager
+ */
+
+const { EditorManager } = require('../src/utils/editor-manager');
+const { SessionManager } = require('../src/utils/session-manager');
+
+describe('EditorManager', () => {
+  let sessionManager;
+  let manager;
+  let editor;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    const sessionId = sessionManager.createSession('session-1', 'client-1', 'workspace-1').id;
+    sessionManager.addParticipant(sessionId, 'client-2', 'workspace-1');
+
+    manager = new EditorManager(sessionManager);
+    editor = manager.registerEditor(sessionId, 'client-1', '/workspace/main.js', { content: 'hello world' });
+    manager.registerEditor(sessionId, 'client-2', '/workspace/main.js');
+  });
+
+  afterEach(() => {
+    manager.dispose();
+    sessionManager.dispose();
+  });
+
+  test('should apply operations based on the current version', () => {
+    const change = manager.applyEdit(editor.id, 'client-1', [
+      { type: 'insert', position: 5, text: ',' }
+    ], 1);
+
+    expect(change).toEqual(expect.objectContaining({ clientId: 'client-1', baseVersion: 1, version: 2 }));
+    expect(editor.content).toBe('hello, world');
+    expect(editor.version).toBe(2);
+  });
+
+  test('should rebase concurrent edits made against a stale version', () => {
+    manager.applyEdit(editor.id, 'client-1', [{ type: 'insert', position: 0, text: 'Oh, ' }], 1);
+
+    const change = manager.applyEdit(editor.id, 'client-2', [
+      { type: 'delete', position: 6, length: 5 },
+      { type: 'insert', position: 6, text: 'there' }
+    ], 1);
+
+    expect(change.operations).toEqual([
+      { type: 'delete', position: 10, length: 5 },
+      { type: 'insert', position: 10, text: 'there' }
+    ]);
+    expect(editor.content).toBe('Oh, hello there');
+    expect(editor.version).toBe(3);
+  });
+
+  test('should transform stale edits against whole-content replacements', () => {
+    manager.updateContent(editor.id, 'client-1', 'hello brave world', 1);
+
+    manager.applyEdit(editor.id, 'client-2', [{ type: 'insert', position: 11, text: '!' }], 1);
+
+    expect(editor.content).toBe('hello brave world!');
+  });
+
+  test('should reject edits it cannot rebase', () => {
+    expect(manager.applyEdit(editor.id, 'client-1', [], 5)).toBeNull();
+    expect(manager.applyEdit(editor.id, 'client-3', [], 1)).toBeNull();
+
+    editor.maxHistorySize = 1;
+    manager.applyEdit(editor.id, 'client-1', [{ type: 'insert', position: 0, text: 'a' }], 1);
+    manager.applyEdit(editor.id, 'client-1', [{ type: 'insert', position: 0, text: 'b' }], 2);
+
+    expect(manager.getChangesSince(editor.id, 1)).toBeNull();
+    expect(manager.applyEdit(editor.id, 'client-2', [{ type: 'insert', position: 0, text: 'c' }], 1)).toBeNull();
+  });
+
+  test('should reject invalid operations without changing the document', () => {
+    expect(() => manager.applyEdit(editor.id, 'client-1', [{ type: 'delete', position: 8, length: 10 }], 1)).toThrow();
+
+    expect(editor.content).toBe('hello world');
+    expect(editor.version).toBe(1);
+  });
+});
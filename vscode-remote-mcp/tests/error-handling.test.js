@@ -17,6 +17,7 @@ const {
   ConnectionManager,
   RateLimiter
 } = require('../src/utils/error-handler');
+const { setLogSink } = require('../src/utils/logger');
 
 describe('Error Message Format', () => {
   describe('createErrorMessage', () => {
@@ -638,23 +639,26 @@ describe('Error Handling Strategies', () => {
 
 describe('Error Logging and Monitoring', () => {
   describe('logError', () => {
-    let consoleErrorSpy;
+    let lines;
+    let previousSink;
     
     beforeEach(() => {
-      consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      lines = [];
+      previousSink = setLogSink(line => lines.push(line));
     });
     
     afterEach(() => {
-      consoleErrorSpy.mockRestore();
+      setLogSink(previousSink);
     });
     
-    test('should log error to console', () => {
+    test('should log error as one JSON line', () => {
       const error = createErrorMessage('TEST_ERROR', 'Test error message');
       
       logError(error);
       
-      expect(consoleErrorSpy).toHaveBeenCalled();
-      const loggedData = JSON.parse(consoleErrorSpy.mock.calls[0][1]);
+      expect(lines).toHaveLength(1);
+      const loggedData = JSON.parse(lines[0]);
+      expect(loggedData.level).toBe('error');
       expect(loggedData.errorCode).toBe('TEST_ERROR');
       expect(loggedData.message).toBe('Test error message');
     });
@@ -665,7 +669,7 @@ describe('Error Logging and Monitoring', () => {
       
       logError(error, context);
       
-      const loggedData = JSON.parse(consoleErrorSpy.mock.calls[0][1]);
+      const loggedData = JSON.parse(lines[0]);
       expect(loggedData.context).toEqual(context);
     });
     
@@ -15,6 +15,7 @@ process.env.MCP_SHUTDOWN_TIMEOUT_MS = '5000';
 
 // Mock the config module
 jest.mock('../src/config/env', () => ({
+  log: { level: 'info' },
   default: {
     server: {
       shutdownNotificationDelayMs: parseInt(process.env.MCP_SHUTDOWN_NOTIFICATION_DELAY_MS, 10),
@@ -25,6 +26,7 @@ jest.mock('../src/config/env', () => ({
 
 // Import the shutdown functionality
 const { shutdownGracefully } = require('../src/utils/graceful-shutdown');
+const { setLogSink } = require('../src/utils/logger');
 
 describe('Graceful Shutdown', () => {
   // Mock connected clients
@@ -182,8 +184,9 @@ describe('Graceful Shutdown', () => {
       ['error-client', errorClient]
     ]);
     
-    // Spy on console.error
-    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Capture the log lines
+    const lines = [];
+    const previousSink = setLogSink(line => lines.push(JSON.parse(line)));
     
     // Call the function with our clients
     const shutdownPromise = shutdownGracefully(
@@ -203,13 +206,13 @@ describe('Graceful Shutdown', () => {
     await shutdownPromise;
     
     // Verify error was logged
-    expect(consoleErrorSpy).toHaveBeenCalled();
+    expect(lines.some(line => line.level === 'error')).toBe(true);
     
     // Verify we still tried to disconnect the client despite the notification error
     expect(errorClient.disconnect).toHaveBeenCalled();
     
-    // Restore console.error
-    consoleErrorSpy.mockRestore();
+    // Restore the log output
+    setLogSink(previousSink);
   }, 10000); // 10 second timeout
 
   test('should allow custom shutdown reason', async () => {
@@ -270,8 +273,9 @@ describe('Graceful Shutdown', () => {
       ['disconnect-error-client', disconnectErrorClient]
     ]);
     
-    // Spy on console.error
-    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Capture the log lines
+    const lines = [];
+    const previousSink = setLogSink(line => lines.push(JSON.parse(line)));
     
     // Call the function with our clients
     const shutdownPromise = shutdownGracefully(
@@ -288,10 +292,10 @@ describe('Graceful Shutdown', () => {
     await shutdownPromise;
     
     // Verify error was logged
-    expect(consoleErrorSpy).toHaveBeenCalled();
+    expect(lines.some(line => line.level === 'error')).toBe(true);
     
-    // Restore console.error
-    consoleErrorSpy.mockRestore();
+    // Restore the log output
+    setLogSink(previousSink);
   }, 10000); // 10 second timeout
   
   test('should respect timeout when clients take too long to disconnect', async () => {
@@ -0,0 +1,206 @@
+/**
+ * Tests for instance readiness checks and the wait_for_instance tool
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-health-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { MemoryContainerRuntime } = require('../src/utils/container-runtime');
+const { InstanceRegistry } = require('../src/utils/instance-registry');
+const { createToolContext } = require('../src/utils/tool-context');
+const { setLogSink } = require('../src/utils/logger');
+const { probeHttp, checkInstanceHealth } = require('../src/utils/instance-health');
+const deployVSCodeInstance = require('../src/tools/deploy_vscode_instance');
+const listVSCodeInstances = require('../src/tools/list_vscode_instances');
+const stopVSCodeInstance = require('../src/tools/stop_vscode_instance');
+const waitForInstance = require('../src/tools/wait_for_instance');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+/**
+ * Start an HTTP server on a free port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<http.Server>} The listening server
+ */
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+/**
+ * Get a port nothing listens on
+ * @returns {Promise<number>} The port
+ */
+async function getClosedPort() {
+  const server = await listen(() => {});
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Answer like code-server does for a client that is not logged in
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ */
+function redirectToLogin(request, response) {
+  response.writeHead(302, { Location: './login' });
+  response.end();
+}
+
+describe('instance health', () => {
+  let directory;
+  let registry;
+  let runtime;
+  let servers;
+  let previousSink;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(workspaceRoot, 'instances-'));
+    registry = new InstanceRegistry({ directory });
+    runtime = new MemoryContainerRuntime();
+    servers = [];
+    previousSink = setLogSink(() => {});
+  });
+
+  afterEach(async () => {
+    setLogSink(previousSink);
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  /**
+   * Create an instance record with a running container published on a port
+   * @param {string} name - Instance name
+   * @param {number} port - Host port
+   * @returns {Promise<Object>} The record
+   */
+  async function createInstance(name, port) {
+    const instanceName = `vscode-${name}-1a2b3c4d`;
+    await runtime.run({ name: instanceName, image: 'codercom/code-server:latest', ports: [{ host: port, container: 8080 }] });
+    return registry.create({ id: '1a2b3c4d', name, instance_name: instanceName, port, workspace_path: workspaceRoot });
+  }
+
+  /**
+   * Start an HTTP server that is closed after the test
+   * @param {Function} handler - Request handler
+   * @returns {Promise<number>} Its port
+   */
+  async function serve(handler) {
+    const server = await listen(handler);
+    servers.push(server);
+    return server.address().port;
+  }
+
+  test('probe the HTTP port, counting redirects but not server errors', async () => {
+    const redirecting = await serve(redirectToLogin);
+    const failing = await serve((request, response) => {
+      response.writeHead(503);
+      response.end();
+    });
+
+    await expect(probeHttp(redirecting)).resolves.toEqual({ ok: true, statusCode: 302 });
+    await expect(probeHttp(failing)).resolves.toEqual({ ok: false, statusCode: 503 });
+    await expect(probeHttp(await getClosedPort())).resolves.toEqual({ ok: false, error: expect.stringContaining('ECONNREFUSED') });
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(probeHttp(redirecting, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('combine the probe with the state and health check of the container', async () => {
+    const serving = await createInstance('serving', await serve(redirectToLogin));
+    const silent = await createInstance('silent', await getClosedPort());
+
+    expect(await checkInstanceHealth(runtime, serving)).toMatchObject({
+      state: 'healthy',
+      port: serving.port,
+      container_health: null,
+      http: { ok: true, statusCode: 302 }
+    });
+    expect(await checkInstanceHealth(runtime, silent)).toMatchObject({ state: 'starting', http: { ok: false } });
+    expect(await checkInstanceHealth(runtime, silent, { startupGraceMs: 0 })).toMatchObject({ state: 'unhealthy' });
+
+    runtime.setHealth(silent.instance_name, 'starting');
+    expect(await checkInstanceHealth(runtime, silent, { startupGraceMs: 0 })).toMatchObject({ state: 'starting', container_health: 'starting' });
+
+    runtime.setHealth(serving.instance_name, 'unhealthy');
+    expect(await checkInstanceHealth(runtime, serving)).toMatchObject({ state: 'unhealthy', container_health: 'unhealthy' });
+
+    await runtime.stop(serving.instance_name);
+    await runtime.remove(silent.instance_name, { force: true });
+    expect(await checkInstanceHealth(runtime, serving)).toEqual({ state: 'stopped', port: serving.port, container_health: null, http: null });
+    expect(await checkInstanceHealth(runtime, silent)).toMatchObject({ state: 'missing', http: null });
+  });
+
+  test('wait until an instance serves and report each check as progress', async () => {
+    let requests = 0;
+    const port = await serve((request, response) => {
+      if (++requests < 3) {
+        response.writeHead(503);
+        response.end();
+        return;
+      }
+      redirectToLogin(request, response);
+    });
+    await createInstance('app', port);
+    const notifications = [];
+    const context = createToolContext({ progressToken: 'wait', sendNotification: async notification => notifications.push(notification) });
+
+    const result = await waitForInstance({ name: 'app', timeout: 10 }, context, { runtime, registry, intervalMs: 10 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(result.error).toBeUndefined();
+    expect(result).toMatchObject({ name: 'app', status: 'healthy', port, url: `http://localhost:${port}` });
+    expect(requests).toBe(3);
+    expect(notifications.map(notification => notification.params.message)).toContain('Instance app is healthy');
+    expect(notifications.every(notification => notification.params.total === 10000)).toBe(true);
+  });
+
+  test('fail when an instance does not serve in time, is stopped or is unknown', async () => {
+    const options = { runtime, registry, intervalMs: 50 };
+    await createInstance('silent', await getClosedPort());
+
+    const timedOut = await waitForInstance({ name: 'silent', timeout: 1 }, createToolContext(), options);
+    expect(timedOut.error).toEqual({ code: -32603, message: 'Instance silent was not ready after 1s' });
+    expect(timedOut.health).toBe('starting');
+    expect(timedOut.content[0].text).toContain('ECONNREFUSED');
+
+    await stopVSCodeInstance({ name: 'silent' }, createToolContext(), options);
+    const stopped = await waitForInstance({ name: 'silent' }, createToolContext(), options);
+    expect(stopped.error).toEqual({ code: -32603, message: 'Instance silent is stopped' });
+
+    const unknown = await waitForInstance({ name: 'nonexistent' }, createToolContext(), options);
+    expect(unknown.error).toEqual({ code: -32602, message: 'Instance not found: nonexistent' });
+
+    const controller = new AbortController();
+    await runtime.start('vscode-silent-1a2b3c4d');
+    setTimeout(() => controller.abort(), 20);
+    const cancelled = await waitForInstance({ name: 'silent' }, createToolContext({ signal: controller.signal }), options);
+    expect(cancelled.error.message).toBe('Waiting for instance silent was cancelled');
+  });
+
+  test('report health when deploying and listing instances', async () => {
+    const options = { runtime, registry };
+
+    const deployed = await deployVSCodeInstance({ name: 'fresh', workspace_path: workspaceRoot, port: await getClosedPort() }, createToolContext(), options);
+    expect(deployed).toMatchObject({ status: 'running', health: 'starting' });
+    expect(deployed.content[0].text).toContain('call wait_for_instance');
+
+    await createInstance('serving', await serve(redirectToLogin));
+    const listed = await listVSCodeInstances({}, createToolContext(), options);
+    expect(listed.instances.map(instance => [instance.name, instance.health])).toEqual([
+      ['fresh', 'starting'],
+      ['serving', 'healthy']
+    ]);
+    expect(listed.content[0].text).toContain('Health: healthy');
+  });
+});
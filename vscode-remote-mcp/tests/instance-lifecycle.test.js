@@ -0,0 +1,213 @@
+/**
+ * Tests for the start, restart, remove and update instance tools
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-lifecycle-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { NO_SUCH_VOLUME, DockerRuntime, MemoryContainerRuntime } = require('../src/utils/container-runtime');
+const { createToolContext } = require('../src/utils/tool-context');
+const { setLogSink } = require('../src/utils/logger');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+const deployVSCodeInstance = require('../src/tools/deploy_vscode_instance');
+const stopVSCodeInstance = require('../src/tools/stop_vscode_instance');
+const startVSCodeInstance = require('../src/tools/start_vscode_instance');
+const restartVSCodeInstance = require('../src/tools/restart_vscode_instance');
+const removeVSCodeInstance = require('../src/tools/remove_vscode_instance');
+const updateVSCodeInstance = require('../src/tools/update_vscode_instance');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('CLI runtime lifecycle commands', () => {
+  test('build the arguments of start, restart, update and volume rm', async () => {
+    const calls = [];
+    const runtime = new DockerRuntime({
+      execFile: async (file, args) => {
+        calls.push(args);
+        if (args[0] === 'volume' && args[2] === 'missing') {
+          throw Object.assign(new Error('Command failed'), { stderr: 'Error response from daemon: get missing: no such volume' });
+        }
+        return { stdout: '', stderr: '' };
+      }
+    });
+
+    await runtime.start('app');
+    await runtime.restart('app', { timeoutSeconds: 3 });
+    await runtime.update('app', { cpus: 2, memory: '4g', memorySwap: '8g' });
+    await runtime.update('app', { cpus: 0.5 });
+    await runtime.removeVolume('vscode-data-app');
+    await expect(runtime.removeVolume('missing')).rejects.toMatchObject({ code: NO_SUCH_VOLUME });
+
+    expect(calls).toEqual([
+      ['start', 'app'],
+      ['restart', '-t', '3', 'app'],
+      ['update', '--cpus=2', '--memory=4g', '--memory-swap=8g', 'app'],
+      ['update', '--cpus=0.5', 'app'],
+      ['volume', 'rm', 'vscode-data-app'],
+      ['volume', 'rm', 'missing']
+    ]);
+  });
+});
+
+describe('instance lifecycle tools on the memory runtime', () => {
+  let instancesDir;
+  let workspacePath;
+  let runtime;
+  let options;
+  let previousSink;
+
+  beforeEach(() => {
+    instancesDir = fs.mkdtempSync(path.join(workspaceRoot, 'instances-'));
+    workspacePath = fs.mkdtempSync(path.join(workspaceRoot, 'workspace-'));
+    runtime = new MemoryContainerRuntime();
+    options = { runtime, instancesDir };
+    previousSink = setLogSink(() => {});
+  });
+
+  afterEach(() => {
+    setLogSink(previousSink);
+  });
+
+  /**
+   * Deploy an instance named app
+   * @returns {Promise<Object>} The deployment result
+   */
+  function deployApp() {
+    return deployVSCodeInstance({ name: 'app', workspace_path: workspacePath }, createToolContext(), options);
+  }
+
+  test('start a stopped instance and restart a running one', async () => {
+    const deployed = await deployApp();
+    await stopVSCodeInstance({ name: 'app' }, createToolContext(), options);
+
+    const started = await startVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    const again = await startVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    const restartSpy = jest.spyOn(runtime, 'restart');
+    const restarted = await restartVSCodeInstance({ name: 'app', timeout: 5 }, createToolContext(), options);
+
+    expect(started).toMatchObject({ status: 'running', port: deployed.port, url: `http://localhost:${deployed.port}` });
+    expect(again).toMatchObject({ status: 'already_running' });
+    expect(restarted).toMatchObject({ status: 'running', instance_name: deployed.instance_name });
+    expect(restartSpy).toHaveBeenCalledWith(deployed.instance_name, expect.objectContaining({ timeoutSeconds: 5 }));
+    expect(runtime.containers.get(deployed.instance_name).running).toBe(true);
+  });
+
+  test('report unknown instances and missing containers', async () => {
+    const deployed = await deployApp();
+    await runtime.remove(deployed.instance_name, { force: true });
+
+    const unknown = await startVSCodeInstance({ name: 'other' }, createToolContext(), options);
+    const started = await startVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    const restarted = await restartVSCodeInstance({ name: 'app' }, createToolContext(), options);
+
+    expect(unknown.error).toEqual({ code: -32602, message: 'Instance not found: other' });
+    expect(started.error).toEqual({ code: -32602, message: `Container not found: ${deployed.instance_name}` });
+    expect(restarted.error).toEqual({ code: -32602, message: `Container not found: ${deployed.instance_name}` });
+  });
+
+  test('remove an instance with its volumes and configuration', async () => {
+    const deployed = await deployApp();
+    const recordPath = path.join(instancesDir, `${deployed.instance_name}.json`);
+
+    const refused = await removeVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    expect(refused.error).toEqual({ code: -32602, message: 'Instance app is running' });
+    expect(fs.existsSync(recordPath)).toBe(true);
+
+    const removed = await removeVSCodeInstance({ name: 'app', force: true }, createToolContext(), options);
+    expect(removed).toMatchObject({
+      status: 'removed',
+      container_removed: true,
+      removed_volumes: [`vscode-data-${deployed.instance_name}`, `vscode-extensions-${deployed.instance_name}`]
+    });
+    expect(runtime.containers.size).toBe(0);
+    expect(runtime.volumes.size).toBe(0);
+    expect(fs.existsSync(recordPath)).toBe(false);
+
+    const again = await removeVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    expect(again.error).toEqual({ code: -32602, message: 'Instance not found: app' });
+  });
+
+  test('keep volumes on request and clean up after a container that is gone', async () => {
+    const kept = await deployApp();
+    await stopVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    const keptResult = await removeVSCodeInstance({ name: 'app', keep_volumes: true }, createToolContext(), options);
+
+    expect(keptResult).toMatchObject({ status: 'removed', removed_volumes: [] });
+    expect([...runtime.volumes]).toEqual([`vscode-data-${kept.instance_name}`, `vscode-extensions-${kept.instance_name}`]);
+
+    const gone = await deployApp();
+    await runtime.remove(gone.instance_name, { force: true });
+    const goneResult = await removeVSCodeInstance({ name: 'app' }, createToolContext(), options);
+
+    expect(goneResult).toMatchObject({ status: 'removed', container_removed: false });
+    expect(goneResult.removed_volumes).toHaveLength(2);
+    expect(fs.readdirSync(instancesDir)).toEqual([]);
+  });
+
+  test('update the limits of the container and its configuration', async () => {
+    const deployed = await deployApp();
+    const recordPath = path.join(instancesDir, `${deployed.instance_name}.json`);
+    const updateSpy = jest.spyOn(runtime, 'update');
+
+    const updated = await updateVSCodeInstance({ name: 'app', cpu_limit: 2, memory_limit: '1.5g' }, createToolContext(), options);
+    const cpuOnly = await updateVSCodeInstance({ name: 'app', cpu_limit: 0.5 }, createToolContext(), options);
+
+    expect(updated).toMatchObject({ status: 'updated', cpu_limit: 2, memory_limit: '1.5g' });
+    expect(updateSpy).toHaveBeenNthCalledWith(1, deployed.instance_name, { cpus: 2, memory: '1.5g', memorySwap: '3g' }, expect.any(Object));
+    expect(updateSpy).toHaveBeenNthCalledWith(2, deployed.instance_name, { cpus: 0.5 }, expect.any(Object));
+    expect(cpuOnly).toMatchObject({ cpu_limit: 0.5, memory_limit: '1.5g' });
+    expect(runtime.containers.get(deployed.instance_name).spec).toMatchObject({ cpus: 0.5, memory: '1.5g' });
+    expect(JSON.parse(fs.readFileSync(recordPath, 'utf8'))).toMatchObject({
+      name: 'app',
+      cpu_limit: 0.5,
+      memory_limit: '1.5g',
+      updated_at: expect.any(String)
+    });
+  });
+
+  test('reject updates without valid limits', async () => {
+    await deployApp();
+
+    const none = await updateVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    const badCpu = await updateVSCodeInstance({ name: 'app', cpu_limit: 0 }, createToolContext(), options);
+    const badMemory = await updateVSCodeInstance({ name: 'app', memory_limit: 'lots' }, createToolContext(), options);
+
+    expect(none.error).toEqual({ code: -32602, message: 'cpu_limit or memory_limit parameter is required' });
+    expect(badCpu.error).toEqual({ code: -32602, message: 'Invalid CPU limit: 0' });
+    expect(badMemory.error).toEqual({ code: -32602, message: 'Invalid memory limit: lots' });
+  });
+});
+
+describe('instance lifecycle tools over MCP', () => {
+  test('are listed and validate their arguments', async () => {
+    const mcpServer = new VSCodeRemoteMcpServer();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    try {
+      const { tools } = await client.listTools();
+
+      expect(tools.map(tool => tool.name)).toEqual(expect.arrayContaining([
+        'start_vscode_instance',
+        'restart_vscode_instance',
+        'remove_vscode_instance',
+        'update_vscode_instance'
+      ]));
+      await expect(client.callTool({ name: 'update_vscode_instance', arguments: { name: 'app', memory_limit: '4 gigs' } }))
+        .rejects.toThrow('Invalid arguments for update_vscode_instance: memory_limit must match');
+    } finally {
+      await client.close();
+      mcpServer.toolPlugins.close();
+    }
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for the get_instance_logs tool
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-logs-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { DockerRuntime, MemoryContainerRuntime } = require('../src/utils/container-runtime');
+const { InstanceRegistry } = require('../src/utils/instance-registry');
+const { createToolContext } = require('../src/utils/tool-context');
+const { setLogSink } = require('../src/utils/logger');
+const getInstanceLogs = require('../src/tools/get_instance_logs');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('get_instance_logs', () => {
+  let registry;
+  let runtime;
+  let options;
+  let previousSink;
+
+  beforeEach(async () => {
+    registry = new InstanceRegistry({ directory: fs.mkdtempSync(path.join(workspaceRoot, 'instances-')) });
+    runtime = new MemoryContainerRuntime();
+    options = { runtime, registry, pollIntervalMs: 10 };
+    previousSink = setLogSink(() => {});
+
+    await runtime.run({ name: 'vscode-app-1a2b3c4d', image: 'codercom/code-server:latest' });
+    await registry.create({ id: '1a2b3c4d', name: 'app', instance_name: 'vscode-app-1a2b3c4d', port: 8080 });
+  });
+
+  afterEach(() => {
+    setLogSink(previousSink);
+  });
+
+  /**
+   * Wait until a condition holds
+   * @param {Function} condition - The condition
+   * @returns {Promise<void>}
+   */
+  async function waitFor(condition) {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  test('merge both streams and filter by tail, time and pattern', async () => {
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'HTTP server listening\nSession server listening', { time: '2026-01-01T10:00:00.000Z' });
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'Extension host crashed', { stream: 'stderr', time: '2026-01-01T10:05:00.000Z' });
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'Extension host restarted', { time: '2026-01-01T10:10:00.000Z' });
+
+    const all = await getInstanceLogs({ name: 'app' }, createToolContext(), options);
+    expect(all.count).toBe(4);
+    expect(all.content[0].text).toBe([
+      'Logs of instance app (4 lines)',
+      '',
+      'HTTP server listening',
+      'Session server listening',
+      '[stderr] Extension host crashed',
+      'Extension host restarted'
+    ].join('\n'));
+
+    const tail = await getInstanceLogs({ name: 'app', tail: 2, timestamps: true }, createToolContext(), options);
+    expect(tail.content[0].text).toContain('2026-01-01T10:05:00.000Z [stderr] Extension host crashed\n2026-01-01T10:10:00.000Z Extension host restarted');
+    expect(tail.count).toBe(2);
+
+    const window = await getInstanceLogs({ name: 'app', since: '2026-01-01T10:01:00Z', until: '2026-01-01T10:06:00Z' }, createToolContext(), options);
+    expect(window.lines).toEqual([{ time: '2026-01-01T10:05:00.000Z', stream: 'stderr', text: 'Extension host crashed' }]);
+
+    const matching = await getInstanceLogs({ name: 'app', grep: '^Extension host (crashed|died)' }, createToolContext(), options);
+    expect(matching.lines.map(line => line.text)).toEqual(['Extension host crashed']);
+
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'Just now');
+    const recent = await getInstanceLogs({ name: 'app', since: '5m' }, createToolContext(), options);
+    expect(recent.lines.map(line => line.text)).toEqual(['Just now']);
+  });
+
+  test('reject bad parameters and unknown instances', async () => {
+    const call = params => getInstanceLogs(params, createToolContext(), options);
+
+    expect((await call({ name: 'app', since: 'yesterday' })).error).toEqual({ code: -32602, message: 'Invalid since: yesterday' });
+    expect((await call({ name: 'app', grep: '(' })).error.message).toMatch(/^Invalid grep pattern/);
+    expect((await call({ name: 'app', follow: true, until: '1m' })).error.message).toBe('until cannot be combined with follow');
+    expect((await call({ name: 'app', follow: true })).error).toEqual({
+      code: -32602,
+      message: expect.stringContaining('send a progressToken')
+    });
+    expect((await call({ name: 'nonexistent' })).error).toEqual({ code: -32602, message: 'Instance not found: nonexistent' });
+
+    await runtime.remove('vscode-app-1a2b3c4d', { force: true });
+    expect((await call({ name: 'app' })).error).toEqual({ code: -32602, message: 'Container not found: vscode-app-1a2b3c4d' });
+  });
+
+  test('forward new lines as progress until cancelled', async () => {
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'Old line', { time: '2026-01-01T10:00:00.000Z' });
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'Before following\nSkipped by grep');
+    const controller = new AbortController();
+    const messages = [];
+    const context = createToolContext({
+      signal: controller.signal,
+      progressToken: 'logs',
+      sendNotification: async notification => messages.push(notification.params.message)
+    });
+
+    const following = getInstanceLogs({ name: 'app', tail: 2, grep: '^(Before|New|Also)', follow: true }, context, options);
+    await waitFor(() => messages.length === 1);
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'New line\nSkipped again');
+    runtime.appendLogs('vscode-app-1a2b3c4d', 'Also new', { stream: 'stderr' });
+    await waitFor(() => messages.length === 3);
+    controller.abort();
+
+    const result = await following;
+    expect(messages).toEqual(['Before following', 'New line', '[stderr] Also new']);
+    expect(result).toMatchObject({ name: 'app', forwarded: 3, ended: 'cancelled' });
+  });
+
+  test('stop following when the container stops or is removed', async () => {
+    const context = createToolContext({ progressToken: 'logs', sendNotification: async () => {} });
+
+    const stopping = getInstanceLogs({ name: 'app', follow: true }, context, options);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await runtime.stop('vscode-app-1a2b3c4d');
+    expect(await stopping).toMatchObject({ forwarded: 0, ended: 'stopped' });
+
+    await runtime.start('vscode-app-1a2b3c4d');
+    const removing = getInstanceLogs({ name: 'app', follow: true }, context, options);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await runtime.remove('vscode-app-1a2b3c4d', { force: true });
+    expect(await removing).toMatchObject({ ended: 'removed' });
+  });
+
+  test('read timestamped output of the CLI runtimes', async () => {
+    const calls = [];
+    const cliRuntime = new DockerRuntime({
+      execFile: async (file, args) => {
+        calls.push(args);
+        if (args[0] === 'inspect') {
+          return { stdout: JSON.stringify([{ Id: 'abc', Name: '/vscode-app-1a2b3c4d', Config: { Image: 'code-server' }, State: { Status: 'running', Running: true }, NetworkSettings: { Ports: {} } }]), stderr: '' };
+        }
+        return {
+          stdout: '2026-01-01T10:00:00.000000001Z first\n2026-01-01T10:00:00.000000003Z third\n',
+          stderr: '2026-01-01T10:00:00.000000002Z second\n'
+        };
+      }
+    });
+
+    const result = await getInstanceLogs({ name: 'app', tail: 2, since: '2026-01-01T09:00:00Z' }, createToolContext(), { runtime: cliRuntime, registry });
+
+    expect(calls[1]).toEqual(['logs', '--tail', '2', '--since', '2026-01-01T09:00:00.000Z', '--timestamps', 'vscode-app-1a2b3c4d']);
+    expect(result.lines.map(line => `${line.stream} ${line.text}`)).toEqual(['stderr second', 'stdout third']);
+  });
+});
+
+describe('get_instance_logs over MCP', () => {
+  afterEach(() => {
+    delete process.env.MCP_CONTAINER_RUNTIME;
+    delete process.env.MCP_INSTANCES_DIR;
+  });
+
+  test('stream log lines as progress notifications until the client cancels', async () => {
+    process.env.MCP_CONTAINER_RUNTIME = 'memory';
+    process.env.MCP_INSTANCES_DIR = fs.mkdtempSync(path.join(workspaceRoot, 'mcp-instances-'));
+
+    let Server;
+    let registry;
+    jest.isolateModules(() => {
+      Server = require('../src/mcp-sdk-server');
+      registry = require('../src/tools');
+    });
+    const mcpServer = new Server();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    try {
+      const deployed = await client.callTool({ name: 'deploy_vscode_instance', arguments: { name: 'remote', workspace_path: workspaceRoot } });
+      registry.containerRuntime.appendLogs(deployed.instance_name, 'HTTP server listening');
+
+      const controller = new AbortController();
+      const progress = [];
+      const following = client.callTool(
+        { name: 'get_instance_logs', arguments: { name: 'remote', follow: true } },
+        undefined,
+        { signal: controller.signal, onprogress: update => progress.push(update.message) }
+      );
+      while (progress.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      registry.containerRuntime.appendLogs(deployed.instance_name, 'Extension host started');
+      while (progress.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      controller.abort();
+
+      await expect(following).rejects.toThrow();
+      expect(progress).toEqual(['HTTP server listening', 'Extension host started']);
+    } finally {
+      await client.close();
+      mcpServer.toolPlugins.close();
+    }
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Tests for the instance registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ResourceListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { RECORD_SCHEMA_VERSION, InstanceRegistry } = require('../src/utils/instance-registry');
+const { MemoryContainerRuntime } = require('../src/utils/container-runtime');
+const { createToolContext } = require('../src/utils/tool-context');
+const { setLogSink } = require('../src/utils/logger');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+const deployVSCodeInstance = require('../src/tools/deploy_vscode_instance');
+const stopVSCodeInstance = require('../src/tools/stop_vscode_instance');
+const reconcileVSCodeInstances = require('../src/tools/reconcile_vscode_instances');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('InstanceRegistry', () => {
+  let directory;
+  let registry;
+  let lines;
+  let previousSink;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(workspaceRoot, 'instances-'));
+    registry = new InstanceRegistry({ directory });
+    lines = [];
+    previousSink = setLogSink(line => lines.push(JSON.parse(line)));
+  });
+
+  afterEach(() => {
+    setLogSink(previousSink);
+  });
+
+  /**
+   * Write a record file the way older versions did
+   * @param {Object} record - The record
+   */
+  function writeRawRecord(record) {
+    fs.writeFileSync(path.join(directory, `${record.instance_name}.json`), JSON.stringify(record, null, 2));
+  }
+
+  test('upgrade records of older versions and skip those of newer ones', async () => {
+    writeRawRecord({
+      id: '0daa371a',
+      name: 'legacy',
+      instance_name: 'vscode-legacy-0daa371a',
+      port: 8090,
+      cpu_limit: '1.0',
+      memory_limit: '2g',
+      created_at: '2025-04-26T20:54:57.367Z'
+    });
+    writeRawRecord({ schema_version: RECORD_SCHEMA_VERSION + 1, name: 'future', instance_name: 'vscode-future-12345678' });
+
+    const records = await registry.list();
+
+    expect(records).toEqual([expect.objectContaining({
+      schema_version: RECORD_SCHEMA_VERSION,
+      name: 'legacy',
+      state: 'active',
+      updated_at: '2025-04-26T20:54:57.367Z'
+    })]);
+    expect(lines).toContainEqual(expect.objectContaining({
+      level: 'error',
+      msg: 'Error reading config file vscode-future-12345678.json',
+      error: expect.objectContaining({ message: expect.stringContaining('Unsupported instance record version') })
+    }));
+    await expect(registry.get('vscode-future-12345678')).rejects.toThrow('Unsupported instance record version');
+
+    const updated = await registry.update('vscode-legacy-0daa371a', { memory_limit: '4g' });
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'vscode-legacy-0daa371a.json'), 'utf8'))).toEqual(updated);
+    expect(updated).toMatchObject({ schema_version: RECORD_SCHEMA_VERSION, port: 8090, memory_limit: '4g' });
+  });
+
+  test('tell subscribers about created, updated and removed records', async () => {
+    const events = [];
+    const unsubscribe = registry.subscribe(event => events.push(event));
+    registry.subscribe(() => {
+      throw new Error('listener failed');
+    });
+
+    await registry.create({ id: '1a2b3c4d', name: 'app', instance_name: 'vscode-app-1a2b3c4d', created_at: '2026-01-01T00:00:00.000Z' });
+    await registry.update('vscode-app-1a2b3c4d', { cpu_limit: 2 });
+    expect(await registry.find('app')).toMatchObject({ cpu_limit: 2, state: 'active' });
+    expect(await registry.findById('1a2b3c4d')).toMatchObject({ name: 'app' });
+    await registry.remove('vscode-app-1a2b3c4d');
+    unsubscribe();
+    registry.emit('stopped', { name: 'app', instance_name: 'vscode-app-1a2b3c4d', id: '1a2b3c4d' });
+
+    expect(events.map(event => [event.type, event.name, event.instance_name])).toEqual([
+      ['created', 'app', 'vscode-app-1a2b3c4d'],
+      ['updated', 'app', 'vscode-app-1a2b3c4d'],
+      ['removed', 'app', 'vscode-app-1a2b3c4d']
+    ]);
+    expect(events[1].record).toMatchObject({ cpu_limit: 2 });
+    expect(lines.filter(line => line.msg === 'Error in instance created listener')).toHaveLength(1);
+    expect(fs.readdirSync(directory)).toEqual([]);
+    await expect(registry.update('vscode-app-1a2b3c4d', {})).rejects.toThrow('Instance record not found: vscode-app-1a2b3c4d');
+  });
+
+  test('refuse names that would put a record outside the directory', async () => {
+    for (const name of ['../../../escaped', 'a/b', '.hidden', '']) {
+      await expect(registry.create({ id: '1a2b3c4d', name, instance_name: 'vscode-app-1a2b3c4d' })).rejects.toThrow('Invalid instance name');
+    }
+    await expect(registry.create({ id: '1a2b3c4d', name: 'app', instance_name: '../escaped' })).rejects.toThrow('Invalid instance name: ../escaped');
+    await expect(registry.get('../../escaped')).rejects.toThrow('Invalid instance name');
+    await expect(registry.remove('..')).rejects.toThrow('Invalid instance name');
+
+    await registry.create({ id: '1a2b3c4d', name: 'my_app-2.0', instance_name: 'vscode-my_app-2.0-1a2b3c4d' });
+    expect(fs.readdirSync(directory)).toEqual(['vscode-my_app-2.0-1a2b3c4d.json']);
+    expect(fs.existsSync(path.join(directory, '..', 'escaped.json'))).toBe(false);
+
+    const deployed = await deployVSCodeInstance({ name: '../../../escaped', workspace_path: workspaceRoot }, createToolContext(), { runtime: new MemoryContainerRuntime(), registry });
+    expect(deployed.error).toMatchObject({ code: -32602, message: expect.stringContaining('Invalid instance name: ../../../escaped') });
+  });
+
+  test('serialize writes across registries sharing a directory', async () => {
+    const other = new InstanceRegistry({ directory });
+    await registry.create({ id: '1a2b3c4d', name: 'app', instance_name: 'vscode-app-1a2b3c4d', count: 0 });
+
+    const increment = target => target.withLock(async () => {
+      const record = await target.get('vscode-app-1a2b3c4d');
+      await new Promise(resolve => setImmediate(resolve));
+      await target.writeRecord({ ...record, count: record.count + 1 });
+    });
+    await Promise.all(Array.from({ length: 10 }, (_, index) => increment(index % 2 ? registry : other)));
+
+    expect((await registry.get('vscode-app-1a2b3c4d')).count).toBe(10);
+    expect(fs.existsSync(path.join(directory, '.registry.lock'))).toBe(false);
+  });
+
+  test('take over locks of processes that are gone and time out on live ones', async () => {
+    const lockPath = path.join(directory, '.registry.lock');
+
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1 }));
+    await registry.create({ id: '1a2b3c4d', name: 'app', instance_name: 'vscode-app-1a2b3c4d' });
+    expect(lines).toContainEqual(expect.objectContaining({ level: 'warn', msg: `Taking over stale instance registry lock ${lockPath}` }));
+
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid }));
+    const impatient = new InstanceRegistry({ directory, lockTimeoutMs: 50 });
+    await expect(impatient.update('vscode-app-1a2b3c4d', {})).rejects.toThrow('Timed out waiting for the instance registry lock');
+
+    const staleAfter = new InstanceRegistry({ directory, staleLockMs: 0 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await expect(staleAfter.update('vscode-app-1a2b3c4d', { port: 9000 })).resolves.toMatchObject({ port: 9000 });
+  });
+
+  test('reconcile records with the containers of a runtime', async () => {
+    const runtime = new MemoryContainerRuntime();
+    const events = [];
+    registry.subscribe(event => events.push([event.type, event.instance_name]));
+
+    await registry.create({ id: '1a2b3c4d', name: 'gone', instance_name: 'vscode-gone-1a2b3c4d' });
+    await registry.create({ id: '5e6f7a8b', name: 'kept', instance_name: 'vscode-kept-5e6f7a8b' });
+    await runtime.run({ name: 'vscode-kept-5e6f7a8b', image: 'codercom/code-server:latest' });
+    await runtime.run({
+      name: 'vscode-orphan-0123abcd',
+      image: 'codercom/code-server:latest',
+      ports: [{ host: 9100, container: 8080 }],
+      volumes: [{ source: '/home/ann/orphan', target: '/workspace' }]
+    });
+    await runtime.run({ name: 'vscode-server', image: 'other:latest' });
+    events.length = 0;
+
+    const first = await registry.reconcile(runtime);
+    expect(first).toEqual({ adopted: ['vscode-orphan-0123abcd'], missing: ['vscode-gone-1a2b3c4d'], pruned: [], recovered: [] });
+    expect(await registry.find('orphan')).toMatchObject({
+      id: '0123abcd',
+      instance_name: 'vscode-orphan-0123abcd',
+      workspace_path: '/home/ann/orphan',
+      port: 9100,
+      adopted: true,
+      state: 'active'
+    });
+    expect(await registry.find('gone')).toMatchObject({ state: 'missing' });
+    expect(await registry.find('server')).toBeNull();
+
+    await runtime.run({ name: 'vscode-gone-1a2b3c4d', image: 'codercom/code-server:latest' });
+    const second = await registry.reconcile(runtime);
+    expect(second).toEqual({ adopted: [], missing: [], pruned: [], recovered: ['vscode-gone-1a2b3c4d'] });
+
+    await runtime.remove('vscode-kept-5e6f7a8b', { force: true });
+    const third = await registry.reconcile(runtime, { prune: true });
+    expect(third.pruned).toEqual(['vscode-kept-5e6f7a8b']);
+    expect(await registry.find('kept')).toBeNull();
+
+    expect(events).toEqual([
+      ['missing', 'vscode-gone-1a2b3c4d'],
+      ['adopted', 'vscode-orphan-0123abcd'],
+      ['recovered', 'vscode-gone-1a2b3c4d'],
+      ['pruned', 'vscode-kept-5e6f7a8b']
+    ]);
+  });
+});
+
+describe('instance tools sharing a registry', () => {
+  let directory;
+  let registry;
+  let runtime;
+  let previousSink;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(workspaceRoot, 'shared-'));
+    registry = new InstanceRegistry({ directory });
+    runtime = new MemoryContainerRuntime();
+    previousSink = setLogSink(() => {});
+  });
+
+  afterEach(() => {
+    setLogSink(previousSink);
+  });
+
+  test('emit lifecycle events and reconcile on demand', async () => {
+    const events = [];
+    registry.subscribe(event => events.push(event.type));
+    const options = { runtime, registry };
+
+    const deployed = await deployVSCodeInstance({ name: 'app', workspace_path: workspaceRoot }, createToolContext(), options);
+    await stopVSCodeInstance({ name: 'app' }, createToolContext(), options);
+    await runtime.remove(deployed.instance_name);
+    const reconciled = await reconcileVSCodeInstances({ prune: true }, createToolContext(), options);
+
+    expect(events).toEqual(['created', 'stopped', 'pruned']);
+    expect(reconciled).toMatchObject({ pruned: [deployed.instance_name], adopted: [] });
+    expect(reconciled.content[0].text).toContain(`Pruned: ${deployed.instance_name}`);
+  });
+
+  test('tell MCP clients when instances appear or go away', async () => {
+    const mcpServer = new VSCodeRemoteMcpServer({ instancesDir: directory, instanceRegistry: registry });
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    let changes = 0;
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+      changes++;
+    });
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    try {
+      expect(client.getServerCapabilities().resources).toEqual({ subscribe: true, listChanged: true });
+
+      await registry.create({ id: '1a2b3c4d', name: 'app', instance_name: 'vscode-app-1a2b3c4d' });
+      await registry.update('vscode-app-1a2b3c4d', { port: 9000 });
+      await registry.remove('vscode-app-1a2b3c4d');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(changes).toBe(2);
+    } finally {
+      await client.close();
+      mcpServer.unsubscribeInstances();
+      mcpServer.toolPlugins.close();
+    }
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for syntax-tree analysis of JavaScript and TypeScript in analyze_code
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeJavaScript, isSupportedExtension } = require('../src/utils/js-analyzer');
+const analyzeCode = require('../src/tools/analyze_code');
+
+describe('JavaScript analyzer', () => {
+  test('finds functions, arrow functions, methods and nested functions with line ranges', () => {
+    const source = [
+      'function outer(a, b) {',
+      '  const inner = (x) => x * 2;',
+      '  return inner(a) + b;',
+      '}',
+      '',
+      'class Shape extends Base {',
+      '  constructor() {',
+      '    super();',
+      '  }',
+      '  get area() { return 0; }',
+      '  resize = () => {};',
+      '}',
+      '',
+      'const helpers = {',
+      '  format(value) { return String(value); }',
+      '};',
+      'exports.run = async function () {};'
+    ].join('\n');
+
+    const result = analyzeJavaScript(source, '.js');
+
+    expect(result.functions.map(func => [func.name, func.kind, func.line, func.end_line])).toEqual([
+      ['outer', 'function', 1, 4],
+      ['inner', 'arrow', 2, 2],
+      ['Shape.constructor', 'constructor', 7, 9],
+      ['Shape.area', 'getter', 10, 10],
+      ['Shape.resize', 'method', 11, 11],
+      ['format', 'method', 15, 15],
+      ['exports.run', 'function', 17, 17]
+    ]);
+    expect(result.functions[0].params).toBe(2);
+    expect(result.functions[6].async).toBe(true);
+    expect(result.classes).toEqual([
+      { name: 'Shape', line: 6, end_line: 12, extends: 'Base', methods: ['constructor', 'area'] }
+    ]);
+  });
+
+  test('computes cyclomatic complexity and nesting depth per function', () => {
+    const source = [
+      'function check(items, flag) {',
+      '  for (const item of items) {',
+      '    if (item && flag) {',
+      '      try {',
+      '        while (item.next) { item = item.next; }',
+      '      } catch (error) {',
+      '        return null;',
+      '      }',
+      '    } else if (item || flag) {',
+      '      return item ?? flag;',
+      '    }',
+      '  }',
+      '  switch (flag) { case 1: return 1; case 2: return 2; default: return flag ? 3 : 4; }',
+      '}',
+      'function simple() { return 1; }'
+    ].join('\n');
+
+    const [check, simple] = analyzeJavaScript(source, '.js').functions;
+
+    // for, if, &&, while, catch, else if, ||, ??, 2 cases, ternary
+    expect(check.complexity).toBe(12);
+    // for > if > try > while
+    expect(check.nesting_depth).toBe(4);
+    expect(simple.complexity).toBe(1);
+    expect(simple.nesting_depth).toBe(0);
+  });
+
+  test('keeps nested function complexity out of the enclosing function', () => {
+    const source = 'function outer() {\n  return [1].map(x => (x ? 1 : 2));\n}\n';
+    const [outer, callback] = analyzeJavaScript(source, '.js').functions;
+
+    expect(outer.complexity).toBe(1);
+    expect(callback.name).toBe('<anonymous>');
+    expect(callback.complexity).toBe(2);
+  });
+
+  test('collects ES module and CommonJS imports and exports', () => {
+    const source = [
+      "import fs, { readFile } from 'fs';",
+      "const path = require('path');",
+      "export const a = 1, b = 2;",
+      "export { a as c };",
+      "export * from './other';",
+      "export default class {}",
+      "module.exports = { first, second() {} };",
+      "const lazy = () => import('./lazy');"
+    ].join('\n');
+
+    const result = analyzeJavaScript(source, '.mjs');
+
+    expect(result.imports.map(imp => [imp.source, imp.kind, imp.line])).toEqual([
+      ['fs', 'import', 1],
+      ['path', 'require', 2],
+      ['./lazy', 'dynamic', 8]
+    ]);
+    expect(result.imports[0].specifiers).toEqual(['fs', 'readFile']);
+    expect(result.exports.map(exp => [exp.name, exp.kind])).toEqual([
+      ['a', 'named'],
+      ['b', 'named'],
+      ['c', 'named'],
+      ['*', 'all'],
+      ['default', 'default'],
+      ['first', 'commonjs'],
+      ['second', 'commonjs']
+    ]);
+  });
+
+  test('parses TypeScript and TSX', () => {
+    const source = [
+      "import type { Props } from './types';",
+      'export function View({ name }: Props): JSX.Element {',
+      '  return <div>{name}</div>;',
+      '}',
+      'abstract class Base<T> {',
+      '  abstract get(): T;',
+      '  private value: T | null = null;',
+      '}'
+    ].join('\n');
+
+    const result = analyzeJavaScript(source, '.tsx');
+
+    expect(result.imports[0]).toMatchObject({ source: './types', kind: 'type' });
+    expect(result.functions.map(func => func.name)).toEqual(['View']);
+    expect(result.classes[0].name).toBe('Base');
+    expect(isSupportedExtension('.TS')).toBe(true);
+    expect(isSupportedExtension('.py')).toBe(false);
+  });
+
+  test('throws on syntax errors', () => {
+    expect(() => analyzeJavaScript('function (', '.js')).toThrow(SyntaxError);
+  });
+});
+
+describe('analyze_code tool', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-analyze-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.error.mockRestore();
+  });
+
+  test('reports long and complex functions from the syntax tree', async () => {
+    const body = Array.from({ length: 55 }, (_, i) => `  if (x === ${i}) { return ${i}; }`).join('\n');
+    const filePath = path.join(tempDir, 'long.js');
+    fs.writeFileSync(filePath, `const pick = (x) => {\n${body}\n};\n`);
+
+    const result = await analyzeCode({ file_path: filePath });
+
+    expect(result.analysis.parser).toBe('ast');
+    expect(result.analysis.metrics.functionCount).toBe(1);
+    expect(result.analysis.metrics.maxFunctionComplexity).toBe(56);
+    expect(result.analysis.issues.filter(issue => issue.type === 'Complexity').map(issue => issue.message)).toEqual([
+      'Function "pick" is too long (57 lines)',
+      'Function "pick" has a cyclomatic complexity of 56'
+    ]);
+  });
+
+  test('falls back to regex analysis for unparsable files and other languages', async () => {
+    const brokenPath = path.join(tempDir, 'broken.js');
+    const pythonPath = path.join(tempDir, 'script.py');
+    fs.writeFileSync(brokenPath, 'function broken( {\n');
+    fs.writeFileSync(pythonPath, 'import os\n\ndef main():\n    pass\n');
+
+    const broken = await analyzeCode({ file_path: brokenPath });
+    const python = await analyzeCode({ file_path: pythonPath });
+
+    expect(broken.analysis.parser).toBe('regex');
+    expect(python.analysis.parser).toBe('regex');
+    expect(python.analysis.structure.functions).toEqual([{ name: 'main', line: 3 }]);
+    expect(python.analysis.structure.imports[0]).toEqual({ source: 'os', line: 1 });
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Tests for signed access/refresh tokens issued by the collaboration server
+ */
+
+const { signJwt, verifyJwt } = require('../src/utils/jwt');
+const { AuthManager } = require('../src/utils/auth-manager');
+const { MCPServer } = require('../src/mcp-server');
+
+const SECRET = 'test-secret';
+
+/**
+ * Create an AuthManager with test configuration
+ * @param {Object} [overrides={}] - Auth configuration overrides
+ * @returns {AuthManager} The authentication manager
+ */
+function createAuthManager(overrides = {}) {
+  const authConfig = {
+    enabled: true,
+    tokenExpirationSeconds: 60,
+    refreshTokenExpirationSeconds: 600,
+    jwtSecret: SECRET,
+    audience: 'vscode-remote-mcp',
+    ...overrides
+  };
+  return new AuthManager({ getSection: () => authConfig });
+}
+
+describe('JWT', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const claims = { sub: 'client-1', aud: 'vscode-remote-mcp', exp: now / 1000 + 60 };
+
+  test('signs and verifies HS256 tokens', () => {
+    const token = signJwt(claims, SECRET);
+    const [header] = token.split('.');
+
+    expect(JSON.parse(Buffer.from(header, 'base64url').toString())).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(verifyJwt(token, SECRET, { audience: 'vscode-remote-mcp', now })).toEqual(claims);
+  });
+
+  test('rejects forged, expired and foreign tokens', () => {
+    const token = signJwt(claims, SECRET);
+    const [header, , signature] = token.split('.');
+    const tampered = `${header}.${Buffer.from(JSON.stringify({ ...claims, sub: 'admin' })).toString('base64url')}.${signature}`;
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${token.split('.')[1]}.`;
+
+    expect(() => verifyJwt(token, 'other-secret', { now })).toThrow('Invalid token signature');
+    expect(() => verifyJwt(tampered, SECRET, { now })).toThrow('Invalid token signature');
+    expect(() => verifyJwt(unsigned, SECRET, { now })).toThrow('Unsupported token algorithm');
+    expect(() => verifyJwt('not-a-token', SECRET, { now })).toThrow('Malformed token');
+    expect(() => verifyJwt(token, SECRET, { audience: 'other', now })).toThrow('another audience');
+
+    let error;
+    try {
+      verifyJwt(token, SECRET, { now: now + 60 * 1000 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.code).toBe('TOKEN_EXPIRED');
+  });
+});
+
+describe('AuthManager', () => {
+  let authManager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.UTC(2026, 0, 1));
+    authManager = createAuthManager();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+
+  test('issues signed access and refresh tokens', () => {
+    const tokenInfo = authManager.generateToken('client-1', { workspaceId: 'workspace-1' });
+    const claims = verifyJwt(tokenInfo.token, SECRET);
+
+    expect(claims).toMatchObject({ sub: 'client-1', aud: 'vscode-remote-mcp', typ: 'access', meta: { workspaceId: 'workspace-1' } });
+    expect(tokenInfo.expiresAt).toBe('2026-01-01T00:01:00.000Z');
+    expect(tokenInfo.refreshExpiresAt).toBe('2026-01-01T00:10:00.000Z');
+    expect(authManager.validateToken(tokenInfo.token)).toMatchObject({
+      clientId: 'client-1',
+      metadata: { workspaceId: 'workspace-1' },
+      expiresAt: new Date('2026-01-01T00:01:00.000Z')
+    });
+
+    // Refresh tokens cannot be used as access tokens
+    expect(authManager.validateToken(tokenInfo.refreshToken)).toBeNull();
+  });
+
+  test('rejects expired tokens and tokens signed with another secret or audience', () => {
+    const tokenInfo = authManager.generateToken('client-1');
+
+    expect(createAuthManager({ jwtSecret: 'other' }).validateToken(tokenInfo.token)).toBeNull();
+    expect(createAuthManager({ audience: 'other' }).validateToken(tokenInfo.token)).toBeNull();
+
+    // Tokens stay valid for another manager with the same secret, e.g. after a restart
+    expect(createAuthManager().validateToken(tokenInfo.token)).not.toBeNull();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(authManager.validateToken(tokenInfo.token)).toBeNull();
+  });
+
+  test('rotates refresh tokens and revokes the family when one is reused', () => {
+    const first = authManager.generateToken('client-1');
+    const second = authManager.refreshToken(first.refreshToken, 'client-1');
+
+    expect(second.token).not.toBe(first.token);
+    expect(authManager.validateToken(second.token).family).toBe(authManager.validateToken(first.token).family);
+
+    // Only the client the token was issued to can refresh it
+    expect(authManager.refreshToken(second.refreshToken, 'client-2')).toBeNull();
+
+    // Reusing the rotated refresh token revokes every token of the family
+    expect(authManager.refreshToken(first.refreshToken)).toBeNull();
+    expect(authManager.validateToken(second.token)).toBeNull();
+    expect(authManager.refreshToken(second.refreshToken)).toBeNull();
+
+    // Other sign-ins are not affected
+    const other = authManager.generateToken('client-1');
+    expect(authManager.validateToken(other.token)).not.toBeNull();
+  });
+
+  test('revokes single tokens and all tokens of a client', () => {
+    const first = authManager.generateToken('client-1');
+    const second = authManager.generateToken('client-1');
+    const other = authManager.generateToken('client-2');
+
+    expect(authManager.revokeToken(first.token)).toBe(true);
+    expect(authManager.revokeToken('garbage')).toBe(false);
+    expect(authManager.validateToken(first.token)).toBeNull();
+    expect(authManager.validateToken(second.token)).not.toBeNull();
+
+    expect(authManager.revokeClientTokens('client-1')).toBe(3);
+    expect(authManager.validateToken(second.token)).toBeNull();
+    expect(authManager.refreshToken(first.refreshToken)).toBeNull();
+    expect(authManager.validateToken(other.token)).not.toBeNull();
+  });
+
+  test('forgets revocations once the tokens have expired', () => {
+    const tokenInfo = authManager.generateToken('client-1');
+    authManager.revokeClientTokens('client-1');
+
+    expect(authManager.cleanupExpiredTokens()).toBe(0);
+
+    jest.advanceTimersByTime(600 * 1000);
+    expect(authManager.cleanupExpiredTokens()).toBe(1);
+    expect(authManager.revokedFamilies.size).toBe(0);
+    expect(authManager.validateToken(tokenInfo.token)).toBeNull();
+  });
+});
+
+describe('MCPServer authentication', () => {
+  const originalEnv = { ...process.env };
+  let server;
+  let client;
+
+  /**
+   * Process a message as the test client
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   * @param {string} [token] - Access token sent with the message
+   * @returns {Promise<Object>} The response message
+   */
+  function request(type, payload, token) {
+    return server.messageRouter.processMessage({ type, id: `${type}-1`, timestamp: new Date().toISOString(), payload, token }, client);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.MCP_AUTH_ENABLED = 'true';
+    process.env.MCP_JWT_SECRET = SECRET;
+
+    server = new MCPServer({ sessionStore: null });
+    client = { send: jest.fn() };
+  });
+
+  afterEach(() => {
+    for (const manager of [server.sessionManager, server.terminalManager, server.editorManager, server.extensionManager, server.presenceManager]) {
+      manager.dispose();
+    }
+    process.env = { ...originalEnv };
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('issues tokens on connection and requires them for protected messages', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+
+    expect(verifyJwt(ack.payload.token, SECRET).sub).toBe('client-1');
+
+    const denied = await request('session_list', {});
+    expect(denied.payload.code).toBe('AUTH_REQUIRED');
+
+    const allowed = await request('session_list', {}, ack.payload.token);
+    expect(allowed.type).toBe('session_list_ack');
+
+    const forged = await request('session_list', {}, signJwt({ sub: 'client-1', aud: 'vscode-remote-mcp', typ: 'access', exp: Date.now() / 1000 + 60 }, 'guessed'));
+    expect(forged.payload.code).toBe('INVALID_TOKEN');
+  });
+
+  test('rejects tokens issued to another client', async () => {
+    const stolen = server.authManager.generateToken('client-2');
+    await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+
+    const response = await request('session_list', {}, stolen.token);
+
+    expect(response.payload.message).toBe('Token was issued to another client');
+  });
+
+  test('re-authenticates a client with a previously issued token', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+
+    const response = await request('authentication_request', { token: ack.payload.token });
+
+    expect(response.type).toBe('authentication_request_ack');
+    expect(response.payload.status).toBe('authenticated');
+    expect(server.authManager.validateToken(response.payload.token).metadata).toEqual({ workspaceId: 'workspace-1' });
+
+    const invalid = await request('authentication_request', { token: ack.payload.refreshToken });
+    expect(invalid.payload.code).toBe('INVALID_TOKEN');
+  });
+
+  test('rotates refresh tokens on token_refresh', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+
+    const refreshed = await request('token_refresh', { clientId: 'client-1', refreshToken: ack.payload.refreshToken });
+    expect(refreshed.payload.status).toBe('refreshed');
+    expect(server.authManager.validateToken(refreshed.payload.token)).not.toBeNull();
+
+    const reused = await request('token_refresh', { clientId: 'client-1', refreshToken: ack.payload.refreshToken });
+    expect(reused.payload.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(server.authManager.validateToken(refreshed.payload.token)).toBeNull();
+  });
+
+  test('revokes the client tokens on disconnect with clearAuth', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+    const refreshed = await request('token_refresh', { clientId: 'client-1', refreshToken: ack.payload.refreshToken });
+
+    await request('disconnect', { clearAuth: true }, refreshed.payload.token);
+
+    expect(server.authManager.validateToken(ack.payload.token)).toBeNull();
+    expect(server.authManager.validateToken(refreshed.payload.token)).toBeNull();
+    expect(server.authManager.refreshToken(refreshed.payload.refreshToken)).toBeNull();
+  });
+
+  test('binds a client ID to the socket and tokens it was issued to', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+    const intruder = { send: jest.fn() };
+    const connectAs = (socket, token) => server.messageRouter.processMessage({
+      type: 'connection',
+      id: 'connection-2',
+      timestamp: new Date().toISOString(),
+      payload: { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] },
+      token
+    }, socket);
+
+    const taken = await connectAs(intruder);
+    expect(taken.payload.code).toBe('CLIENT_ID_IN_USE');
+    expect(server.connectedClients.get('client-1')).toBe(client);
+
+    // Once the client is gone, its ID still needs one of its tokens
+    await request('disconnect', {});
+    expect((await connectAs(intruder)).payload.code).toBe('CLIENT_ID_IN_USE');
+    expect((await connectAs(intruder, server.authManager.generateToken('client-2').token)).payload.code).toBe('CLIENT_ID_IN_USE');
+    expect(intruder.id).toBeUndefined();
+
+    const reconnected = await connectAs({ send: jest.fn() }, ack.payload.token);
+    expect(reconnected.payload.status).toBe('connected');
+    expect(reconnected.payload.connectedClients).toBe(1);
+  });
+
+  test('keeps tokens valid on a plain disconnect', async () => {
+    const ack = await request('connection', { clientId: 'client-1', workspaceId: 'workspace-1', capabilities: [] });
+
+    await request('disconnect', {});
+
+    expect(server.authManager.validateToken(ack.payload.token)).not.toBeNull();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for batch edits and unified diffs in modify_code
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { planEdits, applyChanges, formatUnifiedDiff } = require('../src/utils/line-edits');
+const modifyCode = require('../src/tools/modify_code');
+
+const ORIGINAL = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+describe('Line edits', () => {
+  test('addresses every edit by original line numbers', () => {
+    const changes = planEdits(ORIGINAL, [
+      { operation: 'remove', range: { start_line: 2, end_line: 3 } },
+      { operation: 'update', position: { line: 5 }, content: 'FIVE' },
+      { operation: 'add', position: { line: 1 }, content: 'zero' },
+      { operation: 'replace', range: { start_line: 9, end_line: 10 }, content: 'nine-ten' },
+      { operation: 'remove', pattern: '^seven$' }
+    ]);
+
+    expect(applyChanges(ORIGINAL, changes)).toEqual(['zero', 'one', 'four', 'FIVE', 'six', 'eight', 'nine-ten']);
+  });
+
+  test('keeps insertions at the same line in batch order', () => {
+    const changes = planEdits(ORIGINAL, [
+      { operation: 'add', position: { line: 2 }, content: 'a' },
+      { operation: 'update', position: { line: 2 }, content: 'TWO' },
+      { operation: 'add', position: { line: 2 }, content: 'b' }
+    ]);
+
+    expect(applyChanges(ORIGINAL, changes).slice(0, 5)).toEqual(['one', 'a', 'b', 'TWO', 'three']);
+  });
+
+  test('rejects overlapping edits and reports the failing edit', () => {
+    expect(() => planEdits(ORIGINAL, [
+      { operation: 'replace', range: { start_line: 2, end_line: 6 }, content: 'x' },
+      { operation: 'add', position: { line: 11 }, content: 'end' },
+      { operation: 'remove', position: { line: 4 } }
+    ])).toThrow('Edits 1 and 3 change overlapping lines');
+
+    expect(() => planEdits(ORIGINAL, [
+      { operation: 'replace', range: { start_line: 2, end_line: 6 }, content: 'x' },
+      { operation: 'add', position: { line: 4 }, content: 'inside' }
+    ])).toThrow('overlapping');
+
+    let error;
+    try {
+      planEdits(ORIGINAL, [{ operation: 'add', content: 'ok' }, { operation: 'update', pattern: 'missing', content: 'x' }]);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toBe('Pattern not found: missing');
+    expect(error.editIndex).toBe(1);
+  });
+
+  test('formats a unified diff with separate hunks for distant changes', () => {
+    const lines = [...ORIGINAL, 'eleven', 'twelve'];
+    const changes = planEdits(lines, [
+      { operation: 'update', position: { line: 2 }, content: 'TWO' },
+      { operation: 'add', position: { line: 4 }, content: 'three-and-a-half' },
+      { operation: 'remove', position: { line: 12 } }
+    ]);
+
+    expect(formatUnifiedDiff('numbers.txt', lines, changes)).toBe([
+      '--- a/numbers.txt',
+      '+++ b/numbers.txt',
+      '@@ -1,6 +1,7 @@',
+      ' one',
+      '-two',
+      '+TWO',
+      ' three',
+      '+three-and-a-half',
+      ' four',
+      ' five',
+      ' six',
+      '@@ -9,4 +10,3 @@',
+      ' nine',
+      ' ten',
+      ' eleven',
+      '-twelve',
+      ''
+    ].join('\n'));
+  });
+
+  test('returns an empty diff when nothing changes', () => {
+    const changes = planEdits(ORIGINAL, [{ operation: 'update', position: { line: 1 }, content: 'one' }]);
+
+    expect(formatUnifiedDiff('numbers.txt', ORIGINAL, changes)).toBe('');
+  });
+});
+
+describe('modify_code batches', () => {
+  let tempDir;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-modify-'));
+    first = path.join(tempDir, 'first.js');
+    second = path.join(tempDir, 'second.js');
+    fs.writeFileSync(first, 'const a = 1;\nconst b = 2;\n');
+    fs.writeFileSync(second, 'module.exports = {};\n');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.error.mockRestore();
+  });
+
+  test('applies edits across files and returns the diff', async () => {
+    const result = await modifyCode({
+      edits: [
+        { file_path: first, operation: 'update', pattern: 'const a', content: 'const a = 10;' },
+        { file_path: second, operation: 'update', position: { line: 1 }, content: 'module.exports = { a: 10 };' },
+        { file_path: first, operation: 'add', position: { line: 2 }, content: '// b follows' }
+      ]
+    });
+
+    expect(result.success).toBe(true);
+    expect(fs.readFileSync(first, 'utf8')).toBe('const a = 10;\n// b follows\nconst b = 2;\n');
+    expect(fs.readFileSync(second, 'utf8')).toBe('module.exports = { a: 10 };\n');
+    expect(result.files.map(file => file.edits)).toEqual([2, 1]);
+    expect(result.diff).toContain('-const a = 1;\n+const a = 10;\n+// b follows\n');
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['first.js', 'second.js']);
+  });
+
+  test('changes no file when any edit is invalid', async () => {
+    const result = await modifyCode({
+      edits: [
+        { file_path: first, operation: 'update', position: { line: 1 }, content: 'changed' },
+        { file_path: second, operation: 'remove', position: { line: 5 } }
+      ]
+    });
+
+    expect(result.error.code).toBe(-32602);
+    expect(result.error.message).toContain('Edit 2');
+    expect(result.error.message).toContain('Invalid line number: 5');
+    expect(fs.readFileSync(first, 'utf8')).toBe('const a = 1;\nconst b = 2;\n');
+  });
+
+  test('restores replaced files when a later file cannot be written', async () => {
+    const originalRename = fs.promises.rename;
+    const renameSpy = jest.spyOn(fs.promises, 'rename').mockImplementation(async (from, to) => {
+      if (to === second) {
+        throw new Error('disk full');
+      }
+      return originalRename(from, to);
+    });
+
+    try {
+      const result = await modifyCode({
+        edits: [
+          { file_path: first, operation: 'update', position: { line: 1 }, content: 'changed' },
+          { file_path: second, operation: 'update', position: { line: 1 }, content: 'changed' }
+        ]
+      });
+
+      expect(result.error.message).toContain('disk full');
+    } finally {
+      renameSpy.mockRestore();
+    }
+
+    expect(fs.readFileSync(first, 'utf8')).toBe('const a = 1;\nconst b = 2;\n');
+    expect(fs.readFileSync(second, 'utf8')).toBe('module.exports = {};\n');
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['first.js', 'second.js']);
+  });
+
+  test('previews a batch without writing in dry-run mode', async () => {
+    const result = await modifyCode({
+      dry_run: true,
+      edits: [{ file_path: first, operation: 'remove', position: { line: 2 } }]
+    });
+
+    expect(result.dry_run).toBe(true);
+    expect(result.diff).toContain('-const b = 2;');
+    expect(fs.readFileSync(first, 'utf8')).toBe('const a = 1;\nconst b = 2;\n');
+  });
+
+  test('returns a diff for single operations', async () => {
+    const result = await modifyCode({ file_path: first, operation: 'replace', range: { start_line: 1, end_line: 2 }, content: 'const c = 3;' });
+
+    expect(fs.readFileSync(first, 'utf8')).toBe('const c = 3;\n');
+    expect(result.modification.operation).toBe('replace');
+    expect(result.diff).toContain('+const c = 3;');
+  });
+});
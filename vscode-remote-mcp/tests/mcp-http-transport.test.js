@@ -0,0 +1,272 @@
+/**
+ * Tests for serving the SDK tool server over streamable HTTP and SSE
+ */
+
+const http = require('http');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+
+// Tools that report how they were called instead of touching the workspace
+const mockCalls = [];
+jest.mock('../src/tools', () => ({
+  tools: {
+    analyze_code: async (args) => ({ content: [{ type: 'text', text: `analyzed ${args.file_path}` }] }),
+    // Never finishes, so the call only ends when it is cancelled
+    search_code: (args, context) => {
+      mockCalls.push(context.signal);
+      return new Promise(() => {});
+    }
+  },
+  toolSchemas: {
+    analyze_code: { type: 'object', properties: { file_path: { type: 'string' } } },
+    search_code: { type: 'object', properties: { pattern: { type: 'string' } } }
+  },
+  instanceRegistry: { subscribe: () => () => {} },
+  instancesConfig: { reconcileOnStartup: false },
+  instancesDirectory: require('path').join(require('os').tmpdir(), 'mcp-http-instances')
+}));
+
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+const { McpHttpTransport } = require('../src/utils/mcp-http-transport');
+
+const TOKEN = 'test-http-token';
+
+describe('McpHttpTransport', () => {
+  let transport;
+  let baseUrl;
+  let clients;
+  let pendingCalls;
+
+  /**
+   * Connect a client over streamable HTTP
+   * @param {string} [token=TOKEN] - Bearer token to send
+   * @returns {Promise<Object>} { client, clientTransport }
+   */
+  async function connectStreamable(token = TOKEN) {
+    const clientTransport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), {
+      requestInit: { headers: { Authorization: `Bearer ${token}` } }
+    });
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+    clients.push(client);
+    return { client, clientTransport };
+  }
+
+  /**
+   * Wait until the slow tool has been called a number of times
+   * @param {number} count - Expected number of calls
+   * @returns {Promise<void>}
+   */
+  async function waitForCalls(count) {
+    while (mockCalls.length < count) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  beforeEach(async () => {
+    mockCalls.length = 0;
+    clients = [];
+    // Stops the client from waiting for calls that never get a response
+    pendingCalls = new AbortController();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const mcpServer = new VSCodeRemoteMcpServer();
+    transport = new McpHttpTransport({
+      host: '127.0.0.1',
+      port: 0,
+      token: TOKEN,
+      createServer: options => mcpServer.createServer(options)
+    });
+    const address = await transport.listen();
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  afterEach(async () => {
+    pendingCalls.abort();
+    await Promise.all(clients.map(client => client.close().catch(() => {})));
+    await transport.close();
+    console.error.mockRestore();
+  });
+
+  test('rejects requests without the bearer token', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer wrong' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+    });
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toMatch(/^Bearer/);
+    await expect(connectStreamable('wrong')).rejects.toThrow();
+    expect(transport.getSessionCount()).toBe(0);
+  });
+
+  test('rejects requests for other hosts and from other origins', async () => {
+    // fetch does not let the Host header be set
+    const post = headers => new Promise((resolve, reject) => {
+      const request = http.request(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer wrong', ...headers }
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end('{}');
+    });
+
+    expect(await post({ Host: 'rebound.example.com' })).toBe(403);
+    expect(await post({ Origin: 'http://rebound.example.com' })).toBe(403);
+    expect(await post({ Origin: 'null' })).toBe(403);
+    // Allowed requests reach the token check
+    expect(await post({ Host: 'localhost:3000', Origin: 'http://localhost:5173' })).toBe(401);
+    expect(transport.isAllowedHost({ headers: { host: '[::1]:3000' } })).toBe(true);
+  });
+
+  test('accepts configured hosts and origins', () => {
+    const configured = new McpHttpTransport({ host: '0.0.0.0', token: TOKEN, allowedHosts: ['devbox.internal'], allowedOrigins: ['https://ide.example.com'] });
+    const request = headers => ({ headers });
+
+    expect(configured.isAllowedHost(request({ host: 'devbox.internal:3000' }))).toBe(true);
+    expect(configured.isAllowedHost(request({ host: '10.0.0.5:3000' }))).toBe(false);
+    expect(configured.isAllowedOrigin(request({ origin: 'https://ide.example.com' }))).toBe(true);
+    expect(configured.isAllowedOrigin(request({ origin: 'https://other.example.com' }))).toBe(false);
+
+    // Binding to every interface accepts any Host, but still no foreign origins
+    const open = new McpHttpTransport({ host: '0.0.0.0', token: TOKEN });
+    expect(open.isAllowedHost(request({ host: '10.0.0.5:3000' }))).toBe(true);
+    expect(open.isAllowedOrigin(request({ origin: 'http://10.0.0.5:3000' }))).toBe(false);
+    expect(open.isAllowedOrigin(request({}))).toBe(true);
+  });
+
+  test('refuses to listen beyond loopback without a token', async () => {
+    const createServer = () => null;
+
+    await expect(new McpHttpTransport({ host: '0.0.0.0', port: 0, createServer }).listen()).rejects.toThrow('without a bearer token');
+    await expect(new McpHttpTransport({ host: '10.0.0.5', port: 0, createServer }).listen()).rejects.toThrow('without a bearer token');
+
+    const local = new McpHttpTransport({ host: '127.0.0.1', port: 0, createServer });
+    await expect(local.listen()).resolves.toMatchObject({ address: '127.0.0.1' });
+    await local.close();
+  });
+
+  test('serves several clients from one tool registry', async () => {
+    const first = await connectStreamable();
+    const second = await connectStreamable();
+
+    const [listed, result] = await Promise.all([
+      first.client.listTools(),
+      second.client.callTool({ name: 'analyze_code', arguments: { file_path: 'src/index.js' } })
+    ]);
+
+    expect(listed.tools.map(tool => tool.name)).toEqual(['analyze_code', 'search_code']);
+    expect(result.content[0].text).toBe('analyzed src/index.js');
+    expect(transport.getSessionCount()).toBe(2);
+    expect(first.clientTransport.sessionId).not.toBe(second.clientTransport.sessionId);
+  });
+
+  test('rejects requests for unknown sessions', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: `Bearer ${TOKEN}`,
+        'Mcp-Session-Id': 'missing'
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+    });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('cancels the tool calls of a session when it is terminated', async () => {
+    const first = await connectStreamable();
+    const second = await connectStreamable();
+
+    first.client.callTool({ name: 'search_code', arguments: { pattern: 'a' } }, undefined, { signal: pendingCalls.signal }).catch(() => {});
+    second.client.callTool({ name: 'search_code', arguments: { pattern: 'b' } }, undefined, { signal: pendingCalls.signal }).catch(() => {});
+    await waitForCalls(2);
+
+    await first.clientTransport.terminateSession();
+
+    expect(transport.getSessionCount()).toBe(1);
+    expect(mockCalls[0].aborted).toBe(true);
+    expect(mockCalls[1].aborted).toBe(false);
+  });
+
+  test('cancels a single tool call when the client cancels the request', async () => {
+    const { client } = await connectStreamable();
+    const controller = new AbortController();
+
+    const call = client.callTool({ name: 'search_code', arguments: { pattern: 'a' } }, undefined, { signal: controller.signal });
+    await waitForCalls(1);
+    controller.abort();
+
+    await expect(call).rejects.toThrow();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(mockCalls[0].aborted).toBe(true);
+    expect(transport.getSessionCount()).toBe(1);
+  });
+
+  test('falls back to HTTP+SSE and cancels calls when the stream closes', async () => {
+    const authorizedFetch = (url, init = {}) => fetch(url, {
+      ...init,
+      headers: { ...init.headers, Authorization: `Bearer ${TOKEN}` }
+    });
+    const clientTransport = new SSEClientTransport(new URL(`${baseUrl}/sse`), {
+      eventSourceInit: { fetch: authorizedFetch },
+      requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+    });
+    const client = new Client({ name: 'sse-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+
+    const result = await client.callTool({ name: 'analyze_code', arguments: { file_path: 'a.js' } });
+    expect(result.content[0].text).toBe('analyzed a.js');
+
+    client.callTool({ name: 'search_code', arguments: { pattern: 'a' } }, undefined, { signal: pendingCalls.signal }).catch(() => {});
+    await waitForCalls(1);
+    await client.close();
+
+    while (transport.getSessionCount() > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(mockCalls[0].aborted).toBe(true);
+  });
+});
+
+describe('VSCodeRemoteMcpServer.parseServeOptions', () => {
+  test('defaults to stdio', () => {
+    expect(VSCodeRemoteMcpServer.parseServeOptions([], {})).toEqual({
+      transport: 'stdio',
+      host: '127.0.0.1',
+      port: 3000,
+      token: undefined,
+      allowedHosts: undefined,
+      allowedOrigins: undefined
+    });
+  });
+
+  test('reads flags before the environment', () => {
+    const env = { MCP_TRANSPORT: 'stdio', MCP_HTTP_PORT: '4000', MCP_HTTP_HOST: '0.0.0.0', MCP_HTTP_TOKEN: 'secret' };
+
+    expect(VSCodeRemoteMcpServer.parseServeOptions(['--transport', 'http', '--port=5000'], env)).toEqual({
+      transport: 'http',
+      host: '0.0.0.0',
+      port: 5000,
+      token: 'secret'
+    });
+    expect(VSCodeRemoteMcpServer.parseServeOptions(['--http'], {}).transport).toBe('http');
+    expect(VSCodeRemoteMcpServer.parseServeOptions([], {
+      MCP_HTTP_ALLOWED_HOSTS: 'devbox.internal, 10.0.0.5',
+      MCP_HTTP_ALLOWED_ORIGINS: 'https://ide.example.com'
+    })).toMatchObject({ allowedHosts: ['devbox.internal', '10.0.0.5'], allowedOrigins: ['https://ide.example.com'] });
+    expect(VSCodeRemoteMcpServer.parseServeOptions([], { MCP_TRANSPORT: 'http' }).transport).toBe('http');
+  });
+
+  test('rejects unknown transports and invalid ports', () => {
+    expect(() => VSCodeRemoteMcpServer.parseServeOptions(['--transport', 'ws'], {})).toThrow('Unsupported transport: ws');
+    expect(() => VSCodeRemoteMcpServer.parseServeOptions(['--http', '--port', 'abc'], {})).toThrow('Invalid HTTP port');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for session presence and awareness
+ */
+
+const { PresenceManager, PRESENCE_COLORS } = require('../src/utils/presence-manager');
+
+describe('PresenceManager', () => {
+  let manager;
+  let onUpdate;
+  let onFollow;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onUpdate = jest.fn();
+    onFollow = jest.fn();
+    manager = new PresenceManager({
+      idleTimeoutMs: 1000,
+      awayTimeoutMs: 5000,
+      throttleMs: 100,
+      onUpdate,
+      onFollow
+    });
+  });
+
+  afterEach(() => {
+    manager.dispose();
+    jest.useRealTimers();
+  });
+
+  test('should assign display names and distinct colours on join', () => {
+    manager.join('session-1', 'client-1', { displayName: 'Ada' });
+    manager.join('session-1', 'client-2');
+
+    const snapshot = manager.getSnapshot('session-1');
+
+    expect(snapshot).toHaveLength(2);
+    expect(snapshot[0]).toEqual(expect.objectContaining({
+      clientId: 'client-1',
+      displayName: 'Ada',
+      color: PRESENCE_COLORS[0],
+      status: 'active',
+      activeEditorId: null,
+      focusedTerminalId: null
+    }));
+    expect(snapshot[1].displayName).toBe('client-2');
+    expect(snapshot[1].color).toBe(PRESENCE_COLORS[1]);
+  });
+
+  test('should batch changes into one throttled update per session', () => {
+    manager.join('session-1', 'client-1');
+    jest.advanceTimersByTime(100);
+    onUpdate.mockClear();
+
+    manager.update('client-1', { activeEditorId: 'editor-1', cursor: { line: 1, column: 1 } });
+    manager.update('client-1', { cursor: { line: 2, column: 4 } });
+    manager.update('client-1', { focusedTerminalId: 'terminal-1' });
+
+    expect(onUpdate).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(100);
+
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate).toHaveBeenCalledWith('session-1', [{
+      clientId: 'client-1',
+      activeEditorId: 'editor-1',
+      cursor: { line: 2, column: 4 },
+      focusedTerminalId: 'terminal-1'
+    }]);
+  });
+
+  test('should report departures and end follow mode for followers', () => {
+    manager.join('session-1', 'client-1');
+    manager.join('session-1', 'client-2');
+    manager.follow('client-2', 'client-1');
+    jest.advanceTimersByTime(100);
+    onUpdate.mockClear();
+
+    manager.removeClient('client-1');
+    jest.advanceTimersByTime(100);
+
+    expect(onUpdate.mock.calls[0][1]).toEqual(expect.arrayContaining([
+      { clientId: 'client-1', left: true },
+      { clientId: 'client-2', following: null }
+    ]));
+    expect(manager.getSnapshot('session-1').map(presence => presence.clientId)).toEqual(['client-2']);
+  });
+
+  test('should move followers with the followed participant', () => {
+    manager.join('session-1', 'client-1');
+    manager.join('session-1', 'client-2');
+
+    manager.follow('client-2', 'client-1');
+    manager.update('client-1', { activeEditorId: 'editor-1', activeFilePath: '/src/index.js' });
+
+    expect(onFollow).toHaveBeenCalledWith('session-1', 'client-2', expect.objectContaining({
+      clientId: 'client-1',
+      activeEditorId: 'editor-1',
+      activeFilePath: '/src/index.js'
+    }));
+  });
+
+  test('should stop following when the follower opens another editor', () => {
+    manager.join('session-1', 'client-1');
+    manager.join('session-1', 'client-2');
+    manager.update('client-1', { activeEditorId: 'editor-1' });
+    manager.follow('client-2', 'client-1');
+
+    manager.update('client-2', { activeEditorId: 'editor-1' });
+    expect(manager.getPresence('session-1', 'client-2').following).toBe('client-1');
+
+    manager.update('client-2', { activeEditorId: 'editor-2' });
+    expect(manager.getPresence('session-1', 'client-2').following).toBeNull();
+  });
+
+  test('should reject following unknown participants or oneself', () => {
+    manager.join('session-1', 'client-1');
+    manager.join('session-2', 'client-2');
+
+    expect(() => manager.follow('client-1', 'client-1')).toThrow('cannot follow themselves');
+    expect(() => manager.follow('client-1', 'client-2')).toThrow('not a participant in session session-1');
+    expect(() => manager.follow('client-3', 'client-1')).toThrow('not present in any session');
+  });
+
+  test('should mark inactive participants idle then away and reactivate them', () => {
+    const presence = manager.join('session-1', 'client-1');
+    const joinedAt = presence.lastActivity.getTime();
+
+    expect(manager.updateIdleStatus(new Date(joinedAt + 2000))).toBe(1);
+    expect(presence.status).toBe('idle');
+
+    expect(manager.updateIdleStatus(new Date(joinedAt + 6000))).toBe(1);
+    expect(presence.status).toBe('away');
+
+    manager.touch('client-1');
+    expect(presence.status).toBe('active');
+  });
+});
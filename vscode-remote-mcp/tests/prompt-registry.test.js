@@ -0,0 +1,202 @@
+/**
+ * Tests for MCP prompt templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-prompts-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { PromptRegistry, parsePromptTemplate, renderPromptTemplate } = require('../src/utils/prompt-registry');
+const { ToolHost } = require('../src/utils/tool-host');
+const { setLogSink } = require('../src/utils/logger');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('prompt templates', () => {
+  test('declares arguments from placeholders and front matter', () => {
+    const prompt = parsePromptTemplate('release_notes', [
+      '---',
+      'description: Write release notes',
+      'arguments.version: Version being released',
+      '---',
+      'Write the notes for {{version}} since {{ since? }}. Mention {{version}} in the title.',
+      ''
+    ].join('\n'));
+
+    expect(prompt).toEqual({
+      name: 'release_notes',
+      description: 'Write release notes',
+      arguments: [
+        { name: 'version', description: 'Version being released', required: true },
+        { name: 'since', required: false }
+      ],
+      template: 'Write the notes for {{version}} since {{ since? }}. Mention {{version}} in the title.'
+    });
+  });
+
+  test('renders missing optional arguments as empty text', () => {
+    expect(renderPromptTemplate('Release {{version}}{{suffix?}}', { version: '1.2.0' })).toBe('Release 1.2.0');
+  });
+});
+
+describe('PromptRegistry', () => {
+  let directory;
+  let registry;
+  let lines;
+  let previousSink;
+  const builtIn = {
+    greet: {
+      description: 'Greet someone',
+      arguments: [{ name: 'who', required: true }],
+      getMessages: async (args, { runTool }) => {
+        const result = await runTool('echo', { text: args.who });
+        return [{ role: 'user', content: { type: 'text', text: `Hello ${result.text}` } }];
+      }
+    }
+  };
+  const toolHost = new ToolHost().register('echo', {
+    handler: async (params) => (params.text === 'nobody'
+      ? { error: { code: -32602, message: 'Nobody to greet' } }
+      : { text: params.text })
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-prompt-templates-'));
+    fs.writeFileSync(path.join(directory, 'explain.md'), '---\ndescription: Explain a file\n---\nExplain {{file}}.\n');
+    fs.writeFileSync(path.join(directory, 'greet.md'), 'Shadows the built-in {{who}}\n');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'Not a template');
+    registry = new PromptRegistry({ prompts: builtIn, directory, toolHost });
+    lines = [];
+    previousSink = setLogSink(line => lines.push(JSON.parse(line)));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    setLogSink(previousSink);
+  });
+
+  test('lists built-in prompts before the templates of the directory', async () => {
+    await expect(registry.listPrompts()).resolves.toEqual([
+      { name: 'greet', description: 'Greet someone', arguments: [{ name: 'who', required: true }] },
+      { name: 'explain', description: 'Explain a file', arguments: [{ name: 'file', required: true }] }
+    ]);
+    expect(lines).toContainEqual(expect.objectContaining({ level: 'warn', msg: expect.stringContaining('greet is a built-in prompt') }));
+  });
+
+  test('picks up templates added after it was created', async () => {
+    fs.writeFileSync(path.join(directory, 'later.md'), 'Added {{when?}}');
+
+    const { messages } = await registry.getPrompt('later', { when: 'later' });
+
+    expect(messages).toEqual([{ role: 'user', content: { type: 'text', text: 'Added later' } }]);
+  });
+
+  test('renders built-in prompts with tool results and templates with arguments', async () => {
+    await expect(registry.getPrompt('greet', { who: 'Ada' })).resolves.toEqual({
+      description: 'Greet someone',
+      messages: [{ role: 'user', content: { type: 'text', text: 'Hello Ada' } }]
+    });
+    await expect(registry.getPrompt('explain', { file: 'src/index.js' })).resolves.toMatchObject({
+      messages: [{ content: { text: 'Explain src/index.js.' } }]
+    });
+  });
+
+  test('rejects unknown prompts, missing arguments and arguments the tools reject', async () => {
+    await expect(registry.getPrompt('constructor')).rejects.toMatchObject({ code: 'PROMPT_NOT_FOUND' });
+    await expect(registry.getPrompt('explain', {})).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENTS',
+      message: 'Missing required arguments for prompt explain: file'
+    });
+    await expect(registry.getPrompt('greet', { who: 'nobody' })).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENTS',
+      message: 'Nobody to greet'
+    });
+  });
+});
+
+describe('VSCodeRemoteMcpServer prompts', () => {
+  let promptsDir;
+  let client;
+
+  beforeEach(async () => {
+    fs.mkdirSync(path.join(workspaceRoot, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(workspaceRoot, 'src', 'math.js'), 'function add(a, b) {\n  return a + b;\n}\n\nmodule.exports = { add };\n');
+    promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-prompt-templates-'));
+    fs.writeFileSync(path.join(promptsDir, 'write_tests.md'), '---\ndescription: Write tests\n---\nWrite jest tests for {{file_path}}.\n');
+
+    const mcpServer = new VSCodeRemoteMcpServer({ instancesDir: promptsDir, promptsDir });
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    fs.rmSync(path.join(workspaceRoot, 'src'), { recursive: true, force: true });
+    fs.rmSync(promptsDir, { recursive: true, force: true });
+  });
+
+  test('lists the built-in prompts and the user templates', async () => {
+    const { prompts } = await client.listPrompts();
+
+    expect(prompts.map(prompt => prompt.name)).toEqual(['review_file', 'find_and_fix', 'spin_up_workspace', 'write_tests']);
+    expect(prompts[0].arguments).toEqual([
+      expect.objectContaining({ name: 'file_path', required: true }),
+      expect.objectContaining({ name: 'focus', required: false })
+    ]);
+  });
+
+  test('review_file includes the analyze_code output and the file', async () => {
+    const filePath = path.join(workspaceRoot, 'src', 'math.js');
+
+    const { messages } = await client.getPrompt({ name: 'review_file', arguments: { file_path: 'src/math.js', focus: 'naming' } });
+
+    expect(messages[0].content.text).toContain(`Please review ${filePath}. Concentrate on naming.`);
+    expect(messages[0].content.text).toContain('- add (Lines 1-3');
+    expect(messages[1].content.resource).toMatchObject({ uri: pathToFileURL(filePath).href, text: expect.stringContaining('return a + b;') });
+  });
+
+  test('find_and_fix includes the search_code matches', async () => {
+    const { messages } = await client.getPrompt({ name: 'find_and_fix', arguments: { pattern: 'a \\+ b', fix: 'use Number() on both operands' } });
+
+    expect(messages[0].content.text).toMatch(/^Fix the 1 matches of \/a \\\+ b\/ in 1 files: use Number\(\) on both operands\./);
+    expect(messages[0].content.text).toContain('src/math.js:2');
+  });
+
+  test('spin_up_workspace fills in the deploy_vscode_instance arguments', async () => {
+    const { messages } = await client.getPrompt({
+      name: 'spin_up_workspace',
+      arguments: { workspace_path: workspaceRoot, port: '8443', extensions: 'ms-python.python, esbenp.prettier-vscode' }
+    });
+
+    const params = JSON.parse(/```json\n([\s\S]*?)\n```/.exec(messages[0].content.text)[1]);
+    expect(params).toEqual({
+      name: path.basename(workspaceRoot),
+      workspace_path: workspaceRoot,
+      port: 8443,
+      extensions: ['ms-python.python', 'esbenp.prettier-vscode']
+    });
+
+    await expect(client.getPrompt({ name: 'spin_up_workspace', arguments: { workspace_path: workspaceRoot, port: 'http' } }))
+      .rejects.toMatchObject({ code: -32602 });
+  });
+
+  test('renders user templates and reports bad requests as invalid params', async () => {
+    const { messages } = await client.getPrompt({ name: 'write_tests', arguments: { file_path: 'src/math.js' } });
+    expect(messages[0].content.text).toBe('Write jest tests for src/math.js.');
+
+    await expect(client.getPrompt({ name: 'missing' })).rejects.toMatchObject({ code: -32602 });
+    await expect(client.getPrompt({ name: 'review_file', arguments: {} })).rejects.toMatchObject({ code: -32602 });
+    await expect(client.getPrompt({ name: 'review_file', arguments: { file_path: '/etc/passwd' } })).rejects.toMatchObject({ code: -32602 });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for validating tool arguments against their JSON Schemas
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-schema-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { validateSchema } = require('../src/utils/schema-validator');
+const { toolSchemas } = require('../src/tools');
+const { ToolHost } = require('../src/utils/tool-host');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('validateSchema', () => {
+  test('fills in defaults without changing the arguments', () => {
+    const args = { pattern: 'TODO' };
+
+    const { value, errors } = validateSchema(toolSchemas.search_code, args);
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      pattern: 'TODO',
+      directory: '.',
+      file_pattern: '*',
+      context_lines: 2,
+      max_results: 100,
+      ignore_case: false,
+      use_regex: true,
+      multiline: false,
+      respect_ignore_files: true
+    });
+    expect(args).toEqual({ pattern: 'TODO' });
+  });
+
+  test('converts numbers sent as strings', () => {
+    const { value, errors } = validateSchema(toolSchemas.deploy_vscode_instance, {
+      name: 'app',
+      workspace_path: '/workspace',
+      port: ' 8080 ',
+      cpu_limit: '1.5'
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toMatchObject({ port: 8080, cpu_limit: 1.5 });
+  });
+
+  test('does not convert strings that are not whole numbers to integers', () => {
+    const { errors } = validateSchema(toolSchemas.search_code, { pattern: 'a', max_results: '1.5', context_lines: 'two' });
+
+    expect(errors).toEqual([
+      { path: 'max_results', message: 'max_results must be an integer' },
+      { path: 'context_lines', message: 'context_lines must be an integer' }
+    ]);
+  });
+
+  test('reports every offending property by its path', () => {
+    const { errors } = validateSchema(toolSchemas.modify_code, {
+      edits: [
+        { file_path: 'a.js', operation: 'add', position: { line: '2' }, content: 'x' },
+        { file_path: 'b.js', operation: 'rename', range: { start_line: 1 } },
+        { operation: 'remove', colour: 'red' }
+      ],
+      dry_run: 'yes'
+    });
+
+    expect(errors.map(error => error.message)).toEqual([
+      'edits[1].operation must be one of: "add", "update", "remove", "replace"',
+      'edits[1].range.end_line is required',
+      'edits[2].colour is not allowed',
+      'edits[2].file_path is required',
+      'dry_run must be a boolean'
+    ]);
+  });
+
+  test('checks array, string and number limits', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        tags: { type: 'array', items: { type: 'string', minLength: 2, pattern: '^[a-z]+$' }, minItems: 1, maxItems: 2 },
+        port: { type: 'integer', minimum: 1, maximum: 65535 }
+      }
+    };
+
+    expect(validateSchema(schema, { tags: [], port: 0 }).errors.map(error => error.message)).toEqual([
+      'tags must have at least 1 items',
+      'port must be at least 1'
+    ]);
+    expect(validateSchema(schema, { tags: ['a', 'B2', 'ok'] }).errors.map(error => error.message)).toEqual([
+      'tags must have at most 2 items',
+      'tags[0] must be at least 2 characters long',
+      'tags[1] must match ^[a-z]+$'
+    ]);
+  });
+});
+
+describe('tool argument validation', () => {
+  test('passes validated arguments to the tool', async () => {
+    const handler = jest.fn(async () => ({ content: [] }));
+    const host = new ToolHost().register('search_code', { handler, inputSchema: toolSchemas.search_code });
+
+    await host.callTool('search_code', { pattern: 'a', max_results: '5' });
+
+    expect(handler.mock.calls[0][0]).toMatchObject({ pattern: 'a', max_results: 5, context_lines: 2 });
+  });
+
+  test('rejects invalid calls with InvalidParams listing the properties', async () => {
+    const host = new ToolHost().register('search_code', { handler: jest.fn(), inputSchema: toolSchemas.search_code });
+
+    await expect(host.callTool('search_code', { pattern: 'a', max_results: 'all', extra: true })).rejects.toMatchObject({
+      code: -32602,
+      message: 'Invalid arguments for search_code: max_results must be an integer; extra is not allowed',
+      data: {
+        errors: [
+          { path: 'max_results', message: 'max_results must be an integer' },
+          { path: 'extra', message: 'extra is not allowed' }
+        ]
+      }
+    });
+  });
+
+  test('answers invalid calls over MCP before the tool runs', async () => {
+    const mcpServer = new VSCodeRemoteMcpServer();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    await expect(client.callTool({
+      name: 'modify_code',
+      arguments: { edits: [{ file_path: 'a.js', operation: 'move' }] }
+    })).rejects.toMatchObject({
+      code: -32602,
+      message: expect.stringContaining('Invalid arguments for modify_code: edits[0].operation must be one of')
+    });
+
+    await client.close();
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Tests for the in-process search engine behind search_code
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileGlob, createGlobMatcher, parseIgnoreFile, isIgnored } = require('../src/utils/glob-matcher');
+const { buildSearchRegExp, searchFiles, matchText } = require('../src/utils/search-engine');
+const searchCode = require('../src/tools/search_code');
+
+/**
+ * Write a tree of files below a directory
+ * @param {string} root - The root directory
+ * @param {Object.<string, string|Buffer>} files - Map of relative paths to contents
+ */
+function writeTree(root, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+/**
+ * Collect every match of a search
+ * @param {Object} options - Options for searchFiles
+ * @returns {Promise<Array<Object>>} The matches
+ */
+async function collect(options) {
+  const results = [];
+  for await (const result of searchFiles(options)) {
+    results.push(result);
+  }
+  return results;
+}
+
+describe('Glob matcher', () => {
+  test('matches file names and relative paths', () => {
+    expect(compileGlob('*.js')('src/utils/a.js')).toBe(true);
+    expect(compileGlob('*.js')('src/utils/a.ts')).toBe(false);
+    expect(compileGlob('*.{js,ts}')('a.ts')).toBe(true);
+    expect(compileGlob('src/*.js')('src/a.js')).toBe(true);
+    expect(compileGlob('src/*.js')('src/utils/a.js')).toBe(false);
+    expect(compileGlob('src/**/*.js')('src/a.js')).toBe(true);
+    expect(compileGlob('src/**/*.js')('src/utils/deep/a.js')).toBe(true);
+    expect(compileGlob('test?.js')('test1.js')).toBe(true);
+    expect(compileGlob('[!a]*.js')('a.js')).toBe(false);
+  });
+
+  test('combines include and exclude lists', () => {
+    const matcher = createGlobMatcher({ include: ['*.js', '*.md'], exclude: ['*.min.js', 'dist/**'] });
+
+    expect(matcher.isIncluded('README.md')).toBe(true);
+    expect(matcher.isIncluded('style.css')).toBe(false);
+    expect(matcher.isExcluded('app.min.js')).toBe(true);
+    expect(matcher.isExcluded('dist/app.js')).toBe(true);
+    expect(createGlobMatcher().isIncluded('anything')).toBe(true);
+  });
+
+  test('requires a file to match the required globs as well as the include list', () => {
+    const matcher = createGlobMatcher({ include: ['src/**', 'lib/**'], require: ['*.js'] });
+
+    expect(matcher.isIncluded('src/app.js')).toBe(true);
+    expect(matcher.isIncluded('src/app.ts')).toBe(false);
+    expect(matcher.isIncluded('test/app.js')).toBe(false);
+  });
+
+  test('applies gitignore rules with negation, anchoring and directory-only patterns', () => {
+    const rules = parseIgnoreFile('# comment\n*.log\n!keep.log\n/build\ncache/\ndocs/*.tmp\n');
+
+    expect(isIgnored(rules, 'a/b/error.log', false)).toBe(true);
+    expect(isIgnored(rules, 'keep.log', false)).toBe(false);
+    expect(isIgnored(rules, 'build', true)).toBe(true);
+    expect(isIgnored(rules, 'src/build', true)).toBe(false);
+    expect(isIgnored(rules, 'src/cache', true)).toBe(true);
+    expect(isIgnored(rules, 'src/cache', false)).toBe(false);
+    expect(isIgnored(rules, 'docs/a.tmp', false)).toBe(true);
+    expect(isIgnored(rules, 'other/docs/a.tmp', false)).toBe(false);
+  });
+
+  test('scopes nested ignore files to their directory', () => {
+    const rules = parseIgnoreFile('/generated.js\n', 'packages/app');
+
+    expect(isIgnored(rules, 'packages/app/generated.js', false)).toBe(true);
+    expect(isIgnored(rules, 'generated.js', false)).toBe(false);
+  });
+});
+
+describe('Search engine', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-search-'));
+    writeTree(tempDir, {
+      '.gitignore': 'ignored/\n*.log\n',
+      'src/app.js': 'const a = 1;\nfunction helper() {\n  return a;\n}\n',
+      'src/app.min.js': 'function helper(){}\n',
+      'src/.ignore': 'local.js\n',
+      'src/local.js': 'function helper() {}\n',
+      'ignored/skip.js': 'function helper() {}\n',
+      'debug.log': 'function helper() {}\n',
+      'node_modules/dep/index.js': 'function helper() {}\n',
+      'docs/readme.md': 'Call helper() to start.\n',
+      'image.bin': Buffer.from([0x66, 0x75, 0x6e, 0x00, 0x68, 0x65, 0x6c, 0x70, 0x65, 0x72])
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('honours ignore files and skips binary files', async () => {
+    const stats = {};
+    const results = await collect({ directory: tempDir, regex: buildSearchRegExp('helper'), stats });
+
+    expect(results.map(result => result.relative_path)).toEqual(['docs/readme.md', 'src/app.js', 'src/app.min.js']);
+    expect(stats.binary_files_skipped).toBe(1);
+  });
+
+  test('can search ignored files', async () => {
+    const results = await collect({ directory: tempDir, regex: buildSearchRegExp('helper'), respectIgnoreFiles: false });
+
+    expect(results.map(result => result.relative_path)).toEqual(expect.arrayContaining([
+      'debug.log',
+      'ignored/skip.js',
+      'node_modules/dep/index.js',
+      'src/local.js'
+    ]));
+  });
+
+  test('filters with include and exclude globs', async () => {
+    const results = await collect({
+      directory: tempDir,
+      regex: buildSearchRegExp('helper'),
+      include: ['*.js', '*.md'],
+      exclude: ['*.min.js', 'docs/**']
+    });
+
+    expect(results.map(result => result.relative_path)).toEqual(['src/app.js']);
+  });
+
+  test('reports line, column and context for each match', () => {
+    const [match] = Array.from(matchText('one\ntwo helper\nthree\nfour', buildSearchRegExp('help'), { contextLines: 1 }));
+
+    expect(match).toMatchObject({
+      line: 2,
+      end_line: 2,
+      column: 5,
+      content: 'two helper',
+      match: 'help',
+      lines_before: [{ line: 1, content: 'one' }],
+      lines_after: [{ line: 3, content: 'three' }]
+    });
+  });
+
+  test('matches across lines in multiline mode', () => {
+    const regex = buildSearchRegExp('helper\\(\\) \\{\\n\\s+return', { multiline: true });
+    const matches = Array.from(matchText('const a = 1;\nfunction helper() {\n  return a;\n}\n', regex, { multiline: true, contextLines: 0 }));
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({ line: 2, end_line: 3, content: 'function helper() {\n  return a;' });
+  });
+
+  test('escapes literal patterns', () => {
+    const regex = buildSearchRegExp('a.b(', { useRegex: false });
+
+    expect(regex.test('x a.b( y')).toBe(true);
+    expect(() => buildSearchRegExp('a.b(')).toThrow(SyntaxError);
+  });
+});
+
+describe('search_code tool', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-search-'));
+    const files = {};
+    for (let i = 0; i < 5; i++) {
+      files[`file${i}.js`] = 'match\nmatch\n';
+    }
+    writeTree(tempDir, files);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('stops at max_results and returns structured results', async () => {
+    const result = await searchCode({ pattern: 'match', directory: tempDir, max_results: 3, context_lines: 0 });
+
+    expect(result.results).toHaveLength(3);
+    expect(result.truncated).toBe(true);
+    expect(result.stats.files_searched).toBe(2);
+    expect(result.results[0]).toMatchObject({ file: path.join(tempDir, 'file0.js'), line: 1, column: 1 });
+    expect(result.content[0].text).toContain('Results Found: 3 (stopped at max_results)');
+  });
+
+  test('searches files matching file_pattern and one of the include globs', async () => {
+    writeTree(tempDir, { 'src/app.js': 'match\n', 'src/app.ts': 'match\n', 'docs/guide.md': 'match\n' });
+
+    const result = await searchCode({ pattern: 'match', directory: tempDir, file_pattern: '*.js', include: ['src/**', 'docs/**'] });
+
+    expect(result.results.map(match => match.relative_path)).toEqual(['src/app.js']);
+    expect(result.content[0].text).toContain('Include: src/**, docs/**');
+  });
+
+  test('reports invalid regular expressions as invalid params', async () => {
+    const result = await searchCode({ pattern: '(', directory: tempDir });
+
+    expect(result.error.code).toBe(-32602);
+  });
+});
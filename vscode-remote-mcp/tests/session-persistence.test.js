@@ -0,0 +1,160 @@
+/**
+ * Tests for persisting collaboration sessions across restarts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionManager } = require('../src/utils/session-manager');
+const { TerminalManager } = require('../src/utils/terminal-manager');
+const { EditorManager } = require('../src/utils/editor-manager');
+const { ExtensionManager } = require('../src/utils/extension-manager');
+const { SessionPersistence } = require('../src/utils/session-persistence');
+const { JsonFileSessionStore, MemorySessionStore, createSessionStore } = require('../src/utils/session-store');
+
+/**
+ * Create a set of managers wired to a store, as MCPServer does
+ * @param {Object} store - The session store
+ * @returns {Object} The managers and persistence
+ */
+function createServerState(store) {
+  const state = {};
+  state.sessionManager = new SessionManager({
+    onChange: sessionId => state.persistence.scheduleSave(sessionId),
+    onRemove: sessionId => state.persistence.remove(sessionId)
+  });
+  state.terminalManager = new TerminalManager(state.sessionManager, {
+    spawnProcess: () => ({ pid: 1, write() {}, resize() {}, kill() {}, onData() {}, onExit() {} })
+  });
+  state.editorManager = new EditorManager(state.sessionManager);
+  state.extensionManager = new ExtensionManager(state.sessionManager);
+  state.persistence = new SessionPersistence({ store, ...state, saveDelayMs: 10 });
+  return state;
+}
+
+describe('Session persistence', () => {
+  let store;
+  let servers;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    servers = [];
+  });
+
+  afterEach(() => {
+    for (const server of servers) {
+      server.persistence.dispose();
+      server.terminalManager.dispose();
+      server.sessionManager.dispose();
+    }
+  });
+
+  /**
+   * Start a new server state against the shared store
+   * @returns {Object} The server state
+   */
+  function startServer() {
+    const server = createServerState(store);
+    servers.push(server);
+    return server;
+  }
+
+  test('should restore sessions, editors, extensions and terminals', () => {
+    const first = startServer();
+    first.sessionManager.createSession('session-1', 'client-1', 'workspace-1', 'Pairing');
+    first.sessionManager.addParticipant('session-1', 'client-2', 'workspace-1');
+    const editor = first.editorManager.registerEditor('session-1', 'client-1', '/src/index.js', { content: 'hello' });
+    first.editorManager.applyEdit(editor.id, 'client-1', [{ type: 'insert', position: 5, text: ' world' }], 1);
+    first.extensionManager.registerExtension('session-1', 'client-1', 'linter', { rules: 1 });
+    const terminal = first.terminalManager.createTerminal('session-1', 'client-1', { name: 'build' });
+    first.terminalManager.processOutput(terminal.id, 'done\n');
+    first.persistence.flush();
+
+    const second = startServer();
+    expect(second.persistence.restore()).toBe(1);
+
+    const session = second.sessionManager.getSession('session-1');
+    expect(session.name).toBe('Pairing');
+    expect(session.participants).toEqual(['client-1', 'client-2']);
+    expect(session.createdAt).toBeInstanceOf(Date);
+    expect(second.sessionManager.getClientSession('client-2')).toBe(session);
+
+    const restoredEditor = second.editorManager.getEditorByPath('/src/index.js');
+    expect(restoredEditor.content).toBe('hello world');
+    expect(restoredEditor.version).toBe(2);
+    expect(second.editorManager.applyEdit(restoredEditor.id, 'client-1', [{ type: 'insert', position: 0, text: '>' }], 1)).not.toBeNull();
+    expect(restoredEditor.content).toBe('>hello world');
+
+    expect(second.extensionManager.getExtensionState('session-1', 'linter').state).toEqual({ rules: 1 });
+    expect(second.extensionManager.getExtensionState('session-1', 'linter').clients.has('client-1')).toBe(true);
+
+    const restoredTerminal = second.terminalManager.getTerminal(terminal.id);
+    expect(restoredTerminal.state).toBe('closed');
+    expect(restoredTerminal.buffer[0].data).toBe('done\n');
+  });
+
+  test('should batch changes into one delayed snapshot', async () => {
+    const server = startServer();
+    const saveSession = jest.spyOn(store, 'saveSession');
+
+    server.sessionManager.createSession('session-1', 'client-1', 'workspace-1');
+    server.sessionManager.addParticipant('session-1', 'client-2', 'workspace-1');
+    expect(saveSession).not.toHaveBeenCalled();
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(saveSession).toHaveBeenCalledTimes(1);
+    expect(saveSession.mock.calls[0][0].session.participants).toEqual(['client-1', 'client-2']);
+  });
+
+  test('should purge records when inactive sessions are cleaned up', () => {
+    const server = startServer();
+    const session = server.sessionManager.createSession('session-1', 'client-1', 'workspace-1');
+    server.persistence.flush();
+    expect(store.loadSessions()).toHaveLength(1);
+
+    session.lastActivity = new Date(Date.now() - 10000);
+    expect(server.sessionManager.cleanupInactiveSessions(5000)).toBe(1);
+
+    expect(store.loadSessions()).toHaveLength(0);
+  });
+
+  test('should keep records once disposed so shutdown disconnects do not purge them', () => {
+    const server = startServer();
+    server.sessionManager.createSession('session-1', 'client-1', 'workspace-1');
+
+    server.persistence.dispose();
+    server.sessionManager.removeParticipant('session-1', 'client-1');
+
+    expect(store.loadSessions()).toHaveLength(1);
+  });
+});
+
+describe('JsonFileSessionStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sessions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should write, load and remove one file per session', () => {
+    const store = createSessionStore({ type: 'json', path: path.join(directory, 'sessions') });
+    expect(store).toBeInstanceOf(JsonFileSessionStore);
+    expect(store.loadSessions()).toEqual([]);
+
+    store.saveSession({ formatVersion: 1, session: { id: 'team/session' } });
+    expect(fs.readdirSync(path.join(directory, 'sessions'))).toEqual(['team%2Fsession.json']);
+    expect(store.loadSessions()).toEqual([{ formatVersion: 1, session: { id: 'team/session' } }]);
+
+    store.removeSession('team/session');
+    expect(store.loadSessions()).toEqual([]);
+  });
+
+  test('should reject unknown store types', () => {
+    expect(createSessionStore({ type: 'none' })).toBeNull();
+    expect(() => createSessionStore({ type: 'redis' })).toThrow('Unknown session store type: redis');
+  });
+});
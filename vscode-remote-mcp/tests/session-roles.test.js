@@ -0,0 +1,296 @@
+/**
+ * Tests for per-session participant roles
+ */
+
+const { SessionManager } = require('../src/utils/session-manager');
+const { ROLES, PERMISSIONS, isValidRole, roleHasPermission, compareRoles } = require('../src/utils/session-roles');
+const { MCPServer } = require('../src/mcp-server');
+
+describe('Session roles', () => {
+  test('grants each role its permissions', () => {
+    expect(Object.values(PERMISSIONS).every(permission => roleHasPermission(ROLES.OWNER, permission))).toBe(true);
+    expect(roleHasPermission(ROLES.EDITOR, PERMISSIONS.EDITOR_WRITE)).toBe(true);
+    expect(roleHasPermission(ROLES.EDITOR, PERMISSIONS.SESSION_MANAGE)).toBe(false);
+    expect(roleHasPermission(ROLES.TERMINAL_OPERATOR, PERMISSIONS.TERMINAL_WRITE)).toBe(true);
+    expect(roleHasPermission(ROLES.TERMINAL_OPERATOR, PERMISSIONS.EDITOR_WRITE)).toBe(false);
+    expect(Object.values(PERMISSIONS).some(permission => roleHasPermission(ROLES.VIEWER, permission))).toBe(false);
+    expect(roleHasPermission('admin', PERMISSIONS.EDITOR_WRITE)).toBe(false);
+  });
+
+  test('validates and ranks roles', () => {
+    expect(isValidRole('viewer')).toBe(true);
+    expect(isValidRole('admin')).toBe(false);
+    expect(compareRoles(ROLES.EDITOR, ROLES.VIEWER)).toBeGreaterThan(0);
+    expect(compareRoles(ROLES.TERMINAL_OPERATOR, ROLES.EDITOR)).toBeLessThan(0);
+  });
+});
+
+describe('SessionManager roles', () => {
+  let sessionManager;
+  let roleChanges;
+
+  beforeEach(() => {
+    roleChanges = [];
+    sessionManager = new SessionManager({
+      onRoleChange: (sessionId, clientId, role) => roleChanges.push({ sessionId, clientId, role })
+    });
+    sessionManager.createSession('session-1', 'owner-1', 'workspace-1', 'Session', { defaultRole: ROLES.VIEWER });
+  });
+
+  afterEach(() => {
+    sessionManager.dispose();
+  });
+
+  test('makes the creator the owner and applies the default role to new participants', () => {
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1');
+    sessionManager.addParticipant('session-1', 'client-2', 'workspace-1', ROLES.TERMINAL_OPERATOR);
+
+    expect(sessionManager.getRole('session-1', 'owner-1')).toBe(ROLES.OWNER);
+    expect(sessionManager.getRole('session-1', 'client-1')).toBe(ROLES.VIEWER);
+    expect(sessionManager.getRole('session-1', 'client-2')).toBe(ROLES.TERMINAL_OPERATOR);
+    expect(sessionManager.getRole('session-1', 'stranger')).toBeNull();
+  });
+
+  test('rejects unknown roles', () => {
+    expect(() => sessionManager.createSession('session-2', 'owner-1', 'workspace-1', 'Bad', { defaultRole: 'admin' }))
+      .toThrow('Invalid role');
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1');
+    expect(() => sessionManager.setRole('session-1', 'client-1', 'admin')).toThrow('Invalid role');
+  });
+
+  test('checks permissions against the participant role', () => {
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1');
+
+    expect(sessionManager.hasPermission('session-1', 'client-1', PERMISSIONS.EDITOR_WRITE)).toBe(false);
+    sessionManager.setRole('session-1', 'client-1', ROLES.EDITOR);
+    expect(sessionManager.hasPermission('session-1', 'client-1', PERMISSIONS.EDITOR_WRITE)).toBe(true);
+    expect(sessionManager.hasPermission('session-1', 'stranger', PERMISSIONS.EDITOR_WRITE)).toBe(false);
+    expect(roleChanges).toEqual([{ sessionId: 'session-1', clientId: 'client-1', role: ROLES.EDITOR }]);
+  });
+
+  test('refuses to demote the only owner', () => {
+    expect(() => sessionManager.setRole('session-1', 'owner-1', ROLES.EDITOR)).toThrow();
+
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1');
+    sessionManager.setRole('session-1', 'client-1', ROLES.OWNER);
+    sessionManager.setRole('session-1', 'owner-1', ROLES.EDITOR);
+    expect(sessionManager.getRole('session-1', 'owner-1')).toBe(ROLES.EDITOR);
+  });
+
+  test('hands ownership to the next participant when the owner leaves', () => {
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1');
+    sessionManager.removeParticipant('session-1', 'owner-1');
+
+    expect(sessionManager.getRole('session-1', 'client-1')).toBe(ROLES.OWNER);
+    expect(roleChanges).toEqual([{ sessionId: 'session-1', clientId: 'client-1', role: ROLES.OWNER }]);
+  });
+
+  test('keeps kicked participants out of the session', () => {
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1');
+    sessionManager.kickParticipant('session-1', 'client-1');
+
+    expect(sessionManager.getSession('session-1').participants).toEqual(['owner-1']);
+    expect(() => sessionManager.addParticipant('session-1', 'client-1', 'workspace-1')).toThrow('has been removed');
+  });
+
+  test('gives new participants no write access unless a role is set', () => {
+    const defaultManager = new SessionManager();
+    try {
+      defaultManager.createSession('session-2', 'owner-1', 'workspace-1');
+      defaultManager.addParticipant('session-2', 'client-1', 'workspace-1');
+
+      expect(defaultManager.getRole('session-2', 'client-1')).toBe(ROLES.VIEWER);
+    } finally {
+      defaultManager.dispose();
+    }
+  });
+
+  test('keys roles and kicks on the authenticated identity', () => {
+    sessionManager.addParticipant('session-1', 'alice-laptop', 'workspace-1', null, 'alice');
+    sessionManager.setRole('session-1', 'alice-laptop', ROLES.EDITOR);
+    sessionManager.addParticipant('session-1', 'alice-phone', 'workspace-1', null, 'alice');
+    expect(sessionManager.getRole('session-1', 'alice-phone')).toBe(ROLES.EDITOR);
+
+    sessionManager.addParticipant('session-1', 'mallory-1', 'workspace-1', null, 'mallory');
+    sessionManager.kickParticipant('session-1', 'mallory-1');
+    expect(() => sessionManager.addParticipant('session-1', 'mallory-2', 'workspace-1', null, 'mallory'))
+      .toThrow('Identity mallory has been removed');
+
+    const data = JSON.parse(JSON.stringify(sessionManager.serializeSession('session-1')));
+    const restoredManager = new SessionManager();
+    try {
+      restoredManager.restoreSession(data);
+      expect(() => restoredManager.addParticipant('session-1', 'mallory-3', 'workspace-1', null, 'mallory')).toThrow('has been removed');
+      restoredManager.addParticipant('session-1', 'alice-tablet', 'workspace-1', null, 'alice');
+      expect(restoredManager.getRole('session-1', 'alice-tablet')).toBe(ROLES.EDITOR);
+    } finally {
+      restoredManager.dispose();
+    }
+  });
+
+  test('serializes and restores roles', () => {
+    sessionManager.addParticipant('session-1', 'client-1', 'workspace-1', ROLES.EDITOR);
+    sessionManager.addParticipant('session-1', 'client-2', 'workspace-1');
+    sessionManager.kickParticipant('session-1', 'client-2');
+    const data = JSON.parse(JSON.stringify(sessionManager.serializeSession('session-1')));
+
+    const restoredManager = new SessionManager();
+    try {
+      restoredManager.restoreSession(data);
+      expect(restoredManager.getRole('session-1', 'owner-1')).toBe(ROLES.OWNER);
+      expect(restoredManager.getRole('session-1', 'client-1')).toBe(ROLES.EDITOR);
+      expect(restoredManager.getSession('session-1').defaultRole).toBe(ROLES.VIEWER);
+      expect(() => restoredManager.addParticipant('session-1', 'client-2', 'workspace-1')).toThrow('has been removed');
+    } finally {
+      restoredManager.dispose();
+    }
+  });
+});
+
+describe('MCPServer role enforcement', () => {
+  let server;
+  let clients;
+
+  /**
+   * Send a message to the server as a client
+   * @param {string} clientId - The client ID
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   * @returns {Object} The response message
+   */
+  function request(clientId, type, payload) {
+    const handler = server.messageRouter.handlers.get(type);
+    return handler({ type, id: `${type}-${clientId}`, payload }, clients.get(clientId));
+  }
+
+  /**
+   * Collect the messages of a type sent to a client
+   * @param {string} clientId - The client ID
+   * @param {string} type - The message type
+   * @returns {Array<Object>} The sent messages
+   */
+  function sent(clientId, type) {
+    return clients.get(clientId).send.mock.calls.map(call => call[0]).filter(message => message.type === type);
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    server = new MCPServer({ sessionStore: null });
+    server.terminalManager.spawnProcess = () => ({ pid: 1, write() {}, resize() {}, kill() {}, onData() {}, onExit() {} });
+    clients = new Map();
+    for (const clientId of ['owner-1', 'viewer-1', 'operator-1']) {
+      const client = { id: clientId, workspaceId: 'workspace-1', send: jest.fn() };
+      clients.set(clientId, client);
+      server.connectedClients.set(clientId, client);
+    }
+
+    request('owner-1', 'session_create', { sessionId: 'session-1', sessionName: 'Session', defaultRole: ROLES.VIEWER });
+    request('viewer-1', 'session_join', { sessionId: 'session-1' });
+    request('operator-1', 'session_join', { sessionId: 'session-1' });
+    request('owner-1', 'session_promote', { sessionId: 'session-1', clientId: 'operator-1', role: ROLES.TERMINAL_OPERATOR });
+  });
+
+  afterEach(() => {
+    for (const manager of [server.sessionManager, server.terminalManager, server.editorManager, server.extensionManager, server.presenceManager]) {
+      manager.dispose();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('refuses a second socket claiming a connected client ID', () => {
+    const intruder = { send: jest.fn() };
+    const response = server.messageRouter.handlers.get('connection')(
+      { type: 'connection', id: 'connection-intruder', payload: { clientId: 'owner-1', workspaceId: 'workspace-1' } },
+      intruder
+    );
+
+    expect(response.payload.code).toBe('CLIENT_ID_IN_USE');
+    expect(intruder.id).toBeUndefined();
+    expect(server.connectedClients.get('owner-1')).toBe(clients.get('owner-1'));
+  });
+
+  test('reports roles when joining', () => {
+    const joined = sent('viewer-1', 'session_joined').pop();
+
+    expect(joined.payload.roles).toEqual({
+      'owner-1': ROLES.OWNER,
+      'viewer-1': ROLES.VIEWER,
+      'operator-1': ROLES.VIEWER
+    });
+  });
+
+  test('keeps viewers read-only', () => {
+    expect(request('viewer-1', 'terminal_create', { sessionId: 'session-1' }).payload.code).toBe('PERMISSION_DENIED');
+    expect(request('viewer-1', 'editor_open', { sessionId: 'session-1', filePath: '/a.js', content: 'x' }).payload.code)
+      .toBe('PERMISSION_DENIED');
+    expect(request('viewer-1', 'extension_register', { sessionId: 'session-1', extensionId: 'ext' }).payload.code)
+      .toBe('PERMISSION_DENIED');
+
+    // Viewers can still open an editor someone else shared, but not change it
+    const opened = request('owner-1', 'editor_open', { sessionId: 'session-1', filePath: '/a.js', content: 'x' });
+    const viewed = request('viewer-1', 'editor_open', { sessionId: 'session-1', filePath: '/a.js' });
+    expect(viewed.payload.content).toBe('x');
+
+    const change = request('viewer-1', 'editor_change', { editorId: opened.payload.editorId, content: 'y', version: 1 });
+    expect(change.payload.code).toBe('PERMISSION_DENIED');
+  });
+
+  test('lets terminal operators use terminals but not editors', () => {
+    const created = request('operator-1', 'terminal_create', { sessionId: 'session-1', options: { shell: '/bin/sh' } });
+    expect(created.payload.terminalId).toBeDefined();
+
+    const resize = request('viewer-1', 'terminal_resize', { terminalId: created.payload.terminalId, dimensions: { cols: 100, rows: 30 } });
+    expect(resize.payload.code).toBe('PERMISSION_DENIED');
+
+    expect(request('operator-1', 'editor_open', { sessionId: 'session-1', filePath: '/b.js' }).payload.code)
+      .toBe('PERMISSION_DENIED');
+  });
+
+  test('lets only the owner promote, demote and kick', () => {
+    expect(request('viewer-1', 'session_promote', { sessionId: 'session-1', clientId: 'viewer-1' }).payload.code)
+      .toBe('PERMISSION_DENIED');
+
+    const promoted = request('owner-1', 'session_promote', { sessionId: 'session-1', clientId: 'viewer-1' });
+    expect(promoted.payload.role).toBe(ROLES.EDITOR);
+    expect(sent('operator-1', 'session_role_changed').pop().payload).toEqual({
+      sessionId: 'session-1',
+      clientId: 'viewer-1',
+      role: ROLES.EDITOR
+    });
+
+    expect(request('owner-1', 'session_promote', { sessionId: 'session-1', clientId: 'viewer-1', role: ROLES.VIEWER }).payload.code)
+      .toBe('INVALID_ROLE_CHANGE');
+    expect(request('owner-1', 'session_demote', { sessionId: 'session-1', clientId: 'viewer-1' }).payload.role)
+      .toBe(ROLES.VIEWER);
+
+    const kicked = request('owner-1', 'session_kick', { sessionId: 'session-1', clientId: 'viewer-1', reason: 'done' });
+    expect(kicked.payload.status).toBe('kicked');
+    expect(sent('viewer-1', 'session_kicked').pop().payload.reason).toBe('done');
+    expect(server.sessionManager.getSession('session-1').participants).not.toContain('viewer-1');
+    expect(request('viewer-1', 'session_join', { sessionId: 'session-1' }).payload.code).toBe('SESSION_JOIN_ERROR');
+
+    expect(request('owner-1', 'session_kick', { sessionId: 'session-1', clientId: 'owner-1' }).payload.code)
+      .toBe('INVALID_KICK');
+  });
+
+  test('keeps a kicked identity out when it rejoins under a new client ID', () => {
+    const join = (clientId, identity) => {
+      const client = { id: clientId, workspaceId: 'workspace-1', identity, send: jest.fn() };
+      clients.set(clientId, client);
+      server.connectedClients.set(clientId, client);
+      return request(clientId, 'session_join', { sessionId: 'session-2' });
+    };
+    clients.get('owner-1').identity = 'owner';
+    request('owner-1', 'session_create', { sessionId: 'session-2', sessionName: 'Open session' });
+
+    expect(join('viewer-a', 'mallory').payload.role).toBe(ROLES.VIEWER);
+    request('owner-1', 'session_kick', { sessionId: 'session-2', clientId: 'viewer-a' });
+
+    expect(join('viewer-b', 'mallory').payload.code).toBe('SESSION_JOIN_ERROR');
+    expect(join('viewer-c', null).payload.role).toBe(ROLES.VIEWER);
+  });
+});
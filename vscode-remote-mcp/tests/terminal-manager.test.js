@@ -0,0 +1,182 @@
+/**
+ * Tests for the process-backed terminals managed by TerminalManager
+ */
+
+const { TerminalManager } = require('../src/utils/terminal-manager');
+const { spawnTerminalProcess } = require('../src/utils/terminal-process');
+const { SessionManager } = require('../src/utils/session-manager');
+
+/**
+ * Wait until a condition is met
+ * @param {Function} condition - Condition to check
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Create a fake terminal process handle
+ * @returns {Object} Fake handle with emit helpers
+ */
+function createFakeProcess() {
+  const fake = {
+    pid: 4242,
+    write: jest.fn(),
+    resize: jest.fn(),
+    kill: jest.fn(),
+    onData: jest.fn(callback => { fake.emitData = callback; }),
+    onExit: jest.fn(callback => { fake.emitExit = callback; })
+  };
+  return fake;
+}
+
+describe('TerminalManager', () => {
+  let sessionManager;
+  let sessionId;
+
+  beforeEach(() => {
+    sessionManager = new SessionManager();
+    sessionId = sessionManager.createSession('session-1', 'client-1', 'workspace-1').id;
+    sessionManager.addParticipant(sessionId, 'client-2', 'workspace-1');
+  });
+
+  afterEach(() => {
+    sessionManager.dispose();
+  });
+
+  describe('with a fake process', () => {
+    let fake;
+    let spawnProcess;
+    let onOutput;
+    let onExit;
+    let manager;
+
+    beforeEach(() => {
+      fake = createFakeProcess();
+      spawnProcess = jest.fn(() => fake);
+      onOutput = jest.fn();
+      onExit = jest.fn();
+      manager = new TerminalManager(sessionManager, {
+        defaultShell: '/bin/sh',
+        spawnProcess,
+        onOutput,
+        onExit
+      });
+    });
+
+    test('should spawn the shell with the terminal options', () => {
+      const terminal = manager.createTerminal(sessionId, 'client-1', {
+        cwd: '/tmp',
+        dimensions: { cols: 120, rows: 40 }
+      });
+
+      expect(spawnProcess).toHaveBeenCalledWith(expect.objectContaining({
+        shell: '/bin/sh',
+        cwd: '/tmp',
+        cols: 120,
+        rows: 40
+      }));
+      expect(terminal.pid).toBe(4242);
+      expect(terminal.process).toBe(fake);
+    });
+
+    test('should forward input and resizes to the process', () => {
+      const terminal = manager.createTerminal(sessionId, 'client-1');
+
+      manager.processInput(terminal.id, 'client-2', 'ls\n');
+      manager.resizeTerminal(terminal.id, { cols: 100, rows: 30 });
+
+      expect(fake.write).toHaveBeenCalledWith('ls\n');
+      expect(fake.resize).toHaveBeenCalledWith(100, 30);
+    });
+
+    test('should buffer process output and report it', () => {
+      const terminal = manager.createTerminal(sessionId, 'client-1');
+
+      fake.emitData('hello\n');
+
+      expect(terminal.buffer).toEqual([expect.objectContaining({ type: 'output', data: 'hello\n' })]);
+      expect(onOutput).toHaveBeenCalledWith(terminal, 'hello\n');
+    });
+
+    test('should kill the process when the terminal is closed', () => {
+      const terminal = manager.createTerminal(sessionId, 'client-1');
+
+      manager.closeTerminal(terminal.id);
+      fake.emitExit(null, 'SIGTERM');
+
+      expect(fake.kill).toHaveBeenCalled();
+      expect(terminal.process).toBeNull();
+      expect(onExit).not.toHaveBeenCalled();
+    });
+
+    test('should close the terminal when the shell exits on its own', () => {
+      const terminal = manager.createTerminal(sessionId, 'client-1');
+
+      fake.emitExit(0, null);
+
+      expect(terminal.state).toBe('closed');
+      expect(terminal.exitCode).toBe(0);
+      expect(fake.kill).not.toHaveBeenCalled();
+      expect(onExit).toHaveBeenCalledWith(
+        expect.objectContaining({ id: terminal.id, participants: ['client-1', 'client-2'] }),
+        0,
+        null
+      );
+    });
+
+    test('should kill every process on dispose', () => {
+      manager.createTerminal(sessionId, 'client-1');
+      manager.createTerminal(sessionId, 'client-2');
+
+      manager.dispose();
+
+      expect(fake.kill).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('with a real shell', () => {
+    test('should run commands and report the exit code', async () => {
+      let output = '';
+      const onExit = jest.fn();
+      const manager = new TerminalManager(sessionManager, {
+        spawnProcess: options => spawnTerminalProcess({ ...options, usePty: false }),
+        onOutput: (terminal, data) => { output += data; },
+        onExit
+      });
+
+      const terminal = manager.createTerminal(sessionId, 'client-1', {
+        shell: '/bin/sh',
+        args: [],
+        cwd: '/tmp'
+      });
+
+      manager.processInput(terminal.id, 'client-1', 'echo "hello $((20 + 22))"; pwd\n');
+      await waitFor(() => output.includes('/tmp'));
+
+      expect(output).toContain('hello 42');
+
+      manager.processInput(terminal.id, 'client-1', 'exit 3\n');
+      await waitFor(() => onExit.mock.calls.length === 1);
+
+      expect(onExit).toHaveBeenCalledWith(expect.objectContaining({ id: terminal.id }), 3, null);
+      expect(terminal.state).toBe('closed');
+    });
+
+    test('should ignore input to a shell that closed its input', async () => {
+      let output = '';
+      const child = spawnTerminalProcess({ shell: '/bin/sh', args: ['-c', 'exec 0<&-; echo ready; sleep 1'], cwd: '/tmp', usePty: false });
+      child.onData((data) => { output += data; });
+      await waitFor(() => output.includes('ready'));
+
+      child.write('x'.repeat(1024 * 1024));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      child.write('echo still here\n');
+
+      child.kill();
+    });
+  });
+});
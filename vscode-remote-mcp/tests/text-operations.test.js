@@ -0,0 +1,108 @@
+/**
+ * Tests for the operational transform used by collaborative editing
+ */
+
+const {
+  validateOperations,
+  applyOperations,
+  transformOperations,
+  diffToOperations
+} = require('../src/utils/text-operations');
+
+/**
+ * Apply two concurrent changes in both orders and return the results
+ * @param {string} content - The shared base document
+ * @param {Array<Object>} a - Change made by the first client
+ * @param {Array<Object>} b - Change made by the second client
+ * @returns {Array<string>} [a then b, b then a]
+ */
+function converge(content, a, b) {
+  const [aAfterB, bAfterA] = transformOperations(a, b, true);
+  return [
+    applyOperations(applyOperations(content, a), bAfterA),
+    applyOperations(applyOperations(content, b), aAfterB)
+  ];
+}
+
+describe('text operations', () => {
+  describe('applyOperations', () => {
+    test('should apply operations in order', () => {
+      const result = applyOperations('hello world', [
+        { type: 'delete', position: 0, length: 5 },
+        { type: 'insert', position: 0, text: 'goodbye' }
+      ]);
+
+      expect(result).toBe('goodbye world');
+    });
+
+    test('should reject operations outside the document', () => {
+      expect(() => applyOperations('abc', [{ type: 'insert', position: 4, text: 'x' }])).toThrow('beyond the document length');
+      expect(() => applyOperations('abc', [{ type: 'delete', position: 2, length: 2 }])).toThrow('beyond the document length');
+    });
+  });
+
+  describe('validateOperations', () => {
+    test('should reject malformed operations', () => {
+      expect(() => validateOperations('insert', 0)).toThrow('Operations must be an array');
+      expect(() => validateOperations([{ type: 'insert', position: -1, text: 'x' }], 0)).toThrow('non-negative integer position');
+      expect(() => validateOperations([{ type: 'delete', position: 0, length: 0 }], 1)).toThrow('positive integer length');
+      expect(() => validateOperations([{ type: 'replace', position: 0 }], 1)).toThrow('Unknown operation type');
+    });
+  });
+
+  describe('transformOperations', () => {
+    test('should converge for inserts at different positions', () => {
+      const [first, second] = converge('abc', [{ type: 'insert', position: 0, text: 'X' }], [{ type: 'insert', position: 3, text: 'Y' }]);
+
+      expect(first).toBe('XabcY');
+      expect(second).toBe(first);
+    });
+
+    test('should order inserts at the same position by priority', () => {
+      const [first, second] = converge('abc', [{ type: 'insert', position: 1, text: 'X' }], [{ type: 'insert', position: 1, text: 'Y' }]);
+
+      expect(first).toBe('aXYbc');
+      expect(second).toBe(first);
+    });
+
+    test('should converge for overlapping deletes', () => {
+      const [first, second] = converge('abcdef', [{ type: 'delete', position: 1, length: 3 }], [{ type: 'delete', position: 2, length: 3 }]);
+
+      expect(first).toBe('af');
+      expect(second).toBe(first);
+    });
+
+    test('should keep text inserted inside a concurrently deleted range', () => {
+      const [first, second] = converge('abcdef', [{ type: 'delete', position: 1, length: 4 }], [{ type: 'insert', position: 3, text: 'XY' }]);
+
+      expect(first).toBe('aXYf');
+      expect(second).toBe(first);
+    });
+
+    test('should converge for multi-operation changes', () => {
+      const a = [
+        { type: 'insert', position: 0, text: '// header\n' },
+        { type: 'delete', position: 23, length: 3 },
+        { type: 'insert', position: 23, text: 'let' }
+      ];
+      const b = [
+        { type: 'delete', position: 0, length: 5 },
+        { type: 'insert', position: 0, text: 'const' },
+        { type: 'insert', position: 11, text: ' + 1' }
+      ];
+      const [first, second] = converge('const x = 1;\nvar y = 2;', a, b);
+
+      expect(second).toBe(first);
+      expect(first).toBe('// header\nconst x = 1 + 1;\nlet y = 2;');
+    });
+  });
+
+  describe('diffToOperations', () => {
+    test('should describe a replacement as a minimal delete and insert', () => {
+      const operations = diffToOperations('hello world', 'hello there world');
+
+      expect(operations).toEqual([{ type: 'insert', position: 6, text: 'there ' }]);
+      expect(applyOperations('hello world', diffToOperations('hello world', 'help'))).toBe('help');
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Tests for progress reporting and cancellation of long-running tools
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Docker is replaced by a fake whose `docker run` only ends when it is aborted
+jest.mock('../src/utils/exec-async', () => ({
+  execAsync: jest.fn(() => Promise.resolve({ stdout: '', stderr: '' })),
+  execFileAsync: jest.fn((file, args, options = {}) => {
+    if (args[0] !== 'run') {
+      return Promise.resolve({ stdout: '', stderr: '' });
+    }
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => {
+        reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError', code: 'ABORT_ERR' }));
+      });
+    });
+  })
+}));
+
+// Let the tools work on temporary directories
+process.env.MCP_WORKSPACE_ROOTS = os.tmpdir();
+
+const { execFileAsync } = require('../src/utils/exec-async');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createToolContext, isAbortError } = require('../src/utils/tool-context');
+const deployVSCodeInstance = require('../src/tools/deploy_vscode_instance');
+const searchCode = require('../src/tools/search_code');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+
+/**
+ * Create a context that records the notifications it sends
+ * @param {AbortSignal} [signal] - Signal of the call
+ * @returns {Object} { context, notifications }
+ */
+function createRecordingContext(signal) {
+  const notifications = [];
+  const context = createToolContext({ signal, progressToken: 'token-1', sendNotification: notification => notifications.push(notification) });
+  return { context, notifications };
+}
+
+/**
+ * Wait for pending notifications and callbacks
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('createToolContext', () => {
+  test('reports increasing progress when the client asked for it', async () => {
+    const { context, notifications } = createRecordingContext();
+    expect(context.canReportProgress).toBe(true);
+
+    context.reportProgress(1, 3, 'Reading');
+    context.reportProgress(1, 3, 'Reading again');
+    context.reportProgress(2);
+    await flush();
+
+    expect(notifications).toEqual([
+      { method: 'notifications/progress', params: { progressToken: 'token-1', progress: 1, total: 3, message: 'Reading' } },
+      { method: 'notifications/progress', params: { progressToken: 'token-1', progress: 2 } }
+    ]);
+  });
+
+  test('sends nothing without a progress token', async () => {
+    const sendNotification = jest.fn();
+    const context = createToolContext({ sendNotification });
+    expect(context.canReportProgress).toBe(false);
+    context.reportProgress(1, 2);
+    await flush();
+
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+
+  test('throws an AbortError once the call is cancelled', () => {
+    const controller = new AbortController();
+    const context = createToolContext({ signal: controller.signal });
+
+    expect(() => context.throwIfAborted()).not.toThrow();
+    controller.abort();
+
+    let error;
+    try {
+      context.throwIfAborted();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(isAbortError(error)).toBe(true);
+  });
+});
+
+describe('execAsync', () => {
+  const { execAsync: realExecAsync } = jest.requireActual('../src/utils/exec-async');
+
+  /**
+   * Check whether a process is still running (zombies count as exited)
+   * @param {number} pid - The process ID
+   * @returns {boolean} True if the process runs
+   */
+  function isRunning(pid) {
+    try {
+      return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  test('resolves with the output of the command', async () => {
+    await expect(realExecAsync('echo hello')).resolves.toEqual({ stdout: 'hello\n', stderr: '' });
+    await expect(realExecAsync('echo oops >&2; exit 3')).rejects.toMatchObject({ code: 3, stderr: 'oops\n' });
+  });
+
+  (process.platform === 'linux' ? test : test.skip)('kills the command and the processes it started when aborted', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-exec-'));
+    const pidFile = path.join(tempDir, 'pid');
+    const controller = new AbortController();
+
+    const command = realExecAsync(`sleep 30 & echo $! > ${pidFile}; wait`, { signal: controller.signal });
+    while (!fs.existsSync(pidFile) || !fs.readFileSync(pidFile, 'utf8').trim()) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const pid = Number(fs.readFileSync(pidFile, 'utf8'));
+
+    controller.abort();
+    await expect(command).rejects.toMatchObject({ name: 'AbortError' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(isRunning(pid)).toBe(false);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
+
+describe('long-running tools', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-progress-'));
+    execFileAsync.mockClear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    console.error.mockRestore();
+  });
+
+  test('search_code reports the number of files searched and stops when cancelled', async () => {
+    for (let i = 0; i < 250; i++) {
+      fs.writeFileSync(path.join(tempDir, `file-${i}.js`), `const value${i} = ${i};\n`);
+    }
+
+    const { context, notifications } = createRecordingContext();
+    const result = await searchCode({ pattern: 'value', directory: tempDir, max_results: 1000 }, context);
+    await flush();
+
+    expect(result.results).toHaveLength(250);
+    expect(notifications.map(notification => notification.params.progress)).toEqual([100, 200]);
+
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await searchCode({ pattern: 'value', directory: tempDir }, createToolContext({ signal: controller.signal }));
+
+    expect(cancelled.error.message).toBe('Search for "value" was cancelled');
+  });
+
+  test('deploy_vscode_instance kills docker run and removes the instance when cancelled', async () => {
+    const controller = new AbortController();
+    const { context, notifications } = createRecordingContext(controller.signal);
+
+    const deployment = deployVSCodeInstance({ name: 'cancel-test', workspace_path: tempDir }, context);
+    const isDockerRun = ([file, args]) => file === 'docker' && args[0] === 'run';
+    while (!execFileAsync.mock.calls.some(isDockerRun)) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const [, runArgs] = execFileAsync.mock.calls.find(isDockerRun);
+    const instanceName = runArgs[runArgs.indexOf('--name') + 1];
+    const configPath = path.join(__dirname, '../vscode-instances', `${instanceName}.json`);
+    expect(fs.existsSync(configPath)).toBe(true);
+
+    controller.abort();
+    const result = await deployment;
+
+    expect(result.error.message).toBe('Deployment of cancel-test was cancelled');
+    expect(execFileAsync).toHaveBeenCalledWith('docker', ['rm', '-f', instanceName], expect.any(Object));
+    expect(fs.existsSync(configPath)).toBe(false);
+    expect(notifications.map(notification => notification.params.message)).toEqual([
+      'Checking workspace and port',
+      `Starting container ${instanceName}`
+    ]);
+  });
+});
+
+describe('VSCodeRemoteMcpServer progress', () => {
+  test('sends progress notifications for the progress token of the request', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-progress-'));
+    fs.writeFileSync(path.join(tempDir, 'example.js'), 'function example() {\n  return 1;\n}\n');
+
+    const server = new VSCodeRemoteMcpServer().createServer();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+    const progress = [];
+    const result = await client.callTool(
+      { name: 'analyze_code', arguments: { file_path: path.join(tempDir, 'example.js') } },
+      undefined,
+      { onprogress: update => progress.push(update) }
+    );
+
+    expect(result.analysis.parser).toBe('ast');
+    expect(progress.map(update => `${update.progress}/${update.total} ${update.message}`)).toEqual([
+      `1/4 Reading ${path.join(tempDir, 'example.js')}`,
+      '2/4 Parsing',
+      '3/4 Analyzing',
+      '4/4 Analysis complete'
+    ]);
+
+    await client.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for the tool host shared by the tool front-ends
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tool-host-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ToolHost, ToolError, createToolHost } = require('../src/utils/tool-host');
+const { createToolContext } = require('../src/utils/tool-context');
+const registry = require('../src/tools');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+const SimpleMcpServer = require('../src/simple-mcp-server');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('ToolHost', () => {
+  let host;
+
+  beforeEach(() => {
+    host = new ToolHost();
+    host.register('echo', {
+      description: 'Echo the text',
+      inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+      handler: async (args) => {
+        if (args.text === 'fail') {
+          return { error: { code: -32602, message: 'Cannot echo fail' } };
+        }
+        if (args.text === 'throw') {
+          throw new Error('boom');
+        }
+        return { content: [{ type: 'text', text: args.text }] };
+      }
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('lists registered tools and refuses duplicates', () => {
+    expect(host.listTools()).toEqual([{
+      name: 'echo',
+      description: 'Echo the text',
+      inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+    }]);
+    expect(host.getCapabilities()).toEqual({ echo: true });
+    expect(() => host.register('echo', { handler: () => ({}) })).toThrow('Tool already registered: echo');
+
+    expect(host.unregister('echo')).toBe(true);
+    expect(host.hasTool('echo')).toBe(false);
+  });
+
+  test('maps unknown tools, invalid arguments, error results and failures to JSON-RPC codes', async () => {
+    await expect(host.callTool('echo', { text: 'hi' })).resolves.toEqual({ content: [{ type: 'text', text: 'hi' }] });
+
+    await expect(host.callTool('')).rejects.toMatchObject({ code: -32602, message: 'Tool name is required' });
+    await expect(host.callTool('missing')).rejects.toMatchObject({ code: -32601, message: 'Tool not found: missing' });
+    await expect(host.callTool('echo', {})).rejects.toMatchObject({ code: -32602, message: 'Invalid arguments for echo: text is required' });
+    await expect(host.callTool('echo', ['hi'])).rejects.toMatchObject({ code: -32602, message: 'Invalid arguments for echo: arguments must be an object' });
+    await expect(host.callTool('echo', { text: 'fail' })).rejects.toMatchObject({ code: -32602, message: 'Cannot echo fail' });
+    await expect(host.callTool('echo', { text: 'throw' })).rejects.toMatchObject({ code: -32603, message: 'Error calling tool echo: boom' });
+    await expect(host.callTool('echo', { text: 'throw' })).rejects.toBeInstanceOf(ToolError);
+  });
+
+  test('gives up on a call when its signal aborts', async () => {
+    host.register('wait', { handler: () => new Promise(() => {}) });
+    const controller = new AbortController();
+
+    const call = host.callTool('wait', {}, createToolContext({ signal: controller.signal }));
+    controller.abort();
+
+    await expect(call).rejects.toMatchObject({ code: -32001, message: 'Tool call cancelled: wait' });
+  });
+
+  test('runs middleware around calls, outermost first', async () => {
+    const order = [];
+    host.use(async (call, next) => {
+      order.push(`outer ${call.name}`);
+      const result = await next();
+      order.push('outer done');
+      return result;
+    });
+    host.use(async (call, next) => {
+      order.push('inner');
+      return next();
+    });
+
+    await host.callTool('echo', { text: 'hi' });
+
+    expect(order).toEqual(['outer echo', 'inner', 'outer done']);
+  });
+
+  test('lets middleware answer instead of the tool', async () => {
+    const handler = jest.fn();
+    host.register('cached', { handler });
+    host.use(async ({ name }, next) => (name === 'cached' ? { content: [{ type: 'text', text: 'from cache' }] } : next()));
+
+    await expect(host.callTool('cached')).resolves.toEqual({ content: [{ type: 'text', text: 'from cache' }] });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('tool front-ends', () => {
+  let client;
+  let simpleServer;
+  let sent;
+
+  /**
+   * Send a request to the simple server and wait for its answer
+   * @param {string} method - Request method
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} The response message
+   */
+  async function requestSimple(method, params) {
+    const id = sent.length + 1;
+    await simpleServer.handleRequest({ jsonrpc: '2.0', id, method, params });
+    return sent.find(message => message.id === id);
+  }
+
+  beforeEach(async () => {
+    const mcpServer = new VSCodeRemoteMcpServer();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    sent = [];
+    simpleServer = new SimpleMcpServer();
+    simpleServer.rl.close();
+    simpleServer.sendMessage = message => sent.push(message);
+    await requestSimple('mcp.initialize', {});
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await client.close();
+    console.error.mockRestore();
+  });
+
+  test('list the same tools with the same descriptions and schemas', async () => {
+    const expected = createToolHost(registry).listTools();
+    const { tools } = await client.listTools();
+    const simple = await requestSimple('mcp.listTools', {});
+
+    expect(tools).toEqual(expected);
+    expect(simple.result.tools).toEqual(expected);
+    expect(expected.map(tool => tool.name)).toEqual(expect.arrayContaining(['analyze_code', 'list_files', 'read_file', 'write_file']));
+    expect(client.getServerCapabilities().tools).toEqual({ ...createToolHost(registry).getCapabilities(), listChanged: true });
+  });
+
+  test('report the same errors', async () => {
+    const missingTool = await requestSimple('mcp.callTool', { name: 'greet', arguments: {} });
+    const missingArgs = await requestSimple('mcp.callTool', { name: 'read_file', arguments: {} });
+
+    expect(missingTool.error).toMatchObject({ code: -32601, message: 'Tool not found: greet' });
+    expect(missingArgs.error).toMatchObject({ code: -32602, message: 'Invalid arguments for read_file: path is required' });
+    await expect(client.callTool({ name: 'greet', arguments: {} })).rejects.toMatchObject({ code: -32601 });
+    await expect(client.callTool({ name: 'read_file', arguments: {} })).rejects.toMatchObject({
+      code: -32602,
+      message: expect.stringContaining('Invalid arguments for read_file: path is required')
+    });
+  });
+
+  test('serve the file tools inside the workspace', async () => {
+    await client.callTool({ name: 'write_file', arguments: { path: 'notes.txt', content: 'first\nsecond' } });
+
+    const listed = await requestSimple('mcp.callTool', { name: 'list_files', arguments: { path: '.' } });
+    const read = await client.callTool({ name: 'read_file', arguments: { path: path.join(workspaceRoot, 'notes.txt') } });
+
+    expect(listed.result.files).toContain('notes.txt');
+    expect(read.content[0].text).toBe('1 | first\n2 | second');
+    await expect(client.callTool({ name: 'read_file', arguments: { path: '/etc/hostname' } })).rejects.toMatchObject({
+      code: -32602,
+      message: expect.stringContaining('outside the allowed workspace roots')
+    });
+  });
+});
+
+describe('execute_command', () => {
+  afterEach(() => {
+    delete process.env.MCP_ENABLE_EXECUTE_COMMAND;
+  });
+
+  test('is only registered when enabled', () => {
+    expect(registry.tools.execute_command).toBeUndefined();
+
+    process.env.MCP_ENABLE_EXECUTE_COMMAND = 'true';
+    jest.isolateModules(() => {
+      expect(require('../src/tools').tools.execute_command).toBeInstanceOf(Function);
+    });
+  });
+
+  test('runs in the workspace and reports failed commands as output', async () => {
+    const executeCommand = require('../src/tools/execute_command');
+
+    const result = await executeCommand({ command: 'pwd', cwd: workspaceRoot });
+    const failed = await executeCommand({ command: 'echo oops >&2; exit 2', cwd: workspaceRoot });
+
+    expect(result).toMatchObject({ stdout: `${workspaceRoot}\n`, success: true });
+    expect(failed).toMatchObject({ stderr: 'oops\n', exit_code: 2, success: false });
+  });
+});
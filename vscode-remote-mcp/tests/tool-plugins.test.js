@@ -0,0 +1,242 @@
+/**
+ * Tests for tool plugins loaded from directories and packages
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-plugins-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ToolListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { ToolHost } = require('../src/utils/tool-host');
+const { ToolPluginLoader, isToolEnabled } = require('../src/utils/tool-plugins');
+const { setLogSink } = require('../src/utils/logger');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+/**
+ * Write a plugin that answers with a fixed text
+ * @param {string} filePath - Where to write the plugin
+ * @param {string} name - Tool name
+ * @param {string} text - Text the tool answers with
+ */
+function writePlugin(filePath, name, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `module.exports = {
+  name: ${JSON.stringify(name)},
+  description: ${JSON.stringify(`Says ${text}`)},
+  inputSchema: { type: 'object', properties: { loud: { type: 'boolean', default: false } } },
+  handler: async ({ loud }) => ({ content: [{ type: 'text', text: loud ? ${JSON.stringify(text)}.toUpperCase() : ${JSON.stringify(text)} }] })
+};
+`);
+}
+
+describe('isToolEnabled', () => {
+  test('serves every tool unless lists say otherwise', () => {
+    expect(isToolEnabled('read_file')).toBe(true);
+    expect(isToolEnabled('read_file', { enabled: ['list_files'] })).toBe(false);
+    expect(isToolEnabled('read_file', { enabled: ['read_file'], disabled: ['read_file'] })).toBe(false);
+  });
+});
+
+describe('ToolPluginLoader', () => {
+  let pluginDir;
+  let host;
+  let loader;
+  let lines;
+  let previousSink;
+
+  /**
+   * Check that a line was logged
+   * @param {string} level - Log level
+   * @param {string} text - Text the message or its error contains
+   * @returns {boolean} True if such a line was logged
+   */
+  function logged(level, text) {
+    return lines.some(line => line.level === level &&
+      (line.msg.includes(text) || (line.error && line.error.message.includes(text))));
+  }
+
+  beforeEach(() => {
+    pluginDir = fs.mkdtempSync(path.join(workspaceRoot, 'plugins-'));
+    host = new ToolHost().register('read_file', { handler: async () => ({}) });
+    lines = [];
+    previousSink = setLogSink(line => lines.push(JSON.parse(line)));
+  });
+
+  afterEach(() => {
+    if (loader) {
+      loader.close();
+      loader = null;
+    }
+    setLogSink(previousSink);
+  });
+
+  test('registers the plugins of a directory with their schema', async () => {
+    writePlugin(path.join(pluginDir, 'hello.js'), 'hello', 'hello');
+    writePlugin(path.join(pluginDir, 'greeter', 'index.js'), 'greet', 'hi');
+    fs.writeFileSync(path.join(pluginDir, 'notes.txt'), 'not a plugin');
+
+    loader = new ToolPluginLoader({ toolHost: host, directories: [pluginDir], hotReload: false });
+
+    expect(loader.load()).toEqual(['greet', 'hello']);
+    expect(host.listTools().map(tool => tool.name)).toEqual(['read_file', 'greet', 'hello']);
+    await expect(host.callTool('hello', { loud: 'true' })).rejects.toMatchObject({ code: -32602 });
+    await expect(host.callTool('hello', { loud: true })).resolves.toEqual({ content: [{ type: 'text', text: 'HELLO' }] });
+  });
+
+  test('loads npm packages and applies the enabled and disabled lists', () => {
+    const packageDir = path.join(pluginDir, 'node_modules', 'mcp-plugin-weather');
+    fs.mkdirSync(packageDir, { recursive: true });
+    fs.writeFileSync(path.join(packageDir, 'index.js'), `module.exports = [
+  { name: 'forecast', handler: async () => ({}) },
+  { name: 'radar', handler: async () => ({}) }
+];
+`);
+    const cwd = jest.spyOn(process, 'cwd').mockReturnValue(pluginDir);
+
+    try {
+      loader = new ToolPluginLoader({ toolHost: host, packages: ['mcp-plugin-weather'], disabled: ['radar'] });
+      expect(loader.load()).toEqual(['forecast']);
+    } finally {
+      cwd.mockRestore();
+    }
+  });
+
+  test('skips broken plugins and names that are taken', () => {
+    fs.writeFileSync(path.join(pluginDir, 'a-broken.js'), 'module.exports = {');
+    fs.writeFileSync(path.join(pluginDir, 'b-nameless.js'), 'module.exports = { handler() {} };');
+    writePlugin(path.join(pluginDir, 'c-shadow.js'), 'read_file', 'shadow');
+    writePlugin(path.join(pluginDir, 'd-first.js'), 'twin', 'first');
+    writePlugin(path.join(pluginDir, 'e-second.js'), 'twin', 'second');
+
+    loader = new ToolPluginLoader({ toolHost: host, directories: [pluginDir], hotReload: false });
+
+    expect(loader.load()).toEqual(['twin']);
+    expect(host.listTools().find(tool => tool.name === 'twin').description).toBe('Says first');
+    expect(logged('error', 'a-broken.js')).toBe(true);
+    expect(logged('error', 'must export a name')).toBe(true);
+    expect(logged('warn', 'read_file is already provided by a built-in tool')).toBe(true);
+    expect(logged('warn', `twin is already provided by plugin ${path.join(pluginDir, 'd-first.js')}`)).toBe(true);
+  });
+
+  test('reloads plugins and reports list changes', async () => {
+    // The plugin reads its description when it is loaded
+    const pluginPath = path.join(pluginDir, 'hello.js');
+    const descriptionPath = path.join(pluginDir, 'description.txt');
+    fs.writeFileSync(descriptionPath, 'Says hello');
+    fs.writeFileSync(pluginPath, `module.exports = {
+  name: 'hello',
+  description: require('fs').readFileSync(${JSON.stringify(descriptionPath)}, 'utf8'),
+  handler: async () => ({ content: [{ type: 'text', text: 'hello' }] })
+};
+`);
+    const onToolsChanged = jest.fn();
+    loader = new ToolPluginLoader({ toolHost: host, directories: [pluginDir], hotReload: false, onToolsChanged });
+    loader.load();
+
+    // Jest keeps its own module registry, which require.cache does not reach
+    const reload = () => {
+      let changed;
+      jest.isolateModules(() => {
+        changed = loader.reload();
+      });
+      return changed;
+    };
+
+    // A new handler alone does not change what clients see
+    expect(reload()).toBe(false);
+
+    fs.writeFileSync(descriptionPath, 'Says bonjour');
+    expect(reload()).toBe(true);
+    expect(host.listTools().find(tool => tool.name === 'hello').description).toBe('Says bonjour');
+
+    fs.unlinkSync(pluginPath);
+    expect(reload()).toBe(true);
+    expect(host.hasTool('hello')).toBe(false);
+    expect(onToolsChanged).toHaveBeenCalledTimes(2);
+  });
+
+  test('watches each plugin subdirectory without recursive watching', async () => {
+    writePlugin(path.join(pluginDir, 'greeter', 'index.js'), 'greet', 'hi');
+    fs.mkdirSync(path.join(pluginDir, 'node_modules', 'dependency'), { recursive: true });
+    const watch = jest.spyOn(fs, 'watch');
+
+    try {
+      loader = new ToolPluginLoader({ toolHost: host, directories: [pluginDir] });
+      loader.load();
+
+      expect([...loader.watchers.keys()].sort()).toEqual([pluginDir, path.join(pluginDir, 'greeter')]);
+      expect(watch.mock.calls.every(([, options]) => !options.recursive)).toBe(true);
+
+      // A new subdirectory is watched once the events settle, and a removed one no longer
+      writePlugin(path.join(pluginDir, 'waver', 'index.js'), 'wave', 'bye');
+      fs.rmSync(path.join(pluginDir, 'greeter'), { recursive: true });
+      while (loader.watchers.has(path.join(pluginDir, 'greeter')) || !host.hasTool('wave')) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      expect([...loader.watchers.keys()].sort()).toEqual([pluginDir, path.join(pluginDir, 'waver')]);
+      expect(host.hasTool('greet')).toBe(false);
+    } finally {
+      watch.mockRestore();
+    }
+  });
+});
+
+describe('tool plugins over MCP', () => {
+  const pluginDir = path.join(workspaceRoot, 'server-plugins');
+
+  afterEach(() => {
+    delete process.env.MCP_TOOL_PLUGIN_DIRS;
+    delete process.env.MCP_TOOLS_DISABLED;
+  });
+
+  test('serves plugins and sends tools/list_changed when a plugin is added', async () => {
+    writePlugin(path.join(pluginDir, 'hello.js'), 'hello', 'hello');
+    process.env.MCP_TOOL_PLUGIN_DIRS = pluginDir;
+    process.env.MCP_TOOLS_DISABLED = 'write_file';
+
+    let Server;
+    jest.isolateModules(() => {
+      Server = require('../src/mcp-sdk-server');
+    });
+    const mcpServer = new Server();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+    try {
+      const listed = (await client.listTools()).tools.map(tool => tool.name);
+      expect(listed).toContain('hello');
+      expect(listed).not.toContain('write_file');
+      expect(client.getServerCapabilities().tools.listChanged).toBe(true);
+
+      const changed = new Promise(resolve => client.setNotificationHandler(ToolListChangedNotificationSchema, resolve));
+      writePlugin(path.join(pluginDir, 'goodbye.js'), 'goodbye', 'goodbye');
+      await changed;
+
+      await expect(client.callTool({ name: 'goodbye', arguments: {} })).resolves.toMatchObject({
+        content: [{ type: 'text', text: 'goodbye' }]
+      });
+    } finally {
+      await client.close();
+      mcpServer.toolPlugins.close();
+    }
+  });
+
+  test('serves a given tool host without plugins', () => {
+    const toolHost = new ToolHost();
+    const mcpServer = new VSCodeRemoteMcpServer({ toolHost });
+
+    expect(mcpServer.toolPlugins).toBeNull();
+    expect(toolHost.listTools()).toEqual([]);
+  });
+});
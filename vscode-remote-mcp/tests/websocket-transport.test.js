@@ -0,0 +1,134 @@
+/**
+ * Tests for the WebSocket transport used by the collaboration MCP server
+ */
+
+const WebSocket = require('ws');
+const { WebSocketTransport } = require('../src/utils/websocket-transport');
+
+/**
+ * Open a client socket and collect the messages it receives
+ * @param {number} port - Server port
+ * @returns {Promise<Object>} { socket, messages, closed }
+ */
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+    const messages = [];
+    const closed = new Promise(resolveClose => {
+      socket.on('close', code => resolveClose(code));
+    });
+
+    socket.on('message', data => messages.push(JSON.parse(data.toString())));
+    socket.once('open', () => resolve({ socket, messages, closed }));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Wait until a condition is met
+ * @param {Function} condition - Condition to check
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('WebSocketTransport', () => {
+  let transport;
+  let port;
+  let onMessage;
+  let onInvalidMessage;
+  let onDisconnect;
+
+  beforeEach(async () => {
+    onMessage = jest.fn((message, client) => {
+      client.send({ type: `${message.type}_ack`, id: message.id });
+    });
+    onInvalidMessage = jest.fn();
+    onDisconnect = jest.fn();
+
+    transport = new WebSocketTransport({
+      host: '127.0.0.1',
+      port: 0,
+      maxClients: 2,
+      onMessage,
+      onInvalidMessage,
+      onDisconnect
+    });
+
+    const address = await transport.listen();
+    port = address.port;
+  });
+
+  afterEach(async () => {
+    await transport.close(100);
+  });
+
+  test('should create a client per socket and route parsed frames', async () => {
+    const { socket, messages } = await connect(port);
+
+    socket.send(JSON.stringify({ type: 'ping', id: 'msg-1' }));
+    await waitFor(() => messages.length === 1);
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    const [message, client] = onMessage.mock.calls[0];
+    expect(message).toEqual({ type: 'ping', id: 'msg-1' });
+    expect(client.id).toBeNull();
+    expect(client.connectionId).toBeDefined();
+    expect(client.ipAddress).toBeDefined();
+    expect(messages[0]).toEqual({ type: 'ping_ack', id: 'msg-1' });
+
+    socket.close();
+  });
+
+  test('should report frames that are not valid JSON', async () => {
+    const { socket } = await connect(port);
+
+    socket.send('not json');
+    await waitFor(() => onInvalidMessage.mock.calls.length === 1);
+
+    expect(onMessage).not.toHaveBeenCalled();
+    expect(onInvalidMessage.mock.calls[0][0]).toBeInstanceOf(SyntaxError);
+
+    socket.close();
+  });
+
+  test('should refuse sockets beyond maxClients', async () => {
+    const first = await connect(port);
+    const second = await connect(port);
+    const third = await connect(port);
+
+    const code = await third.closed;
+    expect(code).toBe(1013);
+    expect(third.messages[0].payload.code).toBe('MAX_CLIENTS');
+    expect(transport.getClientCount()).toBe(2);
+
+    first.socket.close();
+    second.socket.close();
+  });
+
+  test('should notify when a socket closes', async () => {
+    const { socket } = await connect(port);
+    await waitFor(() => transport.getClientCount() === 1);
+
+    socket.close();
+    await waitFor(() => onDisconnect.mock.calls.length === 1);
+
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(transport.getClientCount()).toBe(0);
+  });
+
+  test('should terminate remaining sockets after the shutdown timeout', async () => {
+    const { closed } = await connect(port);
+    await waitFor(() => transport.getClientCount() === 1);
+
+    const start = Date.now();
+    await transport.close(200);
+
+    expect(await closed).toBe(1006);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(150);
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+  });
+});
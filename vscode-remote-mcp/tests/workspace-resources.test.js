@@ -0,0 +1,203 @@
+/**
+ * Tests for exposing workspace files as MCP resources
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The tool registry sandboxes its workspace at load time
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-resources-')));
+process.env.MCP_WORKSPACE_ROOTS = workspaceRoot;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ResourceUpdatedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { WorkspaceResources } = require('../src/utils/workspace-resources');
+const { WorkspaceSandbox } = require('../src/utils/workspace-sandbox');
+const VSCodeRemoteMcpServer = require('../src/mcp-sdk-server');
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - The condition
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+afterAll(() => {
+  fs.rmSync(workspaceRoot, { recursive: true, force: true });
+});
+
+describe('WorkspaceResources', () => {
+  let instancesDir;
+  let resources;
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(workspaceRoot, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(workspaceRoot, 'src', 'index.js'), 'module.exports = 1;\n');
+    fs.writeFileSync(path.join(workspaceRoot, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+    fs.writeFileSync(path.join(workspaceRoot, '.gitignore'), 'dist/\n');
+    fs.mkdirSync(path.join(workspaceRoot, 'dist'), { recursive: true });
+    fs.writeFileSync(path.join(workspaceRoot, 'dist', 'bundle.js'), '');
+
+    instancesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-instances-'));
+    fs.mkdirSync(path.join(instancesDir, 'resources'));
+    fs.writeFileSync(path.join(instancesDir, 'vscode-App-1a2b.json'), JSON.stringify({ name: 'App', port: 8080 }));
+    fs.writeFileSync(path.join(instancesDir, 'resources', 'job-1.json'), JSON.stringify({ job_id: 'job-1', status: 'allocated' }));
+
+    resources = new WorkspaceResources({ sandbox: new WorkspaceSandbox({ roots: [workspaceRoot] }), instancesDir });
+  });
+
+  afterEach(() => {
+    resources.dispose();
+    for (const entry of fs.readdirSync(workspaceRoot)) {
+      fs.rmSync(path.join(workspaceRoot, entry), { recursive: true, force: true });
+    }
+    fs.rmSync(instancesDir, { recursive: true, force: true });
+  });
+
+  test('lists instances, jobs and the files that are not ignored', async () => {
+    const { resources: listed, nextCursor } = await resources.listResources();
+
+    expect(listed).toEqual([
+      { uri: 'instance://vscode-App-1a2b', name: 'VSCode instance vscode-App-1a2b', mimeType: 'application/json' },
+      { uri: 'job://job-1', name: 'Job job-1', mimeType: 'application/json' },
+      { uri: pathToFileURL(path.join(workspaceRoot, '.gitignore')).href, name: '.gitignore', mimeType: 'text/plain' },
+      { uri: pathToFileURL(path.join(workspaceRoot, 'logo.png')).href, name: 'logo.png', mimeType: 'text/plain' },
+      { uri: pathToFileURL(path.join(workspaceRoot, 'src', 'index.js')).href, name: 'src/index.js', mimeType: 'text/javascript' }
+    ]);
+    expect(nextCursor).toBeUndefined();
+  });
+
+  test('pages through long listings', async () => {
+    for (let i = 0; i < 510; i++) {
+      fs.writeFileSync(path.join(workspaceRoot, 'src', `file-${String(i).padStart(3, '0')}.txt`), '');
+    }
+
+    const first = await resources.listResources();
+    const second = await resources.listResources(first.nextCursor);
+
+    expect(first.resources).toHaveLength(500);
+    expect(first.nextCursor).toBe('500');
+    expect(second.resources).toHaveLength(515 - 500);
+    expect(second.nextCursor).toBeUndefined();
+    await expect(resources.listResources('nope')).rejects.toMatchObject({ code: 'INVALID_URI' });
+  });
+
+  test('reads text and binary files by absolute or workspace-relative URI', async () => {
+    const uri = pathToFileURL(path.join(workspaceRoot, 'src', 'index.js')).href;
+
+    await expect(resources.readResource(uri)).resolves.toEqual({
+      contents: [{ uri, mimeType: 'text/javascript', text: 'module.exports = 1;\n' }]
+    });
+    await expect(resources.readResource('file:///src/index.js')).resolves.toMatchObject({
+      contents: [{ text: 'module.exports = 1;\n' }]
+    });
+
+    const image = await resources.readResource(pathToFileURL(path.join(workspaceRoot, 'logo.png')).href);
+    expect(image.contents[0]).toMatchObject({ mimeType: 'application/octet-stream', blob: 'iVBORwAB' });
+  });
+
+  test('reads instance configurations and job allocations', async () => {
+    const instance = await resources.readResource('instance://vscode-App-1a2b');
+    const job = await resources.readResource('job://job-1');
+
+    expect(JSON.parse(instance.contents[0].text)).toEqual({ name: 'App', port: 8080 });
+    expect(JSON.parse(job.contents[0].text).status).toBe('allocated');
+  });
+
+  test('never reads outside the workspace and rejects unknown resources', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-outside-'));
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+    fs.symlinkSync(outside, path.join(workspaceRoot, 'link'));
+
+    await expect(resources.readResource('file:///link/secret.txt')).rejects.toMatchObject({ code: 'INVALID_URI' });
+    await expect(resources.readResource(pathToFileURL(path.join(outside, 'secret.txt')).href)).rejects.toMatchObject({ code: 'RESOURCE_NOT_FOUND' });
+    fs.rmSync(outside, { recursive: true, force: true });
+
+    await expect(resources.readResource('instance://..%2Fsecrets')).rejects.toMatchObject({ code: 'INVALID_URI' });
+    await expect(resources.readResource('https://example.com/')).rejects.toThrow('Unsupported resource URI scheme');
+    await expect(resources.readResource('file:///src/missing.js')).rejects.toMatchObject({ code: 'RESOURCE_NOT_FOUND' });
+    await expect(resources.readResource('job://job-2')).rejects.toMatchObject({ code: 'RESOURCE_NOT_FOUND' });
+  });
+
+  test('notifies watchers when a file changes', async () => {
+    const uri = pathToFileURL(path.join(workspaceRoot, 'src', 'index.js')).href;
+    const changes = [];
+    const unwatch = resources.watch(uri, changedUri => changes.push(changedUri));
+
+    fs.writeFileSync(path.join(workspaceRoot, 'src', 'index.js'), 'module.exports = 2;\n');
+    await waitFor(() => changes.length > 0);
+
+    expect(changes).toEqual([uri]);
+
+    unwatch();
+    expect(resources.watchedDirectories.size).toBe(0);
+  });
+});
+
+describe('VSCodeRemoteMcpServer resources', () => {
+  let instancesDir;
+  let mcpServer;
+  let client;
+
+  beforeEach(async () => {
+    fs.writeFileSync(path.join(workspaceRoot, 'notes.md'), '# Notes\n');
+    instancesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-instances-'));
+
+    mcpServer = new VSCodeRemoteMcpServer({ instancesDir });
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([mcpServer.server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    mcpServer.resources.dispose();
+    fs.rmSync(path.join(workspaceRoot, 'notes.md'), { force: true });
+    fs.rmSync(instancesDir, { recursive: true, force: true });
+  });
+
+  test('lists, reads and subscribes to resources', async () => {
+    const uri = pathToFileURL(path.join(workspaceRoot, 'notes.md')).href;
+
+    const { resources } = await client.listResources();
+    expect(resources.map(resource => resource.uri)).toContain(uri);
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual(['file:///{path}', 'instance://{instance_name}', 'job://{job_id}']);
+
+    const read = await client.readResource({ uri });
+    expect(read.contents[0]).toMatchObject({ mimeType: 'text/markdown', text: '# Notes\n' });
+
+    const updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => updates.push(notification.params.uri));
+    await client.subscribeResource({ uri });
+
+    fs.writeFileSync(path.join(workspaceRoot, 'notes.md'), '# Notes\n\nUpdated\n');
+    await waitFor(() => updates.length > 0);
+    expect(updates).toEqual([uri]);
+
+    await client.unsubscribeResource({ uri });
+    expect(mcpServer.resources.watchedDirectories.size).toBe(0);
+  });
+
+  test('reports missing and forbidden resources as MCP errors', async () => {
+    await expect(client.readResource({ uri: 'file:///missing.md' })).rejects.toMatchObject({ code: -32002 });
+    await expect(client.readResource({ uri: 'instance://../secrets' })).rejects.toMatchObject({ code: -32602 });
+  });
+
+  test('stops watching when the connection closes', async () => {
+    await client.subscribeResource({ uri: pathToFileURL(path.join(workspaceRoot, 'notes.md')).href });
+    expect(mcpServer.resources.watchedDirectories.size).toBe(1);
+
+    await client.close();
+
+    expect(mcpServer.resources.watchedDirectories.size).toBe(0);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for keeping file-touching tools inside the workspace roots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkspaceSandbox, isPathInside } = require('../src/utils/workspace-sandbox');
+
+describe('WorkspaceSandbox', () => {
+  let tempDir;
+  let workspace;
+  let outside;
+  let sandbox;
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-sandbox-')));
+    workspace = path.join(tempDir, 'workspace');
+    outside = path.join(tempDir, 'outside');
+    fs.mkdirSync(path.join(workspace, 'src'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(workspace, 'src', 'index.js'), 'module.exports = 1;\n');
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret\n');
+    sandbox = new WorkspaceSandbox({ roots: [workspace] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('resolves relative and absolute paths inside the workspace', () => {
+    expect(sandbox.resolvePath('src/index.js')).toBe(path.join(workspace, 'src', 'index.js'));
+    expect(sandbox.resolvePath(path.join(workspace, 'src', '..', 'src', 'index.js'))).toBe(path.join(workspace, 'src', 'index.js'));
+    expect(sandbox.resolvePath('.')).toBe(workspace);
+    expect(sandbox.resolvePath('src/new-file.js')).toBe(path.join(workspace, 'src', 'new-file.js'));
+  });
+
+  test('rejects paths outside the workspace', () => {
+    expect(() => sandbox.resolvePath('../outside/secret.txt')).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath(path.join(outside, 'secret.txt'))).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath('/etc/passwd')).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath('')).toThrow('Invalid path');
+    expect(sandbox.isAllowed(`${workspace}-other/file.js`)).toBe(false);
+  });
+
+  test('follows symlinks before checking the roots', () => {
+    fs.symlinkSync(outside, path.join(workspace, 'linked-dir'));
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(workspace, 'linked-file.txt'));
+    fs.symlinkSync(path.join(workspace, 'src'), path.join(outside, 'back-link'));
+
+    expect(() => sandbox.resolvePath('linked-dir/secret.txt')).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath('linked-dir/missing.txt')).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath('linked-file.txt')).toThrow('outside the allowed workspace roots');
+    expect(sandbox.resolvePath(path.join(outside, 'back-link', 'index.js'))).toBe(path.join(workspace, 'src', 'index.js'));
+  });
+
+  test('follows dangling symlinks to where they would create files', () => {
+    fs.symlinkSync(path.join(outside, 'outside-target.txt'), path.join(workspace, 'evil'));
+    fs.symlinkSync(path.join(outside, 'missing-dir'), path.join(workspace, 'evil-dir'));
+    fs.symlinkSync('chained', path.join(workspace, 'chain'));
+    fs.symlinkSync(path.join(workspace, 'evil'), path.join(workspace, 'chained'));
+    fs.symlinkSync('src/created.js', path.join(workspace, 'pending.js'));
+    fs.symlinkSync('loop-b', path.join(workspace, 'loop-a'));
+    fs.symlinkSync('loop-a', path.join(workspace, 'loop-b'));
+
+    expect(() => sandbox.resolvePath('evil')).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath('evil-dir/file.txt')).toThrow('outside the allowed workspace roots');
+    expect(() => sandbox.resolvePath('chain')).toThrow('outside the allowed workspace roots');
+    expect(sandbox.resolvePath('pending.js')).toBe(path.join(workspace, 'src', 'created.js'));
+    expect(sandbox.isAllowed('loop-a')).toBe(false);
+  });
+
+  test('keeps write_file from writing through a dangling symlink', async () => {
+    const writeFile = require('../src/tools/write_file');
+    fs.symlinkSync(path.join(outside, 'outside-target.txt'), path.join(workspace, 'evil'));
+    const wrapped = sandbox.wrapTool(writeFile, { path: undefined });
+
+    const result = await wrapped({ path: 'evil', content: 'escaped' });
+
+    expect(result.error.code).toBe(-32602);
+    expect(fs.existsSync(path.join(outside, 'outside-target.txt'))).toBe(false);
+  });
+
+  test('allows any of several roots', () => {
+    sandbox = new WorkspaceSandbox({ roots: [workspace, outside] });
+
+    expect(sandbox.resolvePath(path.join(outside, 'secret.txt'))).toBe(path.join(outside, 'secret.txt'));
+    expect(() => new WorkspaceSandbox({ roots: [] })).toThrow('At least one workspace root is required');
+  });
+
+  test('wraps tools so out-of-root paths never reach them', async () => {
+    const tool = jest.fn(async params => ({ params }));
+    const wrapped = sandbox.wrapTool(tool, { file_path: undefined, directory: '.' });
+
+    const allowed = await wrapped({ file_path: 'src/index.js', other: 1 });
+    expect(allowed.params).toEqual({ file_path: path.join(workspace, 'src', 'index.js'), directory: workspace, other: 1 });
+
+    const denied = await wrapped({ file_path: '../outside/secret.txt' });
+    expect(denied.error.code).toBe(-32602);
+    expect(denied.content[0].text).toContain('outside the allowed workspace roots');
+    expect(tool).toHaveBeenCalledTimes(1);
+  });
+
+  test('checks path fields of array parameters', async () => {
+    const tool = jest.fn(async params => ({ params }));
+    const wrapped = sandbox.wrapTool(tool, { 'edits[].file_path': undefined });
+
+    const allowed = await wrapped({ edits: [{ file_path: 'a.js', operation: 'add' }, { operation: 'add' }] });
+    expect(allowed.params.edits).toEqual([{ file_path: path.join(workspace, 'a.js'), operation: 'add' }, { operation: 'add' }]);
+
+    const denied = await wrapped({ edits: [{ file_path: 'a.js' }, { file_path: '/etc/passwd' }] });
+    expect(denied.error.code).toBe(-32602);
+    expect(tool).toHaveBeenCalledTimes(1);
+  });
+
+  test('compares whole path segments', () => {
+    expect(isPathInside('/work', '/work/a')).toBe(true);
+    expect(isPathInside('/work', '/work')).toBe(true);
+    expect(isPathInside('/work', '/workspace')).toBe(false);
+    expect(isPathInside('/work', '/work/..foo')).toBe(true);
+    expect(isPathInside('/', '/etc')).toBe(true);
+  });
+});